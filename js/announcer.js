@@ -0,0 +1,47 @@
+// Spoken announcements for accessibility mode.  Screen readers read out changes to ARIA live
+// regions, so this keeps a pair of visually hidden ones around: a polite one for most things, and an
+// assertive one for things that shouldn't have to wait their turn, like dying.  For anyone without a
+// screen reader, the same text can also go through the browser's own speech synthesis.
+import { mk } from './util.js';
+
+// Don't let the live regions grow forever; screen readers only care about what's new anyway
+const MAX_MESSAGES = 10;
+
+export class Announcer {
+    constructor() {
+        this.enabled = false;
+        this.speak = false;
+
+        this.polite_el = mk('div.visually-hidden', {role: 'status', 'aria-live': 'polite'});
+        this.assertive_el = mk('div.visually-hidden', {role: 'alert', 'aria-live': 'assertive'});
+        document.body.append(this.polite_el, this.assertive_el);
+    }
+
+    announce(text, urgent = false) {
+        if (! this.enabled || ! text)
+            return;
+
+        // Add a new element rather than replacing the text, since some screen readers won't repeat
+        // a message that didn't change
+        let el = urgent ? this.assertive_el : this.polite_el;
+        el.append(mk('p', text));
+        while (el.childNodes.length > MAX_MESSAGES) {
+            el.firstChild.remove();
+        }
+
+        if (this.speak && window.speechSynthesis) {
+            // Urgent news cuts off whatever's being said, which is probably stale by now anyway
+            if (urgent) {
+                window.speechSynthesis.cancel();
+            }
+            window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+        }
+    }
+
+    // Stop talking, e.g. because the level changed out from under us
+    hush() {
+        if (window.speechSynthesis) {
+            window.speechSynthesis.cancel();
+        }
+    }
+}
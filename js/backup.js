@@ -0,0 +1,291 @@
+// Backing up and restoring saved progress, so it can move between browsers or machines, plus
+// seeding progress from other games' records.  This is only the file formats and the merging
+// rules; the conductor and editor do the actual digging around in localStorage.
+// A backup is a ZIP containing a single backup.json, which looks like:
+//   format: always BACKUP_FORMAT
+//   version: BACKUP_VERSION at the time it was made
+//   created: when it was made, as an ISO date string
+//   pack: identifier of the only pack included, or null if this is everything
+//   packs: pack identifier => savefile, in the same shape as localStorage
+// And, only when backing up everything:
+//   options, compat: the same as in the conductor's stash
+//   tilesets: custom tileset bucket => custom tileset definition
+//   editor_packs: pack key => { summary, stash, levels: { level key => C2M as a bytestring } }
+// Plain backup.json files are accepted too, in case someone wants to edit one by hand.
+// Personal best replays and savestates live in IndexedDB and aren't included (yet).
+import { TICS_PER_SECOND } from './defs.js';
+import * as format_tws from './format-tws.js';
+import * as util from './util.js';
+import * as fflate from './vendor/fflate.js';
+
+export const BACKUP_FORMAT = 'lexys-labyrinth-backup';
+export const BACKUP_VERSION = 1;
+const BACKUP_FILENAME = 'backup.json';
+
+export function make_empty_savefile(total_levels) {
+    return {
+        __version__: 2,
+        total_score: 0,
+        total_abstime: 0,
+        current_level: 1,
+        highest_level: 1,
+        total_levels,
+        cleared_levels: 0,
+        aidless_levels: 0,
+        // level scorecard: { time, abstime, bonus, score, aid } or null
+        scorecards: [],
+    };
+}
+
+// Merge any improved stats from a new scorecard into a savefile, and update its totals.  All four
+// stats are tracked independently: least aid, best score, highest clock, lowest real time.  Real
+// time may be null for imported records that don't know it, and then anything beats it.
+// Returns true if this is a personal best, i.e. a new score or real time record.
+export function merge_scorecard(savefile, level_index, scorecard) {
+    let old_scorecard = savefile.scorecards[level_index];
+    let new_scorecard = old_scorecard ? { ...old_scorecard } : {};
+
+    if (! old_scorecard) {
+        savefile.cleared_levels = (savefile.cleared_levels ?? 0) + 1;
+    }
+
+    // Aid
+    if (! old_scorecard || scorecard.aid < old_scorecard.aid) {
+        new_scorecard.aid = scorecard.aid;
+        if (scorecard.aid === 0) {
+            savefile.aidless_levels = (savefile.aidless_levels ?? 0) + 1;
+        }
+    }
+
+    // Score
+    let is_personal_best = ! old_scorecard;
+    if (! old_scorecard || scorecard.score > old_scorecard.score) {
+        is_personal_best = true;
+        new_scorecard.score = scorecard.score;
+        savefile.total_score = savefile.total_score ?? 0;
+        if (old_scorecard) {
+            savefile.total_score -= old_scorecard.score;
+        }
+        savefile.total_score += scorecard.score;
+    }
+
+    // Real time
+    if (! old_scorecard || (scorecard.abstime !== null &&
+        (old_scorecard.abstime === null || scorecard.abstime < old_scorecard.abstime)))
+    {
+        is_personal_best = is_personal_best || scorecard.abstime !== null;
+        new_scorecard.abstime = scorecard.abstime;
+        savefile.total_abstime = savefile.total_abstime ?? 0;
+        if (old_scorecard) {
+            savefile.total_abstime -= old_scorecard.abstime ?? 0;
+        }
+        savefile.total_abstime += scorecard.abstime ?? 0;
+    }
+
+    // Clock time
+    if (! old_scorecard || scorecard.time > old_scorecard.time) {
+        new_scorecard.time = scorecard.time;
+        // There's no running total of clock times
+    }
+
+    savefile.scorecards[level_index] = new_scorecard;
+    return is_personal_best;
+}
+
+// Merge every scorecard from one savefile into another, using the same rules as winning a level.
+// Returns the number of levels that changed.
+export function merge_savefile(savefile, other) {
+    let num_changed = 0;
+    for (let [i, scorecard] of (other.scorecards ?? []).entries()) {
+        if (! scorecard)
+            continue;
+
+        let before = JSON.stringify(savefile.scorecards[i] ?? null);
+        merge_scorecard(savefile, i, scorecard);
+        if (JSON.stringify(savefile.scorecards[i]) !== before) {
+            num_changed += 1;
+        }
+    }
+
+    savefile.highest_level = Math.max(savefile.highest_level ?? 1, other.highest_level ?? 1);
+    savefile.total_levels = Math.max(savefile.total_levels ?? 0, other.total_levels ?? 0);
+    // Where you left off is a matter of opinion, so only take the other one if we have nothing
+    if (! savefile.script_state && other.script_state) {
+        savefile.script_state = other.script_state;
+    }
+    return num_changed;
+}
+
+// ------------------------------------------------------------------------------------------------
+// Backup files
+
+export function encode_backup(backup) {
+    return fflate.zipSync({
+        [BACKUP_FILENAME]: fflate.strToU8(JSON.stringify(backup)),
+    });
+}
+
+// Accepts either a ZIP or bare JSON; throws an LLError if this doesn't look like one of ours
+export function decode_backup(buf) {
+    let bytes = new Uint8Array(buf);
+    let json;
+    if (util.string_from_buffer_ascii(bytes.buffer, bytes.byteOffset, 4) === 'PK\x03\x04') {
+        let files;
+        try {
+            files = fflate.unzipSync(bytes);
+        }
+        catch (e) {
+            throw new util.LLError(`This ZIP file seems to be damaged: ${e.message}`);
+        }
+        if (! files[BACKUP_FILENAME])
+            throw new util.LLError(`This ZIP file doesn't contain a ${BACKUP_FILENAME}, so it's not a backup.`);
+        json = fflate.strFromU8(files[BACKUP_FILENAME]);
+    }
+    else {
+        json = fflate.strFromU8(bytes);
+    }
+
+    let backup;
+    try {
+        backup = JSON.parse(json);
+    }
+    catch (e) {
+        throw new util.LLError("This doesn't look like a backup file.");
+    }
+    if (! backup || backup.format !== BACKUP_FORMAT)
+        throw new util.LLError("This doesn't look like a backup file.");
+    if (! (backup.version <= BACKUP_VERSION))
+        throw new util.LLError("This backup was made by a newer version of Lexy's Labyrinth, so I don't know how to read it.");
+
+    // Fill in anything a hand-edited file might have left out
+    backup.pack = backup.pack ?? null;
+    backup.packs = backup.packs ?? {};
+    // But anything that is there has to make sense, or it'll poison the totals once it's merged
+    if (! backup.packs || typeof backup.packs !== 'object' || Array.isArray(backup.packs))
+        throw new util.LLError("This backup seems to be damaged: its list of packs is garbled.");
+    for (let [ident, savefile] of Object.entries(backup.packs)) {
+        check_savefile(ident, savefile);
+    }
+    return backup;
+}
+
+function is_number(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Throws an LLError if a savefile from a backup has anything in it that's the wrong type
+function check_savefile(ident, savefile) {
+    let damaged = what => new util.LLError(`This backup seems to be damaged: ${what} for ${ident}.`);
+    if (! savefile || typeof savefile !== 'object')
+        throw damaged("there's no saved progress");
+    for (let key of ['highest_level', 'total_levels', 'current_level']) {
+        if (savefile[key] !== undefined && ! is_number(savefile[key]))
+            throw damaged(`the ${key.replace('_', ' ')} isn't a number`);
+    }
+
+    let scorecards = savefile.scorecards ?? [];
+    if (! Array.isArray(scorecards))
+        throw damaged("the scores are garbled");
+    for (let [i, scorecard] of scorecards.entries()) {
+        if (scorecard === null || scorecard === undefined)
+            continue;
+        let level = `level ${i + 1}`;
+        if (typeof scorecard !== 'object')
+            throw damaged(`the score for ${level} is garbled`);
+        for (let key of ['time', 'score', 'aid']) {
+            if (! is_number(scorecard[key]))
+                throw damaged(`the ${key} for ${level} isn't a number`);
+        }
+        // Real time is allowed to be unknown
+        scorecard.abstime = scorecard.abstime ?? null;
+        if (scorecard.abstime !== null && ! is_number(scorecard.abstime))
+            throw damaged(`the real time for ${level} isn't a number`);
+        if (scorecard.bonus !== undefined && ! is_number(scorecard.bonus))
+            throw damaged(`the bonus for ${level} isn't a number`);
+    }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Progress from other games, which only know enough to say which levels you've cleared.  Nobody can
+// vouch for these, so they don't count as aidless.
+const IMPORTED_AID = 1;
+
+function make_imported_scorecard(level_number, time, abstime, score = null) {
+    return {
+        time,
+        abstime,
+        bonus: 0,
+        // Same formula as Level.get_scorecard, minus bonuses we can't know about
+        score: score ?? level_number * 500 + time * 10,
+        aid: IMPORTED_AID,
+    };
+}
+
+// Returns a sparse array of scorecards for the levels a Tile World solution file has solved, or
+// null if this isn't a solution file.  get_time_limit(index) should return the level's time limit,
+// or null if there's no such level
+export function scorecards_from_tws(buf, get_time_limit) {
+    let solutions = format_tws.parse_solutions(buf);
+    if (! solutions)
+        return null;
+
+    let scorecards = [];
+    for (let [i, replay] of solutions.levels.entries()) {
+        if (! replay)
+            continue;
+
+        let time_limit = get_time_limit(i);
+        if (time_limit === null)
+            continue;
+
+        // TW and we both run at 20 tics per second, so the record's length is the real time.  Use
+        // the length the record claims, not the replay's, which stops at the last keypress
+        let abstime = solutions.total_durations[i] ?? replay.duration;
+        let time = 0;
+        if (time_limit > 0) {
+            time = Math.max(0, Math.ceil((time_limit * TICS_PER_SECOND - abstime) / TICS_PER_SECOND));
+        }
+        scorecards[i] = make_imported_scorecard(i + 1, time, abstime);
+    }
+    return scorecards;
+}
+
+// MS Chip's Challenge keeps its progress in an INI file (entpack.ini, or chips.ini for older
+// versions), with a line per level you've reached, like:
+//   Level3=XXXX,123,4567
+// meaning password, seconds left on the clock, and score; the last two only exist once you've
+// cleared it.  Returns { scorecards, highest_level }, or null if there's nothing like that here.
+// get_time_limit works the same as for scorecards_from_tws.
+export function scorecards_from_mscc_ini(text, get_time_limit) {
+    let scorecards = [];
+    let highest_level = 0;
+    let any_levels = false;
+    for (let line of text.split(/\r?\n/)) {
+        let m = line.match(/^\s*Level(\d+)\s*=\s*[^,\s]*\s*(?:,\s*(\d+)\s*,\s*(\d+))?/i);
+        if (! m)
+            continue;
+        any_levels = true;
+
+        let number = parseInt(m[1], 10);
+        highest_level = Math.max(highest_level, number);
+        if (m[2] === undefined)
+            continue;
+
+        let time_limit = get_time_limit(number - 1);
+        if (time_limit === null)
+            continue;
+
+        let time = parseInt(m[2], 10);
+        // MSCC doesn't track how long you actually took, but on a timed level the clock gives a
+        // decent guess; untimed levels just don't get a real time
+        let abstime = null;
+        if (time_limit > 0) {
+            abstime = Math.max(0, time_limit - time) * TICS_PER_SECOND;
+        }
+        scorecards[number - 1] = make_imported_scorecard(number, time, abstime, parseInt(m[3], 10));
+    }
+
+    if (! any_levels)
+        return null;
+    return { scorecards, highest_level };
+}
@@ -0,0 +1,184 @@
+// Catalogs of level sets that can be downloaded and installed, like the Bit Busters Club's set list.
+// A catalog comes from a CatalogSource, which is anything that can produce a list of entries; the
+// simplest is a JSON file in our own format:
+//   format: always CATALOG_FORMAT
+//   version: CATALOG_VERSION
+//   title: name of the catalog
+//   sets: a list of:
+//     id: short unique name, which also becomes the pack identifier for savefiles, so two catalogs
+//       offering the same set should use the same id
+//     title: the set's title
+//     author: who made it (optional)
+//     description: a sentence or two about it (optional)
+//     ruleset: which compat ruleset it was designed for, as in COMPAT_RULESET_ORDER (optional)
+//     url: where to get it, relative to the catalog; must be a single file that we can load, i.e. a
+//       DAT/CCL, C2M, or ZIP (so a C2G set has to be zipped up)
+//     checksum: "sha256-" followed by the file's SHA-256 in hex (optional, but strongly encouraged)
+// Installed sets are cached in IndexedDB, so they load without a trip to the network.  Each record
+// looks like:
+//   pack: the pack identifier, i.e. the set's id
+//   filename: the last part of the URL it came from, which parse_and_load_game uses to guess at
+//     what it's looking at
+//   data: the file itself, as an ArrayBuffer
+//   date: when it was installed, as a timestamp
+import { COMPAT_RULESET_ORDER } from './defs.js';
+import { forget_pack, open_store, request_promise } from './local-db.js';
+import * as util from './util.js';
+
+export const CATALOG_FORMAT = 'lexys-labyrinth-catalog';
+export const CATALOG_VERSION = 1;
+const STORE_NAME = 'catalog-sets';
+
+// Check over a catalog in our JSON format, and return a tidied-up copy with absolute URLs
+export function parse_catalog(json, base_url) {
+    if (! json || json.format !== CATALOG_FORMAT)
+        throw new util.LLError("This doesn't look like a level catalog.");
+    if (! (json.version <= CATALOG_VERSION))
+        throw new util.LLError("This catalog was made for a newer version of Lexy's Labyrinth.");
+    if (! Array.isArray(json.sets))
+        throw new util.LLError("This catalog doesn't have any sets in it.");
+
+    let seen_ids = new Set;
+    let sets = [];
+    for (let set of json.sets) {
+        // Skip anything malformed rather than rejecting the whole catalog over one bad entry
+        if (! set || typeof set.id !== 'string' || typeof set.url !== 'string' || seen_ids.has(set.id)) {
+            console.warn("Skipping a malformed catalog entry:", set);
+            continue;
+        }
+        seen_ids.add(set.id);
+
+        let ruleset = set.ruleset ?? null;
+        if (ruleset !== null && (ruleset === 'custom' || ! COMPAT_RULESET_ORDER.includes(ruleset))) {
+            ruleset = null;
+        }
+        sets.push({
+            id: set.id,
+            title: set.title || set.id,
+            author: set.author || null,
+            description: set.description || null,
+            ruleset,
+            url: new URL(set.url, base_url).href,
+            checksum: typeof set.checksum === 'string' ? set.checksum.toLowerCase() : null,
+        });
+    }
+
+    return {
+        title: json.title || "Level catalog",
+        sets,
+    };
+}
+
+// Base class for anywhere a catalog can come from
+export class CatalogSource {
+    constructor(ident, title) {
+        this.ident = ident;
+        this.title = title;
+    }
+
+    // Returns a catalog in the same shape parse_catalog does
+    async load() {}
+}
+
+// A catalog in our own JSON format, fetched over HTTP
+export class JSONCatalogSource extends CatalogSource {
+    constructor(ident, title, url) {
+        super(ident, title);
+        this.url = url;
+    }
+
+    async load() {
+        let url = new URL(this.url, location.href);
+        let buf = await new util.HTTPFileSource(url).get(url.href);
+        let json;
+        try {
+            json = JSON.parse(new TextDecoder().decode(buf));
+        }
+        catch (e) {
+            throw new util.LLError(`The catalog at ${url} isn't valid JSON: ${e.message}`);
+        }
+        return parse_catalog(json, url);
+    }
+}
+
+// The Bit Busters Club's GliderBot set list, which is just a directory listing, so all we know about
+// each set is its filename.  Only the CC1 sets are listed, since CC2 sets are whole directories.
+// TODO CC2 sets could work via HTTPNginxDirectorySource, but then there's no single file to cache
+export class GliderbotCatalogSource extends CatalogSource {
+    constructor(ident, title, root, blocked_paths = new Set) {
+        super(ident, title);
+        this.root = root;
+        this.blocked_paths = blocked_paths;
+    }
+
+    async load() {
+        let source = new util.HTTPNginxDirectorySource(new URL('cc1/', this.root));
+        let sets = [];
+        for await (let path of source.iter_all_files()) {
+            let m = path.match(/^([^/]+)[.]dat$/i);
+            if (! m || this.blocked_paths.has('cc1/' + path))
+                continue;
+
+            let name = decodeURIComponent(m[1]);
+            sets.push({
+                // Same identifier as a 'gb:' link uses, so progress carries over
+                id: name,
+                title: name.replace(/_/g, ' '),
+                author: null,
+                description: null,
+                // Sets on here were mostly made with Tile World in mind
+                // TODO that's not true of all of them; would be nice to know which
+                ruleset: null,
+                url: new URL('cc1/' + path, this.root).href,
+                checksum: null,
+            });
+        }
+        sets.sort((a, b) => a.title.localeCompare(b.title));
+        return {
+            title: this.title,
+            sets,
+        };
+    }
+}
+
+// Download a set and check it against its checksum, if it has one.  Returns an ArrayBuffer
+export async function download_set(set) {
+    let url = new URL(set.url);
+    let buf = await new util.HTTPFileSource(url).get(url.href);
+
+    if (set.checksum) {
+        let m = set.checksum.match(/^sha256-([0-9a-f]{64})$/);
+        if (! m)
+            throw new util.LLError(`Don't know how to check this kind of checksum: ${set.checksum}`);
+        let digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buf));
+        let hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        if (hex !== m[1])
+            throw new util.LLError(`${set.title} didn't download correctly (its checksum doesn't match), so I won't install it.`);
+    }
+
+    return buf;
+}
+
+export function filename_from_url(url) {
+    let path = new URL(url).pathname;
+    return decodeURIComponent(path.substring(path.lastIndexOf('/') + 1));
+}
+
+export async function save_installed_set(pack, filename, data) {
+    let store = await open_store(STORE_NAME, 'readwrite');
+    await request_promise(store.put({
+        pack,
+        filename,
+        data,
+        date: Date.now(),
+    }));
+}
+
+export async function load_installed_set(pack) {
+    let store = await open_store(STORE_NAME, 'readonly');
+    return (await request_promise(store.get([pack]))) ?? null;
+}
+
+export async function forget_installed_set(pack) {
+    await forget_pack(STORE_NAME, pack);
+}
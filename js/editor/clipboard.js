@@ -0,0 +1,211 @@
+// The editor's clipboard, for copying chunks of level between levels and packs.  A clip is plain
+// JSON, so it can also go through the system clipboard, and survive reloads or hop between tabs:
+//   format: always CLIP_FORMAT
+//   version: CLIP_VERSION
+//   origin: [x, y] of where it was copied from, as a sensible place to paste it
+//   width, height: size of its bounding box
+//   cells: list of [x, y, tiles], relative to the bounding box; tiles is a list of
+//     {type: name, ...other properties} in layer order, with nulls for empty layers
+//   connections: list of [source x, source y, dest x, dest y], relative to the bounding box, for
+//     custom connections with both ends inside the clip
+//   camera_regions: list of [x, y, width, height], relative to the bounding box, for camera regions
+//     entirely inside the clip
+// Wires don't need any special handling, since they're just properties of the tiles.
+import { LAYERS } from '../defs.js';
+import { StoredCell } from '../format-base.js';
+import TILE_TYPES from '../tiletypes.js';
+import * as util from '../util.js';
+
+export const CLIP_FORMAT = 'lexys-labyrinth-clip';
+export const CLIP_VERSION = 1;
+
+// Tile properties are mostly numbers and strings, but a few are Sets (e.g. arrows on directional
+// blocks) or arrays, which JSON can't do or needs a hand with
+function serialize_value(value, name) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value)))
+    {
+        return value;
+    }
+    if (value instanceof Set)
+        return {set: Array.from(value, v => serialize_value(v, name))};
+    if (Array.isArray(value))
+        return value.map(v => serialize_value(v, name));
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        let json = {};
+        for (let [key, v] of Object.entries(value)) {
+            json[key] = serialize_value(v, name);
+        }
+        return json;
+    }
+    // Better to refuse than to quietly paste back something different
+    throw new util.LLError(`Sorry, I don't know how to copy a ${name}.`);
+}
+
+function deserialize_value(json) {
+    if (Array.isArray(json))
+        return json.map(deserialize_value);
+    if (json && typeof json === 'object') {
+        if (Array.isArray(json.set))
+            return new Set(json.set.map(deserialize_value));
+
+        let value = {};
+        for (let [key, v] of Object.entries(json)) {
+            value[key] = deserialize_value(v);
+        }
+        return value;
+    }
+    return json;
+}
+
+function serialize_tile(tile) {
+    let json = {type: tile.type.name};
+    for (let [key, value] of Object.entries(tile)) {
+        if (key === 'type' || value === undefined)
+            continue;
+
+        json[key] = serialize_value(value, tile.type.name);
+    }
+    return json;
+}
+
+function deserialize_tile(json) {
+    let tile = {type: TILE_TYPES[json.type]};
+    for (let [key, value] of Object.entries(json)) {
+        if (key === 'type')
+            continue;
+
+        tile[key] = deserialize_value(value);
+    }
+    return tile;
+}
+
+// Build a clip.  bbox is a DOMRect; cells is a list of [x, y, cell]; connections is a list of
+// [source x, source y, dest x, dest y]; camera_regions is a list of DOMRects.  Everything is in
+// level coordinates.  Throws an LLError if some tile has a property we can't represent.
+export function make_clip(bbox, cells, connections, camera_regions) {
+    return {
+        format: CLIP_FORMAT,
+        version: CLIP_VERSION,
+        origin: [bbox.x, bbox.y],
+        width: bbox.width,
+        height: bbox.height,
+        cells: cells.map(([x, y, cell]) => [
+            x - bbox.x, y - bbox.y,
+            Array.from({length: LAYERS.MAX}, (_, layer) => cell[layer] ? serialize_tile(cell[layer]) : null),
+        ]),
+        connections: connections.map(([sx, sy, dx, dy]) => [sx - bbox.x, sy - bbox.y, dx - bbox.x, dy - bbox.y]),
+        camera_regions: camera_regions.map(region => [region.x - bbox.x, region.y - bbox.y, region.width, region.height]),
+    };
+}
+
+export function encode_clip(clip) {
+    return JSON.stringify(clip);
+}
+
+// Returns a clip, or null if this text isn't one (so pasting any old text is harmless).  Throws an
+// LLError if it's a clip we can't read, or one that's been mangled somehow
+export function decode_clip(text) {
+    if (! text || ! text.includes(CLIP_FORMAT))
+        return null;
+
+    let clip;
+    try {
+        clip = JSON.parse(text);
+    }
+    catch (e) {
+        return null;
+    }
+    if (! clip || clip.format !== CLIP_FORMAT)
+        return null;
+    if (! (clip.version <= CLIP_VERSION))
+        throw new util.LLError("This was copied from a newer version of Lexy's Labyrinth, so I can't paste it.");
+    // Check everything up front, so pasting can't fall over halfway through
+    let damaged = () => new util.LLError("The clipboard has some level in it, but it seems to be damaged.");
+    let is_int = n => Number.isInteger(n);
+    if (! Array.isArray(clip.cells) || ! is_int(clip.width) || ! is_int(clip.height))
+        throw damaged();
+    for (let entry of clip.cells) {
+        if (! Array.isArray(entry) || entry.length !== 3 || ! is_int(entry[0]) || ! is_int(entry[1]) ||
+            ! Array.isArray(entry[2]))
+        {
+            throw damaged();
+        }
+        for (let json of entry[2]) {
+            if (json === null)
+                continue;
+            if (typeof json !== 'object' || typeof json.type !== 'string')
+                throw damaged();
+            if (! Object.hasOwn(TILE_TYPES, json.type))
+                throw new util.LLError(`The clipboard has a tile I don't know about: ${json.type}`);
+        }
+    }
+
+    clip.origin = clip.origin ?? [0, 0];
+    clip.connections = clip.connections ?? [];
+    clip.camera_regions = clip.camera_regions ?? [];
+    if (! Array.isArray(clip.origin) || clip.origin.length !== 2 || ! clip.origin.every(is_int))
+        throw damaged();
+    for (let list of [clip.connections, clip.camera_regions]) {
+        if (! Array.isArray(list))
+            throw damaged();
+        for (let entry of list) {
+            if (! Array.isArray(entry) || entry.length !== 4 || ! entry.every(is_int))
+                throw damaged();
+        }
+    }
+    return clip;
+}
+
+// Turn a clip back into cells, with its top left corner at (x0, y0) in a level of the given size.
+// Anything that would land outside the level is dropped.  Returns:
+//   cells: Map of scalar => StoredCell
+//   connections: list of [source scalar, dest scalar]
+//   camera_regions: list of DOMRects
+export function clip_to_cells(clip, x0, y0, size_x, size_y) {
+    let in_bounds = (x, y) => x >= 0 && x < size_x && y >= 0 && y < size_y;
+
+    let cells = new Map;
+    for (let [dx, dy, tiles] of clip.cells) {
+        let x = x0 + dx;
+        let y = y0 + dy;
+        if (! in_bounds(x, y))
+            continue;
+
+        let cell = new StoredCell;
+        cell.x = x;
+        cell.y = y;
+        for (let json of tiles) {
+            if (json) {
+                let tile = deserialize_tile(json);
+                cell[tile.type.layer] = tile;
+            }
+        }
+        // Every cell needs terrain, and a clip from somewhere weird might not have any
+        if (! cell[LAYERS.terrain]) {
+            cell[LAYERS.terrain] = {type: TILE_TYPES.floor};
+        }
+        cells.set(x + y * size_x, cell);
+    }
+
+    let connections = [];
+    for (let [sx, sy, dx, dy] of clip.connections) {
+        sx += x0;
+        sy += y0;
+        dx += x0;
+        dy += y0;
+        if (in_bounds(sx, sy) && in_bounds(dx, dy)) {
+            connections.push([sx + sy * size_x, dx + dy * size_x]);
+        }
+    }
+
+    let camera_regions = [];
+    for (let [x, y, width, height] of clip.camera_regions) {
+        let region = new DOMRect(x0 + x, y0 + y, width, height);
+        if (region.left >= 0 && region.top >= 0 && region.right <= size_x && region.bottom <= size_y) {
+            camera_regions.push(region);
+        }
+    }
+
+    return {cells, connections, camera_regions};
+}
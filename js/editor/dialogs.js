@@ -4,6 +4,9 @@ import CanvasRenderer from '../renderer-canvas.js';
 import { mk, mk_button } from '../util.js';
 import * as util from '../util.js';
 
+import { TILE_DESCRIPTIONS } from './editordefs.js';
+import * as generator from './generator.js';
+
 export class EditorPackMetaOverlay extends DialogOverlay {
     constructor(conductor, stored_pack) {
         super(conductor);
@@ -218,6 +221,113 @@ export class EditorLevelMetaOverlay extends DialogOverlay {
     }
 }
 
+export class EditorGeneratorOverlay extends DialogOverlay {
+    constructor(conductor) {
+        super(conductor);
+        this.set_title("generate a level");
+        let editor = this.conductor.editor;
+        // Remember the settings from last time, including the seed, so it's easy to get the same
+        // level back or tweak one setting at a time
+        let options = editor.generator_options ?? {
+            layout: 'backtracker',
+            wall: 'wall',
+            chips: 10,
+            doors: 2,
+            player: true,
+            seed: generator.random_seed(),
+        };
+
+        let area = editor.get_generation_area();
+        let area_text;
+        if (editor.selection.is_empty) {
+            area_text = `This will replace the whole level (${area.width} × ${area.height}).`;
+        }
+        else {
+            area_text = `This will replace the selection (${area.width} × ${area.height}, including anything in its bounding box).`;
+        }
+        this.main.append(mk('p', area_text, "  You can undo it if you don't like what you get."));
+        // Generating into part of a level shouldn't give it a second player
+        let can_add_player = ! editor.has_player_outside(area);
+
+        let dl = mk('dl.formgrid');
+        this.main.append(dl);
+
+        let layout_dd = mk('dd');
+        for (let [layout, label] of Object.entries(generator.LAYOUTS)) {
+            if (layout_dd.childNodes.length > 0) {
+                layout_dd.append(mk('br'));
+            }
+            layout_dd.append(mk('label', mk('input', {name: 'layout', type: 'radio', value: layout}), " ", label));
+        }
+        let wall_select = mk('select', {name: 'wall'});
+        for (let name of generator.WALL_TILES) {
+            wall_select.append(mk('option', {value: name}, TILE_DESCRIPTIONS[name] ? TILE_DESCRIPTIONS[name].name : name));
+        }
+        let seed_input = mk('input', {name: 'seed', type: 'text', value: options.seed});
+
+        dl.append(
+            mk('dt', "Layout"),
+            layout_dd,
+            mk('dt', "Walls"),
+            mk('dd', wall_select),
+            mk('dt', "Chips"),
+            mk('dd', mk('input', {name: 'chips', type: 'number', min: 0, max: 999, value: options.chips})),
+            mk('dt', "Locked doors"),
+            mk('dd', mk('input', {name: 'doors', type: 'number', min: 0, max: 4, value: options.doors}),
+                " (each with a key you can reach first)"),
+            mk('dt', "Options"),
+            mk('dd', mk('label',
+                mk('input', {name: 'player', type: 'checkbox'}),
+                " Add a player, and an exit as far away as possible"),
+                ...(can_add_player ? [] : [mk('br'), "(There's already a player outside the selection.)"])),
+            mk('dt', "Seed"),
+            mk('dd.-with-buttons',
+                mk('div.-left', seed_input),
+                mk('div.-right', mk_button("Random", () => {
+                    seed_input.value = generator.random_seed();
+                })),
+            ),
+        );
+        this.root.elements['layout'].value = options.layout;
+        wall_select.value = options.wall;
+        this.root.elements['player'].checked = options.player && can_add_player;
+        this.root.elements['player'].disabled = ! can_add_player;
+
+        this.add_button("generate", () => {
+            let els = this.root.elements;
+            let read_number = (name, min, max) => {
+                let value = parseInt(els[name].value, 10);
+                return isNaN(value) ? min : Math.max(min, Math.min(max, value));
+            };
+            let new_options = {
+                layout: els.layout.value,
+                wall: els.wall.value,
+                chips: read_number('chips', 0, 999),
+                doors: read_number('doors', 0, 4),
+                // If it's disabled, remember what it was, for next time
+                player: can_add_player ? els.player.checked : options.player,
+                // An empty seed is still a seed, but it's not a very memorable one
+                seed: els.seed.value || generator.random_seed(),
+            };
+            editor.generator_options = new_options;
+
+            try {
+                editor.generate_into_level({...new_options, player: new_options.player && can_add_player});
+            }
+            catch (e) {
+                if (! (e instanceof util.LLError))
+                    throw e;
+                new AlertOverlay(this.conductor, e.message).open();
+                return;
+            }
+            this.close();
+        });
+        this.add_button("nevermind", () => {
+            this.close();
+        });
+    }
+}
+
 // List of levels, used in the player
 export class EditorLevelBrowserOverlay extends DialogOverlay {
     constructor(conductor) {
@@ -41,7 +41,7 @@ export const TOOLS = {
     select_box: {
         icon: 'icons/tool-select-box.png',
         name: "Box select",
-        desc: "Select and manipulate rectangles.\n\n[mouse1] Select rectangle\n[shift] [mouse1] Add to selection\n[ctrl] [mouse1] Remove from selection\n\n[mouse1] Move selection\n[ctrl] [mouse1] Clone selection",
+        desc: "Select and manipulate rectangles.\n\n[mouse1] Select rectangle\n[shift] [mouse1] Add to selection\n[ctrl] [mouse1] Remove from selection\n\n[mouse1] Move selection\n[ctrl] [mouse1] Clone selection\n\n[ctrl] C / X / V  Copy, cut, paste (works between levels)",
         affects_selection: true,
         op1: mouseops.SelectOperation,
         shortcut: 'm',
@@ -59,6 +59,18 @@ export const TOOLS = {
         op1: mouseops.TrackOperation,
         op2: mouseops.TrackOperation,
     },
+    ice: {
+        icon: 'icons/tool-ice.png',
+        name: "Ice",
+        desc: "Draw ice following the cursor, with corners at the bends.\n\n[mouse1] Draw ice\n[ctrl] [mouse1] Erase ice",
+        op1: mouseops.IceOperation,
+    },
+    'thin-walls': {
+        icon: 'icons/tool-thin-walls.png',
+        name: "Thin walls",
+        desc: "Draw thin walls on the edges of cells.\n\n[mouse1] Toggle the nearest edge\n(drag to keep adding or removing)\n[ctrl] [mouse1] Erase",
+        op1: mouseops.ThinWallOperation,
+    },
     // TODO this is so clumsy.  maybe right-click to cycle target, like pencil?  i don't know.  that
     // seems annoying for piercing through a lot of thin walls
     // TODO you can't shift-mouse2 in firefox also, it brings up the real context menu
@@ -108,12 +120,19 @@ export const TOOLS = {
         op1: mouseops.CameraOperation,
         op2: mouseops.CameraEraseOperation,
     },
-    // TODO text tool; thin walls tool; ice tool; map generator?; subtools for select tool (copy, paste, crop)
+    text: {
+        icon: 'icons/tool-text.png',
+        name: "Text",
+        desc: "Type out messages with letter tiles.\n\n[mouse1] Start typing here\n[←] [↑] [→] [↓] Type an arrow\n[Backspace] Take back a character\n[Enter] Start the next line\n[Esc] Stop typing",
+        op1: mouseops.TextOperation,
+        shortcut: 't',
+    },
+    // TODO subtools for select tool (crop)
     // TODO interesting option: rotate an actor as you draw it by dragging?  or hold a key like in
     // slade when you have some selected?
     // TODO ah, railroads...
 };
-export const TOOL_ORDER = ['pencil', 'select_box', 'fill', 'rotate', 'adjust', 'force-floors', 'tracks', 'connect', 'wire', 'camera'];
+export const TOOL_ORDER = ['pencil', 'select_box', 'fill', 'rotate', 'adjust', 'text', 'force-floors', 'ice', 'tracks', 'thin-walls', 'connect', 'wire', 'camera'];
 export const TOOL_SHORTCUTS = {};
 for (let [tool, tooldef] of Object.entries(TOOLS)) {
     if (tooldef.shortcut) {
@@ -0,0 +1,449 @@
+// Procedural level generation, for roughing out a level that you then polish by hand.  Everything
+// is driven by a seeded PRNG, so the same settings and seed always produce the same level.
+// generate_level() takes an object of options:
+//   layout: one of the keys of LAYOUTS
+//   size_x, size_y: size of the level to make
+//   seed: any string
+//   wall: name of the terrain to use for walls, from WALL_TILES
+//   chips: how many chips to scatter around; if there's a sensible spot for one, the exit also gets
+//     a socket in front of it
+//   doors: how many locked doors to place, up to four (one of each color), each with its key
+//     somewhere you can get to without going through it
+//   player: whether to put in a player and an exit
+// and returns an ordinary StoredLevel.  Everything it places is guaranteed to be reachable, at least
+// in the sense of there being a path; it doesn't know about monsters or hazards, since it doesn't
+// make any.
+import { DIRECTIONS, LAYERS } from '../defs.js';
+import * as format_base from '../format-base.js';
+import TILE_TYPES from '../tiletypes.js';
+import * as util from '../util.js';
+
+export const LAYOUTS = {
+    backtracker: "Maze (recursive backtracker)",
+    prim: "Maze (Prim's algorithm)",
+    rooms: "Rooms and corridors",
+};
+export const WALL_TILES = ['wall', 'steel', 'wall_invisible', 'wall_appearing', 'fake_wall'];
+const DOOR_COLORS = ['red', 'blue', 'yellow', 'green'];
+const MAX_ATTEMPTS = 50;
+
+// Turn any old string into a 32-bit seed (FNV-1a)
+export function hash_seed(seed) {
+    let hash = 0x811c9dc5;
+    for (let ch of String(seed)) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function random_seed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+// Math.random can't be seeded, so here's a tiny PRNG that can (mulberry32)
+export class SeededRandom {
+    constructor(seed) {
+        this.state = hash_seed(seed);
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    // Shuffles in place, and returns the list for convenience
+    shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            let j = this.int(i + 1);
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
+    }
+}
+
+// The layouts all work on a plain grid, where each cell is either open (1) or wall (0)
+class Grid {
+    constructor(size_x, size_y) {
+        this.size_x = size_x;
+        this.size_y = size_y;
+        this.open = new Uint8Array(size_x * size_y);
+    }
+
+    index(x, y) {
+        return x + y * this.size_x;
+    }
+
+    carve(x, y) {
+        this.open[this.index(x, y)] = 1;
+    }
+
+    *neighbors(n) {
+        let x = n % this.size_x;
+        let y = Math.floor(n / this.size_x);
+        for (let dirinfo of Object.values(DIRECTIONS)) {
+            let nx = x + dirinfo.movement[0];
+            let ny = y + dirinfo.movement[1];
+            if (nx >= 0 && nx < this.size_x && ny >= 0 && ny < this.size_y) {
+                yield this.index(nx, ny);
+            }
+        }
+    }
+
+    open_cells() {
+        let cells = [];
+        for (let n = 0; n < this.open.length; n++) {
+            if (this.open[n]) {
+                cells.push(n);
+            }
+        }
+        return cells;
+    }
+
+    // Walk outwards from start without passing through any of the blocked cells.  Returns the
+    // distance to every cell, or -1 for unreachable ones
+    distances(start, blocked = new Set) {
+        let dist = new Int32Array(this.open.length).fill(-1);
+        dist[start] = 0;
+        let queue = [start];
+        for (let i = 0; i < queue.length; i++) {
+            let n = queue[i];
+            for (let m of this.neighbors(n)) {
+                if (this.open[m] && dist[m] < 0 && ! blocked.has(m)) {
+                    dist[m] = dist[n] + 1;
+                    queue.push(m);
+                }
+            }
+        }
+        return dist;
+    }
+}
+
+// -- Layouts --
+// Mazes use every other row and column as walls, so a maze "cell" (mx, my) is at (2mx + 1, 2my + 1)
+
+function maze_size(grid) {
+    let maze_x = Math.floor((grid.size_x - 1) / 2);
+    let maze_y = Math.floor((grid.size_y - 1) / 2);
+    if (maze_x < 1 || maze_y < 1)
+        throw new util.LLError("That's too small to fit a maze; it needs to be at least 3×3.");
+    return [maze_x, maze_y];
+}
+
+function* maze_neighbors(maze_x, maze_y, mx, my) {
+    for (let dirinfo of Object.values(DIRECTIONS)) {
+        let nx = mx + dirinfo.movement[0];
+        let ny = my + dirinfo.movement[1];
+        if (nx >= 0 && nx < maze_x && ny >= 0 && ny < maze_y) {
+            yield [nx, ny];
+        }
+    }
+}
+
+// Knock down the wall between two adjacent maze cells, and open up the second one
+function carve_maze_passage(grid, mx, my, nx, ny) {
+    grid.carve(mx + nx + 1, my + ny + 1);
+    grid.carve(nx * 2 + 1, ny * 2 + 1);
+}
+
+// Long winding corridors with few branches
+function layout_backtracker(grid, rng) {
+    let [maze_x, maze_y] = maze_size(grid);
+    let visited = new Uint8Array(maze_x * maze_y);
+    let mx = rng.int(maze_x);
+    let my = rng.int(maze_y);
+    visited[mx + my * maze_x] = 1;
+    grid.carve(mx * 2 + 1, my * 2 + 1);
+    // Recursion would blow the stack on a big level, so keep our own
+    let stack = [[mx, my]];
+    while (stack.length > 0) {
+        let [cx, cy] = stack[stack.length - 1];
+        let candidates = [];
+        for (let [nx, ny] of maze_neighbors(maze_x, maze_y, cx, cy)) {
+            if (! visited[nx + ny * maze_x]) {
+                candidates.push([nx, ny]);
+            }
+        }
+        if (candidates.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        let [nx, ny] = rng.pick(candidates);
+        visited[nx + ny * maze_x] = 1;
+        carve_maze_passage(grid, cx, cy, nx, ny);
+        stack.push([nx, ny]);
+    }
+}
+
+// Lots of short dead ends branching off everywhere
+function layout_prim(grid, rng) {
+    let [maze_x, maze_y] = maze_size(grid);
+    let visited = new Uint8Array(maze_x * maze_y);
+    let frontier = [];
+    let visit = (mx, my) => {
+        visited[mx + my * maze_x] = 1;
+        for (let [nx, ny] of maze_neighbors(maze_x, maze_y, mx, my)) {
+            if (! visited[nx + ny * maze_x]) {
+                frontier.push([mx, my, nx, ny]);
+            }
+        }
+    };
+
+    let mx = rng.int(maze_x);
+    let my = rng.int(maze_y);
+    grid.carve(mx * 2 + 1, my * 2 + 1);
+    visit(mx, my);
+    while (frontier.length > 0) {
+        // Pull out a random frontier edge; order doesn't matter, so swap-remove it
+        let i = rng.int(frontier.length);
+        let [fx, fy, nx, ny] = frontier[i];
+        frontier[i] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        if (visited[nx + ny * maze_x])
+            continue;
+        carve_maze_passage(grid, fx, fy, nx, ny);
+        visit(nx, ny);
+    }
+}
+
+// Scatter some rectangular rooms, then join each one to an earlier one with an L-shaped corridor,
+// which keeps everything connected
+function layout_rooms(grid, rng) {
+    let inner_x = grid.size_x - 2;
+    let inner_y = grid.size_y - 2;
+    if (inner_x < 1 || inner_y < 1)
+        throw new util.LLError("That's too small to fit any rooms; it needs to be at least 3×3.");
+
+    let max_room = Math.max(3, Math.floor(Math.min(inner_x, inner_y) / 3));
+    let target_count = Math.max(2, Math.floor(inner_x * inner_y / (max_room * max_room * 2)));
+    let rooms = [];
+    for (let attempt = 0; attempt < target_count * MAX_ATTEMPTS && rooms.length < target_count; attempt++) {
+        let width = Math.min(inner_x, 3 + rng.int(max_room - 2));
+        let height = Math.min(inner_y, 3 + rng.int(max_room - 2));
+        let room = new DOMRect(1 + rng.int(inner_x - width + 1), 1 + rng.int(inner_y - height + 1), width, height);
+        // Keep at least one wall between rooms
+        if (rooms.some(other =>
+            room.left <= other.right && other.left <= room.right &&
+            room.top <= other.bottom && other.top <= room.bottom))
+        {
+            continue;
+        }
+        rooms.push(room);
+    }
+    if (rooms.length === 0) {
+        // Too cramped for even one, so just hollow the whole thing out
+        rooms.push(new DOMRect(1, 1, inner_x, inner_y));
+    }
+
+    for (let room of rooms) {
+        for (let y = room.top; y < room.bottom; y++) {
+            for (let x = room.left; x < room.right; x++) {
+                grid.carve(x, y);
+            }
+        }
+    }
+
+    let center = room => [Math.floor(room.x + room.width / 2), Math.floor(room.y + room.height / 2)];
+    for (let i = 1; i < rooms.length; i++) {
+        let [x0, y0] = center(rooms[i]);
+        let [x1, y1] = center(rooms[rng.int(i)]);
+        // Either go across then down, or down then across
+        let [corner_x, corner_y] = rng.int(2) ? [x1, y0] : [x0, y1];
+        for (let [ax, ay, bx, by] of [[x0, y0, corner_x, corner_y], [corner_x, corner_y, x1, y1]]) {
+            for (let x = Math.min(ax, bx); x <= Math.max(ax, bx); x++) {
+                for (let y = Math.min(ay, by); y <= Math.max(ay, by); y++) {
+                    grid.carve(x, y);
+                }
+            }
+        }
+    }
+
+    return rooms;
+}
+
+// -- Placing things --
+
+// Which cells would be cut off from start by blocking this one (along with the other blocked cells)
+function cut_off_by(grid, start, reachable, blocked, n) {
+    let dist = grid.distances(start, new Set([...blocked, n]));
+    let cut = [];
+    for (let m = 0; m < dist.length; m++) {
+        if (m !== n && reachable[m] >= 0 && dist[m] < 0) {
+            cut.push(m);
+        }
+    }
+    return cut;
+}
+
+// Place the objects on the grid.  Returns a Map of index => {terrain, item, actor} names
+function place_objects(grid, rng, options, rooms) {
+    let placed = new Map;
+    let place = (n, layer, name) => {
+        if (! placed.has(n)) {
+            placed.set(n, {});
+        }
+        placed.get(n)[layer] = name;
+    };
+
+    let open_cells = grid.open_cells();
+    if (open_cells.length === 0)
+        return placed;
+
+    // Start in the middle of a room if we have them, or anywhere otherwise; the exit then goes as
+    // far away as possible
+    let start;
+    if (rooms) {
+        let room = rooms[0];
+        start = grid.index(Math.floor(room.x + room.width / 2), Math.floor(room.y + room.height / 2));
+    }
+    else {
+        start = rng.pick(open_cells);
+    }
+    let dist = grid.distances(start);
+    let exit = start;
+    for (let n of open_cells) {
+        if (dist[n] > dist[exit]) {
+            exit = n;
+        }
+    }
+    let used = new Set([start]);
+    if (options.player) {
+        place(start, 'actor', 'player');
+        if (exit !== start) {
+            place(exit, 'terrain', 'exit');
+            used.add(exit);
+        }
+    }
+
+    // A socket has to be the only way to the exit, and not in the way of anything else
+    let blocked = new Set;
+    let socket = null;
+    if (options.player && options.chips > 0 && exit !== start) {
+        let candidates = [...grid.neighbors(exit)].filter(m => grid.open[m] && dist[m] === dist[exit] - 1);
+        for (let n of candidates) {
+            let cut = cut_off_by(grid, start, dist, blocked, n);
+            if (! used.has(n) && cut.length === 1 && cut[0] === exit) {
+                socket = n;
+                break;
+            }
+        }
+        if (socket !== null) {
+            place(socket, 'terrain', 'socket');
+            used.add(socket);
+            // Everything else has to be reachable without going past the socket, because you
+            // can't open it until you've got all the chips
+            blocked.add(socket);
+        }
+    }
+
+    // Doors: each one has to cut something off (or what's the point), and its key has to be
+    // reachable without going through it.  Doors placed earlier are fine to go through, since their
+    // keys are reachable too...  unless a later door cuts off an earlier key, so don't allow that
+    let reachable = grid.distances(start, blocked);
+    let keys = new Set;
+    for (let color of DOOR_COLORS.slice(0, Math.max(0, Math.min(DOOR_COLORS.length, options.doors)))) {
+        let candidates = rng.shuffle(open_cells.filter(n => reachable[n] >= 0 && ! used.has(n)));
+        let door = null;
+        let fallback = null;
+        // Checking a candidate means a whole search, so don't try them all on a big level
+        for (let n of candidates.slice(0, MAX_ATTEMPTS)) {
+            let cut = cut_off_by(grid, start, reachable, blocked, n);
+            if (cut.length === 0 || cut.some(m => keys.has(m)))
+                continue;
+            // Prefer doors that actually guard a decent chunk of the level
+            if (cut.length >= 3) {
+                door = n;
+                break;
+            }
+            fallback = fallback ?? n;
+        }
+        door = door ?? fallback;
+        if (door === null)
+            break;
+
+        let before_door = grid.distances(start, new Set([...blocked, door]));
+        let key_candidates = open_cells.filter(n => before_door[n] >= 0 && ! used.has(n));
+        if (key_candidates.length === 0)
+            break;
+        let key = rng.pick(key_candidates);
+
+        place(door, 'terrain', `door_${color}`);
+        place(key, 'item', `key_${color}`);
+        used.add(door);
+        used.add(key);
+        keys.add(key);
+    }
+
+    // Chips go anywhere left that's reachable (with every door open, but not past the socket)
+    let chip_candidates = rng.shuffle(open_cells.filter(n => reachable[n] >= 0 && ! used.has(n)));
+    for (let n of chip_candidates.slice(0, Math.max(0, options.chips))) {
+        place(n, 'item', 'chip');
+        used.add(n);
+    }
+
+    return placed;
+}
+
+export function generate_level(options) {
+    let size_x = options.size_x;
+    let size_y = options.size_y;
+    let layout = options.layout;
+    if (! LAYOUTS[layout])
+        throw new util.LLError(`Don't know how to generate a "${layout}" layout.`);
+    let wall = WALL_TILES.includes(options.wall) ? options.wall : 'wall';
+
+    let rng = new SeededRandom(options.seed);
+    let grid = new Grid(size_x, size_y);
+    let rooms = null;
+    if (layout === 'backtracker') {
+        layout_backtracker(grid, rng);
+    }
+    else if (layout === 'prim') {
+        layout_prim(grid, rng);
+    }
+    else if (layout === 'rooms') {
+        rooms = layout_rooms(grid, rng);
+    }
+
+    let placed = place_objects(grid, rng, options, rooms);
+
+    let stored_level = new format_base.StoredLevel(1);
+    stored_level.title = `generated level (${layout}, seed ${options.seed})`;
+    stored_level.size_x = size_x;
+    stored_level.size_y = size_y;
+    for (let n = 0; n < size_x * size_y; n++) {
+        let cell = new format_base.StoredCell;
+        [cell.x, cell.y] = stored_level.scalar_to_coords(n);
+        cell[LAYERS.terrain] = {type: TILE_TYPES[grid.open[n] ? 'floor' : wall]};
+
+        let things = placed.get(n);
+        if (things) {
+            if (things.terrain) {
+                cell[LAYERS.terrain] = {type: TILE_TYPES[things.terrain]};
+            }
+            if (things.item) {
+                cell[LAYERS.item] = {type: TILE_TYPES[things.item]};
+            }
+            if (things.actor) {
+                cell[LAYERS.actor] = {type: TILE_TYPES[things.actor], direction: 'south'};
+            }
+        }
+        stored_level.linear_cells.push(cell);
+    }
+    return stored_level;
+}
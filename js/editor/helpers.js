@@ -128,6 +128,11 @@ export class Selection {
         this.floated_element = null;
         this.floated_canvas = null;
         this.floated_offset = null;
+        // Custom connections (as [source, dest] scalars) and camera regions (as DOMRects) that come
+        // along with a floating selection when it's stamped, using the same coordinates as cells.
+        // Only set when pasting; dragging a selection around doesn't move these (yet?)
+        this.floated_connections = null;
+        this.floated_camera_regions = null;
     }
 
     get is_empty() {
@@ -461,6 +466,32 @@ export class Selection {
         );
     }
 
+    // Float some cells that came from elsewhere, like the clipboard, replacing the current selection
+    // without touching the level.  cells is a Map of scalar => cell; connections and
+    // camera_regions are as for floated_connections and floated_camera_regions.
+    float_new_cells(cells, connections = [], camera_regions = []) {
+        // Anything already floating gets put down first
+        this.commit_floating();
+
+        let old_cells = this.cells;
+        this.editor._do(
+            () => {
+                this._set_from_set(new Set(cells.keys()));
+                this.floated_cells = cells;
+                this.floated_offset = [0, 0];
+                this.floated_connections = connections;
+                this.floated_camera_regions = camera_regions;
+                this._init_floated_canvas();
+                this._update_floating_transform();
+                this.ring_element.classList.add('--floating');
+            },
+            () => {
+                this._delete_floating();
+                this._set_from_set(old_cells);
+            },
+        );
+    }
+
     // Create floated_canvas and floated_element, based on floated_cells, or update them if they
     // already exist
     _init_floated_canvas() {
@@ -512,6 +543,29 @@ export class Selection {
             let n2 = stored_level.coords_to_scalar(x, y);
             this.editor.replace_cell(stored_level.linear_cells[n2], cell);
         }
+
+        // Put down any connections and camera regions that came along
+        let [ox, oy] = this.floated_offset;
+        for (let [src, dest] of this.floated_connections ?? []) {
+            let [sx, sy] = stored_level.scalar_to_coords(src);
+            let [dx, dy] = stored_level.scalar_to_coords(dest);
+            sx += ox;
+            sy += oy;
+            dx += ox;
+            dy += oy;
+            if (stored_level.is_point_within_bounds(sx, sy) && stored_level.is_point_within_bounds(dx, dy)) {
+                this.editor.set_custom_connection(
+                    stored_level.coords_to_scalar(sx, sy), stored_level.coords_to_scalar(dx, dy));
+            }
+        }
+        for (let region of this.floated_camera_regions ?? []) {
+            let moved = new DOMRect(region.x + ox, region.y + oy, region.width, region.height);
+            if (moved.left >= 0 && moved.top >= 0 &&
+                moved.right <= stored_level.size_x && moved.bottom <= stored_level.size_y)
+            {
+                this.editor.add_camera_region(moved);
+            }
+        }
     }
 
     // Converts a floating selection back to a regular selection, including stamping it in place
@@ -537,29 +591,58 @@ export class Selection {
             }
         }
 
-        let old_floated_cells = this.floated_cells;
-        let old_floated_offset = this.floated_offset;
+        let old_float = this._save_floating_state();
         this.editor._do(
             () => {
                 this._delete_floating();
                 this._set_from_set(new_cells);
             },
-            () => {
-                // Don't use _set_from_set here; it's not designed for an offset float
-                this.cells = old_cells;
-                this.bbox = old_bbox;
-                this._update_outline();
+            () => this._restore_floating_state(old_float),
+            false,
+        );
+    }
 
-                this.floated_cells = old_floated_cells;
-                this.floated_offset = old_floated_offset;
-                this._init_floated_canvas();
-                this._update_floating_transform();
-                this.ring_element.classList.add('--floating');
+    // Throw away a floating selection without stamping it, leaving nothing selected
+    discard_floating() {
+        if (! this.floated_element)
+            return;
+
+        let old_float = this._save_floating_state();
+        this.editor._do(
+            () => {
+                this._delete_floating();
+                this._clear();
             },
-            false,
+            () => this._restore_floating_state(old_float),
         );
     }
 
+    _save_floating_state() {
+        return {
+            cells: this.cells,
+            bbox: DOMRect.fromRect(this.bbox),
+            floated_cells: this.floated_cells,
+            floated_offset: this.floated_offset,
+            floated_connections: this.floated_connections,
+            floated_camera_regions: this.floated_camera_regions,
+        };
+    }
+
+    _restore_floating_state(state) {
+        // Don't use _set_from_set here; it's not designed for an offset float
+        this.cells = state.cells;
+        this.bbox = state.bbox;
+        this._update_outline();
+
+        this.floated_cells = state.floated_cells;
+        this.floated_offset = state.floated_offset;
+        this.floated_connections = state.floated_connections;
+        this.floated_camera_regions = state.floated_camera_regions;
+        this._init_floated_canvas();
+        this._update_floating_transform();
+        this.ring_element.classList.add('--floating');
+    }
+
     // Modifies the cells (and their arrangement) within a floating selection
     _rearrange_cells(original_width, convert_coords, upgrade_tile) {
         if (! this.floated_cells)
@@ -587,6 +670,25 @@ export class Selection {
             new_floated_cells.set(n2, cell);
         }
 
+        // Connections and camera regions have to move along with the cells
+        let convert_scalar = n => {
+            let [x2, y2] = convert_coords(n % original_width, Math.floor(n / original_width), w, h);
+            return x2 + w * y2;
+        };
+        if (this.floated_connections) {
+            this.floated_connections = this.floated_connections.map(
+                ([src, dest]) => [convert_scalar(src), convert_scalar(dest)]);
+        }
+        if (this.floated_camera_regions) {
+            this.floated_camera_regions = this.floated_camera_regions.map(region => {
+                let [rx1, ry1] = convert_coords(region.left, region.top, w, h);
+                let [rx2, ry2] = convert_coords(region.right - 1, region.bottom - 1, w, h);
+                return new DOMRect(
+                    Math.min(rx1, rx2), Math.min(ry1, ry2),
+                    Math.abs(rx2 - rx1) + 1, Math.abs(ry2 - ry1) + 1);
+            });
+        }
+
         // Track the old and new centers of the bboxes so the transform can be center-relative
         let [cx0, cy0] = convert_coords(
             Math.floor(this.bbox.x + this.bbox.width / 2),
@@ -628,6 +730,8 @@ export class Selection {
         this.floated_offset = null;
         this.floated_element = null;
         this.floated_canvas = null;
+        this.floated_connections = null;
+        this.floated_camera_regions = null;
     }
 
     // Redraw the selection canvas from scratch
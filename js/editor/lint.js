@@ -0,0 +1,267 @@
+// The editor's problem checker, which looks for likely design mistakes, rather than the encoding
+// errors you only find out about when exporting.  check_level() returns a list of problems, each of
+// which looks like:
+//   message: what's wrong
+//   x, y: the cell it's about, or null for the whole level
+//   severity: 'error' if the level definitely can't work (or can't be saved), 'warning' if it's
+//     only probably a mistake
+// None of this is very clever; it's meant to catch the obvious stuff, not to solve the level.
+import * as algorithms from '../algorithms.js';
+import { DIRECTIONS, LAYERS } from '../defs.js';
+import * as c2g from '../format-c2g.js';
+import * as dat from '../format-dat.js';
+
+export const TARGET_FORMATS = {
+    c2m: "CC2 (C2M)",
+    ccl: "CC1 (CCL)",
+};
+
+const DOOR_KEYS = {
+    door_red: 'key_red',
+    door_blue: 'key_blue',
+    door_yellow: 'key_yellow',
+    door_green: 'key_green',
+};
+// Terrain that nothing ever gets through, for the (very rough) reachability check
+const SOLID_TERRAIN = new Set(['wall', 'steel', 'wall_invisible', 'wall_appearing', 'popdown_wall']);
+// Teleporters that don't work alone.  (A lone yellow teleporter is fine; you can pick it up.)
+const TELEPORTER_GROUPS = {
+    teleport_red: 'teleport_red',
+    teleport_blue: 'teleport_blue',
+    teleport_blue_exit: 'teleport_blue',
+    teleport_green: 'teleport_green',
+};
+
+// Every cell the players could possibly get to, assuming everything but solid walls can be passed
+// somehow, and that any teleporter can lead to any other.  Returns a Set of scalars, or null if
+// there are no players to start from
+function find_reachable_cells(stored_level, player_cells) {
+    if (player_cells.length === 0)
+        return null;
+
+    let teleporters = [];
+    for (let [n, cell] of stored_level.linear_cells.entries()) {
+        if (cell[LAYERS.terrain] && cell[LAYERS.terrain].type.name.startsWith('teleport_')) {
+            teleporters.push(n);
+        }
+    }
+
+    let reachable = new Set;
+    let pending = [];
+    let visit = n => {
+        if (reachable.has(n))
+            return;
+        let terrain = stored_level.linear_cells[n][LAYERS.terrain];
+        if (terrain && SOLID_TERRAIN.has(terrain.type.name))
+            return;
+        reachable.add(n);
+        pending.push(n);
+    };
+    for (let n of player_cells) {
+        visit(n);
+    }
+    let used_teleporters = false;
+    while (pending.length > 0) {
+        let n = pending.pop();
+        let cell = stored_level.linear_cells[n];
+        let terrain = cell[LAYERS.terrain];
+        if (terrain && terrain.type.name.startsWith('teleport_') && ! used_teleporters) {
+            used_teleporters = true;
+            for (let m of teleporters) {
+                visit(m);
+            }
+        }
+        for (let direction of Object.keys(DIRECTIONS)) {
+            let neighbor = stored_level.get_neighboring_cell(cell, direction);
+            if (neighbor) {
+                visit(stored_level.coords_to_scalar(neighbor.x, neighbor.y));
+            }
+        }
+    }
+    return reachable;
+}
+
+// Whether a wire coming out of a cell towards this neighbor actually connects to anything
+function wire_connects_to(neighbor, direction) {
+    let bit = DIRECTIONS[DIRECTIONS[direction].opposite].bit;
+    for (let tile of neighbor) {
+        if (! tile)
+            continue;
+        if ((tile.wire_directions ?? 0) & bit)
+            return true;
+        // Anything that responds to power or provides it is fair game, wired or not
+        if (tile.type.on_power || tile.type.is_power_source || tile.type.name === 'logic_gate')
+            return true;
+    }
+    return false;
+}
+
+export function check_level(stored_level, format = 'c2m') {
+    let problems = [];
+    let add = (message, x = null, y = null, severity = 'warning') => {
+        problems.push({message, x, y, severity});
+    };
+
+    // First pass: collect everything we care about
+    let player_cells = [];
+    let chip_count = 0;
+    let keys = [];
+    let doors = [];
+    let teleporters = {};
+    let trap_and_cloner_cells = [];
+    for (let [n, cell] of stored_level.linear_cells.entries()) {
+        let [x, y] = stored_level.scalar_to_coords(n);
+        for (let tile of cell) {
+            if (! tile)
+                continue;
+
+            let name = tile.type.name;
+            if (tile.type.is_real_player) {
+                player_cells.push(n);
+            }
+            if (tile.type.is_required_chip) {
+                chip_count += 1;
+            }
+            if (name.startsWith('key_') || name === 'skeleton_key') {
+                keys.push([n, name]);
+            }
+            if (DOOR_KEYS[name]) {
+                doors.push([n, name]);
+            }
+            if (TELEPORTER_GROUPS[name]) {
+                let group = TELEPORTER_GROUPS[name];
+                teleporters[group] = teleporters[group] ?? [];
+                teleporters[group].push(n);
+            }
+            if (name === 'trap' || name === 'cloner') {
+                trap_and_cloner_cells.push(n);
+            }
+            if (tile.type.is_hint && ! (tile.hint_text && tile.hint_text.trim())) {
+                add("This hint has no text", x, y);
+            }
+        }
+    }
+
+    // Players
+    if (player_cells.length === 0) {
+        add("There's no player", null, null, 'error');
+    }
+    else if (player_cells.length > 2) {
+        for (let n of player_cells.slice(2)) {
+            add(`There are ${player_cells.length} players, but only two can be controlled`,
+                ...stored_level.scalar_to_coords(n));
+        }
+    }
+
+    // Chips
+    if (stored_level.chips_required !== null && chip_count < stored_level.chips_required) {
+        add(`${stored_level.chips_required} chips are required, but there are only ${chip_count}`,
+            null, null, 'error');
+    }
+
+    // Doors and keys
+    let reachable = find_reachable_cells(stored_level, player_cells);
+    let reachable_keys = new Set;
+    for (let [n, name] of keys) {
+        if (! reachable || reachable.has(n)) {
+            reachable_keys.add(name);
+        }
+    }
+    for (let [n, name] of doors) {
+        if (! reachable_keys.has(DOOR_KEYS[name]) && ! reachable_keys.has('skeleton_key')) {
+            add(`There's no ${DOOR_KEYS[name].replace('key_', '')} key the player can reach for this door`,
+                ...stored_level.scalar_to_coords(n));
+        }
+    }
+
+    // Traps and cloners: they need a button, either explicitly connected or found the usual way, or
+    // (in CC2) a wire
+    let connected = new Set(stored_level.custom_connections.values());
+    if (! stored_level.only_custom_connections) {
+        for (let [n, cell] of stored_level.linear_cells.entries()) {
+            let terrain = cell[LAYERS.terrain];
+            if (! terrain || ! terrain.type.connects_to || stored_level.custom_connections.has(n))
+                continue;
+
+            let find_func = algorithms.CONNECTION_FUNCTIONS[terrain.type.connect_order];
+            for (let [_tile, target_cell] of find_func(stored_level, cell, terrain.type.connects_to)) {
+                connected.add(stored_level.coords_to_scalar(target_cell.x, target_cell.y));
+                break;
+            }
+        }
+    }
+    for (let n of trap_and_cloner_cells) {
+        if (connected.has(n))
+            continue;
+
+        let cell = stored_level.linear_cells[n];
+        let wired = Object.keys(DIRECTIONS).some(direction => {
+            let neighbor = stored_level.get_neighboring_cell(cell, direction);
+            let terrain = neighbor && neighbor[LAYERS.terrain];
+            return terrain && ((terrain.wire_directions ?? 0) & DIRECTIONS[direction].opposite_bit);
+        });
+        if (! wired) {
+            add(`This ${cell[LAYERS.terrain].type.name} isn't connected to any button`, cell.x, cell.y);
+        }
+    }
+
+    // Wires and wire tunnels
+    for (let cell of stored_level.linear_cells) {
+        let terrain = cell[LAYERS.terrain];
+        if (! terrain)
+            continue;
+        let wires = terrain.wire_directions ?? 0;
+        let tunnels = terrain.wire_tunnel_directions ?? 0;
+        for (let [direction, dirinfo] of Object.entries(DIRECTIONS)) {
+            if (tunnels & dirinfo.bit) {
+                if (! algorithms.find_matching_wire_tunnel(stored_level, cell.x, cell.y, direction)) {
+                    add(`This wire tunnel (going ${direction}) has nothing on the other end`, cell.x, cell.y);
+                }
+            }
+            else if (wires & dirinfo.bit) {
+                let neighbor = stored_level.get_neighboring_cell(cell, direction);
+                if (! neighbor || ! wire_connects_to(neighbor, direction)) {
+                    add(`This wire (going ${direction}) doesn't connect to anything`, cell.x, cell.y);
+                }
+            }
+        }
+    }
+
+    // Teleporters
+    for (let [group, cells] of Object.entries(teleporters)) {
+        if (cells.length === 1) {
+            add(`This is the only ${group.replace('teleport_', '')} teleporter, so it has nowhere to go`,
+                ...stored_level.scalar_to_coords(cells[0]));
+        }
+    }
+
+    // Format support
+    if (format === 'ccl') {
+        if (stored_level.size_x !== 32 || stored_level.size_y !== 32) {
+            add(`CCL levels must be 32 × 32, not ${stored_level.size_x} × ${stored_level.size_y}`,
+                null, null, 'error');
+        }
+        for (let cell of stored_level.linear_cells) {
+            for (let error of dat.find_cell_encoding_errors(cell)) {
+                add(error, cell.x, cell.y, 'error');
+            }
+        }
+    }
+    else {
+        for (let cell of stored_level.linear_cells) {
+            for (let tile of cell) {
+                if (! tile)
+                    continue;
+                let result = c2g.check_tile_encoding(tile);
+                if (result === 'unsupported') {
+                    add(`C2M can't store ${tile.type.name}`, cell.x, cell.y, 'error');
+                }
+                else if (result === 'extension') {
+                    add(`${tile.type.name} only works in Lexy's Labyrinth, not CC2`, cell.x, cell.y);
+                }
+            }
+        }
+    }
+
+    return problems;
+}
@@ -5,13 +5,16 @@ import { DIRECTIONS, LAYERS } from '../defs.js';
 import * as format_base from '../format-base.js';
 import * as c2g from '../format-c2g.js';
 import * as dat from '../format-dat.js';
-import { PrimaryView, MenuOverlay, load_json_from_storage, save_json_to_storage } from '../main-base.js';
+import { PrimaryView, AlertOverlay, MenuOverlay, load_json_from_storage, save_json_to_storage } from '../main-base.js';
 import CanvasRenderer from '../renderer-canvas.js';
 import TILE_TYPES from '../tiletypes.js';
 import { mk, mk_svg, string_from_buffer_ascii, bytestring_to_buffer } from '../util.js';
 import * as util from '../util.js';
 
+import * as clipboard from './clipboard.js';
 import * as dialogs from './dialogs.js';
+import * as generator from './generator.js';
+import * as lint from './lint.js';
 import { TOOLS, TOOL_ORDER, TOOL_SHORTCUTS, PALETTE, SPECIAL_PALETTE_ENTRIES, SPECIAL_TILE_BEHAVIOR, TILE_DESCRIPTIONS, transform_direction_bitmask } from './editordefs.js';
 import { SVGConnection, Selection } from './helpers.js';
 import * as mouseops from './mouseops.js';
@@ -142,11 +145,43 @@ export class Editor extends PrimaryView {
             this.statusbar_cursor,
         );
 
+        // Problems panel, which re-checks the level after every edit
+        this.problems_el = this.root.querySelector('#editor-problems');
+        this.problems_summary = mk('summary', "Problems");
+        this.problems_format_select = mk('select');
+        for (let [format, label] of Object.entries(lint.TARGET_FORMATS)) {
+            this.problems_format_select.append(mk('option', {value: format}, label));
+        }
+        this.problems_format_select.addEventListener('change', () => {
+            this.update_problems();
+        });
+        this.problems_list = mk('ol');
+        this.problems_list.addEventListener('click', ev => {
+            let li = ev.target.closest('li.--clickable');
+            if (! li)
+                return;
+            this.select_and_show_cell(
+                parseInt(li.getAttribute('data-x'), 10), parseInt(li.getAttribute('data-y'), 10));
+        });
+        this.problems_el.append(
+            this.problems_summary,
+            mk('div.-controls', mk('label', "Check against ", this.problems_format_select)),
+            this.problems_list,
+        );
+        this._problems_timer = null;
+
         // Keyboard shortcuts
         window.addEventListener('keydown', ev => {
             if (! this.active)
                 return;
 
+            // Some tools (i.e. text) want the keyboard to themselves
+            if (this.mouse_ops[0] && this.mouse_ops[0].handle_key(ev)) {
+                ev.stopPropagation();
+                ev.preventDefault();
+                return;
+            }
+
             if (ev.ctrlKey) {
                 if (ev.key === 'a') {
                     // Select all
@@ -229,6 +264,47 @@ export class Editor extends PrimaryView {
             ev.preventDefault();
         });
 
+        // Clipboard.  The usual shortcuts fire these events, which (unlike navigator.clipboard) can
+        // read and write the system clipboard without asking for permission first
+        this.clipboard = null;
+        let is_editing_text = ev => ev.target instanceof HTMLInputElement || ev.target instanceof HTMLTextAreaElement;
+        document.addEventListener('copy', ev => {
+            if (! this.active || is_editing_text(ev))
+                return;
+            let clip = this.copy_selection();
+            if (clip) {
+                ev.clipboardData.setData('text/plain', clipboard.encode_clip(clip));
+                ev.preventDefault();
+            }
+        });
+        document.addEventListener('cut', ev => {
+            if (! this.active || is_editing_text(ev))
+                return;
+            let clip = this.cut_selection();
+            if (clip) {
+                ev.clipboardData.setData('text/plain', clipboard.encode_clip(clip));
+                ev.preventDefault();
+            }
+        });
+        document.addEventListener('paste', ev => {
+            if (! this.active || is_editing_text(ev))
+                return;
+            let clip;
+            try {
+                clip = clipboard.decode_clip(ev.clipboardData.getData('text/plain'));
+            }
+            catch (e) {
+                new AlertOverlay(this.conductor, e.message).open();
+                return;
+            }
+            // If the system clipboard has something else, fall back to whatever we copied last
+            clip = clip ?? this.clipboard;
+            if (clip) {
+                this.paste_clip(clip);
+                ev.preventDefault();
+            }
+        });
+
         // Level canvas and mouse handling
         this.mouse_coords = null;
         this.mouse_ops = [null, new mouseops.PanOperation(this, 1), null];  // left, middle, right
@@ -433,6 +509,15 @@ export class Editor extends PrimaryView {
             this.redo();
         });
         let edit_items = [
+            ["Cut", () => {
+                this.copy_to_system_clipboard(true);
+            }],
+            ["Copy", () => {
+                this.copy_to_system_clipboard();
+            }],
+            ["Paste", () => {
+                this.paste_from_system_clipboard();
+            }],
             ["Rotate left", () => {
                 this.rotate_level_left();
             }],
@@ -454,6 +539,9 @@ export class Editor extends PrimaryView {
             ["Pivot around anti diagonal", () => {
                 this.pivot_level_anti();
             }],
+            ["Generate...", () => {
+                new dialogs.EditorGeneratorOverlay(this.conductor).open();
+            }],
         ];
         this.edit_menu = new MenuOverlay(
             this.conductor,
@@ -666,6 +754,7 @@ export class Editor extends PrimaryView {
 
         this.selection = new Selection(this);
 
+        this.problems_format_select.value = this._default_problems_format();
         this.reset_undo();
     }
 
@@ -687,6 +776,7 @@ export class Editor extends PrimaryView {
     }
 
     deactivate() {
+        this.finish_mouse_ops();
         if (this._redraw_handle) {
             window.cancelAnimationFrame(this._redraw_handle);
             this._redraw_handle = null;
@@ -694,6 +784,33 @@ export class Editor extends PrimaryView {
         super.deactivate();
     }
 
+    reload_options(options) {
+        let tileset = this.conductor.tilesets['ll'];
+        let color_glyphs = options.color_glyphs ?? false;
+        if (tileset === this.renderer.tileset && color_glyphs === this.renderer.color_glyphs)
+            return;
+
+        this.renderer.set_tileset(tileset);
+        this.renderer.color_glyphs = color_glyphs;
+
+        // Everything else is drawn during setup, so if that hasn't happened yet, we're done
+        if (! this._done_setup)
+            return;
+        this.redraw_palette();
+        this.redraw_foreground_tile();
+        this.redraw_background_tile();
+        if (this.stored_level) {
+            // The new tileset might not even be the same size
+            this.update_viewport_size();
+            if (this.active) {
+                this.redraw_entire_level();
+            }
+            else {
+                this.level_changed_while_inactive = true;
+            }
+        }
+    }
+
     // ------------------------------------------------------------------------------------------------
     // Level creation, management, and saving
 
@@ -738,6 +855,51 @@ export class Editor extends PrimaryView {
         save_json_to_storage("Lexy's Labyrinth editor", this.stash);
     }
 
+    // Every saved pack, in the form backups use: pack key => { summary, stash, levels }, where
+    // summary is our own stash entry, stash is the pack's, and levels maps level keys to C2Ms (as
+    // bytestrings, the same as in localStorage)
+    export_packs_for_backup() {
+        let stash = load_json_from_storage("Lexy's Labyrinth editor") ?? this.stash;
+        let packs = {};
+        for (let [pack_key, summary] of Object.entries(stash.packs)) {
+            let pack_stash = load_json_from_storage(pack_key);
+            if (! pack_stash)
+                continue;
+
+            let levels = {};
+            for (let leveldata of pack_stash.levels) {
+                let level = localStorage.getItem(leveldata.key);
+                if (level !== null) {
+                    levels[leveldata.key] = level;
+                }
+            }
+            packs[pack_key] = {summary, stash: pack_stash, levels};
+        }
+        return packs;
+    }
+
+    // Add packs from a backup.  Packs we already have are left alone, since they might have been
+    // edited since.  Returns [number added, number skipped]
+    import_packs_from_backup(packs) {
+        this.stash = load_json_from_storage("Lexy's Labyrinth editor") ?? this.stash;
+        let added = 0, skipped = 0;
+        for (let [pack_key, pack] of Object.entries(packs)) {
+            if (this.stash.packs[pack_key] || ! pack.stash || ! pack.levels) {
+                skipped += 1;
+                continue;
+            }
+
+            for (let [level_key, level] of Object.entries(pack.levels)) {
+                window.localStorage.setItem(level_key, level);
+            }
+            save_json_to_storage(pack_key, pack.stash);
+            this.stash.packs[pack_key] = pack.summary;
+            added += 1;
+        }
+        save_json_to_storage("Lexy's Labyrinth editor", this.stash);
+        return [added, skipped];
+    }
+
     _save_level_to_storage(stored_level) {
         if (! stored_level.editor_metadata) {
             console.error("Asked to save a stored level that's not part of the editor", stored_level);
@@ -1023,6 +1185,8 @@ export class Editor extends PrimaryView {
 
     load_level(stored_level) {
         // TODO support a game too i guess
+        // Don't let anything half-done leak into the new level
+        this.finish_mouse_ops();
         this.stored_level = stored_level;
         this.update_viewport_size();
         this.update_cell_coordinates();
@@ -1062,11 +1226,7 @@ export class Editor extends PrimaryView {
                 'data-source', this.stored_level.linear_cells[src][LAYERS.terrain].type.name);
             this.connections_g.append(arrow.element);
         }
-        // TODO why are these in connections_g lol
-        for (let [i, region] of this.stored_level.camera_regions.entries()) {
-            let el = mk_svg('rect.overlay-camera', {x: region.x, y: region.y, width: region.width, height: region.height});
-            this.connections_g.append(el);
-        }
+        this._redraw_camera_regions();
 
         // Load *implicit* connections
         this.recreate_implicit_connections();
@@ -1081,6 +1241,7 @@ export class Editor extends PrimaryView {
         this.reset_viewport_scroll();
 
         if (this._done_setup) {
+            this.problems_format_select.value = this._default_problems_format();
             // XXX this doesn't work yet if setup hasn't run because the undo button won't exist
             this.reset_undo();
         }
@@ -1427,6 +1588,19 @@ export class Editor extends PrimaryView {
     // ------------------------------------------------------------------------------------------------
     // Drawing
 
+    redraw_palette() {
+        for (let [key, entry] of Object.entries(this.palette)) {
+            entry.getContext('2d').clearRect(0, 0, entry.width, entry.height);
+            if (SPECIAL_PALETTE_ENTRIES[key]) {
+                let tile = SPECIAL_PALETTE_ENTRIES[key];
+                this.renderer.draw_single_tile_type(tile.name, tile, entry);
+            }
+            else {
+                this.renderer.draw_single_tile_type(key, null, entry);
+            }
+        }
+    }
+
     redraw_foreground_tile() {
         let ctx = this.fg_tile_el.getContext('2d');
         ctx.clearRect(0, 0, this.fg_tile_el.width, this.fg_tile_el.height);
@@ -1632,6 +1806,56 @@ export class Editor extends PrimaryView {
         );
     }
 
+    // The part of the level the generator fills in: the selection's bounding box (wherever it's been
+    // floated to), or the whole level if nothing's selected
+    get_generation_area() {
+        let size_x = this.stored_level.size_x;
+        let size_y = this.stored_level.size_y;
+        if (this.selection.is_empty)
+            return new DOMRect(0, 0, size_x, size_y);
+
+        let [ox, oy] = this.selection.floated_offset ?? [0, 0];
+        let bbox = this.selection.bbox;
+        let left = Math.max(0, bbox.left + ox);
+        let top = Math.max(0, bbox.top + oy);
+        let right = Math.min(size_x, bbox.right + ox);
+        let bottom = Math.min(size_y, bbox.bottom + oy);
+        return new DOMRect(left, top, Math.max(0, right - left), Math.max(0, bottom - top));
+    }
+
+    // Whether there's a player somewhere that generating wouldn't replace
+    has_player_outside(area) {
+        for (let cell of this.stored_level.linear_cells) {
+            if (cell.x >= area.left && cell.x < area.right && cell.y >= area.top && cell.y < area.bottom)
+                continue;
+            if (cell.some(tile => tile && tile.type.is_real_player))
+                return true;
+        }
+        return false;
+    }
+
+    // Replace the generation area with a freshly generated level, as a single undo step.  Throws an
+    // LLError if the generator can't cope with the options (e.g. the area is too small)
+    generate_into_level(options) {
+        let area = this.get_generation_area();
+        // Adding another player to a level that already has one is almost certainly a mistake
+        if (options.player && this.has_player_outside(area))
+            throw new util.LLError("There's already a player outside the area being generated, so I won't add another one.");
+        // Do this first, so if it fails, we haven't touched anything
+        let generated = generator.generate_level({...options, size_x: area.width, size_y: area.height});
+
+        if (TOOLS[this.current_tool].affects_selection) {
+            this.cancel_mouse_drag();
+        }
+        this.selection.commit_floating();
+        for (let y = 0; y < area.height; y++) {
+            for (let x = 0; x < area.width; x++) {
+                this.replace_cell(this.cell(area.x + x, area.y + y), generated.linear_cells[x + y * area.width]);
+            }
+        }
+        this.commit_undo();
+    }
+
     resize_level(size_x, size_y, x0 = 0, y0 = 0) {
         let new_cells = [];
         for (let y = y0; y < y0 + size_y; y++) {
@@ -1848,6 +2072,204 @@ export class Editor extends PrimaryView {
         );
     }
 
+    // ------------------------------------------------------------------------------------------------
+    // Clipboard
+
+    // Copy the selection (floating or not) to our clipboard, and return the clip, or null if
+    // there's nothing selected (or it can't be copied).  Doesn't touch the system clipboard; the caller does that
+    copy_selection() {
+        let selection = this.selection;
+        if (selection.is_empty)
+            return null;
+
+        let [ox, oy] = selection.floated_offset ?? [0, 0];
+        let cells = [];
+        for (let n of selection.cells) {
+            let [x, y] = this.scalar_to_coords(n);
+            let cell = selection.is_floating ? selection.floated_cells.get(n) : this.stored_level.linear_cells[n];
+            cells.push([x + ox, y + oy, cell]);
+        }
+        let bbox = new DOMRect(selection.bbox.x + ox, selection.bbox.y + oy, selection.bbox.width, selection.bbox.height);
+
+        let connections = [];
+        let camera_regions = [];
+        if (selection.is_floating) {
+            for (let [src, dest] of selection.floated_connections ?? []) {
+                let [sx, sy] = this.scalar_to_coords(src);
+                let [dx, dy] = this.scalar_to_coords(dest);
+                connections.push([sx + ox, sy + oy, dx + ox, dy + oy]);
+            }
+            for (let region of selection.floated_camera_regions ?? []) {
+                camera_regions.push(new DOMRect(region.x + ox, region.y + oy, region.width, region.height));
+            }
+        }
+        else {
+            for (let [src, dest] of this.stored_level.custom_connections) {
+                if (selection.cells.has(src) && selection.cells.has(dest)) {
+                    connections.push([...this.scalar_to_coords(src), ...this.scalar_to_coords(dest)]);
+                }
+            }
+            for (let region of this.stored_level.camera_regions) {
+                if (this._is_region_selected(region)) {
+                    camera_regions.push(region);
+                }
+            }
+        }
+
+        let clip;
+        try {
+            clip = clipboard.make_clip(bbox, cells, connections, camera_regions);
+        }
+        catch (e) {
+            if (! (e instanceof util.LLError))
+                throw e;
+            new AlertOverlay(this.conductor, e.message).open();
+            return null;
+        }
+        this.clipboard = clip;
+        return clip;
+    }
+
+    // Copy the selection, then blank it out
+    cut_selection() {
+        let clip = this.copy_selection();
+        if (! clip)
+            return null;
+
+        if (this.selection.is_floating) {
+            // The cells only exist in the float, so just throw it away
+            this.selection.discard_floating();
+        }
+        else {
+            // Take out anything that would be left dangling
+            for (let i = this.stored_level.camera_regions.length - 1; i >= 0; i--) {
+                if (this._is_region_selected(this.stored_level.camera_regions[i])) {
+                    this.remove_camera_region(i);
+                }
+            }
+            for (let [src, dest] of [...this.stored_level.custom_connections]) {
+                if (this.selection.cells.has(src) || this.selection.cells.has(dest)) {
+                    this.set_custom_connection(src, null);
+                }
+            }
+            for (let n of this.selection.cells) {
+                let cell = this.stored_level.linear_cells[n];
+                this.replace_cell(cell, this.make_blank_cell(cell.x, cell.y));
+            }
+        }
+        this.commit_undo();
+        return clip;
+    }
+
+    // Drop a clip into the level as a floating selection, where it was copied from if possible
+    paste_clip(clip) {
+        let size_x = this.stored_level.size_x;
+        let size_y = this.stored_level.size_y;
+        let x0 = Math.max(0, Math.min(clip.origin[0], size_x - clip.width));
+        let y0 = Math.max(0, Math.min(clip.origin[1], size_y - clip.height));
+        let pasted = clipboard.clip_to_cells(clip, x0, y0, size_x, size_y);
+        if (pasted.cells.size === 0)
+            return;
+
+        if (TOOLS[this.current_tool].affects_selection) {
+            this.cancel_mouse_drag();
+        }
+        this.selection.float_new_cells(pasted.cells, pasted.connections, pasted.camera_regions);
+        this.commit_undo();
+        // Switch to a tool that can actually move it around
+        if (! TOOLS[this.current_tool].affects_selection) {
+            this.select_tool('select_box');
+        }
+    }
+
+    // Copy or cut to the system clipboard too, if we can; failing that, at least our own clipboard
+    // still works within this tab
+    async copy_to_system_clipboard(cut = false) {
+        let clip = cut ? this.cut_selection() : this.copy_selection();
+        if (! clip)
+            return;
+
+        try {
+            await navigator.clipboard.writeText(clipboard.encode_clip(clip));
+        }
+        catch (e) {
+            console.warn("Couldn't write to the system clipboard:", e);
+        }
+    }
+
+    async paste_from_system_clipboard() {
+        let clip = null;
+        try {
+            clip = clipboard.decode_clip(await navigator.clipboard.readText());
+        }
+        catch (e) {
+            if (e instanceof util.LLError) {
+                new AlertOverlay(this.conductor, e.message).open();
+                return;
+            }
+            // Otherwise we weren't allowed to look, which is fine
+            console.warn("Couldn't read from the system clipboard:", e);
+        }
+
+        clip = clip ?? this.clipboard;
+        if (clip) {
+            this.paste_clip(clip);
+        }
+    }
+
+    _is_region_selected(region) {
+        for (let y = region.top; y < region.bottom; y++) {
+            for (let x = region.left; x < region.right; x++) {
+                if (! this.selection._contains(x, y))
+                    return false;
+            }
+        }
+        return true;
+    }
+
+    // ------------------------------------------------------------------------------------------------
+    // Camera regions
+
+    add_camera_region(region) {
+        this._do(
+            () => {
+                this.stored_level.camera_regions.push(region);
+                this._redraw_camera_regions();
+            },
+            () => {
+                this.stored_level.camera_regions.pop();
+                this._redraw_camera_regions();
+            },
+        );
+    }
+
+    remove_camera_region(index) {
+        let region = this.stored_level.camera_regions[index];
+        this._do(
+            () => {
+                this.stored_level.camera_regions.splice(index, 1);
+                this._redraw_camera_regions();
+            },
+            () => {
+                this.stored_level.camera_regions.splice(index, 0, region);
+                this._redraw_camera_regions();
+            },
+        );
+    }
+
+    _redraw_camera_regions() {
+        // TODO why are these in connections_g lol
+        for (let el of this.connections_g.querySelectorAll(':scope > .overlay-camera')) {
+            el.remove();
+        }
+        for (let [i, region] of this.stored_level.camera_regions.entries()) {
+            this.connections_g.append(mk_svg('rect.overlay-camera', {
+                x: region.x, y: region.y, width: region.width, height: region.height,
+                'data-region-index': i,
+            }));
+        }
+    }
+
     // ------------------------------------------------------------------------------------------------
     // Connections (buttons to things they control)
 
@@ -2093,6 +2515,8 @@ export class Editor extends PrimaryView {
     }
 
     undo() {
+        this.finish_mouse_ops();
+
         // We shouldn't really have an uncommitted entry lying around at a time when the user can
         // click the undo button, but just in case, prefer that to the undo stack
         let entry;
@@ -2122,6 +2546,7 @@ export class Editor extends PrimaryView {
         if (this.redo_stack.length === 0)
             return;
 
+        this.finish_mouse_ops();
         this.commit_undo();
         let entry = this.redo_stack.pop();
         this.undo_stack.push(entry);
@@ -2180,6 +2605,87 @@ export class Editor extends PrimaryView {
         this.redo_button.disabled = this.redo_stack.length === 0;
         this.save_button.disabled = ! (
             this.stored_level && this.modified && this.conductor.stored_game.editor_metadata);
+        this.schedule_problems_update();
+    }
+
+    // ------------------------------------------------------------------------------------------------
+    // Problems panel
+
+    // Check against whatever format the level came from, defaulting to C2M for new levels
+    _default_problems_format() {
+        return this.stored_level && this.stored_level.format === 'ccl' ? 'ccl' : 'c2m';
+    }
+
+    // Edits tend to come in bursts (e.g. undoing several times), so wait for a lull before checking
+    schedule_problems_update() {
+        if (this._problems_timer) {
+            clearTimeout(this._problems_timer);
+        }
+        this._problems_timer = setTimeout(() => this.update_problems(), 250);
+    }
+
+    update_problems() {
+        if (this._problems_timer) {
+            clearTimeout(this._problems_timer);
+            this._problems_timer = null;
+        }
+        if (! this.stored_level)
+            return;
+
+        let problems = lint.check_level(this.stored_level, this.problems_format_select.value);
+        // A level in the wrong format can have a problem in every cell, and nobody needs to see
+        // thousands of them
+        let max_shown = 100;
+        this.problems_list.textContent = '';
+        for (let problem of problems.slice(0, max_shown)) {
+            let li = mk('li', {'data-severity': problem.severity}, problem.message);
+            if (problem.x !== null) {
+                li.classList.add('--clickable');
+                li.setAttribute('data-x', problem.x);
+                li.setAttribute('data-y', problem.y);
+                li.append(" ", mk('span.-location', `(${problem.x}, ${problem.y})`));
+            }
+            this.problems_list.append(li);
+        }
+        if (problems.length > max_shown) {
+            this.problems_list.append(mk('li', `...and ${problems.length - max_shown} more`));
+        }
+
+        if (problems.length === 0) {
+            this.problems_summary.textContent = "No problems found";
+        }
+        else if (problems.length === 1) {
+            this.problems_summary.textContent = "1 problem";
+        }
+        else {
+            this.problems_summary.textContent = `${problems.length} problems`;
+        }
+        this.problems_el.classList.toggle('--has-errors', problems.some(problem => problem.severity === 'error'));
+    }
+
+    // Select a single cell, and scroll to it if it's not already visible
+    select_and_show_cell(x, y) {
+        if (! this.is_in_bounds(x, y))
+            return;
+
+        if (TOOLS[this.current_tool].affects_selection) {
+            this.cancel_mouse_drag();
+        }
+        this.selection.commit_floating();
+        this.selection.clear();
+        this.selection.add_rect(new DOMRect(x, y, 1, 1));
+        this.commit_undo();
+
+        let canvas_rect = this.renderer.canvas.getBoundingClientRect();
+        let viewport_rect = this.actual_viewport_el.getBoundingClientRect();
+        let cx = canvas_rect.left + (x + 0.5) / this.stored_level.size_x * canvas_rect.width;
+        let cy = canvas_rect.top + (y + 0.5) / this.stored_level.size_y * canvas_rect.height;
+        if (cx < viewport_rect.left || cx >= viewport_rect.right ||
+            cy < viewport_rect.top || cy >= viewport_rect.bottom)
+        {
+            this.actual_viewport_el.scrollLeft += cx - (viewport_rect.left + viewport_rect.right) / 2;
+            this.actual_viewport_el.scrollTop += cy - (viewport_rect.top + viewport_rect.bottom) / 2;
+        }
     }
 
     // ------------------------------------------------------------------------------------------------
@@ -2233,4 +2739,18 @@ export class Editor extends PrimaryView {
             this.mouse_op.do_abort();
         }
     }
+
+    // Commit anything a tool is still working on, even though the mouse isn't held (e.g. typing
+    // with the text tool)
+    finish_mouse_ops() {
+        // This can happen before setup, e.g. when loading a level
+        if (! this.mouse_ops)
+            return;
+
+        for (let mouse_op of new Set(this.mouse_ops)) {
+            if (mouse_op) {
+                mouse_op.handle_finish();
+            }
+        }
+    }
 }
@@ -16,7 +16,8 @@ import { TILES_WITH_PROPS } from './tile-overlays.js';
 // - track tool should add a switch to a track on right-click, if possible (and also probably delete
 // it on ctrl-right-click?)
 // - no preview tile with force floor or track tool
-// - no ice drawing tool
+// - text tool can't type lowercase (the letter tiles don't have it), and has no way to pick up where
+// you left off after undoing
 // - cursor box shows with selection tool which seems inappropriate
 // - controls do not exactly stand out and are just plain text
 // - set trap as initially open?  feels like a weird hack.  but it does appear in cc2lp1
@@ -82,9 +83,10 @@ export class MouseOperation {
         return this.editor.cell(Math.floor(x), Math.floor(y));
     }
 
-    get_tile_edge() {
-        let frac_x = this.prev_frac_cell_x - this.prev_cell_x;
-        let frac_y = this.prev_frac_cell_y - this.prev_cell_y;
+    // Which edge of its cell a point is closest to; defaults to the last known mouse position
+    get_tile_edge(frac_cell_x = this.prev_frac_cell_x, frac_cell_y = this.prev_frac_cell_y) {
+        let frac_x = frac_cell_x - Math.floor(frac_cell_x);
+        let frac_y = frac_cell_y - Math.floor(frac_cell_y);
         if (frac_x >= frac_y) {
             if (frac_x >= 1 - frac_y) {
                 return 'east';
@@ -279,6 +281,14 @@ export class MouseOperation {
     // Called when any hover state should be thrown away, due to some external change, just before
     // handle_drag or handle_hover is called
     handle_refresh() {}
+    // Called on keydown while this tool is selected, before the editor's own shortcuts; return true
+    // if the key was used
+    handle_key(ev) {
+        return false;
+    }
+    // Called when anything still in progress (even without the mouse held) should be committed,
+    // e.g. before an undo, or when the level changes
+    handle_finish() {}
 }
 
 export class PanOperation extends MouseOperation {
@@ -725,7 +735,6 @@ export class SelectOperation extends MouseOperation {
 
 // -------------------------------------------------------------------------------------------------
 // FORCE FLOORS
-// TODO ice would be kind of nice, could reasonably go with this as an alt mode
 
 export class ForceFloorOperation extends MouseOperation {
     handle_press(x, y) {
@@ -801,8 +810,8 @@ export class ForceFloorOperation extends MouseOperation {
 // TODO entered cell should get blank railroad?
 // TODO maybe place a straight track in the new cell so it looks like we're doing something, then
 // fix it if it wasn't there?
-// TODO gonna need an ice tool too, so maybe i can merge all three with some base thing that tracks
-// the directions the mouse is moving?  or is FF tool too different?
+// TODO this, ice, and maybe force floors could share some base thing that tracks the directions the
+// mouse is moving?  or is FF tool too different?
 // TODO would be nice if i could add or remove individual tracks with a single click, too.
 // and/or pop open the track editor bubble thing?
 export class TrackOperation extends MouseOperation {
@@ -900,6 +909,247 @@ export class TrackOperation extends MouseOperation {
 }
 
 
+// -------------------------------------------------------------------------------------------------
+// ICE
+
+function is_ice(tile) {
+    return tile.type.name === 'ice' || tile.type.name.startsWith('ice_');
+}
+
+// Pick the ice for a cell the mouse went through: plain ice for a straight line, or a corner for a
+// bend.  A corner's walls are on the two edges the path doesn't use
+function ice_for_path(entry_direction, exit_direction) {
+    if (entry_direction === null || entry_direction === exit_direction ||
+        entry_direction === DIRECTIONS[exit_direction].opposite)
+    {
+        return 'ice';
+    }
+
+    let wall1 = DIRECTIONS[entry_direction].opposite;
+    let wall2 = DIRECTIONS[exit_direction].opposite;
+    for (let name of ['ice_nw', 'ice_ne', 'ice_se', 'ice_sw']) {
+        let walls = TILE_TYPES[name].thin_walls;
+        if (walls.has(wall1) && walls.has(wall2))
+            return name;
+    }
+    return 'ice';
+}
+
+export class IceOperation extends MouseOperation {
+    handle_press(x, y) {
+        this.entry_direction = null;
+        this.paint(this.cell(x, y));
+    }
+    // Put plain ice in a cell we've just entered, so it looks like something's happening; it gets
+    // the right corner once we know which way we leave it
+    paint(cell) {
+        if (! cell)
+            return;
+
+        let terrain = cell[LAYERS.terrain];
+        if (this.ctrl) {
+            // Erase
+            if (is_ice(terrain)) {
+                this.editor.place_in_cell(cell, {type: TILE_TYPES.floor});
+            }
+        }
+        else if (! is_ice(terrain)) {
+            this.editor.place_in_cell(cell, {type: TILE_TYPES.ice});
+        }
+    }
+    handle_drag(client_x, client_y, frac_cell_x, frac_cell_y) {
+        // Same idea as tracks: every time we LEAVE a cell, we know both edges we crossed
+        let prevx = null, prevy = null;
+        for (let [x, y] of this.iter_touched_cells(frac_cell_x, frac_cell_y)) {
+            if (prevx === null || prevy === null) {
+                prevx = x;
+                prevy = y;
+                continue;
+            }
+
+            let exit_direction;
+            if (x === prevx) {
+                exit_direction = y > prevy ? 'south' : 'north';
+            }
+            else {
+                exit_direction = x > prevx ? 'east' : 'west';
+            }
+
+            if (! this.ctrl) {
+                this.editor.place_in_cell(this.cell(prevx, prevy),
+                    {type: TILE_TYPES[ice_for_path(this.entry_direction, exit_direction)]});
+            }
+            this.paint(this.cell(x, y));
+
+            prevx = x;
+            prevy = y;
+            this.entry_direction = DIRECTIONS[exit_direction].opposite;
+        }
+    }
+    cleanup_press() {
+        this.editor.commit_undo();
+    }
+}
+
+
+// -------------------------------------------------------------------------------------------------
+// THIN WALLS
+
+// How finely to check the path of a drag for edges it crossed
+const THIN_WALL_DRAG_STEPS_PER_CELL = 8;
+// How far the mouse has to stray from a line of walls before a drag stops following it, in cells
+const THIN_WALL_DRAG_STICKINESS = 0.25;
+
+// The same edge can belong to either of the two cells it separates, so this always adds walls to
+// the cell the mouse is in, but removes them from both sides
+export class ThinWallOperation extends MouseOperation {
+    constructor(...args) {
+        super(...args);
+
+        this.edge_element = mk_svg('rect.overlay-thin-wall-cursor', {x: 0, y: 0, width: 1, height: 1});
+        this.set_cursor_element(mk_svg('g', this.edge_element));
+    }
+
+    show_edge(edge) {
+        let thickness = 0.125;
+        let [x, y, width, height] = {
+            north: [0, 0, 1, thickness],
+            south: [0, 1 - thickness, 1, thickness],
+            west: [0, 0, thickness, 1],
+            east: [1 - thickness, 0, thickness, 1],
+        }[edge];
+        this.edge_element.setAttribute('x', x);
+        this.edge_element.setAttribute('y', y);
+        this.edge_element.setAttribute('width', width);
+        this.edge_element.setAttribute('height', height);
+    }
+
+    // Returns the cell and edge on the other side of the given one, or nulls at the level's edge
+    neighbor(x, y, edge) {
+        let [dx, dy] = DIRECTIONS[edge].movement;
+        return [this.cell(x + dx, y + dy), DIRECTIONS[edge].opposite];
+    }
+
+    has_wall(x, y, edge) {
+        let tile = this.cell(x, y)[LAYERS.thin_wall];
+        if (tile && tile.type.name === 'thin_walls' && (tile.edges & DIRECTIONS[edge].bit))
+            return true;
+
+        let [other_cell, other_edge] = this.neighbor(x, y, edge);
+        if (other_cell) {
+            let other_tile = other_cell[LAYERS.thin_wall];
+            if (other_tile && other_tile.type.name === 'thin_walls' && (other_tile.edges & DIRECTIONS[other_edge].bit))
+                return true;
+        }
+        return false;
+    }
+
+    // Add or remove a single edge in a single cell.  Leaves other kinds of thin wall (i.e. one-way
+    // walls) alone
+    set_edge(cell, edge, add) {
+        if (! cell || ! this.editor.selection.contains(cell.x, cell.y))
+            return;
+
+        let tile = cell[LAYERS.thin_wall];
+        if (tile && tile.type.name !== 'thin_walls')
+            return;
+
+        let edges = tile ? tile.edges : 0;
+        let new_edges = add ? edges | DIRECTIONS[edge].bit : edges & ~DIRECTIONS[edge].bit;
+        if (new_edges === edges)
+            return;
+
+        if (new_edges === 0) {
+            this.editor.erase_tile(cell, tile);
+        }
+        else {
+            this.editor.place_in_cell(cell, {type: TILE_TYPES.thin_walls, edges: new_edges});
+        }
+    }
+
+    set_wall(x, y, edge, add) {
+        let cell = this.cell(x, y);
+        if (! cell)
+            return;
+
+        this.set_edge(cell, edge, add);
+        if (! add) {
+            this.set_edge(...this.neighbor(x, y, edge), false);
+        }
+    }
+
+    // Whether two [x, y, edge] refer to the same physical edge, possibly from opposite sides
+    is_same_edge([x1, y1, edge1], [x2, y2, edge2]) {
+        if (x1 === x2 && y1 === y2 && edge1 === edge2)
+            return true;
+        let [dx, dy] = DIRECTIONS[edge1].movement;
+        return x1 + dx === x2 && y1 + dy === y2 && DIRECTIONS[edge1].opposite === edge2;
+    }
+
+    handle_hover(client_x, client_y, frac_cell_x, frac_cell_y) {
+        this.show_edge(this.get_tile_edge(frac_cell_x, frac_cell_y));
+    }
+
+    handle_press(x, y) {
+        if (! this.editor.is_in_bounds(x, y))
+            return;
+
+        let edge = this.get_tile_edge();
+        this.show_edge(edge);
+        // Clicking toggles, and dragging keeps doing whatever the click did
+        this.adding = ! this.ctrl && ! this.has_wall(x, y, edge);
+        this.set_wall(x, y, edge, this.adding);
+        this.last_edge = [x, y, edge];
+    }
+    handle_drag(client_x, client_y, frac_cell_x, frac_cell_y, cell_x, cell_y) {
+        this.show_edge(this.get_tile_edge(frac_cell_x, frac_cell_y));
+
+        // A fast drag can jump over several edges between one move and the next, so walk along the
+        // path in small steps and hit every edge on the way.  Edges are triangles meeting in the
+        // middle of the cell, not squares, so walk_grid isn't much help here
+        let dx = frac_cell_x - this.prev_frac_cell_x;
+        let dy = frac_cell_y - this.prev_frac_cell_y;
+        let steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) * THIN_WALL_DRAG_STEPS_PER_CELL));
+        for (let i = 1; i <= steps; i++) {
+            this.drag_over(this.prev_frac_cell_x + dx * i / steps, this.prev_frac_cell_y + dy * i / steps);
+        }
+    }
+    drag_over(frac_cell_x, frac_cell_y) {
+        let x = Math.floor(frac_cell_x);
+        let y = Math.floor(frac_cell_y);
+        let edge = this.get_tile_edge(frac_cell_x, frac_cell_y);
+        // Dragging along a line passes right by the corners, where it would otherwise clip the
+        // edges going the other way, so stay on the same line until the mouse clearly leaves it
+        if (this.last_edge) {
+            let [last_x, last_y, last_edge] = this.last_edge;
+            if (last_edge === 'north' || last_edge === 'south') {
+                let line = last_edge === 'north' ? last_y : last_y + 1;
+                if (Math.abs(frac_cell_y - line) < THIN_WALL_DRAG_STICKINESS) {
+                    [y, edge] = frac_cell_y >= line ? [line, 'north'] : [line - 1, 'south'];
+                }
+            }
+            else {
+                let line = last_edge === 'west' ? last_x : last_x + 1;
+                if (Math.abs(frac_cell_x - line) < THIN_WALL_DRAG_STICKINESS) {
+                    [x, edge] = frac_cell_x >= line ? [line, 'west'] : [line - 1, 'east'];
+                }
+            }
+        }
+        if (! this.editor.is_in_bounds(x, y))
+            return;
+        if (this.last_edge && this.is_same_edge(this.last_edge, [x, y, edge]))
+            return;
+
+        this.set_wall(x, y, edge, this.adding);
+        this.last_edge = [x, y, edge];
+    }
+    cleanup_press() {
+        this.last_edge = null;
+        this.editor.commit_undo();
+    }
+}
+
+
 // -------------------------------------------------------------------------------------------------
 // CONNECT
 
@@ -2048,8 +2298,164 @@ export class CameraEraseOperation extends MouseOperation {
         let target = ev.target.closest('.overlay-camera');
         if (target) {
             let index = parseInt(target.getAttribute('data-region-index'), 10);
-            target.remove();
-            this.editor.stored_level.camera_regions.splice(index, 1);
+            this.editor.remove_camera_region(index);
+            this.editor.commit_undo();
+        }
+    }
+}
+
+// Click a cell, then type; each character becomes a letter tile.  The whole run of typing is a
+// single undo entry, committed when you're done (Escape, clicking somewhere else, switching tools)
+const TEXT_ARROW_KEYS = {
+    ArrowUp: "⬆",
+    ArrowRight: "➡",
+    ArrowDown: "⬇",
+    ArrowLeft: "⬅",
+};
+export class TextOperation extends MouseOperation {
+    constructor(...args) {
+        super(...args);
+
+        // Where typing started, for Enter to return to
+        this.start_x = null;
+        this.start_y = null;
+        // Where the next character goes, or null if we're not typing
+        this.text_x = null;
+        this.text_y = null;
+        // One entry per character typed, so Backspace can take it back: [x, y, how long the undo
+        // entry was beforehand]
+        this.history = [];
+        // The undo entry we're adding to; if something else commits it out from under us, the
+        // history is no good any more
+        this.undo_entry = null;
+
+        this.set_cursor_element(mk_svg('rect.overlay-pencil-cursor', {x: 0, y: 0, width: 1, height: 1}));
+        this.text_cursor = mk_svg('rect.overlay-text-cursor', {x: 0, y: 0, width: 1, height: 1});
+        this.text_cursor.style.display = 'none';
+        this.editor.svg_overlay.append(this.text_cursor);
+    }
+
+    get is_typing() {
+        return this.text_x !== null;
+    }
+
+    handle_press(x, y) {
+        this.handle_finish();
+        if (! this.editor.is_in_bounds(x, y))
+            return;
+
+        this.start_x = x;
+        this.start_y = y;
+        this.history = [];
+        this.undo_entry = this.editor.undo_entry;
+        this.move_to(x, y);
+    }
+
+    move_to(x, y) {
+        this.text_x = x;
+        this.text_y = y;
+        // Hide the cursor once we've run off the bottom of the level
+        if (this.editor.is_in_bounds(x, y)) {
+            this.text_cursor.setAttribute('x', x);
+            this.text_cursor.setAttribute('y', y);
+            this.text_cursor.style.display = '';
+        }
+        else {
+            this.text_cursor.style.display = 'none';
+        }
+    }
+
+    advance() {
+        if (this.text_x + 1 < this.editor.stored_level.size_x) {
+            this.move_to(this.text_x + 1, this.text_y);
+        }
+        else {
+            this.newline();
+        }
+    }
+
+    newline() {
+        this.move_to(this.start_x, Math.min(this.text_y + 1, this.editor.stored_level.size_y));
+    }
+
+    type_glyph(glyph) {
+        let cell = this.cell(this.text_x, this.text_y);
+        if (! cell)
+            return;
+
+        this.history.push([this.text_x, this.text_y, this.editor.undo_entry.length]);
+        this.editor.place_in_cell(cell, {type: TILE_TYPES.floor_letter, overlaid_glyph: glyph});
+        this.advance();
+    }
+
+    backspace() {
+        if (this.history.length === 0)
+            return;
+
+        let [x, y, mark] = this.history.pop();
+        let entry = this.editor.undo_entry;
+        for (let i = entry.length - 1; i >= mark; i--) {
+            entry[i][0]();
+        }
+        entry.length = mark;
+        this.move_to(x, y);
+    }
+
+    handle_key(ev) {
+        if (! this.is_typing || ev.ctrlKey || ev.altKey || ev.metaKey)
+            return false;
+        if (ev.target.closest && ev.target.closest('input, textarea, select'))
+            return false;
+
+        if (this.editor.undo_entry !== this.undo_entry) {
+            // Someone else committed our typing, so we can't backspace over it any more
+            this.undo_entry = this.editor.undo_entry;
+            this.history = [];
+        }
+
+        if (ev.key === 'Escape') {
+            this.handle_finish();
+        }
+        else if (ev.key === 'Enter') {
+            this.history.push([this.text_x, this.text_y, this.editor.undo_entry.length]);
+            this.newline();
         }
+        else if (ev.key === 'Backspace') {
+            this.backspace();
+        }
+        else if (TEXT_ARROW_KEYS[ev.key]) {
+            this.type_glyph(TEXT_ARROW_KEYS[ev.key]);
+        }
+        else if (ev.key.length === 1) {
+            // Letter tiles only have ASCII 32 through 95, which is everything but lowercase and a
+            // few symbols; swallow anything else, rather than letting it trigger a shortcut
+            let glyph = ev.key.toUpperCase();
+            let cp = glyph.charCodeAt(0);
+            if (glyph.length === 1 && cp >= 32 && cp < 96) {
+                this.type_glyph(glyph);
+            }
+        }
+        else {
+            return false;
+        }
+        return true;
+    }
+
+    handle_finish() {
+        if (! this.is_typing)
+            return;
+
+        this.text_x = null;
+        this.text_y = null;
+        this.history = [];
+        this.undo_entry = null;
+        this.text_cursor.style.display = 'none';
+        this.editor.commit_undo();
+    }
+
+    do_destroy() {
+        this.handle_finish();
+        this.text_cursor.remove();
+        super.do_destroy();
     }
 }
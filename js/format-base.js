@@ -16,16 +16,23 @@ export class StoredCell extends Array {
 }
 
 export class Replay {
-    constructor(initial_force_floor_direction, blob_seed, inputs = null, step_parity = null, tw_seed = 0) {
+    // p2_inputs is only for co-op replays, where it's a second stream of inputs for player 2, kept
+    // the same length as the first
+    constructor(initial_force_floor_direction, blob_seed, inputs = null, step_parity = null, tw_seed = 0, p2_inputs = null) {
         this.initial_force_floor_direction = initial_force_floor_direction;
         this.blob_seed = blob_seed;
         this.step_parity = step_parity;
         this.tw_seed = tw_seed;
         this.inputs = inputs ?? new Uint8Array;
+        this.p2_inputs = p2_inputs;
         this.duration = this.inputs.length;
         this.cursor = 0;
     }
 
+    get is_coop() {
+        return this.p2_inputs !== null;
+    }
+
     configure_level(level) {
         level.force_floor_direction = this.initial_force_floor_direction;
         level._blob_modifier = this.blob_seed;
@@ -35,39 +42,101 @@ export class Replay {
         }
     }
 
-    get(t) {
-        if (this.duration <= 0) {
+    _inputs_for(player) {
+        return player === 2 ? this.p2_inputs : this.inputs;
+    }
+
+    get(t, player = 1) {
+        let inputs = this._inputs_for(player);
+        if (this.duration <= 0 || ! inputs) {
             return 0;
         }
         else if (t < this.duration) {
-            return this.inputs[t];
+            return inputs[t];
         }
         else {
             // Last input is implicitly repeated indefinitely
-            return this.inputs[this.duration - 1];
+            return inputs[this.duration - 1];
+        }
+    }
+
+    // Like get(), but without repeating the last input forever
+    get_exact(t, player = 1) {
+        let inputs = this._inputs_for(player);
+        if (t < this.duration && inputs) {
+            return inputs[t];
         }
+        return 0;
     }
 
-    set(t, input) {
+    set(t, input, player = 1) {
         if (t >= this.inputs.length) {
             let new_inputs = new Uint8Array(this.inputs.length + 1024);
-            for (let i = 0; i < this.inputs.length; i++) {
-                new_inputs[i] = this.inputs[i];
-            }
+            new_inputs.set(this.inputs);
             this.inputs = new_inputs;
+            if (this.p2_inputs) {
+                let new_p2_inputs = new Uint8Array(new_inputs.length);
+                new_p2_inputs.set(this.p2_inputs);
+                this.p2_inputs = new_p2_inputs;
+            }
         }
-        this.inputs[t] = input;
+        if (player === 2 && ! this.p2_inputs) {
+            this.p2_inputs = new Uint8Array(this.inputs.length);
+        }
+        this._inputs_for(player)[t] = input;
         if (t >= this.duration) {
             this.duration = t + 1;
         }
     }
 
-    clone() {
-        let new_inputs = new Uint8Array(this.duration);
-        for (let i = 0; i < this.duration; i++) {
-            new_inputs[i] = this.inputs[i];
+    // Insert some number of tics of the same input at t, pushing everything after it later
+    insert(t, count = 1, input = 0, p2_input = 0) {
+        let splice = (inputs, input) => {
+            let new_inputs = new Uint8Array(Math.max(this.duration, t) + count);
+            new_inputs.set(inputs.subarray(0, Math.min(t, this.duration)));
+            new_inputs.fill(input, t, t + count);
+            if (t < this.duration) {
+                new_inputs.set(inputs.subarray(t, this.duration), t + count);
+            }
+            return new_inputs;
+        };
+        this.inputs = splice(this.inputs, input);
+        if (this.p2_inputs) {
+            this.p2_inputs = splice(this.p2_inputs, p2_input);
         }
-        return new this.constructor(this.initial_force_floor_direction, this.blob_seed, new_inputs);
+        this.duration = this.inputs.length;
+    }
+
+    // Remove some number of tics starting at t, pulling everything after it earlier
+    delete(t, count = 1) {
+        if (t >= this.duration)
+            return;
+
+        count = Math.min(count, this.duration - t);
+        this.inputs.copyWithin(t, t + count, this.duration);
+        if (this.p2_inputs) {
+            this.p2_inputs.copyWithin(t, t + count, this.duration);
+        }
+        this.truncate(this.duration - count);
+    }
+
+    // Forget everything from t onwards
+    truncate(t) {
+        t = Math.max(0, Math.min(this.duration, t));
+        // Clear out the leftovers, or set() could resurrect them later
+        this.inputs.fill(0, t, this.duration);
+        if (this.p2_inputs) {
+            this.p2_inputs.fill(0, t, this.duration);
+        }
+        this.duration = t;
+    }
+
+    clone() {
+        let new_inputs = this.inputs.slice(0, this.duration);
+        let new_p2_inputs = this.p2_inputs ? this.p2_inputs.slice(0, this.duration) : null;
+        return new this.constructor(
+            this.initial_force_floor_direction, this.blob_seed, new_inputs, this.step_parity, this.tw_seed,
+            new_p2_inputs);
     }
 }
 
@@ -178,6 +247,10 @@ export class StoredPack {
 
         // Simple objects containing keys that are usually:
         // title: level title
+        // author: level author, if the format has one
+        // password: level password, if the format has one
+        // time_limit: level time limit, where 0 means untimed
+        // has_replay: whether the level has a built-in replay
         // index: level index, used internally only
         // number: level number (may not match index due to C2G shenanigans)
         // error: any error received while loading the level
@@ -187,6 +260,10 @@ export class StoredPack {
         // Sparse/optional array of Replays, generally from an ancillary file like a TWS
         // TODO unclear if this is a good API for this
         this.level_replays = [];
+
+        // Optional script that decides what order levels are played in; only C2G has these, and
+        // the level metadata above is then just every level the script might load
+        this.script = null;
     }
 
     // TODO this may or may not work sensibly when correctly following a c2g
@@ -29,11 +29,15 @@ export function decode_replay(bytes) {
     }
     duration = Math.floor(duration / 3) + 1;  // leave room for final input
 
-    // Inflate the replay into an array of byte-per-tic
+    // Inflate the replay into an array of byte-per-tic.  Inputs with the high bit set are for
+    // player 2, and only appear in multiplayer replays; both players' inputs last until changed
     let inputs = new Uint8Array(duration);
+    let p2_inputs = new Uint8Array(duration);
+    let has_player_2 = false;
     let i = 0;
     let t = 0;
     let input = 0;
+    let p2_input = 0;
     for (let p = 3; p < l; p += 2) {
         // The first byte measures how long the /previous/ input remains
         // valid, so yield that first.  Note that this is measured in 60Hz
@@ -47,18 +51,24 @@ export function decode_replay(bytes) {
         while (t >= 3) {
             t -= 3;
             inputs[i] = input;
+            p2_inputs[i] = p2_input;
             i++;
         }
 
-        input = bytes[p + 1];
-        let is_player_2 = ((input & 0x80) !== 0);
-        // TODO handle player 2
-        if (is_player_2)
-            continue;
+        let byte = bytes[p + 1];
+        if (byte & 0x80) {
+            has_player_2 = true;
+            p2_input = byte & 0x7f;
+        }
+        else {
+            input = byte;
+        }
     }
     inputs[i] = input;
+    p2_inputs[i] = p2_input;
 
-    return new format_base.Replay(initial_force_floor_direction, blob_seed, inputs);
+    return new format_base.Replay(
+        initial_force_floor_direction, blob_seed, inputs, null, 0, has_player_2 ? p2_inputs : null);
 }
 
 export function encode_replay(replay, stored_level = null) {
@@ -68,9 +78,11 @@ export function encode_replay(replay, stored_level = null) {
     out[2] = replay.blob_seed;
     let p = 3;
     let prev_input = null;
+    let prev_p2_input = 0;
     let count = 0;
     for (let i = 0; i < replay.duration; i++) {
-        if (p >= out.length - 4) {
+        // Room for two inputs plus the terminator
+        if (p >= out.length - 6) {
             let new_out = new Uint8Array(Math.floor(out.length * 1.5));
             for (let j = 0; j < out.length; j++) {
                 new_out[j] = out[j];
@@ -79,12 +91,24 @@ export function encode_replay(replay, stored_level = null) {
         }
 
         let input = replay.inputs[i];
-        if (input !== prev_input || count >= 252 - 2) {
-            out[p] = count;
-            out[p + 1] = input;
-            p += 2;
+        let p2_input = replay.is_coop ? replay.p2_inputs[i] : 0;
+        if (input !== prev_input || p2_input !== prev_p2_input || count >= 252 - 2) {
+            // Player 2's input goes in its own record, flagged with the high bit, right after
+            // player 1's (if that changed too)
+            if (input !== prev_input || p2_input === prev_p2_input) {
+                out[p] = count;
+                out[p + 1] = input;
+                p += 2;
+                count = 0;
+            }
+            if (p2_input !== prev_p2_input) {
+                out[p] = count;
+                out[p + 1] = p2_input | 0x80;
+                p += 2;
+            }
             count = 3;
             prev_input = input;
+            prev_p2_input = p2_input;
         }
         else {
             count += 3;
@@ -969,6 +993,30 @@ for (let [tile_byte, spec] of Object.entries(TILE_ENCODING)) {
         REVERSE_TILE_ENCODING[spec.name] = spec;
     }
 }
+// Thin walls and the canopy share a single combined encoding, so they don't go through the table
+const COMBINED_THIN_WALL_TILES = new Set(['thin_walls', 'canopy']);
+// Terrain that only exists underneath some other tile, which is encoded in its place
+const DUMMY_TERRAIN_TILES = new Set;
+for (let spec of Object.values(TILE_ENCODING)) {
+    if (spec.dummy_terrain) {
+        DUMMY_TERRAIN_TILES.add(spec.dummy_terrain);
+    }
+}
+
+// For the editor's problem checker: returns null if this tile can go in a C2M as normal,
+// 'extension' if it can but only LL will understand it, or 'unsupported' if it can't be stored at all
+export function check_tile_encoding(tile) {
+    // These are special-cased in synthesize_level
+    if (COMBINED_THIN_WALL_TILES.has(tile.type.name) || DUMMY_TERRAIN_TILES.has(tile.type.name))
+        return null;
+
+    let spec = REVERSE_TILE_ENCODING[tile.type.name];
+    if (! spec)
+        return 'unsupported';
+    if (spec.is_extension)
+        return 'extension';
+    return null;
+}
 
 // Read 1, 2, or 4 bytes from a DataView
 function read_n_bytes(view, start, n) {
@@ -1046,12 +1094,25 @@ function* read_c2m_sections(buf) {
 export function parse_level_metadata(buf) {
     let meta = {
         title: null,
+        author: null,
+        time_limit: 0,
+        has_replay: false,
     };
     for (let [type, bytes] of read_c2m_sections(buf)) {
         if (type === 'TITL') {
             meta.title = util.string_from_buffer_ascii(bytes, 0, bytes.length - 1).replace(/\r\n/g, "\n");
-            // TODO anything else we want for now?
-            break;
+        }
+        else if (type === 'AUTH') {
+            meta.author = util.string_from_buffer_ascii(bytes, 0, bytes.length - 1).replace(/\r\n/g, "\n");
+        }
+        else if (type === 'OPTN') {
+            // Same as in parse_level; the time limit is all we care about here
+            if (bytes.length >= 2) {
+                meta.time_limit = bytes[0] | (bytes[1] << 8);
+            }
+        }
+        else if (type === 'REPL' || type === 'PRPL') {
+            meta.has_replay = true;
         }
     }
     return meta;
@@ -1608,7 +1669,7 @@ export function synthesize_level(stored_level) {
             if (! tile)
                 continue;
 
-            if (tile.type.name === 'canopy' || tile.type.name === 'thin_walls') {
+            if (COMBINED_THIN_WALL_TILES.has(tile.type.name)) {
                 // These two tiles are encoded together despite being on different layers.  If we
                 // see the canopy first, then find the thin wall tile (if any) and set a flag so we
                 // don't try to encode it again
@@ -1782,7 +1843,7 @@ const TOKENIZE_RX = RegExp(
         // 5: Only decimal integers are allowed
         '|(\\d+)' +
         // 6: Operators are part of a fixed set
-        '|(==|<=|>=|!=|&&|\\|\\||[-+*/<>=&|&^])' +
+        '|(==|<=|>=|!=|&&|\\|\\||[-+*/%<>=&|^])' +
         // 7: Barewords appear to allow literally fucking anything as long as they start with a
         // letter -- the official playcc2 contains `really?'"` as an accidental unquoted string and
         // it's accepted but ignored, so I can only assume it's treated as a variable
@@ -1810,41 +1871,60 @@ const DIRECTIVES = {
     'main': [],  // allegedly jumps to playcc2.c2g??
     'wav': ['string'],
 };
+// All operators are binary and work on (signed 32-bit) integers; comparisons produce 1 or 0.
+// Assignment is special, since it needs a variable on the right, so it's handled by the interpreter.
 const OPERATORS = {
     '==': {
-        argc: 2,
+        eval: (a, b) => a === b ? 1 : 0,
     },
     '<=': {
+        eval: (a, b) => a <= b ? 1 : 0,
     },
     '>=': {
+        eval: (a, b) => a >= b ? 1 : 0,
     },
     '!=': {
+        eval: (a, b) => a !== b ? 1 : 0,
     },
     '<': {
+        eval: (a, b) => a < b ? 1 : 0,
     },
     '>': {
+        eval: (a, b) => a > b ? 1 : 0,
     },
     '=': {
+        assignment: true,
     },
     '*': {
+        eval: (a, b) => Math.imul(a, b),
     },
     '/': {
+        // Division by zero doesn't crash cc2, so assume it produces zero
+        eval: (a, b) => b === 0 ? 0 : (a / b) | 0,
     },
     '+': {
+        eval: (a, b) => (a + b) | 0,
     },
     '-': {
+        eval: (a, b) => (a - b) | 0,
     },
     '&&': {
+        eval: (a, b) => a && b ? 1 : 0,
     },
     '||': {
+        eval: (a, b) => a || b ? 1 : 0,
     },
     '&': {
+        eval: (a, b) => a & b,
     },
     '|': {
+        eval: (a, b) => a | b,
     },
     '%': {
+        eval: (a, b) => b === 0 ? 0 : a % b,
     },
     '^': {
+        eval: (a, b) => a ^ b,
     },
 };
 
@@ -1962,6 +2042,14 @@ class Parser {
         if (! token)
             return null;
 
+        // Remember where the statement started, for the sake of the 'line' register
+        let lineno = this.lineno;
+        let stmt = this._parse_statement_from(token);
+        stmt.lineno = lineno;
+        return stmt;
+    }
+
+    _parse_statement_from(token) {
         // Check for a directive and handle it separately
         if (token.type === 'directive') {
             return this.parse_directive(token.value);
@@ -2007,12 +2095,12 @@ class Parser {
                 // All operators are binary, so pop the last two expressions
                 if (branches.length < 2)
                     throw new ParseError(`Not enough arguments for operator: ${token.value}`, this);
-                let a = branches.pop();
-                let b = branches.pop();
+                let right = branches.pop();
+                let left = branches.pop();
                 branches.push({
                     op: token.value,
-                    left: a,
-                    right: b,
+                    left: left,
+                    right: right,
                 });
 
                 // TODO return now if we just did an =?
@@ -2031,14 +2119,21 @@ class Parser {
     parse_directive(name) {
         let argspec = DIRECTIVES[name];
         if (argspec === 'statement') {
-            // TODO implement this for real
-            // eat the rest of the line for now
-            while (true) {
-                let token = this.advance();
-                if (! token || token.type === 'newline') {
-                    break;
-                }
+            // 'do' runs the rest of the line only if the last expression was true, so it has to be
+            // followed by another statement on the same line; otherwise it does nothing
+            let next = this.peek();
+            if (! next || next.type === 'newline') {
+                return {
+                    kind: 'noop',
+                    directive: name,
+                    tokens: [],
+                };
             }
+            let statement = this.parse_statement();
+            return {
+                kind: 'do',
+                statement: statement,
+            };
         }
         else if (argspec === 'script') {
             // Script mode; expect a newline, then sequences of [string, values..., newline]
@@ -2117,6 +2212,222 @@ class Parser {
     }
 }
 
+class ScriptError extends util.LLError {
+    constructor(message, stmt) {
+        super(stmt ? `${message} at line ${stmt.lineno}` : message);
+    }
+}
+ScriptError.prototype.name = 'ScriptError';
+
+// Registers that cc2 itself knows about.  Any other bareword is still a perfectly good variable
+// (see the tokenizer), it just won't mean anything to anyone but the script.
+// - reg1 through reg4: general purpose
+// - flags: general purpose, but conventionally a bitfield
+// - gender: which player character to use
+// - level: number of the current level
+// - line: line number of the statement being executed
+// - score: running total of level scores
+// - result, tleft, chipsleft, bonus: outcome of the most recently finished level
+// - enter, exit, keys, tools, menu, speed: mostly unknown, but they exist
+const REGISTERS = [
+    'reg1', 'reg2', 'reg3', 'reg4', 'flags', 'gender', 'level', 'line', 'score',
+    'result', 'tleft', 'chipsleft', 'bonus', 'enter', 'exit', 'keys', 'tools', 'menu', 'speed',
+];
+// Scripts can goto themselves into an infinite loop, which cc2 would presumably just hang on
+const MAX_STATEMENTS_PER_RUN = 100000;
+
+// Executes a parsed C2G script.  The script is run until it asks for a map, at which point it
+// stops and the level is played; once it's been beaten, finish_level() records the results, and
+// the script picks up where it left off.
+class C2GScript {
+    constructor(statements) {
+        this.statements = statements;
+        this.labels = new Map;
+        for (let [i, stmt] of statements.entries()) {
+            if (stmt.kind === 'label' && ! this.labels.has(stmt.name)) {
+                this.labels.set(stmt.name, i);
+            }
+        }
+        this.reset();
+    }
+
+    reset() {
+        this.pc = 0;
+        this.registers = {};
+        for (let name of REGISTERS) {
+            this.registers[name] = 0;
+        }
+        this.music = null;
+        // Result of the most recent expression, which is what 'do' looks at
+        this.condition = 0;
+        // Index of the map the script most recently asked for, if it's still being played
+        this.current_level_index = null;
+        this.done = false;
+    }
+
+    save_state() {
+        return {
+            pc: this.pc,
+            registers: { ...this.registers },
+            music: this.music,
+            condition: this.condition,
+            current_level_index: this.current_level_index,
+            done: this.done,
+        };
+    }
+
+    restore_state(state) {
+        this.reset();
+        if (! state)
+            return;
+        if (state.pc >= 0 && state.pc <= this.statements.length) {
+            this.pc = state.pc;
+        }
+        Object.assign(this.registers, state.registers ?? {});
+        this.music = state.music ?? null;
+        this.condition = state.condition ?? 0;
+        this.current_level_index = state.current_level_index ?? null;
+        this.done = state.done ?? false;
+    }
+
+    get_variable(name) {
+        return this.registers[name] ?? 0;
+    }
+
+    set_variable(name, value) {
+        this.registers[name] = value | 0;
+    }
+
+    evaluate(tree, stmt) {
+        if (tree.type === 'number')
+            return tree.value | 0;
+        if (tree.type === 'variable')
+            return this.get_variable(tree.value);
+
+        let op = OPERATORS[tree.op];
+        if (op.assignment) {
+            // Assignment goes value-first, e.g. `1 reg1 =`
+            if (tree.right.type !== 'variable')
+                throw new ScriptError(`Can only assign to a variable`, stmt);
+            let value = this.evaluate(tree.left, stmt);
+            this.set_variable(tree.right.value, value);
+            return value;
+        }
+        return op.eval(this.evaluate(tree.left, stmt), this.evaluate(tree.right, stmt));
+    }
+
+    // Run until the script asks for a map (or ends).  Returns null if the script is over, or:
+    // level_index: index into the game's level_metadata
+    // pages: text from any script blocks run along the way, as a list of pages of lines
+    // music: the most recently requested music, if any
+    run() {
+        let pages = [];
+        this.current_level_index = null;
+        let steps = 0;
+        while (this.pc < this.statements.length && ! this.done) {
+            steps += 1;
+            if (steps > MAX_STATEMENTS_PER_RUN)
+                throw new ScriptError("Script seems to be stuck in an infinite loop", this.statements[this.pc]);
+
+            let stmt = this.statements[this.pc];
+            this.pc += 1;
+            this.set_variable('line', stmt.lineno);
+
+            if (stmt.kind === 'do') {
+                if (! this.condition)
+                    continue;
+                stmt = stmt.statement;
+            }
+
+            if (stmt.kind === 'expression') {
+                for (let tree of stmt.trees) {
+                    this.condition = this.evaluate(tree, stmt);
+                }
+            }
+            else if (stmt.kind === 'script') {
+                // TODO cc2 does something with the values after each string (menu choices?), but
+                // it's not clear what, so just show the text
+                let lines = stmt.lines.map(line => line.string.value);
+                if (lines.length > 0) {
+                    pages.push(lines);
+                }
+            }
+            else if (stmt.kind === 'directive') {
+                let name = stmt.name;
+                if (name === 'goto') {
+                    let label = stmt.args[0].value;
+                    if (! this.labels.has(label))
+                        throw new ScriptError(`No such label #${label}`, stmt);
+                    this.pc = this.labels.get(label) + 1;
+                }
+                else if (name === 'map') {
+                    // Back up, so we're still pointing at the map until it's beaten
+                    this.pc -= 1;
+                    this.current_level_index = stmt.level_index;
+                    this.set_variable('level', stmt.level_number);
+                    return {
+                        level_index: stmt.level_index,
+                        pages: pages,
+                        music: this.music,
+                    };
+                }
+                else if (name === 'music') {
+                    this.music = stmt.args[0].value;
+                }
+                else if (name === 'end' || name === 'main') {
+                    this.done = true;
+                }
+                // 'chdir' was already applied when resolving map paths, and 'game' only matters
+                // once.  Everything else is either unimplemented or unknown, so ignore it.
+            }
+            // Labels and noops do nothing
+        }
+
+        this.done = true;
+        return null;
+    }
+
+    // Record the outcome of the current map, and move past it
+    finish_level(level) {
+        if (this.current_level_index === null)
+            return;
+
+        let scorecard = level.get_scorecard();
+        this.set_variable('result', level.state === 'success' ? 1 : 0);
+        this.set_variable('chipsleft', level.chips_remaining);
+        if (scorecard) {
+            this.set_variable('tleft', scorecard.time);
+            this.set_variable('bonus', scorecard.bonus);
+            this.set_variable('score', this.get_variable('score') + scorecard.score);
+        }
+        this.current_level_index = null;
+        this.pc += 1;
+    }
+
+    // Point the script at the given level, e.g. after the player picks one manually.  Does nothing
+    // if the script is already there.  Returns false if no map in the script loads that level.
+    seek_to_level(level_index) {
+        if (this.current_level_index === level_index)
+            return true;
+
+        for (let [i, stmt] of this.statements.entries()) {
+            if (stmt.kind === 'do') {
+                stmt = stmt.statement;
+            }
+            if (stmt.kind === 'directive' && stmt.name === 'map' && stmt.level_index === level_index) {
+                this.pc = i;
+                this.done = false;
+                // If this is a 'do map', pretend its condition passed
+                this.condition = 1;
+                this.current_level_index = level_index;
+                this.set_variable('level', stmt.level_number);
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
 // C2G is a Chip's Challenge 2 format that describes the structure of a level set, which is helpful
 // since CC2 levels are all stored in separate files
 // XXX observations i have made about this hell format:
@@ -2183,31 +2494,52 @@ const MAX_SIMULTANEOUS_REQUESTS = 5;
     parser = new Parser(contents);
     let statements = [];
     let level_number = 1;
+    // Maps are fetched eagerly, in the order they appear, so the level browser has something to
+    // show; the script decides what order they're actually played in
+    let map_indices = new Map;
+    let directory = '';
     while (! parser.done) {
         let stmt = parser.parse_statement();
         if (stmt === null)
             break;
+        statements.push(stmt);
+
+        if (stmt.kind === 'do') {
+            stmt = stmt.statement;
+        }
 
-        // TODO search 'do' as well
         if (stmt.kind === 'directive' && stmt.name === 'map') {
             let path = stmt.args[0].value;
-            path = path.replace(/\\/, '/');
-            // FIXME can we get away with not downloading all of them eagerly?
-            fetch_map(path, level_number);
-            level_number += 1;
+            path = path.replace(/\\/g, '/');
+            // XXX this assumes chdir is only ever used in a straight line, rather than e.g. in
+            // different branches of a goto
+            if (directory) {
+                path = directory + '/' + path;
+            }
+            // The same map might be loaded from several places, but it's still only one level
+            if (! map_indices.has(path)) {
+                map_indices.set(path, level_number - 1);
+                // FIXME can we get away with not downloading all of them eagerly?
+                fetch_map(path, level_number);
+                level_number += 1;
+            }
+            stmt.level_index = map_indices.get(path);
+            stmt.level_number = stmt.level_index + 1;
+        }
+        else if (stmt.kind === 'directive' && stmt.name === 'chdir') {
+            directory = stmt.args[0].value.replace(/\\/g, '/').replace(/\/+$/, '');
         }
         else if (stmt.kind === 'directive' && stmt.name === 'game') {
             // TODO apparently cc2 lets you change this mid-game and will then use a different save
-            // slot (?!), but i can't even consider that until i actually execute these things in
-            // order
+            // slot (?!), but that would make a mess of our own saves
             if (game.identifier === undefined) {
                 let title = stmt.args[0].value;
                 game.identifier = title;
                 game.title = title;
             }
         }
-        statements.push(stmt);
     }
+    game.script = new C2GScript(statements);
 
     // FIXME grody
     if (active_map_fetches.size === 0 && pending_map_fetches.length === 0) {
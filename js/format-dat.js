@@ -173,8 +173,9 @@ export function parse_level_metadata(bytes) {
 
     let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
 
-    // Level number; rest of level header is unused
+    // Level number and time limit; rest of level header is unused
     meta.number = view.getUint16(0, true);
+    meta.time_limit = view.getUint16(2, true);
 
     // Map layout
     // Same structure twice, for the two layers
@@ -462,6 +463,36 @@ export class CCLEncodingErrors extends util.LLError {
     }
 }
 
+// Lists the reasons a single cell can't be stored in a CCL.  Used both by the editor's problem
+// checker and by synthesize_level, below, which also checks the level as a whole
+export function find_cell_encoding_errors(cell) {
+    let errors = [];
+    let other = null;
+    for (let tile of cell) {
+        if (! tile)
+            continue;
+        if (tile.wire_directions || tile.wire_tunnel_directions) {
+            errors.push(`CCL doesn't support wires`);
+        }
+
+        let rev_spec = REVERSE_TILE_ENCODING[tile.type.name];
+        if (! rev_spec) {
+            errors.push(`CCL can't store ${tile.type.name}`);
+        }
+        else if (tile.type.name === 'thin_walls' && ! (tile.edges in rev_spec)) {
+            errors.push(`CCL thin walls may only have one edge, or be a lower-right corner`);
+        }
+
+        if (tile.type.layer !== LAYERS.actor && tile.type.name !== 'floor') {
+            if (other) {
+                errors.push(`CCL cells can only have one static tile, but this has both ${other.type.name} and ${tile.type.name}`);
+            }
+            other = tile;
+        }
+    }
+    return errors;
+}
+
 export function synthesize_level(stored_level) {
     let errors = [];
     if (stored_level.size_x !== 32) {
@@ -479,19 +510,18 @@ export function synthesize_level(stored_level) {
     let trap_cxns = [];
     let cloner_cxns = [];
     let monster_coords = [];
-    let error_found_wires = false;
     // TODO i could be a little kinder and support, say, items on terrain; do those work in mscc?  tw lynx?
     for (let [i, cell] of stored_level.linear_cells.entries()) {
         let [x, y] = stored_level.scalar_to_coords(i);
+        for (let error of find_cell_encoding_errors(cell)) {
+            errors.push(`Cell (${x}, ${y}): ${error}`);
+        }
+
         let actor = null;
         let other = null;
         for (let tile of cell) {
             if (! tile)
                 continue;
-            if (tile.wire_directions || tile.wire_tunnel_directions) {
-                error_found_wires = true;
-            }
-
             if (tile.type.layer === LAYERS.actor) {
                 actor = tile;
             }
@@ -499,10 +529,8 @@ export function synthesize_level(stored_level) {
                 // This is the default anyway, so don't count it against the number of tiles
                 continue;
             }
-            else if (other) {
-                errors.push(`A cell can only contain one static tile, but cell (${x}, ${y}) has both ${other.type.name} and ${tile.type.name}`);
-            }
-            else {
+            else if (! other) {
+                // Extra static tiles were already reported above
                 other = tile;
             }
 
@@ -524,21 +552,14 @@ export function synthesize_level(stored_level) {
                     actor_byte = rev_spec[actor.direction];
                 }
             }
-            else {
-                errors.push(`Can't encode tile: ${actor.type.name}`);
-            }
         }
         if (other) {
             let rev_spec = REVERSE_TILE_ENCODING[other.type.name];
             if (rev_spec) {
                 // Special case: thin walls only come in one of a few configurations
                 if (other.type.name === 'thin_walls') {
-                    if (other.edges in rev_spec) {
-                        other_byte = rev_spec[other.edges];
-                    }
-                    else {
-                        errors.push(`Thin walls may only have one edge, or be a lower-right corner`);
-                    }
+                    // (If this isn't one of them, find_cell_encoding_errors already complained)
+                    other_byte = rev_spec[other.edges] ?? null;
                 }
                 else {
                     other_byte = rev_spec['all'];
@@ -576,9 +597,6 @@ export function synthesize_level(stored_level) {
                     }
                 }
             }
-            else {
-                errors.push(`Can't encode tile: ${other.type.name}`);
-            }
         }
 
         if (other_byte === null) {
@@ -594,9 +612,6 @@ export function synthesize_level(stored_level) {
             bottom_layer.push(other_byte);
         }
     }
-    if (error_found_wires) {
-        errors.push(`Wires are not supported`);
-    }
 
     // TODO RLE
     let top_layer_bytes = top_layer;
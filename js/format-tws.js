@@ -1,5 +1,6 @@
 import { DIRECTIONS, INPUT_BITS } from './defs.js';
 import * as format_base from './format-base.js';
+import * as util from './util.js';
 
 
 const TW_DIRECTION_TO_INPUT_BITS = [
@@ -34,6 +35,9 @@ export function parse_solutions(bytes) {
     let ret = {
         ruleset: ruleset,
         levels: [],
+        // The replay only goes up to the last input, but the level may have taken a while longer
+        // to finish
+        total_durations: [],
     };
 
     let p = 8 + extra_bytes;
@@ -125,6 +129,7 @@ export function parse_solutions(bytes) {
             }
 
             ret.levels[number - 1] = new format_base.Replay(initial_rff, 0, inputs, step_parity, initial_rng);
+            ret.total_durations[number - 1] = total_duration;
         }
 
         is_first = false;
@@ -132,3 +137,138 @@ export function parse_solutions(bytes) {
     }
     return ret;
 }
+
+// Which ruleset byte to write for each of our own compat modes; 3 and 4 are our own extensions
+export const RULESET_BYTES = {
+    lynx: 1,
+    ms: 2,
+    steam: 3,
+    'steam-strict': 3,
+    lexy: 4,
+    custom: 4,
+};
+
+const INPUT_BITS_TO_TW_DIRECTION = new Map(TW_DIRECTION_TO_INPUT_BITS.map((bits, i) => [bits, i]));
+const DIRECTION_BITS = INPUT_BITS.up | INPUT_BITS.down | INPUT_BITS.left | INPUT_BITS.right;
+
+function input_to_tw_direction(input) {
+    // Tile World only knows about movement, so anything else is lost
+    input &= DIRECTION_BITS;
+    if (input === 0)
+        return null;
+
+    let dir = INPUT_BITS_TO_TW_DIRECTION.get(input);
+    if (dir !== undefined)
+        return dir;
+
+    // Opposing directions can't be represented; they don't do anything useful anyway, so just keep
+    // whichever one comes first
+    for (let [i, bits] of TW_DIRECTION_TO_INPUT_BITS.entries()) {
+        if (i < 4 && (input & bits)) {
+            return i;
+        }
+    }
+    return null;
+}
+
+// Inverse of the move parsing in parse_solutions
+function encode_moves(replay) {
+    // First collect a list of [delta, direction], where delta is the number of idle tics since the
+    // previous move
+    let moves = [];
+    let delta = 0;
+    for (let t = 0; t < replay.duration; t++) {
+        let dir = input_to_tw_direction(replay.inputs[t]);
+        if (dir === null) {
+            delta += 1;
+        }
+        else {
+            moves.push([delta, dir]);
+            delta = 0;
+        }
+    }
+
+    let out = [];
+    for (let i = 0; i < moves.length; i++) {
+        let [delta, dir] = moves[i];
+        // Format 0 packs three orthogonal moves, each exactly four tics apart, into one byte
+        if (i + 2 < moves.length && moves.slice(i, i + 3).every(([d, dir]) => d === 3 && dir < 4)) {
+            out.push((moves[i + 2][1] << 6) | (moves[i + 1][1] << 4) | (dir << 2));
+            i += 2;
+        }
+        // Formats 1, 2, and 3 are the same apart from their size
+        else if (delta < (1 << 3)) {
+            out.push((delta << 5) | (dir << 2) | 1);
+        }
+        else if (delta < (1 << 11)) {
+            let val = (delta << 5) | (dir << 2) | 2;
+            out.push(val & 0xff, val >> 8);
+        }
+        else {
+            // The high bit of a diagonal would turn this into format 3-1, which is something else
+            // entirely, and there's no way to split up a delay...  but waiting over 100 seconds
+            // before a diagonal move seems unlikely enough not to worry about
+            if (dir >= 4)
+                throw new util.LLError(`Can't encode a diagonal move after ${delta} idle tics`);
+            let val = ((delta << 5) | (dir << 2) | 3) >>> 0;
+            out.push(val & 0xff, (val >> 8) & 0xff, (val >> 16) & 0xff, val >>> 24);
+        }
+    }
+    return out;
+}
+
+// Write a TWS file.  replays is a sparse array of Replays, indexed by level index, as returned by
+// parse_solutions.  Tile World also wants each level's password, which can be given the same way.
+export function write_solutions(replays, { ruleset = RULESET_BYTES.lynx, set_name = null, passwords = [] } = {}) {
+    let bytes = [];
+    let push_u16 = n => bytes.push(n & 0xff, (n >> 8) & 0xff);
+    let push_u32 = n => bytes.push(n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff);
+
+    // Header: magic number, ruleset, current level number (which we don't track), no extra bytes
+    push_u32(0x999b3335);
+    bytes.push(ruleset);
+    push_u16(0);
+    bytes.push(0);
+
+    // Optional set name record: sixteen zero bytes, then the name
+    if (set_name) {
+        let name = util.bytestring_to_buffer(set_name);
+        push_u32(16 + name.byteLength + 1);
+        for (let i = 0; i < 16; i++) {
+            bytes.push(0);
+        }
+        for (let byte of new Uint8Array(name)) {
+            bytes.push(byte);
+        }
+        bytes.push(0);
+    }
+
+    for (let [i, replay] of replays.entries()) {
+        if (! replay)
+            continue;
+
+        let moves = encode_moves(replay);
+        push_u32(16 + moves.length);
+
+        // Level number and password
+        push_u16(i + 1);
+        let password = (passwords[i] ?? '').padEnd(4, '\0');
+        for (let j = 0; j < 4; j++) {
+            bytes.push(password.charCodeAt(j) & 0xff);
+        }
+        // Flags, always zero
+        bytes.push(0);
+        // Initial state: step parity and RFF direction, which is un-rotated the same way it's
+        // rotated when reading (see above)
+        let rff = DIRECTIONS[replay.initial_force_floor_direction ?? 'north'].left;
+        let rff_index = ['north', 'west', 'south', 'east'].indexOf(rff);
+        bytes.push(((replay.step_parity ?? 0) << 3) | rff_index);
+        push_u32(replay.tw_seed ?? 0);
+        push_u32(replay.duration);
+        for (let byte of moves) {
+            bytes.push(byte);
+        }
+    }
+
+    return new Uint8Array(bytes).buffer;
+}
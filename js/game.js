@@ -2,6 +2,7 @@ import * as algorithms from './algorithms.js';
 import { DIRECTIONS, DIRECTION_ORDER, LAYERS, INPUT_BITS, PICKUP_PRIORITIES, TICS_PER_SECOND } from './defs.js';
 import { LevelInterface } from './format-base.js';
 import TILE_TYPES from './tiletypes.js';
+import * as util from './util.js';
 
 export class Tile {
     constructor(type, direction = 'south') {
@@ -262,10 +263,220 @@ export class Cell extends Array {
 const UNDO_BUFFER_SIZE = TICS_PER_SECOND * 30;
 // The CC1 inventory has a fixed boot order
 const CC1_INVENTORY_ORDER = ['cleats', 'suction_boots', 'fire_boots', 'flippers'];
+// Level properties that aren't part of a snapshot: they're either shared with the outside world or
+// meaningless once copied
+const SNAPSHOT_IGNORED_PROPS = new Set([
+    'stored_level', 'compat', 'sfx', 'undo_enabled', 'undo_buffer', 'undo_buffer_index', 'pending_undo',
+]);
+// Tile types are shared by everything and never change, so they're never copied
+const TILE_TYPE_SET = new Set(Object.values(TILE_TYPES));
+// Deep copy part of a level's state, preserving prototypes and any shared references (e.g. between an
+// actor and the cell it's in).  memo maps originals to their copies.
+function _copy_state(value, memo) {
+    if (value === null || typeof value !== 'object' || TILE_TYPE_SET.has(value))
+        return value;
+
+    let copy = memo.get(value);
+    if (copy)
+        return copy;
+
+    if (value instanceof Map) {
+        copy = new Map;
+        memo.set(value, copy);
+        for (let [k, v] of value) {
+            copy.set(_copy_state(k, memo), _copy_state(v, memo));
+        }
+    }
+    else if (value instanceof Set) {
+        copy = new Set;
+        memo.set(value, copy);
+        for (let v of value) {
+            copy.add(_copy_state(v, memo));
+        }
+    }
+    else if (ArrayBuffer.isView(value)) {
+        copy = value.slice();
+        memo.set(value, copy);
+    }
+    else {
+        if (Array.isArray(value)) {
+            // Make a real array, even for subclasses like Cell, without calling their constructors
+            copy = Reflect.construct(Array, [], value.constructor);
+            copy.length = value.length;
+        }
+        else {
+            copy = Object.create(Object.getPrototypeOf(value));
+        }
+        memo.set(value, copy);
+        for (let key of Object.keys(value)) {
+            copy[key] = _copy_state(value[key], memo);
+        }
+    }
+    return copy;
+}
+
+// Savestates are plain JSON, so everything in them has to be rebuilt from a name
+const SAVESTATE_VERSION = 1;
+const SAVESTATE_CLASSES = new Map([
+    ['Object', Object],
+    ['Array', Array],
+    ['Cell', Cell],
+    ['Tile', Tile],
+    ['Circuit', algorithms.Circuit],
+]);
+const SAVESTATE_CLASS_NAMES = new Map([...SAVESTATE_CLASSES].map(([name, cls]) => [cls.prototype, name]));
+// Flatten part of a level's state into something JSON can handle.  Every object goes into the table
+// exactly once and is referred to by index everywhere else, so shared references (and cycles, like a
+// tile and its cell) survive the round trip.  Special values are encoded as one-key objects:
+//   {r: index} for an object in the table
+//   {t: name} for a tile type
+//   {n: "Infinity"} for numbers JSON can't express
+//   {u: 1} for undefined
+// Table entries are { c: class name, p: own props, l: array length } or, for Maps and Sets,
+// { c: 'Map', m: [[key, value]...] } and { c: 'Set', s: [value...] }.
+function _encode_state(value, table, memo) {
+    if (value === undefined)
+        return {u: 1};
+    if (typeof value === 'number' && ! Number.isFinite(value))
+        return {n: String(value)};
+    if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint')
+        throw new util.LLError(`Can't save a ${typeof value} in a savestate`);
+    if (value === null || typeof value !== 'object')
+        return value;
+    if (TILE_TYPE_SET.has(value))
+        return {t: value.name};
+
+    let index = memo.get(value);
+    if (index !== undefined)
+        return {r: index};
+
+    index = table.length;
+    memo.set(value, index);
+    let entry = {};
+    table.push(entry);
+    if (value instanceof Map) {
+        entry.c = 'Map';
+        entry.m = [];
+        for (let [k, v] of value) {
+            entry.m.push([_encode_state(k, table, memo), _encode_state(v, table, memo)]);
+        }
+    }
+    else if (value instanceof Set) {
+        entry.c = 'Set';
+        entry.s = [];
+        for (let v of value) {
+            entry.s.push(_encode_state(v, table, memo));
+        }
+    }
+    else {
+        let name = SAVESTATE_CLASS_NAMES.get(Object.getPrototypeOf(value));
+        if (! name)
+            throw new util.LLError(`Don't know how to save a ${value.constructor?.name ?? "mystery object"} in a savestate`);
+        entry.c = name;
+        if (Array.isArray(value)) {
+            entry.l = value.length;
+        }
+        // Same as copying: only own props, and arrays keep their holes
+        entry.p = {};
+        for (let key of Object.keys(value)) {
+            entry.p[key] = _encode_state(value[key], table, memo);
+        }
+    }
+    return {r: index};
+}
+// Savestates come from files, which might be truncated or hand-edited, so nothing in one is trusted:
+// anything that isn't exactly what _encode_state would've written is an LLError, not a crash later
+function _bad_savestate(why) {
+    return new util.LLError(`This savestate is damaged (${why})`);
+}
+function _is_plain_object(value) {
+    return value !== null && typeof value === 'object' && ! Array.isArray(value);
+}
+function _decode_state(value, objects) {
+    if (value === null || typeof value !== 'object')
+        return value;
+    if (! _is_plain_object(value))
+        throw _bad_savestate("unexpected array");
+    if ('r' in value) {
+        if (! Number.isInteger(value.r) || value.r < 0 || value.r >= objects.length)
+            throw new util.LLError(`Savestate refers to a nonexistent object ${value.r}`);
+        return objects[value.r];
+    }
+    if ('t' in value) {
+        let type = typeof value.t === 'string' && Object.hasOwn(TILE_TYPES, value.t) ? TILE_TYPES[value.t] : null;
+        if (! type)
+            throw new util.LLError(`Savestate contains an unknown tile type ${value.t}`);
+        return type;
+    }
+    if ('n' in value) {
+        if (value.n !== 'Infinity' && value.n !== '-Infinity' && value.n !== 'NaN')
+            throw _bad_savestate(`bad number ${value.n}`);
+        return Number(value.n);
+    }
+    if ('u' in value)
+        return undefined;
+    throw _bad_savestate("unrecognized value");
+}
+// Rebuild every object in a savestate's table.  They're all created first and filled in afterwards,
+// since they refer to each other in every which way
+function _decode_table(table) {
+    let objects = table.map(entry => {
+        if (! _is_plain_object(entry))
+            throw _bad_savestate("bad table entry");
+        if (entry.c === 'Map') {
+            if (! Array.isArray(entry.m) || ! entry.m.every(pair => Array.isArray(pair) && pair.length === 2))
+                throw _bad_savestate("bad Map");
+            return new Map;
+        }
+        if (entry.c === 'Set') {
+            if (! Array.isArray(entry.s))
+                throw _bad_savestate("bad Set");
+            return new Set;
+        }
+
+        let cls = typeof entry.c === 'string' ? SAVESTATE_CLASSES.get(entry.c) : null;
+        if (! cls)
+            throw new util.LLError(`Savestate contains an unknown kind of object ${entry.c}`);
+        if (! _is_plain_object(entry.p) || Object.hasOwn(entry.p, '__proto__'))
+            throw _bad_savestate(`bad ${entry.c}`);
+        if (cls === Array || cls.prototype instanceof Array) {
+            if (! Number.isInteger(entry.l) || entry.l < 0 || entry.l > 0xffffffff)
+                throw _bad_savestate(`bad ${entry.c} length`);
+            let array = Reflect.construct(Array, [], cls);
+            array.length = entry.l;
+            return array;
+        }
+        return Object.create(cls.prototype);
+    });
+
+    for (let [i, entry] of table.entries()) {
+        let obj = objects[i];
+        if (entry.c === 'Map') {
+            for (let [k, v] of entry.m) {
+                obj.set(_decode_state(k, objects), _decode_state(v, objects));
+            }
+        }
+        else if (entry.c === 'Set') {
+            for (let v of entry.s) {
+                obj.add(_decode_state(v, objects));
+            }
+        }
+        else {
+            for (let [key, value] of Object.entries(entry.p)) {
+                obj[key] = _decode_state(value, objects);
+            }
+        }
+    }
+    return objects;
+}
+
 export class Level extends LevelInterface {
-    constructor(stored_level, compat = {}) {
+    // In co-op mode, the first two players are controlled separately, each with their own input,
+    // rather than by one person swapping between them
+    constructor(stored_level, compat = {}, coop = false) {
         super();
         this.stored_level = stored_level;
+        this.coop = coop;
         this.restart(compat);
     }
 
@@ -299,6 +510,10 @@ export class Level extends LevelInterface {
         this.player = null;
         this.p1_input = 0;
         this.p1_released = 0xff;
+        // Only used in co-op mode
+        this.player2 = null;
+        this.p2_input = 0;
+        this.p2_released = 0xff;
         this.actors = [];
         this.chips_remaining = this.stored_level.chips_required ?? 0;
         this.bonus_points = 0;
@@ -407,6 +622,9 @@ export class Level extends LevelInterface {
                         if (this.player === null) {
                             this.player = tile;
                         }
+                        else if (this.coop && this.player2 === null) {
+                            this.player2 = tile;
+                        }
                     }
                     if (tile.type.is_required_chip && this.stored_level.chips_required === null) {
                         this.chips_remaining++;
@@ -696,8 +914,8 @@ export class Level extends LevelInterface {
     // Main loop --------------------------------------------------------------------------------------
 
     // Move the game state forwards by one tic.
-    // Input is a bit mask of INPUT_BITS.
-    advance_tic(p1_input) {
+    // Input is a bit mask of INPUT_BITS.  The second player's input is ignored outside co-op mode.
+    advance_tic(p1_input, p2_input = 0) {
         if (this.state !== 'playing') {
             console.warn(`Attempting to advance game when state is ${this.state}`);
             return;
@@ -706,13 +924,13 @@ export class Level extends LevelInterface {
         // If someone is mixing tics and frames, run in frames until the end of the tic
         if (this.frame_offset > 0) {
             for (let i = this.frame_offset; i < 3; i++) {
-                this.advance_frame(p1_input);
+                this.advance_frame(p1_input, p2_input);
             }
             return;
         }
 
         this._do_init_phase();
-        this._set_p1_input(p1_input);
+        this._set_inputs(p1_input, p2_input);
 
         if (this.compat.emulate_60fps) {
             this._advance_tic_lynx60();
@@ -768,13 +986,13 @@ export class Level extends LevelInterface {
 
     // Attempt to advance by one FRAME at a time.  Primarily useful for running 60 FPS mode at,
     // well, 60 FPS.
-    advance_frame(p1_input) {
+    advance_frame(p1_input, p2_input = 0) {
         if (this.compat.emulate_60fps) {
             // CC2
             if (this.frame_offset === 0) {
-                this._do_init_phase(p1_input);
+                this._do_init_phase();
             }
-            this._set_p1_input(p1_input);
+            this._set_inputs(p1_input, p2_input);
             let is_decision_frame = this.frame_offset === 2;
 
             this._do_decision_phase(! is_decision_frame);
@@ -788,16 +1006,18 @@ export class Level extends LevelInterface {
         else {
             // We're running at 20 tps, which means only one update on the first frame
             if (this.frame_offset === 0) {
-                this.advance_tic(p1_input);
+                this.advance_tic(p1_input, p2_input);
             }
         }
 
         this.frame_offset = (this.frame_offset + 1) % 3;
     }
 
-    _set_p1_input(p1_input) {
+    _set_inputs(p1_input, p2_input) {
         this.p1_input = p1_input;
         this.p1_released |= ~p1_input;  // Action keys released since we last checked them
+        this.p2_input = p2_input;
+        this.p2_released |= ~p2_input;
         this.swap_player1 = false;
     }
 
@@ -829,7 +1049,7 @@ export class Level extends LevelInterface {
                     '_rng1', '_rng2', '_blob_modifier', '_tw_rng', 'force_floor_direction',
                     'tic_counter', 'frame_offset', 'time_remaining', 'timer_paused',
                     'chips_remaining', 'bonus_points', 'state',
-                    'player1_move', 'player2_move', 'remaining_players', 'player',
+                    'player1_move', 'player2_move', 'remaining_players', 'player', 'player2',
             ]) {
                 this.pending_undo.level_props[key] = this[key];
             }
@@ -843,12 +1063,18 @@ export class Level extends LevelInterface {
         // Before decisions happen, remember the player's /current/ direction, which may be affected
         // by sliding.  This will be used by doppelgängers earlier in actor order than the player.
         if (! forced_only) {
-            // Check whether the player is /attempting/ to move: either they did, or they're blocked
-            if (this.player.movement_cooldown > 0 || this.player.is_blocked) {
-                this.remember_player_move(this.player.direction);
-            }
-            else {
-                this.remember_player_move(null);
+            for (let player of [this.player, this.player2]) {
+                // Co-op's second player might have exited, in which case forget about them
+                if (player === this.player2 && ! (player && player.cell && player.type.is_real_player))
+                    continue;
+                // Check whether the player is /attempting/ to move: either they did, or they're
+                // blocked
+                if (player.movement_cooldown > 0 || player.is_blocked) {
+                    this.remember_player_move(player, player.direction);
+                }
+                else {
+                    this.remember_player_move(player, null);
+                }
             }
         }
 
@@ -888,7 +1114,12 @@ export class Level extends LevelInterface {
                 }
             }
 
-            if (actor === this.player) {
+            // Check player 2 first: in co-op, if player 1 exits first, player 2 becomes the
+            // current player but should still only listen to their own input
+            if (actor === this.player2) {
+                this.make_player_decision(actor, this.p2_input, forced_only);
+            }
+            else if (actor === this.player) {
                 this.make_player_decision(actor, this.p1_input, forced_only);
             }
             else {
@@ -1379,18 +1610,20 @@ export class Level extends LevelInterface {
         // FIXME cc2 seems to rely on key repeat for this; if you have four bowling balls and hold
         // Q, you'll throw the first, wait a second or so, then release the rest rapid-fire.  absurd
         if (! forced_only) {
-            let new_input = input & this.p1_released;
+            let released_prop = actor === this.player2 ? 'p2_released' : 'p1_released';
+            let new_input = input & this[released_prop];
             if (new_input & INPUT_BITS.cycle) {
-                this.cycle_inventory(this.player);
-                this.p1_released &= ~INPUT_BITS.cycle;
+                this.cycle_inventory(actor);
+                this[released_prop] &= ~INPUT_BITS.cycle;
             }
             if ((new_input & INPUT_BITS.drop) && may_move) {
-                if (this.drop_item(this.player)) {
+                if (this.drop_item(actor)) {
                     this.sfx.play_once('drop');
                 }
-                this.p1_released &= ~INPUT_BITS.drop;
+                this[released_prop] &= ~INPUT_BITS.drop;
             }
-            if ((new_input & INPUT_BITS.swap) && this.remaining_players > 1) {
+            // Co-op players each have their own body and can't swap
+            if ((new_input & INPUT_BITS.swap) && this.remaining_players > 1 && ! this.coop) {
                 // This is delayed until the end of the tic to avoid screwing up anything
                 // checking this.player
                 this.swap_player1 = true;
@@ -1472,7 +1705,7 @@ export class Level extends LevelInterface {
         }
 
         // Remember our decision so doppelgängers can copy it
-        this.remember_player_move(actor.decision);
+        this.remember_player_move(actor, actor.decision);
     }
 
     make_actor_decision(actor, forced_only = false) {
@@ -2140,13 +2373,19 @@ export class Level extends LevelInterface {
         }
     }
 
-    remember_player_move(direction) {
-        if (this.player.type.name === 'player') {
+    remember_player_move(player, direction) {
+        // Normally only one player is ever moving, so the other one's doppelgängers stand still; in
+        // co-op, both can be moving at once
+        if (player.type.name === 'player') {
             this.player1_move = direction;
-            this.player2_move = null;
+            if (! this.coop) {
+                this.player2_move = null;
+            }
         }
         else {
-            this.player1_move = null;
+            if (! this.coop) {
+                this.player1_move = null;
+            }
             this.player2_move = direction;
         }
     }
@@ -2503,6 +2742,113 @@ export class Level extends LevelInterface {
         }
     }
 
+    _clear_undo() {
+        for (let i = 0; i < UNDO_BUFFER_SIZE; i++) {
+            this.undo_buffer[i] = null;
+        }
+        this.undo_buffer_index = 0;
+        this.pending_undo = this.create_undo_entry();
+    }
+
+    // Snapshots --------------------------------------------------------------------------------------
+    // A snapshot is a complete, independent copy of the level's state, which can be restored later to
+    // jump straight back to that moment.  They don't include undo history, which is full of closures
+    // over the original tiles, so restoring one also clears the undo buffer.
+
+    create_snapshot() {
+        return _copy_state(this._snapshot_props(), new Map);
+    }
+
+    restore_snapshot(snapshot) {
+        // Copy it again, so the same snapshot can be restored more than once
+        this._restore_props(_copy_state(snapshot, new Map));
+    }
+
+    _restore_props(props) {
+        // Forget anything that didn't exist yet when the state was saved
+        for (let key of Object.keys(this._snapshot_props())) {
+            if (! (key in props)) {
+                delete this[key];
+            }
+        }
+        Object.assign(this, props);
+        this._clear_undo();
+    }
+
+    _snapshot_props() {
+        let props = {};
+        for (let [key, value] of Object.entries(this)) {
+            if (! SNAPSHOT_IGNORED_PROPS.has(key)) {
+                props[key] = value;
+            }
+        }
+        return props;
+    }
+
+    // Savestates -------------------------------------------------------------------------------------
+    // A savestate is a snapshot flattened into plain data that survives JSON.stringify, so it can
+    // outlive the page.  It only makes sense for the same level under the same compat flags, so it
+    // remembers those too, and refuses to load anywhere else.
+
+    serialize() {
+        let table = [];
+        let root = _encode_state(this._snapshot_props(), table, new Map);
+        return {
+            version: SAVESTATE_VERSION,
+            level: this._savestate_identity(),
+            compat: {...this.compat},
+            // Not needed, but handy for showing what a savestate is without decoding it
+            tic_counter: this.tic_counter,
+            root,
+            table,
+        };
+    }
+
+    deserialize(data) {
+        if (! data || typeof data !== 'object' || ! Array.isArray(data.table))
+            throw new util.LLError("This doesn't look like a savestate");
+        if (data.version !== SAVESTATE_VERSION)
+            throw new util.LLError(`Don't know how to load a version ${data.version} savestate`);
+
+        let identity = this._savestate_identity();
+        for (let [key, value] of Object.entries(identity)) {
+            if (data.level?.[key] !== value)
+                throw new util.LLError(`This savestate is for a different level (${data.level?.title ?? "untitled"})`);
+        }
+        let compat = data.compat ?? {};
+        for (let key of new Set([...Object.keys(compat), ...Object.keys(this.compat)])) {
+            if (!! compat[key] !== !! this.compat[key])
+                throw new util.LLError(`This savestate was made with different compat settings (${key})`);
+        }
+
+        let objects = _decode_table(data.table);
+        let props = _decode_state(data.root, objects);
+        if (! props || typeof props !== 'object')
+            throw new util.LLError("This savestate is empty");
+        // Make sure the bare bones are there before clobbering the level with it
+        if (Object.getPrototypeOf(props) !== Object.prototype)
+            throw _bad_savestate("not a level");
+        if (! Array.isArray(props.linear_cells) || props.linear_cells.length !== this.size_x * this.size_y ||
+            ! props.linear_cells.every(cell => cell instanceof Cell))
+        {
+            throw _bad_savestate("bad cells");
+        }
+        if (! Array.isArray(props.actors) || ! props.actors.every(actor => actor instanceof Tile))
+            throw _bad_savestate("bad actors");
+        if (! Number.isInteger(props.tic_counter))
+            throw _bad_savestate("bad clock");
+        this._restore_props(props);
+    }
+
+    _savestate_identity() {
+        return {
+            number: this.stored_level.number,
+            title: this.stored_level.title,
+            size_x: this.size_x,
+            size_y: this.size_y,
+        };
+    }
+
     // Level alteration -------------------------------------------------------------------------------
     // EVERYTHING that changes the state of a level, including the state of a single tile, should do
     // it through one of these for undo/rewind purposes
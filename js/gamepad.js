@@ -0,0 +1,353 @@
+// Gamepad support, via the Gamepad API.  There are no events for gamepad input, so the conductor
+// polls every frame while a gamepad is connected, and hands the results to whatever's on screen.
+// Movement is always the D-pad or the left stick; everything else can be rebound from the options
+// dialog.  Only pads with the "standard" mapping have reliable button numbers, but that's nearly all
+// of them these days, and the rest can still be bound by pressing buttons.
+
+// Names for the buttons in the standard mapping, using Xbox-ish names since that's what most pads
+// look like; see https://w3c.github.io/gamepad/#remapping
+const STANDARD_BUTTON_NAMES = [
+    "A", "B", "X", "Y",
+    "LB", "RB", "LT", "RT",
+    "Select", "Start",
+    "L3", "R3",
+    "D-pad ↑", "D-pad ↓", "D-pad ←", "D-pad →",
+    "Home",
+];
+
+// The D-pad in the standard mapping; these always move, and can't be bound to anything else
+export const DPAD_BUTTONS = {
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right',
+};
+// Menus are always navigated with these, regardless of bindings
+const MENU_CONFIRM_BUTTON = 0;
+const MENU_BACK_BUTTON = 1;
+
+export const GAMEPAD_ACTIONS = [
+    {name: 'wait', label: "Wait / start"},
+    {name: 'drop', label: "Drop item"},
+    {name: 'cycle', label: "Cycle items"},
+    {name: 'swap', label: "Switch players"},
+    {name: 'pause', label: "Pause"},
+    {name: 'restart', label: "Restart (hold)"},
+    {name: 'undo', label: "Undo last move"},
+    {name: 'rewind', label: "Rewind (hold)"},
+    {name: 'describe', label: "Describe surroundings"},
+];
+
+export const DEFAULT_GAMEPAD_BUTTONS = {
+    wait: [0],
+    drop: [2],
+    cycle: [3],
+    swap: [1],
+    pause: [9],
+    restart: [8],
+    undo: [4],
+    rewind: [6],
+    describe: [5],
+};
+
+export const DEFAULT_DEAD_ZONE = 0.3;
+
+// The stick counts as pointing diagonally if it's within 22.5° of a diagonal, i.e. if the smaller
+// axis is at least tan(22.5°) of the larger one
+const DIAGONAL_RATIO = Math.tan(Math.PI / 8);
+
+// How long a direction has to be held before it starts repeating in menus, and then how often it
+// repeats, in ms
+const MENU_REPEAT_DELAY = 400;
+const MENU_REPEAT_RATE = 120;
+
+export function describe_button(index) {
+    return STANDARD_BUTTON_NAMES[index] ?? `Button ${index}`;
+}
+
+export class GamepadBindings {
+    // options is the stored form, i.e. what to_options() returns, or null for the defaults
+    constructor(options = null) {
+        this.dead_zone = options && typeof options.dead_zone === 'number' ? options.dead_zone : DEFAULT_DEAD_ZONE;
+        this.buttons = {};
+        for (let action of GAMEPAD_ACTIONS) {
+            let buttons = (options && options.buttons && options.buttons[action.name]) ??
+                DEFAULT_GAMEPAD_BUTTONS[action.name];
+            this.buttons[action.name] = [...buttons];
+        }
+        this.rebuild();
+    }
+
+    to_options() {
+        return {
+            dead_zone: this.dead_zone,
+            buttons: this.buttons,
+        };
+    }
+
+    // Must be called after changing the bindings
+    rebuild() {
+        this.lookup = new Map;
+        for (let [name, buttons] of Object.entries(this.buttons)) {
+            for (let button of buttons) {
+                let actions = this.lookup.get(button);
+                if (! actions) {
+                    actions = [];
+                    this.lookup.set(button, actions);
+                }
+                actions.push(name);
+            }
+        }
+    }
+
+    // Returns the names of every action bound to this button, which may be empty
+    actions_for(button) {
+        return this.lookup.get(button) ?? [];
+    }
+
+    add_binding(name, button) {
+        if (DPAD_BUTTONS[button] || this.buttons[name].includes(button))
+            return;
+        this.buttons[name].push(button);
+        this.rebuild();
+    }
+
+    remove_binding(name, index) {
+        this.buttons[name].splice(index, 1);
+        this.rebuild();
+    }
+
+    reset() {
+        this.dead_zone = DEFAULT_DEAD_ZONE;
+        for (let action of GAMEPAD_ACTIONS) {
+            this.buttons[action.name] = [...DEFAULT_GAMEPAD_BUTTONS[action.name]];
+        }
+        this.rebuild();
+    }
+
+    // Returns a list of [button, action names] for every button bound to more than one thing
+    find_conflicts() {
+        let conflicts = [];
+        for (let [button, names] of this.lookup) {
+            if (names.length > 1) {
+                conflicts.push([button, names]);
+            }
+        }
+        return conflicts;
+    }
+
+    // Name of the first button bound to an action, or null if there aren't any
+    describe_action(name) {
+        let button = this.buttons[name][0];
+        return button === undefined ? null : describe_button(button);
+    }
+}
+
+// Reads every connected gamepad, and keeps track of what changed since the last poll.  All the pads
+// are lumped together, as though they were one big pad -- except in co-op, when the second pad
+// gets split off to control player 2.
+export class GamepadPoller {
+    constructor() {
+        this.buttons = new Set;
+        this.directions = new Set;
+        // direction => timestamp of its next repeat, for menus
+        this.direction_repeats = new Map;
+        // Held buttons and directions on the second pad, when it's split off for co-op
+        this.p2_buttons = new Set;
+        this.p2_directions = new Set;
+    }
+
+    // Read the held buttons and directions from one pad into the given sets
+    _read_pad(pad, dead_zone, buttons, directions) {
+        for (let [i, button] of pad.buttons.entries()) {
+            if (button.pressed) {
+                if (DPAD_BUTTONS[i] && pad.mapping === 'standard') {
+                    directions.add(DPAD_BUTTONS[i]);
+                }
+                else {
+                    buttons.add(i);
+                }
+            }
+        }
+
+        // Left stick, with a radial dead zone
+        if (pad.axes.length >= 2) {
+            let [x, y] = pad.axes;
+            if (Math.hypot(x, y) > dead_zone) {
+                if (Math.abs(x) > Math.abs(y) * DIAGONAL_RATIO) {
+                    directions.add(x < 0 ? 'left' : 'right');
+                }
+                if (Math.abs(y) > Math.abs(x) * DIAGONAL_RATIO) {
+                    directions.add(y < 0 ? 'up' : 'down');
+                }
+            }
+        }
+    }
+
+    // Returns an object describing the current state:
+    //   connected: whether there are any pads at all
+    //   buttons, pressed, released: sets of button indices held now, newly held, and newly let go
+    //   directions, new_directions: sets of held and newly held directions ('up', 'down', etc.)
+    //   menu_directions: like new_directions, but also repeating while held, for menu navigation
+    //   player2: only if split is true and there are at least two pads; the second pad's state, with
+    //     only buttons, pressed, directions, and new_directions.  It's left out of everything else
+    poll(dead_zone, now = performance.now(), split = false) {
+        let buttons = new Set;
+        let directions = new Set;
+        let p2_buttons = new Set;
+        let p2_directions = new Set;
+        // Chrome fills the array with nulls
+        let pads = [...navigator.getGamepads()].filter(pad => pad && pad.connected);
+        let connected = pads.length > 0;
+        split = split && pads.length >= 2;
+        for (let [i, pad] of pads.entries()) {
+            if (split && i === 1) {
+                this._read_pad(pad, dead_zone, p2_buttons, p2_directions);
+            }
+            else {
+                this._read_pad(pad, dead_zone, buttons, directions);
+            }
+        }
+
+        let state = {
+            connected,
+            buttons,
+            pressed: new Set([...buttons].filter(i => ! this.buttons.has(i))),
+            released: new Set([...this.buttons].filter(i => ! buttons.has(i))),
+            directions,
+            new_directions: new Set([...directions].filter(d => ! this.directions.has(d))),
+            menu_directions: new Set,
+            player2: null,
+        };
+        if (split) {
+            state.player2 = {
+                buttons: p2_buttons,
+                pressed: new Set([...p2_buttons].filter(i => ! this.p2_buttons.has(i))),
+                directions: p2_directions,
+                new_directions: new Set([...p2_directions].filter(d => ! this.p2_directions.has(d))),
+            };
+        }
+
+        for (let direction of directions) {
+            let next_repeat = this.direction_repeats.get(direction);
+            if (next_repeat === undefined) {
+                state.menu_directions.add(direction);
+                this.direction_repeats.set(direction, now + MENU_REPEAT_DELAY);
+            }
+            else if (now >= next_repeat) {
+                state.menu_directions.add(direction);
+                this.direction_repeats.set(direction, now + MENU_REPEAT_RATE);
+            }
+        }
+        for (let direction of this.direction_repeats.keys()) {
+            if (! directions.has(direction)) {
+                this.direction_repeats.delete(direction);
+            }
+        }
+
+        this.buttons = buttons;
+        this.directions = directions;
+        this.p2_buttons = p2_buttons;
+        this.p2_directions = p2_directions;
+        return state;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Menu navigation, by moving focus around spatially
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type=hidden])',
+    'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]',
+].join(', ');
+
+function is_visible(el) {
+    return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+}
+
+// Move the focus to the nearest focusable element in the given direction, within scope.  If nothing
+// in the scope has focus yet, focus the first thing instead
+export function navigate_focus(scope, direction) {
+    let candidates = [...scope.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el =>
+        el.tabIndex >= -1 && ! el.closest('[hidden]') && is_visible(el));
+    if (candidates.length === 0)
+        return;
+
+    let current = document.activeElement;
+    if (! current || current === scope || ! scope.contains(current)) {
+        candidates[0].focus();
+        return;
+    }
+
+    let from = current.getBoundingClientRect();
+    let from_x = from.left + from.width / 2;
+    let from_y = from.top + from.height / 2;
+    let best = null;
+    let best_score = Infinity;
+    for (let el of candidates) {
+        // Don't bother with anything containing the current element, like the table row around a
+        // button, or it'll hog the focus
+        if (el === current || el.contains(current) || current.contains(el))
+            continue;
+
+        let rect = el.getBoundingClientRect();
+        let dx = rect.left + rect.width / 2 - from_x;
+        let dy = rect.top + rect.height / 2 - from_y;
+        let along, across;
+        if (direction === 'up' || direction === 'down') {
+            along = direction === 'up' ? -dy : dy;
+            across = dx;
+        }
+        else {
+            along = direction === 'left' ? -dx : dx;
+            across = dy;
+        }
+        if (along <= 0)
+            continue;
+
+        // Prefer things that are lined up with us over things that are merely close
+        let score = along + Math.abs(across) * 2;
+        if (score < best_score) {
+            best = el;
+            best_score = score;
+        }
+    }
+
+    if (best) {
+        best.focus();
+        best.scrollIntoView({block: 'nearest', inline: 'nearest'});
+    }
+}
+
+// Handle a poll's worth of gamepad input as menu navigation within scope: directions move the focus
+// (or nudge a focused slider), A activates whatever's focused, and B calls on_back
+export function navigate_menu(scope, state, on_back) {
+    let current = document.activeElement;
+    for (let direction of state.menu_directions) {
+        if (current instanceof HTMLInputElement && current.type === 'range' && scope.contains(current) &&
+            (direction === 'left' || direction === 'right'))
+        {
+            if (direction === 'left') {
+                current.stepDown();
+            }
+            else {
+                current.stepUp();
+            }
+            current.dispatchEvent(new Event('input', {bubbles: true}));
+            current.dispatchEvent(new Event('change', {bubbles: true}));
+        }
+        else {
+            navigate_focus(scope, direction);
+        }
+    }
+
+    if (state.pressed.has(MENU_CONFIRM_BUTTON)) {
+        current = document.activeElement;
+        if (current && current !== scope && scope.contains(current)) {
+            current.click();
+        }
+    }
+    if (state.pressed.has(MENU_BACK_BUTTON) && on_back) {
+        on_back();
+    }
+}
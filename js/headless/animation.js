@@ -0,0 +1,412 @@
+// Minimal encoders for animated images.  Both take frames one at a time as RGBA pixel data (e.g.
+// from getImageData), so we never have to hold an entire uncompressed animation in memory, and
+// both merge identical consecutive frames into one longer frame.
+import * as fflate from '../vendor/fflate.js';
+
+function frames_equal(a, b) {
+    if (! a || a.length !== b.length)
+        return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i])
+            return false;
+    }
+    return true;
+}
+
+// Grows as necessary; easier than computing sizes up front
+class ByteWriter {
+    constructor(size = 65536) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+
+    _reserve(n) {
+        if (this.length + n <= this.bytes.length)
+            return;
+        let bigger = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+        bigger.set(this.bytes.subarray(0, this.length));
+        this.bytes = bigger;
+    }
+
+    u8(value) {
+        this._reserve(1);
+        this.bytes[this.length] = value;
+        this.length += 1;
+    }
+
+    // GIF is little-endian...
+    u16le(value) {
+        this.u8(value & 0xff);
+        this.u8((value >> 8) & 0xff);
+    }
+
+    // ...and PNG is big-endian
+    u16be(value) {
+        this.u8((value >> 8) & 0xff);
+        this.u8(value & 0xff);
+    }
+
+    u32be(value) {
+        this.u16be((value >>> 16) & 0xffff);
+        this.u16be(value & 0xffff);
+    }
+
+    append(bytes) {
+        this._reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    ascii(string) {
+        for (let i = 0; i < string.length; i++) {
+            this.u8(string.charCodeAt(i));
+        }
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+
+// -------------------------------------------------------------------------------------------------
+// APNG
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+function crc32(bytes, start, end) {
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+export class APNGEncoder {
+    // Each frame lasts delay_num / delay_den seconds
+    constructor(width, height, delay_num, delay_den) {
+        this.width = width;
+        this.height = height;
+        this.delay_num = delay_num;
+        this.delay_den = delay_den;
+        // List of [compressed image data, number of frames it lasts]
+        this.frames = [];
+        this.previous_rgba = null;
+    }
+
+    add_frame(rgba) {
+        if (frames_equal(this.previous_rgba, rgba)) {
+            this.frames[this.frames.length - 1][1] += 1;
+            return;
+        }
+        this.previous_rgba = Uint8Array.from(rgba);
+
+        // Every scanline is prefixed by its filter type.  Use the "up" filter, since tiles tend to
+        // be vertically repetitive, which makes it compress much better than nothing at all
+        let stride = this.width * 4;
+        let raw = new Uint8Array((stride + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            let row = y * (stride + 1);
+            raw[row] = 2;
+            for (let x = 0; x < stride; x++) {
+                let i = y * stride + x;
+                raw[row + 1 + x] = y === 0 ? rgba[i] : (rgba[i] - rgba[i - stride]) & 0xff;
+            }
+        }
+        this.frames.push([fflate.zlibSync(raw, { level: 6 }), 1]);
+    }
+
+    _chunk(writer, type, data) {
+        writer.u32be(data.length);
+        let start = writer.length;
+        writer.ascii(type);
+        writer.append(data);
+        writer.u32be(crc32(writer.bytes, start, writer.length));
+    }
+
+    finish(hold_last_frame = 0) {
+        if (this.frames.length === 0)
+            throw new Error("Can't make an animation with no frames");
+        this.frames[this.frames.length - 1][1] += hold_last_frame;
+
+        let writer = new ByteWriter;
+        writer.append([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        let chunk = new ByteWriter(32);
+        chunk.u32be(this.width);
+        chunk.u32be(this.height);
+        // 8-bit RGBA, default compression, default filtering, no interlacing
+        chunk.append([8, 6, 0, 0, 0]);
+        this._chunk(writer, 'IHDR', chunk.finish());
+
+        // A frame's delay is only 16 bits, so a long enough hold (like a replay sitting still for a
+        // while) has to be split across several copies of the same frame
+        let max_duration = Math.max(1, Math.floor(0xffff / this.delay_num));
+        let frames = [];
+        for (let [data, duration] of this.frames) {
+            for (; duration > max_duration; duration -= max_duration) {
+                frames.push([data, max_duration]);
+            }
+            frames.push([data, duration]);
+        }
+
+        chunk = new ByteWriter(8);
+        chunk.u32be(frames.length);
+        // Loop forever
+        chunk.u32be(0);
+        this._chunk(writer, 'acTL', chunk.finish());
+
+        let sequence = 0;
+        for (let [i, [data, duration]] of frames.entries()) {
+            chunk = new ByteWriter(26);
+            chunk.u32be(sequence);
+            sequence += 1;
+            chunk.u32be(this.width);
+            chunk.u32be(this.height);
+            chunk.u32be(0);
+            chunk.u32be(0);
+            chunk.u16be(this.delay_num * duration);
+            chunk.u16be(this.delay_den);
+            // Don't dispose, and replace rather than blending
+            chunk.append([0, 0]);
+            this._chunk(writer, 'fcTL', chunk.finish());
+
+            // The first frame doubles as the regular PNG image, for viewers that don't know APNG
+            if (i === 0) {
+                this._chunk(writer, 'IDAT', data);
+            }
+            else {
+                chunk = new ByteWriter(data.length + 4);
+                chunk.u32be(sequence);
+                sequence += 1;
+                chunk.append(data);
+                this._chunk(writer, 'fdAT', chunk.finish());
+            }
+        }
+
+        this._chunk(writer, 'IEND', new Uint8Array(0));
+        return writer.finish();
+    }
+}
+
+
+// -------------------------------------------------------------------------------------------------
+// GIF
+
+// Pick a palette of up to 256 colors for a frame, using the popularity algorithm on 15-bit color.
+// It's not great, but tilesets are mostly flat colors, so it's not bad either.  Transparent pixels
+// are treated as black.
+function quantize(rgba) {
+    let counts = new Uint32Array(32768);
+    let sums = new Float64Array(32768 * 3);
+    let keys = new Uint16Array(rgba.length / 4);
+    for (let p = 0, i = 0; i < rgba.length; p++, i += 4) {
+        let a = rgba[i + 3];
+        let r = rgba[i] * a / 255;
+        let g = rgba[i + 1] * a / 255;
+        let b = rgba[i + 2] * a / 255;
+        let key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        keys[p] = key;
+        counts[key] += 1;
+        sums[key * 3] += r;
+        sums[key * 3 + 1] += g;
+        sums[key * 3 + 2] += b;
+    }
+
+    let used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) {
+            used.push(key);
+        }
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+    used.length = Math.min(used.length, 256);
+
+    let palette = new Uint8Array(256 * 3);
+    for (let [n, key] of used.entries()) {
+        palette[n * 3] = Math.round(sums[key * 3] / counts[key]);
+        palette[n * 3 + 1] = Math.round(sums[key * 3 + 1] / counts[key]);
+        palette[n * 3 + 2] = Math.round(sums[key * 3 + 2] / counts[key]);
+    }
+
+    // Map each bucket to its nearest palette entry, lazily
+    let mapping = new Int16Array(32768).fill(-1);
+    let indices = new Uint8Array(keys.length);
+    for (let p = 0; p < keys.length; p++) {
+        let key = keys[p];
+        if (mapping[key] < 0) {
+            let r = (key >> 10) << 3;
+            let g = ((key >> 5) & 31) << 3;
+            let b = (key & 31) << 3;
+            let best = 0;
+            let best_distance = Infinity;
+            for (let n = 0; n < used.length; n++) {
+                let dr = palette[n * 3] - r;
+                let dg = palette[n * 3 + 1] - g;
+                let db = palette[n * 3 + 2] - b;
+                let distance = dr * dr + dg * dg + db * db;
+                if (distance < best_distance) {
+                    best = n;
+                    best_distance = distance;
+                }
+            }
+            mapping[key] = best;
+        }
+        indices[p] = mapping[key];
+    }
+
+    return [palette, indices];
+}
+
+// GIF's variant of LZW, with 8-bit symbols, packed LSB-first
+function lzw_encode(indices) {
+    let writer = new ByteWriter(indices.length);
+    let clear_code = 256;
+    let end_code = 257;
+    let bit_buffer = 0;
+    let bit_count = 0;
+    let code_size = 9;
+    let next_code = 258;
+    let dictionary = new Map;
+    let emit = code => {
+        bit_buffer |= code << bit_count;
+        bit_count += code_size;
+        while (bit_count >= 8) {
+            writer.u8(bit_buffer & 0xff);
+            bit_buffer >>>= 8;
+            bit_count -= 8;
+        }
+    };
+
+    emit(clear_code);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        let symbol = indices[i];
+        let key = (prefix << 8) | symbol;
+        let code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (next_code === 4096) {
+            // Dictionary is full, so start over
+            emit(clear_code);
+            dictionary.clear();
+            code_size = 9;
+            next_code = 258;
+        }
+        else {
+            dictionary.set(key, next_code);
+            // The decoder lags a code behind us, so bump the size once the code we just added
+            // no longer fits
+            if (next_code === (1 << code_size)) {
+                code_size += 1;
+            }
+            next_code += 1;
+        }
+        prefix = symbol;
+    }
+    emit(prefix);
+    emit(end_code);
+    if (bit_count > 0) {
+        writer.u8(bit_buffer & 0xff);
+    }
+    return writer.finish();
+}
+
+export class GIFEncoder {
+    // Each frame lasts delay seconds, though GIF can only actually do hundredths of a second, so
+    // frame delays are rounded in a way that keeps the total duration accurate
+    constructor(width, height, delay) {
+        this.width = width;
+        this.height = height;
+        this.delay = delay;
+        // List of [palette, compressed indices, number of frames it lasts]
+        this.frames = [];
+        this.previous_rgba = null;
+    }
+
+    add_frame(rgba) {
+        if (frames_equal(this.previous_rgba, rgba)) {
+            this.frames[this.frames.length - 1][2] += 1;
+            return;
+        }
+        this.previous_rgba = Uint8Array.from(rgba);
+
+        let [palette, indices] = quantize(rgba);
+        this.frames.push([palette, lzw_encode(indices), 1]);
+    }
+
+    finish(hold_last_frame = 0) {
+        if (this.frames.length === 0)
+            throw new Error("Can't make an animation with no frames");
+        this.frames[this.frames.length - 1][2] += hold_last_frame;
+
+        let writer = new ByteWriter;
+        writer.ascii('GIF89a');
+        writer.u16le(this.width);
+        writer.u16le(this.height);
+        // No global color table, background color 0, no aspect ratio
+        writer.append([0x00, 0, 0]);
+
+        // Loop forever
+        writer.append([0x21, 0xff, 11]);
+        writer.ascii('NETSCAPE2.0');
+        writer.append([3, 1]);
+        writer.u16le(0);
+        writer.u8(0);
+
+        // Same problem as APNG: the delay is only 16 bits, so long holds are split up
+        let max_duration = Math.max(1, Math.floor(0xffff / (this.delay * 100)) - 1);
+        let frames = [];
+        for (let [palette, data, duration] of this.frames) {
+            for (; duration > max_duration; duration -= max_duration) {
+                frames.push([palette, data, max_duration]);
+            }
+            frames.push([palette, data, duration]);
+        }
+
+        let elapsed_frames = 0;
+        let elapsed_cs = 0;
+        for (let [palette, data, duration] of frames) {
+            elapsed_frames += duration;
+            let end_cs = Math.round(elapsed_frames * this.delay * 100);
+            let delay_cs = end_cs - elapsed_cs;
+            elapsed_cs = end_cs;
+
+            // Graphic control extension: no disposal, no transparency
+            writer.append([0x21, 0xf9, 4, 0x00]);
+            writer.u16le(delay_cs);
+            writer.append([0, 0]);
+
+            // Image descriptor, with a 256-color local color table
+            writer.u8(0x2c);
+            writer.u16le(0);
+            writer.u16le(0);
+            writer.u16le(this.width);
+            writer.u16le(this.height);
+            writer.u8(0x87);
+            writer.append(palette);
+
+            // Image data, in blocks of at most 255 bytes
+            writer.u8(8);
+            for (let i = 0; i < data.length; i += 255) {
+                let block = data.subarray(i, i + 255);
+                writer.u8(block.length);
+                writer.append(block);
+            }
+            writer.u8(0);
+        }
+
+        writer.u8(0x3b);
+        return writer.finish();
+    }
+}
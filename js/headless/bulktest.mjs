@@ -1,23 +1,16 @@
-import { readFile, stat } from 'fs/promises';
+import { readFile } from 'fs/promises';
 import { performance } from 'perf_hooks';
-import { argv, exit, stderr, stdout } from 'process';
+import process, { argv, exit, stderr, stdout } from 'process';
 import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 
-import { compat_flags_for_ruleset } from '../defs.js';
+import { COMPAT_RULESET_ORDER, compat_flags_for_ruleset } from '../defs.js';
 import { Level } from '../game.js';
-import * as format_c2g from '../format-c2g.js';
-import * as format_dat from '../format-dat.js';
-import * as format_tws from '../format-tws.js';
 import * as util from '../util.js';
-import { LocalDirectorySource } from './lib.js';
+import { ArgParseError, load_pack as lib_load_pack, parse_level_range } from './lib.js';
 
 // TODO arguments:
-// - custom pack to test, possibly its solutions, possibly its ruleset (or default to steam-strict/lynx)
-// - filter existing packs
 // - verbose: ?
 // - quiet: hide failure reasons
-// - support for xfails somehow?
-// TODO use this for a test suite
 
 
 function pad(s, n) {
@@ -58,7 +51,18 @@ const RESULT_TYPES = {
         color: "\x1b[95m",
         symbol: "X",
     },
+    // A failure listed in the expected failures file, so it counts as a pass
+    xfail: {
+        color: "\x1b[32m",
+        symbol: "x",
+    },
+    // A level listed in the expected failures file that passed anyway, so it counts as a failure
+    xpass: {
+        color: "\x1b[93m",
+        symbol: "!",
+    },
 };
+const PASSING_RESULT_TYPES = new Set(['success', 'early', 'xfail']);
 const ANSI_RESET = "\x1b[39m";
 function ansi_cursor_move(dx, dy) {
     if (dx > 0) {
@@ -124,14 +128,13 @@ function test_level(stored_level, compat) {
     };
 
     let replay = stored_level.replay;
-    level = new Level(stored_level, compat);
+    level = new Level(stored_level, compat, replay.is_coop);
     level.sfx = dummy_sfx;
     level.undo_enabled = false; // slight performance boost
     replay.configure_level(level);
 
     while (true) {
-        let input = replay.get(level.tic_counter);
-        level.advance_tic(input);
+        level.advance_tic(replay.get(level.tic_counter), replay.get(level.tic_counter, 2));
 
         if (level.state === 'success') {
             if (level.tic_counter < replay.duration - 10) {
@@ -206,78 +209,60 @@ function test_level_wrapper(pack, level_index, level_filter, compat) {
         }
     }
     result.level_index = level_index;
-    result.time_expected = stored_level && stored_level.has_replay ? stored_level.replay.duration / 20 : null;
+    result.number = level_index + 1;
+    result.tics_expected = stored_level && stored_level.has_replay ? stored_level.replay.duration : null;
+    result.time_expected = result.tics_expected === null ? null : result.tics_expected / 20;
     result.title = stored_level ? stored_level.title : "[load error]";
+    // Speed relative to real time, i.e. how many seconds of game we got through per second
+    result.speed = result.time_simulated && result.time_elapsed ?
+        result.time_simulated / (result.time_elapsed / 1000) : null;
+    if (result.exception) {
+        // Errors don't survive being sent back from a worker very well
+        result.exception = String(result.exception);
+    }
     return result;
 }
 
-async function _scan_source(source) {
-    // FIXME copied wholesale from Splash.search_multi_source; need a real filesystem + searching api!
-
-    // TODO not entiiirely kosher, but not sure if we should have an api for this or what
-    if (source._loaded_promise) {
-        await source._loaded_promise;
-    }
-
-    let paths = Object.keys(source.files);
-    // TODO should handle having multiple candidates, but this is good enough for now
-    paths.sort((a, b) => a.length - b.length);
-    for (let path of paths) {
-        let m = path.match(/[.]([^./]+)$/);
-        if (! m)
+// Expected failures file: one level number per line, optionally followed by the specific result
+// type that's expected (e.g. 'failure' or 'short'); anything after a # is a comment
+function parse_expected_failures(text, path) {
+    let xfails = new Map;
+    for (let [i, line] of text.split(/\r?\n/).entries()) {
+        line = line.replace(/#.*/, '').trim();
+        if (! line)
             continue;
 
-        let ext = m[1];
-        // TODO this can't load an individual c2m, hmmm
-        if (ext === 'c2g') {
-            let buf = await source.get(path);
-            //await this.conductor.parse_and_load_game(buf, source, path);
-            // FIXME and this is from parse_and_load_game!!
-            let dir;
-            if (! path.match(/[/]/)) {
-                dir = '';
-            }
-            else {
-                dir = path.replace(/[/][^/]+$/, '');
-            }
-            return await format_c2g.parse_game(buf, source, dir);
-        }
+        let m = line.match(/^(\d+)(?:\s+(\S+))?$/);
+        if (! m)
+            throw new Error(`${path}:${i + 1}: Bad syntax in expected failures file: ${line}`);
+        let type = m[2] ?? null;
+        if (type !== null && (! RESULT_TYPES[type] || PASSING_RESULT_TYPES.has(type)))
+            throw new Error(`${path}:${i + 1}: Not a failing result type: ${type}`);
+        xfails.set(parseInt(m[1], 10), type);
     }
-    // TODO else...?  complain we couldn't find anything?  list what we did find??  idk
+    return xfails;
 }
 
-async function load_pack(testdef) {
-    let pack;
-    if ((await stat(testdef.pack_path)).isDirectory()) {
-        let source = new LocalDirectorySource(testdef.pack_path);
-        pack = await _scan_source(source);
-    }
-    else {
-        let pack_data = await readFile(testdef.pack_path);
-        if (testdef.pack_path.match(/[.]zip$/)) {
-            let source = new util.ZipFileSource(pack_data.buffer);
-            pack = await _scan_source(source);
-        }
-        else {
-            pack = format_dat.parse_game(pack_data.buffer);
-
-            let solutions_data = await readFile(testdef.solutions_path);
-            let solutions = format_tws.parse_solutions(solutions_data.buffer);
-            pack.level_replays = solutions.levels;
-        }
+function apply_expected_failures(result, xfails) {
+    if (! xfails || ! xfails.has(result.number))
+        return;
+    if (result.type === 'skipped' || result.type === 'no-replay')
+        return;
+
+    let expected_type = xfails.get(result.number);
+    if (PASSING_RESULT_TYPES.has(result.type)) {
+        result.original_type = result.type;
+        result.type = 'xpass';
+        result.short_status = "Passed unexpectedly";
     }
-
-    if (! pack.title) {
-        let match = testdef.pack_path.match(/(?:^|\/)([^/.]+)(?:\..*)?\/?$/);
-        if (match) {
-            pack.title = match[1];
-        }
-        else {
-            pack.title = testdef.pack_path;
-        }
+    else if (expected_type === null || expected_type === result.type) {
+        result.original_type = result.type;
+        result.type = 'xfail';
     }
+}
 
-    return pack;
+async function load_pack(testdef) {
+    return await lib_load_pack(testdef.pack_path, testdef.solutions_path);
 }
 
 async function main_worker(testdef) {
@@ -343,11 +328,14 @@ async function* run_in_thread_pool(num_workers, worker_data, items) {
 }
 
 
-async function test_pack(testdef) {
+async function test_pack(testdef, display) {
     let pack = await load_pack(testdef);
     let ruleset = testdef.ruleset;
     let level_filter = testdef.level_filter;
-    let compat = compat_flags_for_ruleset(ruleset);
+    let xfails = null;
+    if (testdef.xfail_path) {
+        xfails = parse_expected_failures(await readFile(testdef.xfail_path, 'utf8'), testdef.xfail_path);
+    }
 
     let num_levels = pack.level_metadata.length;
     let columns = stdout.columns || 80;
@@ -355,30 +343,44 @@ async function test_pack(testdef) {
     let title_width = 20;
     let dots_per_row = columns - title_width - 1 - 1 - 9 - 1;
     // TODO factor out the common parts maybe?
-    stdout.write(pad(`${pack.title} (${ruleset})`, title_width) + " ");
+    if (display) {
+        stdout.write(pad(`${pack.title} (${ruleset})`, title_width) + " ");
+    }
     let indices = [];
+    let results = [];
     let num_dot_lines = 1;
     let previous_type = null;
     for (let i = 0; i < num_levels; i++) {
+        let type = (level_filter && ! level_filter.has(i + 1)) ? 'skipped' : 'pending';
+        if (type === 'pending') {
+            indices.push(i);
+        }
+        else {
+            results.push({
+                type, short_status: "Skipped", level_index: i, number: i + 1,
+                title: pack.level_metadata[i].title ?? "",
+            });
+        }
+
+        if (! display)
+            continue;
+
         if (i > 0 && i % dots_per_row === 0) {
             stdout.write("\n");
             stdout.write(" ".repeat(title_width + 1));
             num_dot_lines += 1;
         }
 
-        let type = (level_filter && ! level_filter.has(i)) ? 'skipped' : 'pending';
         if (type !== previous_type) {
             stdout.write(RESULT_TYPES[type].color);
         }
         stdout.write(RESULT_TYPES[type].symbol);
         previous_type = type;
-
-        if (type === 'pending') {
-            indices.push(i);
-        }
     }
-    ansi_cursor_move(0, -(num_dot_lines - 1));
-    stdout.write(`\x1b[${title_width + 2}G`);
+    if (display) {
+        ansi_cursor_move(0, -(num_dot_lines - 1));
+        stdout.write(`\x1b[${title_width + 2}G`);
+    }
 
     // We really really don't want to have only a single thread left running at the end on a single
     // remaining especially-long replay, so it would be nice to run the levels in reverse order of
@@ -388,19 +390,23 @@ async function test_pack(testdef) {
 
     let num_passed = 0;
     let num_missing = 0;
+    let num_failed = 0;
     let total_tics = 0;
     let t0 = performance.now();
-    let last_pause = t0;
     let failures = [];
-    let promises = [];
     for await (let result of run_in_thread_pool(4, testdef, indices)) {
         //let result = test_level_wrapper(pack, i, level_filter, compat);
-        let result_stuff = RESULT_TYPES[result.type];
-        let col = result.level_index % dots_per_row;
-        let row = Math.floor(result.level_index / dots_per_row);
-        ansi_cursor_move(col, row);
-        stdout.write(result_stuff.color + result_stuff.symbol);
-        ansi_cursor_move(-(col + 1), -row);
+        apply_expected_failures(result, xfails);
+        results.push(result);
+
+        if (display) {
+            let result_stuff = RESULT_TYPES[result.type];
+            let col = result.level_index % dots_per_row;
+            let row = Math.floor(result.level_index / dots_per_row);
+            ansi_cursor_move(col, row);
+            stdout.write(result_stuff.color + result_stuff.symbol);
+            ansi_cursor_move(-(col + 1), -row);
+        }
 
         if (result.tics_simulated) {
             total_tics += result.tics_simulated;
@@ -409,52 +415,147 @@ async function test_pack(testdef) {
         if (result.type === 'no-replay') {
             num_missing += 1;
         }
-        else if (result.type === 'success' || result.type === 'early') {
+        else if (PASSING_RESULT_TYPES.has(result.type)) {
             num_passed += 1;
         }
         else {
+            num_failed += 1;
             failures.push(result);
         }
     }
 
     let total_real_elapsed = (performance.now() - t0) / 1000;
+    results.sort((a, b) => a.level_index - b.level_index);
+
+    if (display) {
+        ansi_cursor_move(dots_per_row + 1, 0);
+        stdout.write(`${ANSI_RESET} ${num_passed}/${num_passed + num_failed}`);
+        ansi_cursor_move(0, num_dot_lines - 1);
+        stdout.write("\n");
+        failures.sort((a, b) => a.level_index - b.level_index);
+        for (let failure of failures) {
+            let short_status = failure.short_status;
+            if (failure.type === 'failure') {
+                short_status += ": ";
+                short_status += failure.fail_reason;
+            }
 
-    ansi_cursor_move(dots_per_row + 1, 0);
-    stdout.write(`${ANSI_RESET} ${num_passed}/${num_levels - num_missing}`);
-    ansi_cursor_move(0, num_dot_lines - 1);
-    stdout.write("\n");
-    failures.sort((a, b) => a.level_index - b.level_index);
-    for (let failure of failures) {
-        let short_status = failure.short_status;
-        if (failure.type === 'failure') {
-            short_status += ": ";
-            short_status += failure.fail_reason;
-        }
-
-        let parts = [
-            String(failure.level_index + 1).padStart(5),
-            pad(failure.title.replace(/[\r\n]+/, " "), 32),
-            RESULT_TYPES[failure.type].color + pad(short_status, 20) + ANSI_RESET,
-        ];
-        if (failure.time_simulated !== null) {
-            parts.push("ran for" + util.format_duration(failure.time_simulated).padStart(6, " "));
-        }
-        if (failure.type === 'failure') {
-            parts.push("  with" + util.format_duration(failure.time_expected - failure.time_simulated).padStart(6, " ") + " still to go");
+            let parts = [
+                String(failure.number).padStart(5),
+                pad(failure.title.replace(/[\r\n]+/, " "), 32),
+                RESULT_TYPES[failure.type].color + pad(short_status, 20) + ANSI_RESET,
+            ];
+            if (failure.time_simulated !== null && failure.time_simulated !== undefined) {
+                parts.push("ran for" + util.format_duration(failure.time_simulated).padStart(6, " "));
+            }
+            if (failure.type === 'failure') {
+                parts.push("  with" + util.format_duration(failure.time_expected - failure.time_simulated).padStart(6, " ") + " still to go");
+            }
+            stdout.write(parts.join(" ") + "\n");
         }
-        stdout.write(parts.join(" ") + "\n");
     }
 
     return {
+        title: pack.title,
+        pack_path: testdef.pack_path,
+        ruleset,
+        results,
         num_passed,
         num_missing,
-        num_failed: num_levels - num_passed - num_missing,
+        num_failed,
         // FIXME should maybe count the thread time if we care about actual game speedup
         time_elapsed: total_real_elapsed,
         time_simulated: total_tics / 20,
     };
 }
 
+// -------------------------------------------------------------------------------------------------
+// Machine-readable output
+
+function make_json_report(pack_reports, overall) {
+    return JSON.stringify({
+        ...overall,
+        packs: pack_reports.map(report => ({
+            title: report.title,
+            pack_path: report.pack_path,
+            ruleset: report.ruleset,
+            num_passed: report.num_passed,
+            num_missing: report.num_missing,
+            num_failed: report.num_failed,
+            time_elapsed: report.time_elapsed,
+            time_simulated: report.time_simulated,
+            levels: report.results.map(result => ({
+                number: result.number,
+                title: result.title,
+                type: result.type,
+                original_type: result.original_type ?? null,
+                passed: PASSING_RESULT_TYPES.has(result.type),
+                short_status: result.short_status,
+                fail_reason: result.fail_reason ?? null,
+                exception: result.exception ?? null,
+                tics_simulated: result.tics_simulated ?? null,
+                tics_expected: result.tics_expected ?? null,
+                time_elapsed: result.time_elapsed === undefined ? null : result.time_elapsed / 1000,
+                speed: result.speed ?? null,
+            })),
+        })),
+    }, null, 2) + "\n";
+}
+
+const XML_ENTITIES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'};
+function xml_escape(s) {
+    // XML 1.0 can't contain most control characters at all, even escaped
+    return String(s)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/[&<>"']/g, ch => XML_ENTITIES[ch]);
+}
+
+function make_junit_report(pack_reports, overall) {
+    let lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    let num_tests = overall.num_passed + overall.num_failed + overall.num_missing;
+    lines.push(`<testsuites name="bulktest" tests="${num_tests}" failures="${overall.num_failed}" skipped="${overall.num_missing}" time="${overall.time_elapsed.toFixed(3)}">`);
+    for (let report of pack_reports) {
+        let suite_name = `${report.title} (${report.ruleset})`;
+        let results = report.results.filter(result => result.type !== 'skipped');
+        let num_errors = results.filter(result => result.type === 'error').length;
+        lines.push(`  <testsuite name="${xml_escape(suite_name)}" tests="${results.length}" failures="${report.num_failed - num_errors}" errors="${num_errors}" skipped="${report.num_missing}" time="${report.time_elapsed.toFixed(3)}">`);
+        for (let result of results) {
+            let name = `${result.number} - ${result.title.replace(/[\r\n]+/, " ")}`;
+            let time = result.time_elapsed === undefined ? 0 : result.time_elapsed / 1000;
+            let attrs = `classname="${xml_escape(suite_name)}" name="${xml_escape(name)}" time="${time.toFixed(3)}"`;
+            let details = [
+                `result: ${result.type}` + (result.original_type ? ` (${result.original_type})` : ""),
+                `tics: ${result.tics_simulated ?? "-"} of ${result.tics_expected ?? "-"}`,
+                `speed: ${result.speed ? result.speed.toFixed(1) + "×" : "-"}`,
+            ];
+            if (result.fail_reason) {
+                details.push(`fail reason: ${result.fail_reason}`);
+            }
+            if (result.exception) {
+                details.push(`exception: ${result.exception}`);
+            }
+
+            if (result.type === 'no-replay') {
+                lines.push(`    <testcase ${attrs}><skipped message="${xml_escape(result.short_status)}"/></testcase>`);
+            }
+            else if (PASSING_RESULT_TYPES.has(result.type)) {
+                lines.push(`    <testcase ${attrs}><system-out>${xml_escape(details.join("\n"))}</system-out></testcase>`);
+            }
+            else {
+                let message = result.short_status;
+                if (result.fail_reason) {
+                    message += ": " + result.fail_reason;
+                }
+                let tag = result.type === 'error' ? 'error' : 'failure';
+                lines.push(`    <testcase ${attrs}><${tag} type="${result.type}" message="${xml_escape(message)}">${xml_escape(details.join("\n"))}</${tag}></testcase>`);
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join("\n") + "\n";
+}
+
 // -------------------------------------------------------------------------------------------------
 
 const USAGE = `\
@@ -465,48 +566,37 @@ With no FILE given, default to the built-in copy of CC2LP1.
 Arguments may be repeated, and apply to any subsequent pack, so different packs
 may be run with different compat modes.
   -c            compatibility mode; one of
-                  lexy (default), steam, steam-strict, lynx, ms
-  -r            path to a file containing replays; for CCL/DAT packs, which
-                  don't support built-in replays, this must be a TWS file
+                  ${COMPAT_RULESET_ORDER.filter(ruleset => ruleset !== 'custom').join(", ")}
+                  (default lexy)
+  -r            path to a TWS file containing replays; required for CCL/DAT
+                  packs, which don't support built-in replays
   -l            level range to play back; either 'all' or a string like '1-4,10'
+  -x            path to an expected failures file, listing one level number
+                  per line, optionally followed by the expected result type
+                  (e.g. 'failure'); those levels pass if they fail, and fail
+                  if they pass.  Use 'none' to stop using one
   -f            force the next argument to be interpreted as a file path, if for
                   some perverse reason you have a level file named '-c'
+  -o            output format, for the whole run; one of
+                  text (default), json, junit
   -h, --help    ignore other arguments and show this message
 
-Supports the same filetypes as Lexy's Labyrinth: DAT/CCL, C2M, or a directory
-containing a C2G.
-`;
-class ArgParseError extends Error {}
-function parse_level_range(string) {
-    if (string === 'all') {
-        return null;
-    }
+Supports the same filetypes as Lexy's Labyrinth: DAT/CCL, C2M, C2G (which needs
+its maps alongside it), or a ZIP or directory containing any of those.
 
-    let res = new Set;
-    let parts = string.split(/,/);
-    for (let part of parts) {
-        let endpoints = part.match(/^(\d+)(?:-(\d+))?$/);
-        if (endpoints === null)
-            throw new ArgParseError(`Bad syntax in level range: ${part}`);
-        let a = parseInt(endpoints[1], 10);
-        let b = endpoints[2] === undefined ? a : parseInt(endpoints[2], 10);
-        if (a > b)
-            throw new ArgParseError(`Backwards span in level range: ${part}`);
-        for (let n = a; n <= b; n++) {
-            res.add(n);
-        }
-    }
-
-    return res;
-}
+Exits with status 1 if any level failed.
+`;
+const OUTPUT_FORMATS = ['text', 'json', 'junit'];
 function parse_args() {
     // Parse arguments
     let test_template = {
         ruleset: 'lexy',
         solutions_path: null,
         level_filter: null,
+        xfail_path: null,
     };
     let tests = [];
+    let output_format = 'text';
 
     try {
         let i;
@@ -525,7 +615,7 @@ function parse_args() {
 
             if (arg === '-c') {
                 let ruleset = next_arg();
-                if (['lexy', 'steam', 'steam-strict', 'lynx', 'ms'].indexOf(ruleset) === -1)
+                if (ruleset === 'custom' || COMPAT_RULESET_ORDER.indexOf(ruleset) === -1)
                     throw new ArgParseError(`Unrecognized compat mode: ${ruleset}`);
                 test_template.ruleset = ruleset;
             }
@@ -535,6 +625,15 @@ function parse_args() {
             else if (arg === '-l') {
                 test_template.level_filter = parse_level_range(next_arg());
             }
+            else if (arg === '-x') {
+                let path = next_arg();
+                test_template.xfail_path = path === 'none' ? null : path;
+            }
+            else if (arg === '-o') {
+                output_format = next_arg();
+                if (OUTPUT_FORMATS.indexOf(output_format) === -1)
+                    throw new ArgParseError(`Unrecognized output format: ${output_format}`);
+            }
             else if (arg === '-f') {
                 tests.push({ pack_path: next_arg(), ...test_template });
             }
@@ -549,17 +648,19 @@ function parse_args() {
             stderr.write("\n");
             exit(2);
         }
+        throw e;
     }
 
     if (tests.length === 0) {
         tests.push({ pack_path: 'levels/CC2LP1.zip', ...test_template });
     }
 
-    return tests;
+    return { tests, output_format };
 }
 
 async function main() {
-    let tests = parse_args();
+    let { tests, output_format } = parse_args();
+    let display = output_format === 'text';
 
     let overall = {
         num_passed: 0,
@@ -568,18 +669,38 @@ async function main() {
         time_elapsed: 0,
         time_simulated: 0,
     };
+    let pack_reports = [];
     for (let testdef of tests) {
-        let result = await test_pack(testdef);
+        let report;
+        try {
+            report = await test_pack(testdef, display);
+        }
+        catch (e) {
+            stderr.write(`Couldn't test ${testdef.pack_path}: ${e.message ?? e}\n`);
+            exit(2);
+        }
+        pack_reports.push(report);
         for (let key of Object.keys(overall)) {
-            overall[key] += result[key];
+            overall[key] += report[key];
         }
     }
 
-    let num_levels = overall.num_passed + overall.num_failed + overall.num_missing;
-    stdout.write("\n");
-    stdout.write(`${overall.num_passed}/${num_levels} = ${(overall.num_passed / num_levels * 100).toFixed(1)}% passed (${overall.num_failed} failed, ${overall.num_missing} missing replay)\n`);
-    stdout.write(`Simulated ${util.format_duration(overall.time_simulated)} of game time in ${util.format_duration(overall.time_elapsed)}, speed of ${(overall.time_simulated / overall.time_elapsed).toFixed(1)}×\n`);
+    if (output_format === 'json') {
+        stdout.write(make_json_report(pack_reports, overall));
+    }
+    else if (output_format === 'junit') {
+        stdout.write(make_junit_report(pack_reports, overall));
+    }
+    else {
+        let num_levels = overall.num_passed + overall.num_failed + overall.num_missing;
+        stdout.write("\n");
+        stdout.write(`${overall.num_passed}/${num_levels} = ${(overall.num_passed / num_levels * 100).toFixed(1)}% passed (${overall.num_failed} failed, ${overall.num_missing} missing replay)\n`);
+        stdout.write(`Simulated ${util.format_duration(overall.time_simulated)} of game time in ${util.format_duration(overall.time_elapsed)}, speed of ${(overall.time_simulated / overall.time_elapsed).toFixed(1)}×\n`);
+    }
 
+    // Don't exit() here: when stdout is a pipe, writes are async, and exiting would cut off a big
+    // report partway through
+    process.exitCode = overall.num_failed > 0 ? 1 : 0;
 }
 
 if (isMainThread) {
@@ -1,17 +1,61 @@
-import { opendir, readFile } from 'fs/promises';
+import { opendir, readFile, stat } from 'fs/promises';
+import { dirname } from 'path';
 
-//import canvas from 'canvas';
-
-//import CanvasRenderer from '../renderer-canvas.js';
+import CanvasRenderer from '../renderer-canvas.js';
+import * as format_c2g from '../format-c2g.js';
+import * as format_dat from '../format-dat.js';
+import * as format_tws from '../format-tws.js';
+import { Tileset, TILESET_LAYOUTS, infer_tileset_from_image } from '../tileset.js';
 import * as util from '../util.js';
 
-/*
+// The canvas package is only needed for drawing things, so don't make e.g. bulktest depend on it
+let canvas = null;
+try {
+    canvas = (await import('canvas')).default;
+}
+catch (e) {
+}
+
+function require_canvas() {
+    if (! canvas)
+        throw new Error("The 'canvas' package is required for rendering; try: npm install canvas");
+    return canvas;
+}
+
+// Level parsing uses DOMRect for camera regions, which Node doesn't have
+if (globalThis.DOMRect === undefined) {
+    globalThis.DOMRect = class DOMRect {
+        constructor(x = 0, y = 0, width = 0, height = 0) {
+            this.x = x;
+            this.y = y;
+            this.width = width;
+            this.height = height;
+        }
+
+        get left() { return Math.min(this.x, this.x + this.width); }
+        get right() { return Math.max(this.x, this.x + this.width); }
+        get top() { return Math.min(this.y, this.y + this.height); }
+        get bottom() { return Math.max(this.y, this.y + this.height); }
+    };
+}
+
 export class NodeCanvasRenderer extends CanvasRenderer {
     static make_canvas(w, h) {
-        return canvas.createCanvas(w, h);
+        return require_canvas().createCanvas(w, h);
+    }
+}
+
+// Load a tileset from an image file, or the default Lexy tileset if no path is given
+export async function load_tileset(path = null) {
+    if (path === null) {
+        let img = await require_canvas().loadImage(
+            new URL('../../tileset-lexy.png', import.meta.url).pathname);
+        return new Tileset(img, TILESET_LAYOUTS['lexy'], 32, 32);
     }
+
+    let img = await require_canvas().loadImage(path);
+    return infer_tileset_from_image(img, NodeCanvasRenderer.make_canvas);
 }
-*/
 
 export class LocalDirectorySource extends util.FileSource {
     constructor(root) {
@@ -47,4 +91,122 @@ export class LocalDirectorySource extends util.FileSource {
     }
 }
 
+export class ArgParseError extends Error {}
+
+// Parse a level range like '1-4,10' into a Set of level numbers, or 'all' into null
+export function parse_level_range(string) {
+    if (string === 'all') {
+        return null;
+    }
+
+    let res = new Set;
+    let parts = string.split(/,/);
+    for (let part of parts) {
+        let endpoints = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (endpoints === null)
+            throw new ArgParseError(`Bad syntax in level range: ${part}`);
+        let a = parseInt(endpoints[1], 10);
+        let b = endpoints[2] === undefined ? a : parseInt(endpoints[2], 10);
+        if (a > b)
+            throw new ArgParseError(`Backwards span in level range: ${part}`);
+        for (let n = a; n <= b; n++) {
+            res.add(n);
+        }
+    }
+
+    return res;
+}
+
+async function _scan_source(source) {
+    // FIXME copied wholesale from Splash.search_multi_source; need a real filesystem + searching api!
+
+    // TODO not entiiirely kosher, but not sure if we should have an api for this or what
+    if (source._loaded_promise) {
+        await source._loaded_promise;
+    }
+
+    let paths = Object.keys(source.files);
+    // TODO should handle having multiple candidates, but this is good enough for now
+    paths.sort((a, b) => a.length - b.length);
+    for (let path of paths) {
+        let m = path.match(/[.]([^./]+)$/);
+        if (! m)
+            continue;
+
+        let ext = m[1];
+        // TODO this can't load an individual c2m, hmmm
+        if (ext === 'c2g') {
+            let buf = await source.get(path);
+            //await this.conductor.parse_and_load_game(buf, source, path);
+            // FIXME and this is from parse_and_load_game!!
+            let dir;
+            if (! path.match(/[/]/)) {
+                dir = '';
+            }
+            else {
+                dir = path.replace(/[/][^/]+$/, '');
+            }
+            return await format_c2g.parse_game(buf, source, dir);
+        }
+        else if (ext === 'dat' || ext === 'ccl') {
+            let buf = await source.get(path);
+            return format_dat.parse_game(buf);
+        }
+    }
+
+    throw new Error(`Couldn't find a C2G, DAT, or CCL file in there`);
+}
+
+export async function read_file_buffer(path) {
+    let data = await readFile(path);
+    // Node may hand us a view into a larger shared buffer, so make a copy of just our part
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+// Load a pack from any of: a DAT/CCL, a C2M, a C2G (with its maps alongside it), or a ZIP or
+// directory containing one of those.  If a path to a TWS is given, its solutions are attached.
+export async function load_pack(pack_path, solutions_path = null) {
+    let pack;
+    if ((await stat(pack_path)).isDirectory()) {
+        let source = new LocalDirectorySource(pack_path);
+        pack = await _scan_source(source);
+    }
+    else {
+        let buf = await read_file_buffer(pack_path);
+        let magic = util.string_from_buffer_ascii(buf.slice(0, 4));
+        if (magic === 'PK\x03\x04') {
+            let source = new util.ZipFileSource(buf);
+            pack = await _scan_source(source);
+        }
+        else if (magic === 'CC2M' || magic === 'CCS ') {
+            pack = format_c2g.wrap_individual_level(buf);
+        }
+        else if (pack_path.match(/[.]c2g$/i)) {
+            // Maps are relative to the C2G, so we need the whole directory
+            let source = new LocalDirectorySource(dirname(pack_path));
+            pack = await format_c2g.parse_game(buf, source, '');
+        }
+        else {
+            pack = format_dat.parse_game(buf);
+        }
+    }
+
+    if (solutions_path) {
+        let solutions = format_tws.parse_solutions(await read_file_buffer(solutions_path));
+        pack.level_replays = solutions.levels;
+        // 1 for lynx, 2 for ms
+        pack.level_replays_ruleset = solutions.ruleset;
+    }
 
+    if (! pack.title) {
+        let match = pack_path.match(/(?:^|\/)([^/.]+)(?:\..*)?\/?$/);
+        if (match) {
+            pack.title = match[1];
+        }
+        else {
+            pack.title = pack_path;
+        }
+    }
+
+    return pack;
+}
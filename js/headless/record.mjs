@@ -0,0 +1,215 @@
+import { writeFile } from 'fs/promises';
+import * as process from 'process';
+
+import minimist from 'minimist';
+
+import { COMPAT_RULESET_ORDER, compat_flags_for_ruleset } from '../defs.js';
+import { Level } from '../game.js';
+import { APNGEncoder, GIFEncoder } from './animation.js';
+import { ArgParseError, NodeCanvasRenderer, load_pack, load_tileset } from './lib.js';
+
+
+const USAGE = `\
+Usage: record.mjs [OPTION]... LEVELFILE OUTFILE
+Plays back a level's solution and saves it as an animated GIF or APNG, depending
+on whether OUTFILE ends in .gif or .png/.apng.
+
+LEVELFILE may be anything Lexy's Labyrinth can load: DAT/CCL, C2M, C2G (with its
+maps alongside it), or a ZIP or directory containing any of those.  The replay
+built into the level is used, unless one is given with -r.
+
+Arguments:
+  -l NUM        choose the level number to play, if LEVELFILE is a pack
+                  [default: 1]
+  -r FILE       path to a TWS file to take the solution from
+  -c RULESET    compatibility mode; one of
+                  ${COMPAT_RULESET_ORDER.filter(ruleset => ruleset !== 'custom').join(", ")}
+                  [default: the TWS's ruleset if given, otherwise lexy]
+  -t FILE       path to a tileset to use
+  -s NUM        frame skip: keep only every NUM-th frame of the 60fps
+                  animation [default: 2, i.e. 30fps]
+  -z SCALE      scale the output by this factor, e.g. 0.5 or 2 [default: 1]
+  -f, --full    show the whole map, rather than following the player with the
+                  level's viewport
+  -h, --help    show this message
+`;
+
+// TWS files say what ruleset they were recorded with
+const TWS_RULESETS = {
+    1: 'lynx',
+    2: 'ms',
+};
+
+function parse_positive_number(string, what, integer = false) {
+    let n = Number(string);
+    if (! (n > 0) || (integer && ! Number.isInteger(n)))
+        throw new ArgParseError(`Expected a positive ${integer ? "integer" : "number"} for ${what}: ${string}`);
+    return n;
+}
+
+function parse_args() {
+    let args = minimist(process.argv.slice(2), {
+        alias: {
+            level: ['l'],
+            replay: ['r'],
+            compat: ['c'],
+            tileset: ['t'],
+            skip: ['s'],
+            scale: ['z'],
+            full: ['f'],
+            help: ['h'],
+        },
+        boolean: ['full', 'help'],
+        string: ['level', 'replay', 'compat', 'tileset', 'skip', 'scale'],
+    });
+    if (args.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+
+    try {
+        if (args._.length !== 2)
+            throw new ArgParseError("Expected a level file and an output file");
+        let [pack_path, dest_path] = args._;
+
+        let format;
+        if (dest_path.match(/[.]gif$/i)) {
+            format = 'gif';
+        }
+        else if (dest_path.match(/[.]a?png$/i)) {
+            format = 'apng';
+        }
+        else {
+            throw new ArgParseError(`Can't tell what format to use for ${dest_path}; use .gif or .png`);
+        }
+
+        let ruleset = args.compat ?? null;
+        if (ruleset !== null && (ruleset === 'custom' || COMPAT_RULESET_ORDER.indexOf(ruleset) === -1))
+            throw new ArgParseError(`Unrecognized compat mode: ${ruleset}`);
+
+        return {
+            pack_path,
+            dest_path,
+            format,
+            ruleset,
+            level_number: parse_positive_number(args.level ?? '1', "level", true),
+            solutions_path: args.replay ?? null,
+            tileset_path: args.tileset ?? null,
+            frame_skip: parse_positive_number(args.skip ?? '2', "frame skip", true),
+            scale: parse_positive_number(args.scale ?? '1', "scale"),
+            full: args.full,
+        };
+    }
+    catch (e) {
+        if (e instanceof ArgParseError) {
+            process.stderr.write(e.message);
+            process.stderr.write("\n");
+            process.stderr.write(USAGE);
+            process.exit(2);
+        }
+        throw e;
+    }
+}
+
+const dummy_sfx = {
+    play() {},
+    play_once() {},
+};
+
+async function main() {
+    let opts = parse_args();
+
+    let pack = await load_pack(opts.pack_path, opts.solutions_path);
+    let num_levels = pack.level_metadata.length;
+    if (opts.level_number > num_levels) {
+        process.stderr.write(`error: no level ${opts.level_number}; this pack only has ${num_levels}\n`);
+        process.exit(1);
+    }
+    let stored_level = pack.load_level(opts.level_number - 1);
+    if (! stored_level.has_replay) {
+        process.stderr.write(`error: level ${opts.level_number} has no replay\n`);
+        process.exit(1);
+    }
+    let replay = stored_level.replay;
+
+    let ruleset = opts.ruleset ?? TWS_RULESETS[pack.level_replays_ruleset] ?? 'lexy';
+    let level = new Level(stored_level, compat_flags_for_ruleset(ruleset), replay.is_coop);
+    level.sfx = dummy_sfx;
+    level.undo_enabled = false;
+    replay.configure_level(level);
+
+    let tileset = await load_tileset(opts.tileset_path);
+    let renderer = new NodeCanvasRenderer(tileset);
+    renderer.set_level(level);
+    renderer.set_active_player(level.player);
+    renderer.hide_logic = stored_level.hide_logic;
+    renderer.update_rate = level.update_rate;
+    if (opts.full) {
+        renderer.set_viewport_size(level.size_x, level.size_y);
+    }
+    else {
+        renderer.set_viewport_size(
+            Math.min(level.size_x, stored_level.viewport_size),
+            Math.min(level.size_y, stored_level.viewport_size));
+    }
+    // Draw once to get the canvas resized
+    renderer.draw(0);
+
+    let width = Math.max(1, Math.round(renderer.canvas.width * opts.scale));
+    let height = Math.max(1, Math.round(renderer.canvas.height * opts.scale));
+    let output = NodeCanvasRenderer.make_canvas(width, height);
+    let output_ctx = output.getContext('2d');
+    // Keep pixel art crisp when enlarging, but smooth it out when shrinking
+    output_ctx.imageSmoothingEnabled = opts.scale < 1;
+
+    // The game animates at 60fps, so each frame lasts 1/60s, times however many we skip
+    let encoder;
+    if (opts.format === 'gif') {
+        encoder = new GIFEncoder(width, height, opts.frame_skip / 60);
+    }
+    else {
+        encoder = new APNGEncoder(width, height, opts.frame_skip, 60);
+    }
+    let frame_number = 0;
+    let capture = (update_progress, force = false) => {
+        if (force || frame_number % opts.frame_skip === 0) {
+            // The player might have been swapped
+            renderer.set_active_player(level.player);
+            renderer.draw(update_progress);
+            output_ctx.fillStyle = 'black';
+            output_ctx.fillRect(0, 0, width, height);
+            output_ctx.drawImage(renderer.canvas, 0, 0, width, height);
+            encoder.add_frame(output_ctx.getImageData(0, 0, width, height).data);
+        }
+        frame_number += 1;
+    };
+
+    // Play the replay, drawing every frame in between tics by interpolating, same as the player.
+    // In 60fps mode, the game updates every frame, so there's nothing to interpolate
+    let frames_per_update = level.update_rate;
+    capture(0);
+    while (level.state === 'playing' && level.tic_counter < replay.duration + 20) {
+        let input = replay.get(level.tic_counter);
+        let p2_input = replay.get(level.tic_counter, 2);
+        if (frames_per_update === 1) {
+            level.advance_frame(input, p2_input);
+            capture(0);
+        }
+        else {
+            level.advance_tic(input, p2_input);
+            for (let i = 0; i < frames_per_update; i++) {
+                capture(i / frames_per_update);
+            }
+        }
+    }
+
+    // Always show the final state, and linger on it for a second
+    capture(0.999, true);
+    let bytes = encoder.finish(Math.ceil(60 / opts.frame_skip));
+    await writeFile(opts.dest_path, bytes);
+
+    let outcome = level.state === 'success' ? "won" : level.state === 'failure' ? "lost" : "ran out of input";
+    process.stderr.write(`${stored_level.title}: ${outcome} after ${level.tic_counter} tics\n`);
+}
+
+main();
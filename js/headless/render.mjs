@@ -1,70 +1,177 @@
-import { readFile, writeFile } from 'fs/promises';
+import { mkdir, writeFile } from 'fs/promises';
 import * as process from 'process';
 
-import canvas from 'canvas';
 import minimist from 'minimist';
 
-import * as format_c2g from '../format-c2g.js';
-import { infer_tileset_from_image } from '../tileset.js';
-import { NodeCanvasRenderer } from './lib.js';
+import { ArgParseError, NodeCanvasRenderer, load_pack, load_tileset, parse_level_range } from './lib.js';
 
 
 const USAGE = `\
 Usage: render.mjs [OPTION]... LEVELFILE OUTFILE
 Renders the level contained in LEVELFILE to a PNG and saves it to OUTFILE.
 
+LEVELFILE may be anything Lexy's Labyrinth can load: DAT/CCL, C2M, C2G (with its
+maps alongside it), or a ZIP or directory containing any of those.
+
 Arguments:
   -t FILE       path to a tileset to use
   -e            render in editor mode: use the revealed forms of tiles and
                   show facing directions
-  -l NUM        choose the level number to render, if LEVELFILE is a pack
-                  [default: 1]
+  -l LEVELS     choose the level number to render, if LEVELFILE is a pack
+                  [default: 1]; may also be 'all' or a range like '1-4,10', in
+                  which case OUTFILE is a directory, and each level is saved
+                  to it as NNN.png
   -r REGION     specify the region to render; see below
+  -h, --help    show this message
 
 REGION may be one of:
   initial       an area the size of the level's viewport, centered on the
-                  player's initial position
+                  player's initial position [default]
   all           the entire level
   WxH           an area W by H, centered on the player's initial position
-  ...etc...
 `;
+
+function parse_region(string) {
+    if (string === 'initial' || string === 'all') {
+        return string;
+    }
+
+    let m = string.match(/^(\d+)x(\d+)$/);
+    if (! m)
+        throw new ArgParseError(`Unrecognized region: ${string}`);
+    let w = parseInt(m[1], 10);
+    let h = parseInt(m[2], 10);
+    if (w < 1 || h < 1)
+        throw new ArgParseError(`Region must be at least 1x1: ${string}`);
+    return [w, h];
+}
+
+// Figure out what part of the level to draw, as an inclusive rectangle of cells
+function find_region(stored_level, region) {
+    if (region === 'all') {
+        return [0, 0, stored_level.size_x - 1, stored_level.size_y - 1];
+    }
+
+    let w, h;
+    if (region === 'initial') {
+        w = h = stored_level.viewport_size;
+    }
+    else {
+        [w, h] = region;
+    }
+    w = Math.min(w, stored_level.size_x);
+    h = Math.min(h, stored_level.size_y);
+
+    let i = stored_level.linear_cells.findIndex(cell => cell.some(tile => tile && tile.type.is_real_player));
+    if (i < 0)
+        throw new Error("No players in this level");
+    let [px, py] = stored_level.scalar_to_coords(i);
+
+    // This mimics how CanvasRenderer.draw positions the camera, except that we stick to the grid
+    let x0 = px - (w - 1) / 2;
+    let y0 = py - (h - 1) / 2;
+    for (let camera of stored_level.camera_regions) {
+        if (px >= camera.left && px < camera.right &&
+            py >= camera.top && py < camera.bottom)
+        {
+            x0 = Math.max(camera.left, Math.min(camera.right - w, x0));
+            y0 = Math.max(camera.top, Math.min(camera.bottom - h, y0));
+        }
+    }
+    x0 = Math.round(Math.max(0, Math.min(stored_level.size_x - w, x0)));
+    y0 = Math.round(Math.max(0, Math.min(stored_level.size_y - h, y0)));
+    return [x0, y0, x0 + w - 1, y0 + h - 1];
+}
+
+function render_level(renderer, stored_level, region) {
+    let [x0, y0, x1, y1] = find_region(stored_level, region);
+    renderer.set_level(stored_level);
+    renderer.hide_logic = renderer.perception === 'normal' && stored_level.hide_logic;
+    renderer.set_viewport_size(x1 - x0 + 1, y1 - y0 + 1);
+    renderer.draw_static_region(x0, y0, x1, y1, 0, 0);
+    return renderer.canvas.toBuffer('image/png');
+}
+
 async function main() {
     let args = minimist(process.argv.slice(2), {
         alias: {
             tileset: ['t'],
+            editor: ['e'],
+            level: ['l'],
+            region: ['r'],
+            help: ['h'],
         },
+        boolean: ['editor', 'help'],
+        string: ['tileset', 'level', 'region'],
     });
-    // assert _.length is 2
-    let [pack_path, dest_path] = args._;
+    if (args.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
 
-    // TODO i need a more consistent and coherent way to turn a path into a level pack, currently
-    // this is only a single c2m
-    let pack_data = await readFile(pack_path);
-    let stored_level = format_c2g.parse_level(pack_data.buffer);
+    let pack_path, dest_path, level_filter, region;
+    try {
+        if (args._.length !== 2)
+            throw new ArgParseError("Expected a level file and an output file");
+        [pack_path, dest_path] = args._;
+        level_filter = parse_level_range(args.level ?? '1');
+        region = parse_region(args.region ?? 'initial');
+    }
+    catch (e) {
+        if (e instanceof ArgParseError) {
+            process.stderr.write(e.message);
+            process.stderr.write("\n");
+            process.stderr.write(USAGE);
+            process.exit(2);
+        }
+        throw e;
+    }
 
-    let img = await canvas.loadImage(args.tileset ?? 'tileset-lexy.png');
-    let tileset = infer_tileset_from_image(img);
+    let pack = await load_pack(pack_path);
+    let tileset = await load_tileset(args.tileset ?? null);
     let renderer = new NodeCanvasRenderer(tileset);
-    renderer.set_level(stored_level);
+    if (args.editor) {
+        renderer.perception = 'editor';
+        renderer.show_facing = true;
+    }
 
-    let i = stored_level.linear_cells.findIndex(cell => cell.some(tile => tile && tile.type.is_real_player));
-    if (i < 0) {
-        console.log("???");
-        process.stderr.write("error: no players in this level\n");
-        process.exit(1);
+    let num_levels = pack.level_metadata.length;
+    let batch = level_filter === null || level_filter.size > 1;
+    let numbers = level_filter === null ?
+        Array.from({length: num_levels}, (_, i) => i + 1) :
+        [...level_filter].sort((a, b) => a - b);
+    if (batch) {
+        await mkdir(dest_path, { recursive: true });
     }
 
-    let [x, y] = stored_level.scalar_to_coords(i);
-    let w = stored_level.viewport_size;
-    let h = w;
+    let num_failed = 0;
+    for (let number of numbers) {
+        if (number < 1 || number > num_levels) {
+            process.stderr.write(`error: no level ${number}; this pack only has ${num_levels}\n`);
+            num_failed += 1;
+            continue;
+        }
+
+        let png;
+        try {
+            let stored_level = pack.load_level(number - 1);
+            png = render_level(renderer, stored_level, region);
+        }
+        catch (e) {
+            process.stderr.write(`error: couldn't render level ${number}: ${e.message ?? e}\n`);
+            num_failed += 1;
+            continue;
+        }
 
-    // TODO this is probably duplicated from the renderer, and could also be reused in the editor
-    // TODO handle a map smaller than the viewport
-    let x0 = Math.max(0, x - w / 2);
-    let y0 = Math.max(0, y - h / 2);
-    renderer.draw_static_region(x0, y0, x0 + w, y0 + h);
+        if (batch) {
+            await writeFile(`${dest_path}/${String(number).padStart(3, '0')}.png`, png);
+        }
+        else {
+            await writeFile(dest_path, png);
+        }
+    }
 
-    await writeFile(dest_path, renderer.canvas.toBuffer());
+    process.exit(num_failed > 0 ? 1 : 0);
 }
 
 main();
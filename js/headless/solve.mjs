@@ -0,0 +1,198 @@
+import { writeFile } from 'fs/promises';
+import * as process from 'process';
+
+import { COMPAT_RULESET_ORDER, TICS_PER_SECOND, compat_flags_for_ruleset } from '../defs.js';
+import * as format_tws from '../format-tws.js';
+import { Solver } from '../solver.js';
+import * as util from '../util.js';
+import { ArgParseError, load_pack, parse_level_range } from './lib.js';
+
+
+const USAGE = `\
+Usage: solve.mjs [OPTION]... LEVELFILE
+Searches for a solution to each level by brute force, trying every sequence of
+moves until one wins.  Only practical for small, simple levels: the search only
+ever moves the player (no dropping, cycling, or swapping), and every chip, key,
+block, or wandering monster multiplies the number of states to look through.
+
+LEVELFILE may be anything Lexy's Labyrinth can load: DAT/CCL, C2M, C2G (with its
+maps alongside it), or a ZIP or directory containing any of those.
+
+Arguments:
+  -l RANGE      levels to solve, e.g. '1-4,10', or 'all' [default: 1]
+  -c RULESET    compatibility mode; one of
+                  ${COMPAT_RULESET_ORDER.filter(ruleset => ruleset !== 'custom').join(", ")}
+                  [default: lexy]
+  -t TICS       don't look past this many tics into a level [default: 10000]
+  -n STATES     give up after this many distinct states [default: 10000]
+  -s, --stuck   keep searching after finding a solution, and list the cells
+                  where the player can get stuck with no way to win
+  -b, --bfs     plain search in order of time, rather than heading for the exit
+  -o FILE       write the solutions found to a TWS file
+  -h, --help    show this message
+`;
+
+function parse_positive_integer(string, what) {
+    let n = Number(string);
+    if (! (n > 0) || ! Number.isInteger(n))
+        throw new ArgParseError(`Expected a positive integer for ${what}: ${string}`);
+    return n;
+}
+
+function parse_args() {
+    let opts = {
+        pack_path: null,
+        ruleset: 'lexy',
+        level_numbers: new Set([1]),
+        max_tics: 10000,
+        max_states: 10000,
+        find_stuck: false,
+        heuristic: true,
+        output_path: null,
+    };
+
+    let argv = process.argv;
+    try {
+        let i;
+        let next_arg = () => {
+            i += 1;
+            if (i >= argv.length)
+                throw new ArgParseError(`Missing argument after ${argv[i - 1]}`);
+            return argv[i];
+        };
+        for (i = 2; i < argv.length; i++) {
+            let arg = argv[i];
+            if (arg === '-h' || arg === '--help') {
+                process.stdout.write(USAGE);
+                process.exit(0);
+            }
+
+            if (arg === '-l') {
+                opts.level_numbers = parse_level_range(next_arg());
+            }
+            else if (arg === '-c') {
+                let ruleset = next_arg();
+                if (ruleset === 'custom' || COMPAT_RULESET_ORDER.indexOf(ruleset) === -1)
+                    throw new ArgParseError(`Unrecognized compat mode: ${ruleset}`);
+                opts.ruleset = ruleset;
+            }
+            else if (arg === '-t') {
+                opts.max_tics = parse_positive_integer(next_arg(), "tics");
+            }
+            else if (arg === '-n') {
+                opts.max_states = parse_positive_integer(next_arg(), "states");
+            }
+            else if (arg === '-s' || arg === '--stuck') {
+                opts.find_stuck = true;
+            }
+            else if (arg === '-b' || arg === '--bfs') {
+                opts.heuristic = false;
+            }
+            else if (arg === '-o') {
+                opts.output_path = next_arg();
+            }
+            else if (arg.startsWith('-')) {
+                throw new ArgParseError(`Unrecognized option: ${arg}`);
+            }
+            else if (opts.pack_path !== null) {
+                throw new ArgParseError("Expected a single level file");
+            }
+            else {
+                opts.pack_path = arg;
+            }
+        }
+
+        if (opts.pack_path === null)
+            throw new ArgParseError("Expected a single level file");
+    }
+    catch (e) {
+        if (e instanceof ArgParseError) {
+            process.stderr.write(e.message);
+            process.stderr.write("\n");
+            process.stderr.write(USAGE);
+            process.exit(2);
+        }
+        throw e;
+    }
+
+    return opts;
+}
+
+function format_tics(tics) {
+    return `${tics} tics (${util.format_duration(tics / TICS_PER_SECOND, 2)})`;
+}
+
+async function main() {
+    let opts = parse_args();
+    let compat = compat_flags_for_ruleset(opts.ruleset);
+
+    let pack = await load_pack(opts.pack_path);
+    let num_levels = pack.level_metadata.length;
+    let solutions = [];
+    let passwords = [];
+    let num_solved = 0;
+    for (let i = 0; i < num_levels; i++) {
+        let level_number = i + 1;
+        if (opts.level_numbers !== null && ! opts.level_numbers.has(level_number))
+            continue;
+
+        let stored_level;
+        try {
+            stored_level = pack.load_level(i);
+        }
+        catch (e) {
+            process.stdout.write(`${level_number}: failed to load: ${e.message}\n`);
+            continue;
+        }
+
+        let solver = new Solver(stored_level, compat, {
+            max_tics: opts.max_tics,
+            max_states: opts.max_states,
+            find_stuck: opts.find_stuck,
+            heuristic: opts.heuristic,
+        });
+        let result = solver.solve();
+
+        let outcome;
+        if (result.solvable) {
+            outcome = `solved in ${format_tics(result.solution_tics)}`;
+            solutions[i] = result.solution;
+            passwords[i] = stored_level.password;
+            num_solved += 1;
+        }
+        else if (result.solvable === false) {
+            outcome = "unsolvable";
+        }
+        else if (result.exhausted === 'tics') {
+            outcome = `no solution within ${format_tics(opts.max_tics)}`;
+        }
+        else {
+            outcome = "gave up";
+        }
+        process.stdout.write(`${level_number} ${stored_level.title}: ${outcome}, after ${result.states} states\n`);
+
+        if (result.stuck) {
+            for (let { x, y, tic } of result.stuck) {
+                process.stdout.write(`    can get stuck at (${x}, ${y}), as early as ${format_tics(tic)}\n`);
+            }
+            if (result.exhausted && result.stuck.length > 0) {
+                process.stdout.write("    (the search was cut short, so there may be more)\n");
+            }
+        }
+    }
+
+    if (opts.output_path) {
+        if (num_solved === 0) {
+            process.stderr.write("No solutions found, so not writing a TWS\n");
+        }
+        else {
+            let bytes = format_tws.write_solutions(solutions, {
+                ruleset: format_tws.RULESET_BYTES[opts.ruleset],
+                passwords,
+            });
+            await writeFile(opts.output_path, new Uint8Array(bytes));
+        }
+    }
+}
+
+main();
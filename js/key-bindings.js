@@ -0,0 +1,212 @@
+// Keyboard controls for the player, which can be rebound from the options dialog.  Every action can
+// have any number of keys bound to it.  A binding remembers both the key's ev.key (the character it
+// types, which follows the keyboard layout) and its ev.code (its physical position on the keyboard),
+// and the player chooses which of the two to match against -- so the default WASD is either the
+// letters W, A, S, D, or whatever happens to be in those spots (e.g. ZQSD on AZERTY).
+
+export const KEY_ACTION_GROUPS = {
+    player: "Player",
+    // In co-op, these take priority over player 1's keys, so sharing keys with player 1 is fine
+    player2: "Player 2 (co-op)",
+    game: "Game",
+};
+
+export const KEY_ACTIONS = [
+    {name: 'up', label: "Move up", group: 'player'},
+    {name: 'down', label: "Move down", group: 'player'},
+    {name: 'left', label: "Move left", group: 'player'},
+    {name: 'right', label: "Move right", group: 'player'},
+    {name: 'wait', label: "Wait / start", group: 'player'},
+    {name: 'drop', label: "Drop item", group: 'player'},
+    {name: 'cycle', label: "Cycle items", group: 'player'},
+    {name: 'swap', label: "Switch players", group: 'player'},
+
+    {name: 'p2_up', label: "Move up", group: 'player2'},
+    {name: 'p2_down', label: "Move down", group: 'player2'},
+    {name: 'p2_left', label: "Move left", group: 'player2'},
+    {name: 'p2_right', label: "Move right", group: 'player2'},
+    {name: 'p2_drop', label: "Drop item", group: 'player2'},
+    {name: 'p2_cycle', label: "Cycle items", group: 'player2'},
+
+    {name: 'pause', label: "Pause", group: 'game'},
+    {name: 'restart', label: "Restart (hold)", group: 'game'},
+    {name: 'undo', label: "Undo last move", group: 'game'},
+    {name: 'rewind', label: "Rewind (hold)", group: 'game'},
+    {name: 'step_back', label: "Back one tic", group: 'game'},
+    {name: 'step_forward', label: "Forward one tic", group: 'game'},
+    {name: 'describe', label: "Describe surroundings", group: 'game'},
+];
+const KEY_ACTION_INDEX = new Map(KEY_ACTIONS.map(action => [action.name, action]));
+
+function bind(key, code) {
+    return {key, code};
+}
+
+export const DEFAULT_KEY_BINDINGS = {
+    up: [bind('ArrowUp', 'ArrowUp'), bind('w', 'KeyW')],
+    down: [bind('ArrowDown', 'ArrowDown'), bind('s', 'KeyS')],
+    left: [bind('ArrowLeft', 'ArrowLeft'), bind('a', 'KeyA')],
+    right: [bind('ArrowRight', 'ArrowRight'), bind('d', 'KeyD')],
+    wait: [bind(' ', 'Space')],
+    drop: [bind('q', 'KeyQ')],
+    cycle: [bind('e', 'KeyE')],
+    swap: [bind('c', 'KeyC')],
+
+    p2_up: [bind('ArrowUp', 'ArrowUp')],
+    p2_down: [bind('ArrowDown', 'ArrowDown')],
+    p2_left: [bind('ArrowLeft', 'ArrowLeft')],
+    p2_right: [bind('ArrowRight', 'ArrowRight')],
+    p2_drop: [bind('/', 'Slash')],
+    p2_cycle: [bind("'", 'Quote')],
+
+    pause: [bind('p', 'KeyP'), bind('Pause', 'Pause')],
+    restart: [bind('r', 'KeyR')],
+    undo: [bind('u', 'KeyU')],
+    rewind: [bind('z', 'KeyZ')],
+    step_back: [bind(',', 'Comma')],
+    step_forward: [bind('.', 'Period')],
+    describe: [bind('x', 'KeyX')],
+};
+
+// Letters are the same key whether or not shift (or caps lock) is held, and some old browsers call
+// the spacebar something else
+function normalize_key(key) {
+    if (key === 'Spacebar')
+        return ' ';
+    if (key.length === 1)
+        return key.toLowerCase();
+    return key;
+}
+
+// Friendlier names for some keys, by either key or code
+const KEY_NAMES = {
+    ' ': "Space",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    Comma: ",",
+    Period: ".",
+    Slash: "/",
+    Quote: "'",
+};
+
+export class KeyBindings {
+    // options is the stored form, i.e. what to_options() returns, or null for the defaults
+    constructor(options = null) {
+        this.match = options && options.match === 'code' ? 'code' : 'key';
+        this.bindings = {};
+        for (let action of KEY_ACTIONS) {
+            let bindings = (options && options.bindings && options.bindings[action.name]) ??
+                DEFAULT_KEY_BINDINGS[action.name];
+            this.bindings[action.name] = bindings.map(binding => ({...binding}));
+        }
+        this.rebuild();
+    }
+
+    to_options() {
+        return {
+            match: this.match,
+            bindings: this.bindings,
+        };
+    }
+
+    // Must be called after changing the bindings or the match mode
+    rebuild() {
+        this.lookup = new Map;
+        for (let [name, bindings] of Object.entries(this.bindings)) {
+            for (let binding of bindings) {
+                let id = this.binding_id(binding);
+                let actions = this.lookup.get(id);
+                if (! actions) {
+                    actions = [];
+                    this.lookup.set(id, actions);
+                }
+                if (! actions.includes(name)) {
+                    actions.push(name);
+                }
+            }
+        }
+    }
+
+    // Keys are identified by either their code or their (normalized) key, depending on the mode.
+    // Events should be tracked by this id, too, so that a key's keyup always matches its keydown
+    binding_id(binding) {
+        return this.match === 'code' ? binding.code : normalize_key(binding.key);
+    }
+
+    event_id(ev) {
+        return this.match === 'code' ? ev.code : normalize_key(ev.key);
+    }
+
+    // Returns the names of every action bound to this key id, which may be empty
+    actions_for(id) {
+        return this.lookup.get(id) ?? [];
+    }
+
+    add_binding(name, binding) {
+        let id = this.binding_id(binding);
+        if (this.bindings[name].some(existing => this.binding_id(existing) === id))
+            return;
+        this.bindings[name].push(binding);
+        this.rebuild();
+    }
+
+    remove_binding(name, index) {
+        this.bindings[name].splice(index, 1);
+        this.rebuild();
+    }
+
+    reset() {
+        for (let action of KEY_ACTIONS) {
+            this.bindings[action.name] = DEFAULT_KEY_BINDINGS[action.name].map(binding => ({...binding}));
+        }
+        this.rebuild();
+    }
+
+    // Returns a list of [key id, action names] for every key that's bound to more than one thing at
+    // once.  Player 1 and player 2 are allowed to overlap, since player 2 wins in co-op and doesn't
+    // exist otherwise
+    find_conflicts() {
+        let conflicts = [];
+        for (let [id, names] of this.lookup) {
+            let clashing = names.filter(name => names.some(other =>
+                other !== name && ! _may_share_keys(KEY_ACTION_INDEX.get(name), KEY_ACTION_INDEX.get(other))));
+            if (clashing.length > 0) {
+                conflicts.push([id, clashing]);
+            }
+        }
+        return conflicts;
+    }
+
+    // Human-readable name for a key
+    describe_binding(binding) {
+        if (this.match === 'code') {
+            let code = binding.code;
+            // KeyW -> W, Digit1 -> 1
+            let m = code.match(/^(?:Key|Digit)(.)$/);
+            if (m)
+                return m[1];
+            return KEY_NAMES[code] ?? code;
+        }
+        let key = normalize_key(binding.key);
+        if (KEY_NAMES[key])
+            return KEY_NAMES[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    describe_id(id) {
+        return this.describe_binding({key: id, code: id});
+    }
+
+    // Name of the first key bound to an action, or null if there aren't any
+    describe_action(name) {
+        let binding = this.bindings[name][0];
+        return binding ? this.describe_binding(binding) : null;
+    }
+}
+
+function _may_share_keys(action1, action2) {
+    let groups = new Set([action1.group, action2.group]);
+    return groups.size === 2 && groups.has('player') && groups.has('player2');
+}
@@ -0,0 +1,62 @@
+// A quick summary of what's in a level, as a briefing before playing it.  This only looks at the
+// stored level, so it describes how the level starts out, not whatever happens once it's running.
+
+// Mechanics worth a heads-up, in the order they're listed
+const MECHANICS = [
+    ['wires', tile => !! (tile.wire_directions || tile.wire_tunnel_directions)],
+    ['logic gates', tile => tile.type.name === 'logic_gate'],
+    ['railroads', tile => tile.type.name === 'railroad'],
+    ['teleporters', tile => tile.type.name.startsWith('teleport_')],
+    ['thieves', tile => tile.type.name.startsWith('thief_')],
+];
+
+export function compute_level_stats(stored_level) {
+    let chips_available = 0;
+    let chips_counted = 0;
+    let players = 0;
+    let monsters = new Map;  // type name => count
+    let mechanics = new Set;
+    for (let cell of stored_level.linear_cells) {
+        for (let tile of cell) {
+            if (! tile)
+                continue;
+
+            let type = tile.type;
+            // Green bombs count as required chips, since toggling turns them into chips
+            if (type.is_chip || type.is_required_chip) {
+                chips_available += 1;
+            }
+            if (type.is_required_chip) {
+                chips_counted += 1;
+            }
+            if (type.is_real_player) {
+                players += 1;
+            }
+            else if (type.is_monster) {
+                monsters.set(type.name, (monsters.get(type.name) ?? 0) + 1);
+            }
+            for (let [name, test] of MECHANICS) {
+                if (test(tile)) {
+                    mechanics.add(name);
+                }
+            }
+        }
+    }
+
+    return {
+        size_x: stored_level.size_x,
+        size_y: stored_level.size_y,
+        // Same logic as the game: null means count them up, as CC2 does
+        chips_required: stored_level.chips_required ?? chips_counted,
+        chips_available,
+        // 0 means untimed
+        time_limit: stored_level.time_limit,
+        viewport_size: stored_level.viewport_size,
+        players,
+        // List of [type name, count], most common first
+        monsters: [...monsters].sort((a, b) => b[1] - a[1]),
+        mechanics: MECHANICS.map(([name]) => name).filter(name => mechanics.has(name)),
+        // null means we don't know
+        uses_ll_extensions: stored_level.uses_ll_extensions,
+    };
+}
@@ -0,0 +1,89 @@
+// The game's IndexedDB database, for anything too big for localStorage.  Each kind of record has its
+// own module and its own object store, but they all share one database, so the schema lives here.
+// Every store is keyed by pack identifier first, so a whole pack can be forgotten or renamed at once.
+
+const DB_NAME = "Lexy's Labyrinth";
+const DB_VERSION = 3;
+// Store name => key path.  Stores are only ever added, never changed, so upgrading from any older
+// version is just a matter of creating whichever ones are missing
+const STORES = {
+    // Added in version 1; see personal-bests.js
+    'personal-bests': ['pack', 'number'],
+    // Added in version 2; see savestates.js
+    'savestates': ['pack', 'number', 'slot'],
+    // Added in version 3; see catalog.js
+    'catalog-sets': ['pack'],
+};
+
+// Wrap an IDBRequest in a promise
+export function request_promise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Wait for a whole transaction to finish, for when it has more than one request in it
+export function transaction_promise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+let _db_promise = null;
+function _open_db() {
+    if (! _db_promise) {
+        _db_promise = new Promise((resolve, reject) => {
+            if (! window.indexedDB) {
+                reject(new Error("IndexedDB isn't available"));
+                return;
+            }
+
+            let request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                let db = request.result;
+                for (let [name, key_path] of Object.entries(STORES)) {
+                    if (! db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: key_path });
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Don't cache a failure forever; maybe the user will fix their browser settings
+        _db_promise.catch(() => {
+            _db_promise = null;
+        });
+    }
+    return _db_promise;
+}
+
+export async function open_store(name, mode) {
+    let db = await _open_db();
+    return db.transaction(name, mode).objectStore(name);
+}
+
+// Arrays sort after numbers and strings in IndexedDB, so this covers every key starting with the
+// given parts, e.g. [pack] for a whole pack or [pack, number] for one level of it
+export function prefix_range(...prefix) {
+    return IDBKeyRange.bound(prefix, [...prefix, []]);
+}
+
+export async function forget_pack(name, pack) {
+    let store = await open_store(name, 'readwrite');
+    await request_promise(store.delete(prefix_range(pack)));
+}
+
+// Used when a pack's identifier changes, so its records follow its savefile
+export async function rename_pack(name, old_pack, new_pack) {
+    let store = await open_store(name, 'readwrite');
+    let records = await request_promise(store.getAll(prefix_range(old_pack)));
+    store.delete(prefix_range(old_pack));
+    for (let record of records) {
+        store.put({ ...record, pack: new_pack });
+    }
+    await transaction_promise(store.transaction);
+}
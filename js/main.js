@@ -2,17 +2,28 @@
 // - steam: if a player character starts on a force floor they won't be able to make any voluntary movements until they are no longer on a force floor
 import * as fflate from './vendor/fflate.js';
 
-import { COMPAT_FLAGS, COMPAT_RULESET_LABELS, COMPAT_RULESET_ORDER, INPUT_BITS, TICS_PER_SECOND, compat_flags_for_ruleset } from './defs.js';
+import { COMPAT_FLAGS, COMPAT_RULESET_LABELS, COMPAT_RULESET_ORDER, INPUT_BITS, LAYERS, TICS_PER_SECOND, compat_flags_for_ruleset } from './defs.js';
 import * as c2g from './format-c2g.js';
 import * as dat from './format-dat.js';
 import * as format_base from './format-base.js';
 import * as format_tws from './format-tws.js';
 import { Level } from './game.js';
-import { PrimaryView, DialogOverlay, ConfirmOverlay, flash_button, svg_icon, load_json_from_storage, save_json_to_storage } from './main-base.js';
+import { Announcer } from './announcer.js';
+import * as backup from './backup.js';
+import * as catalog from './catalog.js';
+import { GAMEPAD_ACTIONS, GamepadBindings, GamepadPoller, describe_button, navigate_menu } from './gamepad.js';
+import { KEY_ACTIONS, KEY_ACTION_GROUPS, KeyBindings } from './key-bindings.js';
+import { compute_level_stats } from './level-stats.js';
+import { PrimaryView, DialogOverlay, AlertOverlay, ConfirmOverlay, flash_button, svg_icon, load_json_from_storage, save_json_to_storage } from './main-base.js';
+import * as offline from './offline.js';
+import * as personal_bests from './personal-bests.js';
+import { ReplayTimeline } from './replay-timeline.js';
+import * as savestates from './savestates.js';
 import { Editor } from './editor/main.js';
+import { TILE_DESCRIPTIONS } from './editor/editordefs.js';
 import CanvasRenderer from './renderer-canvas.js';
 import SOUNDTRACK from './soundtrack.js';
-import { Tileset, TILESET_LAYOUTS, parse_tile_world_large_tileset, infer_tileset_from_image } from './tileset.js';
+import { Tileset, TILESET_LAYOUTS, get_high_contrast_tileset, parse_tile_world_large_tileset, infer_tileset_from_image } from './tileset.js';
 import TILE_TYPES from './tiletypes.js';
 import { random_choice, mk, mk_svg } from './util.js';
 import * as util from './util.js';
@@ -245,6 +256,55 @@ const OBITUARIES = {
         "you really dropped the ball",
     ],
 };
+// Plain descriptions of how you died, for accessibility mode, since the obituaries are more about
+// wordplay than clarity.  Anything else is the name of whatever killed you
+const FAILURE_DESCRIPTIONS = {
+    drowned: "You drowned.",
+    burned: "You burned up.",
+    slimed: "You were slimed.",
+    exploded: "You exploded.",
+    squished: "You were squished.",
+    time: "You ran out of time.",
+    electrocuted: "You were electrocuted.",
+    fell: "You fell in a hole.",
+    generic: "You died.",
+};
+function describe_failure(reason) {
+    if (FAILURE_DESCRIPTIONS[reason])
+        return FAILURE_DESCRIPTIONS[reason];
+    if (TILE_DESCRIPTIONS[reason])
+        return `You were caught by a ${TILE_DESCRIPTIONS[reason].name.toLowerCase()}.`;
+    return FAILURE_DESCRIPTIONS['generic'];
+}
+// Name of a tile type, as far as a person is concerned
+function describe_tile_type(name) {
+    return TILE_DESCRIPTIONS[name] ? TILE_DESCRIPTIONS[name].name : name.replace(/_/g, ' ');
+}
+
+// Briefing on what's in a level, shown before playing it and in the level browser
+function mk_level_stats(stored_level) {
+    let stats = compute_level_stats(stored_level);
+    let dl = mk('dl.level-stats');
+    let add = (label, value) => dl.append(mk('dt', label), mk('dd', value));
+
+    if (stats.chips_required === stats.chips_available) {
+        add("Hearts", String(stats.chips_required));
+    }
+    else {
+        add("Hearts", `${stats.chips_required} needed, ${stats.chips_available} around`);
+    }
+    add("Time", stats.time_limit ? `${stats.time_limit} seconds` : "untimed");
+    add("Size", `${stats.size_x} × ${stats.size_y}, viewed ${stats.viewport_size} × ${stats.viewport_size} at a time`);
+    add("Players", String(stats.players));
+    add("Monsters", stats.monsters.length === 0 ? "none" :
+        stats.monsters.map(([name, count]) => `${count} ${describe_tile_type(name).toLowerCase()}`).join(", "));
+    add("Mechanics", stats.mechanics.length === 0 ? "nothing special" : stats.mechanics.join(", "));
+    if (stats.uses_ll_extensions !== null) {
+        add("Rules", stats.uses_ll_extensions ? "uses Lexy's Labyrinth extensions" : "plain CC1/CC2");
+    }
+    return dl;
+}
+
 // Helper class used to let the game play sounds without knowing too much about the Player
 class SFXPlayer {
     constructor(place_caption_cb) {
@@ -535,25 +595,158 @@ class SFXPlayer {
         }
     }
 }
+
+// Used to compare a Level's progress against another one's; counts every tic or frame
+function level_time(level) {
+    return level.tic_counter * 3 + level.frame_offset;
+}
+
+// Keeps track of when a level's players picked up each chip and key
+class PickupTracker {
+    constructor(level) {
+        this.level = level;
+        // Tic each pickup happened on, in order
+        this.tics = {chip: [], key: []};
+        this._sync();
+    }
+
+    _count_keys() {
+        let count = 0;
+        for (let actor of this.level.actors) {
+            if (actor.type.is_real_player && actor.keyring) {
+                for (let n of Object.values(actor.keyring)) {
+                    count += n;
+                }
+            }
+        }
+        return count;
+    }
+
+    _sync() {
+        this.chips_remaining = this.level.chips_remaining;
+        this.keys_held = this._count_keys();
+    }
+
+    // Call after the level advances; returns a list of [kind, index] for each new pickup
+    update() {
+        let pickups = [];
+        let tic = this.level.tic_counter;
+        let keys_held = this._count_keys();
+        // Keys get used up too, so we only notice an increase
+        for (let i = this.keys_held; i < keys_held; i++) {
+            pickups.push(['key', this.tics.key.length]);
+            this.tics.key.push(tic);
+        }
+        for (let i = this.level.chips_remaining; i < this.chips_remaining; i++) {
+            pickups.push(['chip', this.tics.chip.length]);
+            this.tics.chip.push(tic);
+        }
+        this.chips_remaining = this.level.chips_remaining;
+        this.keys_held = keys_held;
+        return pickups;
+    }
+
+    // Call after the level rewinds, to forget anything that's now in the future
+    rewind() {
+        let tic = this.level.tic_counter;
+        for (let tics of Object.values(this.tics)) {
+            while (tics.length > 0 && tics[tics.length - 1] > tic) {
+                tics.pop();
+            }
+        }
+        this._sync();
+    }
+}
+
+const GHOST_SFX = {
+    play() {},
+    play_once() {},
+};
+
+// Plays a replay back in a second Level, in lockstep with the real one, so you can race it
+class Ghost {
+    constructor(real_level, replay, compat) {
+        this.real_level = real_level;
+        this.replay = replay;
+        this.compat = compat;
+        this.real_pickups = new PickupTracker(real_level);
+        this._start();
+    }
+
+    _start() {
+        this.level = new Level(this.real_level.stored_level, this.compat, this.replay.is_coop);
+        this.level.sfx = GHOST_SFX;
+        this.replay.configure_level(this.level);
+        this.pickups = new PickupTracker(this.level);
+    }
+
+    // Advance by one tic or frame, matching however the real level just advanced.  Returns the
+    // latest split, if any pickups happened: [kind, index, difference in tics]
+    advance(use_frames) {
+        if (this.level.state === 'playing' && level_time(this.level) < level_time(this.real_level)) {
+            let t = this.level.tic_counter;
+            let input = this.replay.get(t);
+            let p2_input = this.replay.get(t, 2);
+            if (use_frames) {
+                this.level.advance_frame(input, p2_input);
+            }
+            else {
+                this.level.advance_tic(input, p2_input);
+            }
+        }
+
+        let split = null;
+        for (let [kind, index] of this.pickups.update()) {
+            split = this._get_split(kind, index) ?? split;
+        }
+        for (let [kind, index] of this.real_pickups.update()) {
+            split = this._get_split(kind, index) ?? split;
+        }
+        return split;
+    }
+
+    _get_split(kind, index) {
+        let ghost_tic = this.pickups.tics[kind][index];
+        let real_tic = this.real_pickups.tics[kind][index];
+        if (ghost_tic === undefined || real_tic === undefined)
+            return null;
+        return [kind, index, real_tic - ghost_tic];
+    }
+
+    // Bring the ghost back in line with the real level after rewinding
+    sync() {
+        let target = level_time(this.real_level);
+        while (level_time(this.level) > target && this.level.has_undo()) {
+            this.level.undo();
+        }
+        if (level_time(this.level) > target) {
+            // Ran out of undo, so start over
+            this._start();
+        }
+        this.pickups.rewind();
+        this.real_pickups.rewind();
+
+        // If the ghost had already finished, we might have undone it to before that point
+        while (this.level.state === 'playing' && level_time(this.level) < target) {
+            let t = this.level.tic_counter;
+            let input = this.replay.get(t);
+            let p2_input = this.replay.get(t, 2);
+            if (this.level.update_rate === 1) {
+                this.level.advance_frame(input, p2_input);
+            }
+            else {
+                this.level.advance_tic(input, p2_input);
+            }
+            this.pickups.update();
+        }
+    }
+}
 class Player extends PrimaryView {
     constructor(conductor) {
         super(conductor, document.body.querySelector('main#player'));
 
-        this.key_mapping = {
-            ArrowLeft: 'left',
-            ArrowRight: 'right',
-            ArrowUp: 'up',
-            ArrowDown: 'down',
-            Spacebar: 'wait',
-            " ": 'wait',
-            w: 'up',
-            a: 'left',
-            s: 'down',
-            d: 'right',
-            q: 'drop',
-            e: 'cycle',
-            c: 'swap',
-        };
+        // Replaced with the user's own bindings, if any, in reload_options
+        this.bindings = new KeyBindings;
 
         this.scale = 1;
         this.play_speed = 1;
@@ -573,6 +766,10 @@ class Player extends PrimaryView {
         this.music_audio_el = this.music_el.querySelector('audio');
         this.music_index = null;
 
+        // Inputs of the current attempt, and the replay we're watching instead of playing, if any
+        this.attempt_replay = null;
+        this.watched_replay = null;
+
         this.turn_based_mode = false;
         this.turn_based_mode_waiting = false;
         this.turn_based_checkbox = this.root.querySelector('.control-turn-based');
@@ -581,6 +778,36 @@ class Player extends PrimaryView {
             this.turn_based_mode = this.turn_based_checkbox.checked;
         });
 
+        // Two people playing at once, on the same keyboard
+        this.coop = false;
+        this.coop_checkbox = this.root.querySelector('.control-coop');
+        this.coop_checkbox.checked = false;
+        this.coop_checkbox.addEventListener('change', ev => {
+            this.coop = this.coop_checkbox.checked;
+            // Like the ghost, this can't change mid-attempt, so it waits until the next one
+            if (this.state === 'waiting') {
+                this.restart_level();
+            }
+            ev.target.blur();
+        });
+
+        // Racing against a replay
+        this.ghost = null;
+        this.ghost_enabled = false;
+        this.ghost_split_el = this.root.querySelector('.player-ghost-split');
+        this.ghost_checkbox = this.root.querySelector('.control-ghost');
+        this.ghost_checkbox.checked = false;
+        this.ghost_checkbox.addEventListener('change', ev => {
+            this.ghost_enabled = this.ghost_checkbox.checked;
+            // The ghost can only start alongside you, so turning it on mid-attempt has to wait
+            // until the next one
+            if (! this.ghost_enabled || this.state === 'waiting') {
+                this._reset_ghost();
+                this._redraw();
+            }
+            ev.target.blur();
+        });
+
         // Bind buttons
         this.pause_button = this.root.querySelector('.control-pause');
         this.pause_button.addEventListener('click', ev => {
@@ -608,22 +835,27 @@ class Player extends PrimaryView {
                 this.set_state('rewinding');
             }
         });
+        this.savestates_button = this.root.querySelector('.control-savestates');
+        this.savestates_button.addEventListener('click', ev => {
+            this.open_savestates();
+            ev.target.blur();
+        });
         // Game actions
         this.drop_button = this.root.querySelector('#player-actions .action-drop');
         this.drop_button.addEventListener('click', ev => {
             // Use the set of "buttons pressed between tics" because it's cleared automatically;
             // otherwise these will stick around forever
-            this.current_keys_new.add('q');
+            this.current_actions_new.add('drop');
             ev.target.blur();
         });
         this.cycle_button = this.root.querySelector('#player-actions .action-cycle');
         this.cycle_button.addEventListener('click', ev => {
-            this.current_keys_new.add('e');
+            this.current_actions_new.add('cycle');
             ev.target.blur();
         });
         this.swap_button = this.root.querySelector('#player-actions .action-swap');
         this.swap_button.addEventListener('click', ev => {
-            this.current_keys_new.add('c');
+            this.current_actions_new.add('swap');
             ev.target.blur();
         });
 
@@ -699,6 +931,10 @@ class Player extends PrimaryView {
         this.renderer = new CanvasRenderer(this.conductor.tilesets['ll']);
         this._loaded_tileset = false;
         this.level_el.append(this.renderer.canvas);
+        // Second view for co-op, which follows player 2 around; only in the DOM when in use
+        this.p2_renderer = new CanvasRenderer(this.conductor.tilesets['ll']);
+        this.p2_renderer.follow_player2 = true;
+        this.is_split = false;
 
         // Populate a skeleton inventory
         this.inventory_key_nodes = {};
@@ -721,8 +957,16 @@ class Player extends PrimaryView {
         this.player_used_move = false;
         let key_target = document.body;
         this.using_touch = false;  // true if using touch controls
+        // Keys are tracked by id, which is either ev.key or ev.code; see KeyBindings
         this.current_keys = new Set;  // keys that are currently held
         this.current_keys_new = new Set; // keys that were pressed since input was last read
+        this.current_actions_new = new Set; // same, but for the on-screen buttons
+        // Gamepads are polled by the conductor, which passes them along to update_gamepad()
+        this.gamepad_input = 0;  // input bits currently held on a gamepad
+        this.gamepad_input_new = 0;  // input bits pressed since input was last read
+        this.gamepad_p2_input = 0;  // same, for the second pad in co-op
+        this.gamepad_p2_input_new = 0;
+        this.gamepad_consumed = new Set;  // buttons whose press did something else, until released
         // TODO this could all probably be more rigorous but it's fine for now
         key_target.addEventListener('keydown', ev => {
             if (! this.active)
@@ -737,28 +981,35 @@ class Player extends PrimaryView {
             // don't actually want to do anything.  That would be really hard except the only keys
             // we care about preventDefaulting are action ones
             // TODO what if a particular browser does something for p/,/.?
+            let key_id = this.bindings.event_id(ev);
+            let actions = this.bindings.actions_for(key_id);
             if (ev.repeat) {
-                if (this.key_mapping[ev.key]) {
+                if (this.is_input_key(key_id)) {
                     ev.preventDefault();
                     ev.stopPropagation();
                 }
                 return;
             }
 
-            if (ev.key === 'p' || ev.key === 'Pause') {
+            if (actions.includes('pause')) {
                 this.toggle_pause();
                 return;
             }
 
-            if (ev.key === 'r') {
+            if (actions.includes('restart')) {
                 if (! this._restart_handle) {
                     this.start_restarting();
                 }
                 return;
             }
 
+            if (actions.includes('describe')) {
+                this.describe_surroundings();
+                return;
+            }
+
             // Per-tic navigation; only useful if the game isn't running
-            if (ev.key === ',') {
+            if (actions.includes('step_back')) {
                 if (this.state === 'stopped' || this.state === 'paused' || this.turn_based_mode) {
                     this.set_state('paused');
                     this.undo();
@@ -767,7 +1018,7 @@ class Player extends PrimaryView {
                 }
                 return;
             }
-            if (ev.key === '.') {
+            if (actions.includes('step_forward')) {
                 if (this.state === 'waiting' || this.state === 'paused' || this.turn_based_mode) {
                     if (this.state === 'waiting') {
                         if (this.turn_based_mode) {
@@ -796,53 +1047,25 @@ class Player extends PrimaryView {
                 return;
             }
 
-            if (ev.key === ' ') {
+            if (actions.includes('wait')) {
                 // Don't scroll pls
                 ev.preventDefault();
 
-                if (this.state === 'waiting') {
-                    // Start without moving
-                    this.set_state('playing');
-                    return;
-                }
-                else if (this.state === 'paused') {
-                    // Turns out I do this an awful lot expecting it to work, so
-                    this.set_state('playing');
-                    return;
-                }
-                else if (this.state === 'stopped') {
-                    if (this.level.state === 'success') {
-                        this.proceed_to_next_level();
-                    }
-                    else {
-                        // Restart
-                        if (!this.current_keys.has(ev.key)) {
-                            this.restart_level();
-                        }
-                    }
+                if (this.press_wait(! this.current_keys.has(key_id)))
                     return;
-                }
             }
 
-            if (ev.key === 'z') {
-                if (this.level.has_undo() &&
-                    (this.state === 'stopped' || this.state === 'playing' || this.state === 'paused'))
-                {
-                    this.set_state('rewinding');
-                }
+            if (actions.includes('rewind')) {
+                this.press_rewind();
                 return;
             }
-            if (ev.key === 'u') {
-                if (this.level.has_undo() &&
-                    (this.state === 'stopped' || this.state === 'playing' || this.state === 'paused'))
-                {
-                    this.undo_last_move();
-                }
+            if (actions.includes('undo')) {
+                this.press_undo();
             }
 
-            if (this.key_mapping[ev.key]) {
-                this.current_keys.add(ev.key);
-                this.current_keys_new.add(ev.key);
+            if (this.is_input_key(key_id)) {
+                this.current_keys.add(key_id);
+                this.current_keys_new.add(key_id);
                 ev.stopPropagation();
                 ev.preventDefault();
 
@@ -856,20 +1079,20 @@ class Player extends PrimaryView {
             if (! this.active)
                 return;
 
-            if (ev.key === 'r') {
+            let key_id = this.bindings.event_id(ev);
+            let actions = this.bindings.actions_for(key_id);
+            if (actions.includes('restart')) {
                 this.stop_restarting();
                 return;
             }
 
-            if (ev.key === 'z') {
-                if (this.state === 'rewinding') {
-                    this.set_state('playing');
-                }
+            if (actions.includes('rewind')) {
+                this.release_rewind();
                 return;
             }
 
-            if (this.key_mapping[ev.key]) {
-                this.current_keys.delete(ev.key);
+            if (this.is_input_key(key_id)) {
+                this.current_keys.delete(key_id);
                 ev.stopPropagation();
                 ev.preventDefault();
             }
@@ -984,6 +1207,8 @@ class Player extends PrimaryView {
         // TODO yet another thing that should be in setup, but can't be because load_level is called
         // first
         this.sfx_player = new SFXPlayer(this.place_caption.bind(this));
+        // Reads things out to screen readers, if accessibility mode is on
+        this.announcer = new Announcer;
     }
 
     setup() {
@@ -1196,11 +1421,18 @@ class Player extends PrimaryView {
                     this.debug.replay_custom_label.textContent = format_replay_duration(replay.duration);
                 });
             }),
-            /*
-            make_button("Record from here", () => {
-                // TODO this feels poorly thought out i guess
+            make_button("Timeline", () => {
+                if (! this.debug.custom_replay)
+                    return;
+                let timeline = this.debug.timeline;
+                if (timeline.root.isConnected) {
+                    timeline.root.remove();
+                }
+                else {
+                    this.debug.timeline_anchor.after(timeline.root);
+                    timeline.redraw();
+                }
             }),
-            */
         ];
         let row2 = [
             make_button("Save to level", () => {
@@ -1225,6 +1457,9 @@ class Player extends PrimaryView {
         ];
         extra_replay_elements.push(mk('div.-buttons', ...row1));
         extra_replay_elements.push(mk('div.-buttons', ...row2));
+        // The timeline editor goes after all of these, when it's open
+        this.debug.timeline = new ReplayTimeline(this);
+        this.debug.timeline_anchor = extra_replay_elements[extra_replay_elements.length - 1];
         this.debug.replay_custom_buttons = [...row1, ...row2];
         // XXX this is an experimental API but it's been supported by The Two Browsers for ages
         debug_el.querySelector('.-replay-columns').after(...extra_replay_elements);
@@ -1384,6 +1619,21 @@ class Player extends PrimaryView {
         for (let button of this.debug.replay_custom_buttons) {
             button.disabled = ! has_custom_replay;
         }
+
+        // If the custom replay was replaced from outside the timeline, start the timeline over
+        let timeline = this.debug.timeline;
+        if (! has_custom_replay) {
+            timeline.root.remove();
+        }
+        else if (! timeline.branches.some(branch => branch.replay === this.debug.custom_replay)) {
+            timeline.load_replay(this.debug.custom_replay);
+        }
+    }
+
+    set_custom_replay(replay) {
+        this.debug.custom_replay = replay;
+        this.debug.replay_custom_label.textContent = format_replay_duration(replay.duration);
+        this._update_replay_ui();
     }
 
     activate() {
@@ -1410,6 +1660,7 @@ class Player extends PrimaryView {
         this.stop_restarting();
         this.current_keys.clear();
         this.current_touches = {};
+        this.clear_gamepad();
 
         if (this.state === 'playing' || this.state === 'rewinding') {
             this.autopause();
@@ -1417,6 +1668,12 @@ class Player extends PrimaryView {
     }
 
     reload_options(options) {
+        this.bindings = new KeyBindings(options.key_bindings ?? null);
+        // Held keys might be tracked by a different id now
+        this.current_keys.clear();
+        this.current_keys_new.clear();
+        this.update_keyhints();
+
         this.music_audio_el.volume = options.music_volume ?? 1.0;
         // TODO hide music info when disabled?
         this.music_enabled = options.music_enabled ?? true;
@@ -1430,7 +1687,20 @@ class Player extends PrimaryView {
         if (! this.show_captions) {
             this.captions_el.textContent = '';
         }
+        this.announcer.enabled = options.accessibility_mode ?? false;
+        this.announcer.speak = options.speak_announcements ?? false;
+        if (! (this.announcer.enabled && this.announcer.speak)) {
+            this.announcer.hush();
+        }
         this.renderer.use_cc2_anim_speed = options.use_cc2_anim_speed ?? false;
+        this.p2_renderer.use_cc2_anim_speed = this.renderer.use_cc2_anim_speed;
+        let color_glyphs = options.color_glyphs ?? false;
+        if (color_glyphs !== this.renderer.color_glyphs) {
+            this.renderer.color_glyphs = color_glyphs;
+            this.p2_renderer.color_glyphs = color_glyphs;
+            // Force the inventory to redraw
+            this._loaded_tileset = false;
+        }
 
         if (this.level) {
             this.update_tileset();
@@ -1439,6 +1709,24 @@ class Player extends PrimaryView {
         }
     }
 
+    // Show the current bindings on the buttons that have keyboard equivalents
+    update_keyhints() {
+        for (let [selector, action] of [
+            ['#player-controls .control-pause', 'pause'],
+            ['#player-controls .control-restart', 'restart'],
+            ['#player-controls .control-undo', 'undo'],
+            ['#player-controls .control-rewind', 'rewind'],
+            ['#player-actions .action-drop', 'drop'],
+            ['#player-actions .action-cycle', 'cycle'],
+            ['#player-actions .action-swap', 'swap'],
+        ]) {
+            let keyhint = this.root.querySelector(`${selector} .keyhint`);
+            let key = this.bindings.describe_action(action);
+            keyhint.querySelector('kbd').textContent = key ?? '';
+            keyhint.hidden = key === null;
+        }
+    }
+
     update_tileset() {
         if (! this.level)
             return;
@@ -1449,6 +1737,7 @@ class Player extends PrimaryView {
         this._loaded_tileset = true;
 
         this.renderer.set_tileset(tileset);
+        this.p2_renderer.set_tileset(tileset);
         this.root.style.setProperty('--tile-width', `${tileset.size_x}px`);
         this.root.style.setProperty('--tile-height', `${tileset.size_y}px`);
 
@@ -1473,14 +1762,26 @@ class Player extends PrimaryView {
         }
         this.conductor.save_savefile();
 
-        this.level = new Level(stored_level, this.conductor.compat);
+        this.level = new Level(stored_level, this.conductor.compat, this.coop);
         this.level.sfx = this.sfx_player;
+        if (this.debug.enabled) {
+            this.debug.timeline.forget_snapshots();
+        }
         this.update_tileset();
         this.renderer.set_level(this.level);
+        this.p2_renderer.set_level(this.level);
         this.update_viewport_size();
         this.number_el.textContent = stored_level.number;
         // TODO base this on a hash of the UA + some identifier for the pack + the level index.  StoredLevel doesn't know its own index atm...
-        this.change_music(this.conductor.level_index % SOUNDTRACK.length);
+        let music_index = this.conductor.level_index;
+        if (this.conductor.script_music) {
+            // We don't have cc2's music, but we can at least change tracks when the script does
+            music_index = 0;
+            for (let ch of this.conductor.script_music) {
+                music_index = (music_index * 31 + ch.charCodeAt(0)) % 65536;
+            }
+        }
+        this.change_music(music_index % SOUNDTRACK.length);
         this._clear_state();
 
         this.mobile_prev_button.disabled = ! (this.conductor.level_index - 1 >= 0);
@@ -1506,20 +1807,46 @@ class Player extends PrimaryView {
         else {
             w = h = this.conductor.stored_level.viewport_size;
         }
-        this.renderer.set_viewport_size(w, h);
-        this.renderer.canvas.style.setProperty('--viewport-width', w);
-        this.renderer.canvas.style.setProperty('--viewport-height', h);
+        for (let renderer of [this.renderer, this.p2_renderer]) {
+            renderer.set_viewport_size(w, h);
+            renderer.canvas.style.setProperty('--viewport-width', w);
+            renderer.canvas.style.setProperty('--viewport-height', h);
+        }
         // TODO only if the size changed?
         this.adjust_scale();
     }
 
-    restart_level() {
+    // Show the second player's view iff there's a second player to look at
+    _update_split_view() {
+        let is_split = !! (this.level.coop && this.level.player2);
+        if (is_split === this.is_split)
+            return;
+
+        this.is_split = is_split;
+        this.level_el.classList.toggle('--split', is_split);
+        if (is_split) {
+            this.level_el.append(this.p2_renderer.canvas);
+        }
+        else {
+            this.p2_renderer.canvas.remove();
+        }
+        this.adjust_scale();
+    }
+
+    restart_level(coop = this.coop) {
+        this.level.coop = coop;
         this.level.restart(this.conductor.compat);
+        if (this.debug.enabled) {
+            // The compat flags might have changed
+            this.debug.timeline.forget_snapshots();
+        }
         this._clear_state();
     }
 
     // Call after loading or restarting a level
     _clear_state() {
+        // Stop talking about the previous attempt before we start talking about this one
+        this.announcer.hush();
         this.set_state('waiting');
 
         this.turn_based_mode_waiting = false;
@@ -1528,6 +1855,7 @@ class Player extends PrimaryView {
         this.current_toolbelt = [];
         this.previous_hint_tile = null;
         this.current_touches = {};
+        this.announced_chips = this.level.chips_remaining;
 
         this.chips_el.classList.remove('--done');
         this.time_el.classList.remove('--frozen');
@@ -1546,21 +1874,40 @@ class Player extends PrimaryView {
             this.debug.replay_recording = false;
         }
 
+        // Quietly record every attempt, so we can keep it if it turns out to be a personal best
+        this.watched_replay = null;
+        this.attempt_replay = new format_base.Replay(
+            this.level.force_floor_direction, this.level._blob_modifier, null,
+            this.level.step_parity, this.level._tw_rng, this.level.coop ? new Uint8Array : null);
+        this._reset_ghost();
+
         // We promise we're updating at 60fps if the level supports it, so tell the renderer
         // (This happens here because we could technically still do 20tps if we wanted, and the
         // renderer doesn't actually have any way to know that)
         this.renderer.update_rate = this.level.update_rate;
+        this.p2_renderer.update_rate = this.level.update_rate;
         // Likewise, we don't want this automatically read from the level, but we do respect it here
         this.renderer.hide_logic = this.level.stored_level.hide_logic;
+        this.p2_renderer.hide_logic = this.level.stored_level.hide_logic;
 
+        this._update_split_view();
         this.update_ui();
         // Force a redraw, which won't happen on its own since the game isn't running
         this._redraw();
     }
 
     proceed_to_next_level() {
-        // Advance to the next level, if any
-        if (! this.conductor.maybe_change_level(this.conductor.level_index + 1)) {
+        // Advance to the next level, if any; a C2G script gets to decide what that means
+        let proceeded;
+        let script = this.conductor.stored_game.script;
+        if (script) {
+            script.finish_level(this.level);
+            proceeded = this.conductor.run_script();
+        }
+        else {
+            proceeded = this.conductor.maybe_change_level(this.conductor.level_index + 1);
+        }
+        if (! proceeded) {
             // TODO for CCLs, by default, this is also at level 144
             this.set_state('ended');
             this.update_ui();
@@ -1571,10 +1918,197 @@ class Player extends PrimaryView {
         new LevelBrowserOverlay(this.conductor).open();
     }
 
+    open_savestates() {
+        new SavestatesOverlay(this.conductor).open();
+    }
+
+    // Replace the level's state with one from Level.serialize().  Throws an LLError if it's for some
+    // other level or ruleset
+    load_savestate(state) {
+        this.level.deserialize(state);
+        // Picking up from a saved point is a lot like undoing, so it's assistance
+        this.level.aid = Math.max(1, this.level.aid);
+        // And whatever you're watching didn't go this way
+        this.watched_replay = null;
+        this.after_time_travel();
+    }
+
+    // Called after something outside the game loop, i.e. the replay timeline or a savestate, has
+    // yanked the level to some other point in time
+    after_time_travel() {
+        // Whatever you're doing now is a different attempt, and not one we can record
+        this.attempt_replay = null;
+        if (this.debug.enabled) {
+            this.debug.replay = null;
+            this.debug.replay_recording = false;
+            this.root.classList.remove('--replay-playback');
+            this.root.classList.remove('--replay-recording');
+        }
+        if (this.ghost) {
+            this.ghost.sync();
+            this.renderer.set_ghost_level(this.ghost.level);
+        }
+        // A savestate might have come from the other mode
+        this._update_split_view();
+        // And the player might've swapped at some point in between, so catch the renderer up before
+        // anything gets drawn
+        this._sync_active_player();
+
+        this.set_state(this.level.state === 'playing' ? 'paused' : 'stopped');
+        this.update_ui();
+        this._redraw();
+    }
+
+    // Restart the level and play back one of your own replays
+    watch_replay(replay) {
+        this.restart_level(replay.is_coop);
+        this.attempt_replay = null;
+        this.watched_replay = replay;
+        this._reset_ghost();
+        replay.configure_level(this.level);
+        this.set_state('playing');
+    }
+
+    // Start the ghost over from the beginning of the level, or get rid of it if it's disabled or
+    // there's nothing to race against
+    _reset_ghost() {
+        this.ghost = null;
+        this.ghost_split_el.textContent = '';
+        this.ghost_split_el.classList.remove('--ahead', '--behind');
+        if (this.ghost_enabled && ! this.watched_replay) {
+            let replay = null;
+            try {
+                replay = this.get_solution_for_level(this.conductor.level_index, this.level.stored_level);
+            }
+            catch (e) {
+                console.error("Couldn't load a replay for the ghost:", e);
+            }
+            if (replay) {
+                this.ghost = new Ghost(this.level, replay, this.conductor.compat);
+            }
+        }
+        this.renderer.set_ghost_level(this.ghost ? this.ghost.level : null);
+    }
+
+    show_ghost_split([kind, index, diff]) {
+        let sign = diff > 0 ? '+' : diff < 0 ? '−' : '±';
+        this.ghost_split_el.textContent = `${kind} ${index + 1}: ${sign}${Math.abs(diff)} tics`;
+        this.ghost_split_el.classList.toggle('--ahead', diff < 0);
+        this.ghost_split_el.classList.toggle('--behind', diff > 0);
+    }
+
+    // Find the best solution we have for a level: your personal best (if it was recorded under the
+    // current ruleset, or it'll go out of sync), the custom replay if it's for this level, or else
+    // whatever came with the level
+    get_solution_for_level(level_index, stored_level, bests = []) {
+        let best = bests[level_index];
+        if (best && personal_bests.record_ruleset(best) === (this.conductor._compat_ruleset ?? 'custom')) {
+            return personal_bests.record_to_replay(best);
+        }
+        if (this.debug.enabled && this.debug.custom_replay && level_index === this.conductor.level_index) {
+            return this.debug.custom_replay;
+        }
+        if (stored_level.has_replay) {
+            return stored_level.replay;
+        }
+        return null;
+    }
+
+    // Save every solution we have for the current pack as a Tile World solution file, or only your
+    // own personal bests if asked.  A TWS only has one ruleset for the whole file, so bests only go
+    // in if they were recorded under that ruleset -- which is the current one, unless you're only
+    // exporting bests and they all agree on some other ruleset
+    async export_solutions_as_tws(only_bests = false) {
+        let stored_game = this.conductor.stored_game;
+        let bests = await this.conductor.load_personal_bests();
+        let ruleset = this.conductor._compat_ruleset ?? 'custom';
+        if (only_bests) {
+            let best_rulesets = new Set(bests.filter(record => record).map(personal_bests.record_ruleset));
+            if (best_rulesets.size === 1) {
+                ruleset = [...best_rulesets][0];
+            }
+        }
+        let replays = [];
+        let passwords = [];
+        let count = 0;
+        let num_skipped = 0;
+        for (let i = 0; i < stored_game.level_metadata.length; i++) {
+            let stored_level;
+            try {
+                stored_level = stored_game.load_level(i);
+            }
+            catch (e) {
+                // Can't have solved a level that doesn't load
+                continue;
+            }
+
+            let replay = null;
+            if (only_bests) {
+                if (! bests[i]) {
+                    // Nothing to export
+                }
+                else if (personal_bests.record_ruleset(bests[i]) === ruleset) {
+                    replay = personal_bests.record_to_replay(bests[i]);
+                }
+                else {
+                    num_skipped += 1;
+                }
+            }
+            else {
+                replay = this.get_solution_for_level(i, stored_level, bests);
+            }
+            if (replay) {
+                replays[i] = replay;
+                passwords[i] = stored_level.password;
+                count += 1;
+            }
+        }
+
+        if (count === 0) {
+            new AlertOverlay(this.conductor,
+                num_skipped > 0 ? `None of your bests were recorded under the ${COMPAT_RULESET_LABELS[ruleset]} ruleset, and a .tws file can only hold one ruleset's worth.  Switch rulesets to export the others.` :
+                only_bests ? "You haven't beaten any levels in this pack yet!" :
+                "There aren't any solutions for this pack yet!").open();
+            return;
+        }
+
+        let buf;
+        try {
+            buf = format_tws.write_solutions(replays, {
+                ruleset: format_tws.RULESET_BYTES[ruleset],
+                set_name: stored_game.title,
+                passwords: passwords,
+            });
+        }
+        catch (e) {
+            console.error(e);
+            new AlertOverlay(this.conductor, `Couldn't write the solutions: ${e.message}`).open();
+            return;
+        }
+        let suffix = only_bests ? ' (bests)' : '';
+        util.trigger_local_download((stored_game.title || 'untitled') + suffix + '.tws', new Blob([buf]));
+
+        if (num_skipped > 0) {
+            new AlertOverlay(this.conductor, `Left out ${num_skipped} of your bests, since they were recorded under a different ruleset than ${COMPAT_RULESET_LABELS[ruleset]}, and a .tws file can only hold one.  Switch rulesets to export those.`).open();
+        }
+    }
+
     install_replay(replay, slot, record = false) {
         if (! this.debug.enabled)
             return;
 
+        if (! record) {
+            replay.configure_level(this.level);
+        }
+        this.continue_replay(replay, slot, record);
+    }
+
+    // Like install_replay, but picks up from wherever the level is right now, rather than assuming
+    // it's just started
+    continue_replay(replay, slot, record = false) {
+        if (! this.debug.enabled)
+            return;
+
         this.debug.replay = replay;
         this.debug.replay_slot = slot;
         this.debug.replay_recording = record;
@@ -1584,7 +2118,6 @@ class Player extends PrimaryView {
         this.debug.replay_duration_el.textContent = format_replay_duration(t);
 
         if (! record) {
-            replay.configure_level(this.level);
             // FIXME should probably start playback on first real input
             this.set_state('playing');
         }
@@ -1593,73 +2126,260 @@ class Player extends PrimaryView {
         this.root.classList.toggle('--replay-recording', record);
     }
 
-    get_input() {
-        let input;
-        if (this.debug && this.debug.replay && ! this.debug.replay_recording) {
-            input = this.debug.replay.get(this.level.tic_counter);
-        }
-        else {
-            // Convert input keys to actions
-            input = 0;
-            for (let key of this.current_keys) {
-                input |= INPUT_BITS[this.key_mapping[key]];
-            }
-            for (let key of this.current_keys_new) {
-                input |= INPUT_BITS[this.key_mapping[key]];
+    // Whether a key controls a player, under the current control scheme
+    is_input_key(key_id) {
+        let coop = this.level && this.level.coop;
+        return this.bindings.actions_for(key_id).some(name => {
+            let group = name.startsWith('p2_') ? 'player2' : INPUT_BITS[name] ? 'player' : null;
+            // Nobody can swap in co-op, and player 2 doesn't exist outside of it
+            return group === 'player' ? ! (coop && name === 'swap') : group === 'player2' ? coop : false;
+        });
+    }
+
+    // Convert input keys to actions.  In co-op, a key that means something to player 2 belongs
+    // solely to player 2, even if player 1 has it bound too
+    _read_keys() {
+        let coop = this.level.coop;
+        let input = 0;
+        let p2_input = 0;
+        for (let key_id of new Set([...this.current_keys, ...this.current_keys_new])) {
+            let actions = this.bindings.actions_for(key_id);
+            let p2_actions = coop ? actions.filter(name => name.startsWith('p2_')) : [];
+            if (p2_actions.length > 0) {
+                for (let name of p2_actions) {
+                    p2_input |= INPUT_BITS[name.substring(3)];
+                }
+                continue;
             }
-            this.current_keys_new.clear();
-            for (let action of Object.values(this.current_touches)) {
-                input |= INPUT_BITS[action];
+            for (let name of actions) {
+                if (INPUT_BITS[name] && ! (coop && name === 'swap')) {
+                    input |= INPUT_BITS[name];
+                }
             }
         }
-
-        if (this.debug.enabled) {
-            for (let [action, el] of Object.entries(this.debug.input_els)) {
-                el.classList.toggle('--held', (input & INPUT_BITS[action]) !== 0);
-            }
+        for (let name of this.current_actions_new) {
+            input |= INPUT_BITS[name];
         }
-
-        return input;
+        // The first gamepad controls player 1; the second only gets split off in co-op
+        input |= this.gamepad_input | this.gamepad_input_new;
+        if (coop) {
+            p2_input |= this.gamepad_p2_input | this.gamepad_p2_input_new;
+        }
+        return [input, p2_input];
     }
 
-    advance_by(tics, force = false, use_frames = false) {
-        let crossed_tic_boundary = false;
-        for (let i = 0; i < tics; i++) {
-            // FIXME turn-based mode should be disabled during a replay
-            let input = this.get_input();
-            // Extract the fake 'wait' bit, if any
-            let wait = input & INPUT_BITS['wait'];
-            input &= ~wait;
+    // Called by the conductor every time it polls the gamepads, while we're active and nothing is
+    // in the way.  state is what GamepadPoller.poll() returns
+    update_gamepad(state, bindings) {
+        if (state.pressed.size > 0 || state.new_directions.size > 0) {
+            this.using_touch = false;
+        }
 
-            if (this.debug && this.debug.replay && this.debug.replay_recording) {
-                this.debug.replay.set(this.level.tic_counter, input);
+        for (let button of state.released) {
+            this.gamepad_consumed.delete(button);
+            let actions = bindings.actions_for(button);
+            if (actions.includes('restart')) {
+                this.stop_restarting();
+            }
+            if (actions.includes('rewind')) {
+                this.release_rewind();
             }
+        }
 
-            if (this.turn_based_mode) {
-                // Turn-based mode is considered assistance, but only if the game actually attempts
-                // to progress while it's enabled
-                this.level.aid = Math.max(1, this.level.aid);
+        // These mirror the keyboard handlers
+        for (let button of state.pressed) {
+            let actions = bindings.actions_for(button);
+            if (actions.includes('pause')) {
+                this.toggle_pause();
+                this.gamepad_consumed.add(button);
+            }
+            else if (actions.includes('restart')) {
+                if (! this._restart_handle) {
+                    this.start_restarting();
+                }
+                this.gamepad_consumed.add(button);
+            }
+            else if (actions.includes('wait') && this.press_wait()) {
+                this.gamepad_consumed.add(button);
+            }
+            else if (actions.includes('rewind')) {
+                this.press_rewind();
+                this.gamepad_consumed.add(button);
+            }
+            else if (actions.includes('undo')) {
+                this.press_undo();
+                this.gamepad_consumed.add(button);
+            }
+            else if (actions.includes('describe')) {
+                this.describe_surroundings();
+                this.gamepad_consumed.add(button);
+            }
+        }
 
-                // If we're in turn-based mode and could provide input here, but don't have any,
-                // then wait until we do
-                if (this.level.can_accept_input() && ! input && ! wait && ! force) {
-                    this.turn_based_mode_waiting = true;
+        let coop = this.level && this.level.coop;
+        let input_for_buttons = buttons => {
+            let input = 0;
+            for (let button of buttons) {
+                if (this.gamepad_consumed.has(button))
+                    continue;
+                for (let name of bindings.actions_for(button)) {
+                    if (INPUT_BITS[name] && ! (coop && name === 'swap')) {
+                        input |= INPUT_BITS[name];
+                    }
+                }
+            }
+            return input;
+        };
+        let input = input_for_buttons(state.buttons);
+        for (let direction of state.directions) {
+            input |= INPUT_BITS[direction];
+        }
+        let new_input = input_for_buttons(state.pressed);
+        for (let direction of state.new_directions) {
+            new_input |= INPUT_BITS[direction];
+        }
+
+        // Player 2's pad only moves; the rest of its buttons do nothing, so the two of you can't
+        // fight over pausing and rewinding
+        let p2_input = 0;
+        let p2_new_input = 0;
+        if (coop && state.player2) {
+            let p2 = state.player2;
+            let p2_input_for_buttons = buttons => {
+                let input = 0;
+                for (let button of buttons) {
+                    for (let name of bindings.actions_for(button)) {
+                        if (INPUT_BITS[name] && name !== 'swap') {
+                            input |= INPUT_BITS[name];
+                        }
+                    }
+                }
+                return input;
+            };
+            p2_input = p2_input_for_buttons(p2.buttons);
+            for (let direction of p2.directions) {
+                p2_input |= INPUT_BITS[direction];
+            }
+            p2_new_input = p2_input_for_buttons(p2.pressed);
+            for (let direction of p2.new_directions) {
+                p2_new_input |= INPUT_BITS[direction];
+            }
+        }
+
+        if ((new_input || p2_new_input) && this.state === 'waiting') {
+            this.set_state('playing');
+        }
+        this.gamepad_input = input;
+        this.gamepad_input_new |= new_input;
+        this.gamepad_p2_input = p2_input;
+        this.gamepad_p2_input_new |= p2_new_input;
+    }
+
+    // Act as though nothing on the gamepad is held, e.g. because a dialog took over
+    clear_gamepad() {
+        this.gamepad_input = 0;
+        this.gamepad_input_new = 0;
+        this.gamepad_p2_input = 0;
+        this.gamepad_p2_input_new = 0;
+        this.gamepad_consumed.clear();
+    }
+
+    // Returns both players' inputs, though the second is always zero outside of co-op
+    get_input() {
+        let input;
+        let p2_input = 0;
+        let replay = null;
+        if (this.watched_replay) {
+            replay = this.watched_replay;
+        }
+        else if (this.debug && this.debug.replay && ! this.debug.replay_recording) {
+            replay = this.debug.replay;
+        }
+
+        if (replay) {
+            input = replay.get(this.level.tic_counter);
+            p2_input = replay.get(this.level.tic_counter, 2);
+        }
+        else {
+            [input, p2_input] = this._read_keys();
+            this.current_keys_new.clear();
+            this.current_actions_new.clear();
+            this.gamepad_input_new = 0;
+            this.gamepad_p2_input_new = 0;
+            for (let action of Object.values(this.current_touches)) {
+                input |= INPUT_BITS[action];
+            }
+        }
+
+        if (this.debug.enabled) {
+            for (let [action, el] of Object.entries(this.debug.input_els)) {
+                el.classList.toggle('--held', (input & INPUT_BITS[action]) !== 0);
+            }
+        }
+
+        return [input, p2_input];
+    }
+
+    advance_by(tics, force = false, use_frames = false) {
+        let crossed_tic_boundary = false;
+        for (let i = 0; i < tics; i++) {
+            // FIXME turn-based mode should be disabled during a replay
+            let [input, p2_input] = this.get_input();
+            // Extract the fake 'wait' bit, if any
+            let wait = (input | p2_input) & INPUT_BITS['wait'];
+            input &= ~wait;
+            p2_input &= ~wait;
+
+            if (this.debug && this.debug.replay && this.debug.replay_recording) {
+                this.debug.replay.set(this.level.tic_counter, input);
+                if (this.level.coop) {
+                    this.debug.replay.set(this.level.tic_counter, p2_input, 2);
+                }
+            }
+            if (this.attempt_replay) {
+                // If we rewound, anything past this point never happened
+                let t = this.level.tic_counter;
+                if (this.attempt_replay.duration > t) {
+                    this.attempt_replay.duration = t;
+                }
+                this.attempt_replay.set(t, input);
+                if (this.level.coop) {
+                    this.attempt_replay.set(t, p2_input, 2);
+                }
+            }
+
+            if (this.turn_based_mode) {
+                // Turn-based mode is considered assistance, but only if the game actually attempts
+                // to progress while it's enabled
+                this.level.aid = Math.max(1, this.level.aid);
+
+                // If we're in turn-based mode and could provide input here, but don't have any,
+                // then wait until we do
+                if (this.level.can_accept_input() && ! input && ! p2_input && ! wait && ! force) {
+                    this.turn_based_mode_waiting = true;
                     continue;
                 }
             }
 
             this.turn_based_mode_waiting = false;
             if (use_frames) {
-                this.level.advance_frame(input);
+                this.level.advance_frame(input, p2_input);
                 if (this.level.frame_offset === 0) {
                     crossed_tic_boundary = true;
                 }
             }
             else {
-                this.level.advance_tic(input);
+                this.level.advance_tic(input, p2_input);
                 crossed_tic_boundary = true;
             }
 
+            if (this.ghost) {
+                let split = this.ghost.advance(use_frames);
+                if (split) {
+                    this.show_ghost_split(split);
+                }
+            }
+
             // FIXME don't do this til we would next advance?  or some other way let it play out
             if (this.level.state !== 'playing') {
                 // We either won or lost!
@@ -1727,6 +2447,11 @@ class Player extends PrimaryView {
 
     undo() {
         this.level.undo();
+        if (this.ghost) {
+            this.ghost.sync();
+            // The ghost might have started over from scratch
+            this.renderer.set_ghost_level(this.ghost.level);
+        }
     }
 
     undo_last_move() {
@@ -1806,6 +2531,9 @@ class Player extends PrimaryView {
         }
         // Never try to draw past the next actual update
         this.renderer.draw(Math.min(0.999, update_progress));
+        if (this.is_split) {
+            this.p2_renderer.draw(Math.min(0.999, update_progress));
+        }
 
         // Update the SFX listener position, since it's inherently tied to the camera position,
         // which only the renderer actually knows
@@ -1827,6 +2555,13 @@ class Player extends PrimaryView {
         return this._inventory_tiles[name];
     }
 
+    // Tell the renderer which player to highlight
+    _sync_active_player() {
+        // In co-op, there's no such thing as the active player; everyone's active
+        this.renderer.set_active_player(
+            this.level.remaining_players > 1 && ! this.level.coop ? this.level.player : null);
+    }
+
     update_ui() {
         this.pause_button.disabled = ! (this.state === 'playing' || this.state === 'paused' || this.state === 'rewinding');
         this.restart_button.disabled = (this.state === 'waiting');
@@ -1844,6 +2579,18 @@ class Player extends PrimaryView {
         // TODO can we do this only if they actually changed?
         this.chips_el.textContent = this.level.chips_remaining;
         this.chips_el.classList.toggle('--done', this.level.chips_remaining === 0);
+        if (this.level.chips_remaining !== this.announced_chips) {
+            // Don't chatter while rewinding
+            if (this.state === 'playing') {
+                if (this.level.chips_remaining === 0) {
+                    this.announcer.announce("All hearts collected!");
+                }
+                else {
+                    this.announcer.announce(`${this.level.chips_remaining} hearts left.`);
+                }
+            }
+            this.announced_chips = this.level.chips_remaining;
+        }
 
         this.time_el.classList.toggle('--frozen', this.level.time_remaining === null || this.level.timer_paused);
         if (this.level.time_remaining === null) {
@@ -1879,35 +2626,50 @@ class Player extends PrimaryView {
                         this.hint_el.append(chunk);
                     }
                     else {
-                        // TODO better place to get these?
                         // TODO 1 through 7 are player 2's inputs in split-screen mode
-                        let key = {
-                            // up, down, left, right
-                            U: 'W', D: 'S', L: 'A', R: 'D',
-                            // drop, cycle, swap
-                            P: 'Q', C: 'E', S: 'C',
-                        }[chunk] ?? "?";
-                        this.hint_el.append(mk('kbd', key));
+                        let action = {
+                            U: 'up', D: 'down', L: 'left', R: 'right',
+                            P: 'drop', C: 'cycle', S: 'swap',
+                        }[chunk];
+                        let key = action ? this.bindings.describe_action(action) : null;
+                        this.hint_el.append(mk('kbd', key ?? "?"));
                     }
                 }
+                this.announcer.announce(`Hint: ${this.hint_el.textContent}`);
             }
         }
 
-        this.renderer.set_active_player(this.level.remaining_players > 1 ? this.level.player : null);
+        this._sync_active_player();
 
         // Keys appear in a consistent order
+        let picked_up = [];
         for (let [key, nodes] of Object.entries(this.inventory_key_nodes)) {
             let count = this.level.player.keyring[key] ?? 0;
             if (this.current_keyring[key] === count)
                 continue;
 
+            if (count > (this.current_keyring[key] ?? 0)) {
+                picked_up.push(key);
+            }
+
             nodes.root.classList.toggle('--hidden', count <= 0);
             nodes.count.classList.toggle('--hidden', count <= 1);
             nodes.count.textContent = count;
 
             this.current_keyring[key] = count;
         }
-        // Tools are whatever order we picked them up
+        // Tools are whatever order we picked them up, but cycling moves them around, so compare
+        // what's there rather than where
+        let old_tools = this.current_toolbelt.filter(tool => tool);
+        for (let tool of this.level.player.toolbelt) {
+            let i = old_tools.indexOf(tool);
+            if (i < 0) {
+                picked_up.push(tool);
+            }
+            else {
+                old_tools.splice(i, 1);
+            }
+        }
         for (let [i, node] of this.inventory_tool_nodes.entries()) {
             let tool = this.level.player.toolbelt[i] ?? null;
             if (this.current_toolbelt[i] === tool)
@@ -1920,8 +2682,14 @@ class Player extends PrimaryView {
 
             this.current_toolbelt[i] = tool;
         }
+        if (picked_up.length > 0 && this.state === 'playing') {
+            this.announcer.announce(`Got ${picked_up.map(describe_tile_type).join(", ")}.`);
+        }
 
         this.renderer.perception = (this.level && this.level.player.has_item('xray_eye')) ? 'xray' : 'normal';
+        // TODO player 2's inventory isn't shown anywhere
+        let player2 = this.level && this.level.player2;
+        this.p2_renderer.perception = (player2 && player2.has_item('xray_eye')) ? 'xray' : 'normal';
 
         if (this.debug.enabled) {
             let t = this.level.tic_counter;
@@ -1940,6 +2708,8 @@ class Player extends PrimaryView {
                 this.debug.replay_progress_el.setAttribute('value', t);
                 this.debug.replay_percent_el.textContent = `${Math.floor((t + 1) / this.debug.replay.duration * 100)}%`;
             }
+
+            this.debug.timeline.redraw();
         }
     }
 
@@ -1952,6 +2722,90 @@ class Player extends PrimaryView {
         }
     }
 
+    // The wait key (or button) doubles as "go": it starts the level, unpauses, or moves on from the
+    // end of a level.  Returns true if it did any of that, rather than just waiting
+    press_wait(can_restart = true) {
+        if (this.state === 'waiting') {
+            // Start without moving
+            this.set_state('playing');
+            return true;
+        }
+        else if (this.state === 'paused') {
+            // Turns out I do this an awful lot expecting it to work, so
+            this.set_state('playing');
+            return true;
+        }
+        else if (this.state === 'stopped') {
+            if (this.level.state === 'success') {
+                this.proceed_to_next_level();
+            }
+            else if (can_restart) {
+                this.restart_level();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    press_rewind() {
+        if (this.level.has_undo() &&
+            (this.state === 'stopped' || this.state === 'playing' || this.state === 'paused'))
+        {
+            this.set_state('rewinding');
+        }
+    }
+
+    release_rewind() {
+        if (this.state === 'rewinding') {
+            this.set_state('playing');
+        }
+    }
+
+    press_undo() {
+        if (this.level.has_undo() &&
+            (this.state === 'stopped' || this.state === 'playing' || this.state === 'paused'))
+        {
+            this.undo_last_move();
+        }
+    }
+
+    // Read out what's on and around the player's cell, for anyone who can't see it.  Always says
+    // something, even if it's only repeating itself, so pressing the key is never met with silence
+    describe_surroundings() {
+        let player = this.level && this.level.player;
+        if (! player || ! player.cell)
+            return;
+
+        let describe_cell = cell => {
+            if (! cell)
+                return "edge of the map";
+
+            let names = [];
+            // Top to bottom, so whatever's in the way comes first
+            for (let layer = LAYERS.MAX - 1; layer >= 0; layer--) {
+                let tile = cell[layer];
+                if (! tile || tile === player || layer === LAYERS.vfx)
+                    continue;
+                let name = describe_tile_type(tile.type.name);
+                if (tile.type.is_actor && tile.direction) {
+                    name += ` facing ${tile.direction}`;
+                }
+                names.push(name);
+            }
+            // Floor is only worth mentioning if it's all there is
+            if (names.length > 1) {
+                names = names.filter(name => name !== TILE_DESCRIPTIONS['floor'].name);
+            }
+            return names.join(", ") || "nothing";
+        };
+
+        let parts = [`You are at ${player.cell.x}, ${player.cell.y}, facing ${player.direction}, on ${describe_cell(player.cell)}.`];
+        for (let [direction, label] of [['north', "North"], ['east', "East"], ['south', "South"], ['west', "West"]]) {
+            parts.push(`${label}: ${describe_cell(this.level.get_neighboring_cell(player.cell, direction))}.`);
+        }
+        this.announcer.announce(parts.join(" "), true);
+    }
+
     autopause() {
         // Turn-based mode doesn't need this
         if (this.turn_based_mode)
@@ -2010,6 +2864,8 @@ class Player extends PrimaryView {
         // the game isn't actually running
         if (new_state === 'playing') {
             this.current_keys_new.clear();
+            this.current_actions_new.clear();
+            this.gamepad_input_new = 0;
         }
 
         // TODO wonder if some other update_ui stuff could move here
@@ -2041,8 +2897,31 @@ class Player extends PrimaryView {
                 mk('div.-best-score', best_score),
                 mk('p.-controls-hint', "WASD/↑←↓→ to move · space to idle"),
             );
+
+            // Optional briefing, which stays open or closed across levels
+            let details = mk('details.level-stats-panel',
+                mk('summary', "what's in this level?"),
+                mk_level_stats(stored_level),
+            );
+            details.open = this.conductor.options.expand_level_stats ?? false;
+            details.addEventListener('toggle', () => {
+                this.conductor.options.expand_level_stats = details.open;
+                this.conductor.save_stash();
+            });
+            overlay.append(details);
+
+            let intro = [`Level ${stored_level.number}: ${stored_level.title || "untitled"}.`];
+            if (stored_level.author) {
+                intro.push(`By ${stored_level.author}.`);
+            }
+            if (stored_level.comment) {
+                intro.push(stored_level.comment);
+            }
+            intro.push(`${this.level.chips_remaining} hearts to collect.`);
+            this.announcer.announce(intro.join(" "));
         }
         else if (this.state === 'paused') {
+            this.announcer.announce("Paused.");
             overlay.append(mk('h2', "/// paused ///"));
             if (this.using_touch) {
                 overlay.append(mk('p.-controls-hint', "tap to resume"));
@@ -2059,11 +2938,13 @@ class Player extends PrimaryView {
             if (this.level.state === 'failure') {
                 overlay.setAttribute('data-reason', 'failure');
                 let obits = OBITUARIES[this.level.fail_reason] ?? OBITUARIES['generic'];
+                let obit = random_choice(obits);
                 overlay.append(
                     mk('h2', "whoops" + random_choice(["", "!", "?", "..."])),
-                    mk('h3', random_choice(obits)),
+                    mk('h3', obit),
                     this.mobile_pause_menu,
                 );
+                this.announcer.announce(`${describe_failure(this.level.fail_reason)} ${obit}.`, true);
                 if (this.using_touch) {
                     // TODO touch gesture to rewind?
                     overlay.append(mk('p.-controls-hint', "tap to try again, or use undo/rewind above"));
@@ -2080,53 +2961,16 @@ class Player extends PrimaryView {
                 let scorecard = this.level.get_scorecard();
                 let savefile = this.conductor.current_pack_savefile;
                 let old_scorecard = savefile.scorecards[level_index];
-                if (! this.debug.enabled) {
-                    // Merge any improved stats into the old scorecard, and update the totals.  All
-                    // four of these stats are tracked independently: least aid, best score, highest
-                    // clock, lowest real time
-                    let new_scorecard = old_scorecard ? { ...old_scorecard } : {};
-
-                    if (! old_scorecard) {
-                        savefile.cleared_levels = (savefile.cleared_levels ?? 0) + 1;
-                    }
-
-                    // Aid
-                    if (! old_scorecard || scorecard.aid < old_scorecard.aid) {
-                        new_scorecard.aid = scorecard.aid;
-                        if (scorecard.aid === 0) {
-                            savefile.aidless_levels = (savefile.aidless_levels ?? 0) + 1;
-                        }
-                    }
-
-                    // Score
-                    if (! old_scorecard || scorecard.score > old_scorecard.score) {
-                        new_scorecard.score = scorecard.score;
-                        savefile.total_score = savefile.total_score ?? 0;
-                        if (old_scorecard) {
-                            savefile.total_score -= old_scorecard.score;
-                        }
-                        savefile.total_score += scorecard.score;
-                    }
-
-                    // Real time
-                    if (! old_scorecard || scorecard.abstime < old_scorecard.abstime) {
-                        new_scorecard.abstime = scorecard.abstime;
-                        savefile.total_abstime = savefile.total_abstime ?? 0;
-                        if (old_scorecard) {
-                            savefile.total_abstime -= old_scorecard.abstime;
-                        }
-                        savefile.total_abstime += scorecard.abstime;
-                    }
-
-                    // Clock time
-                    if (! old_scorecard || scorecard.time > old_scorecard.time) {
-                        new_scorecard.time = scorecard.time;
-                        // There's no running total of clock times
-                    }
-
+                // Don't count debug shenanigans, or watching yourself win
+                if (! this.debug.enabled && ! this.watched_replay) {
+                    // Merge any improved stats into the old scorecard, and update the totals
+                    let is_personal_best = backup.merge_scorecard(savefile, level_index, scorecard);
                     savefile.total_levels = this.conductor.stored_game.level_metadata.length;
-                    savefile.scorecards[level_index] = new_scorecard;
                     this.conductor.save_savefile();
+
+                    if (is_personal_best && this.attempt_replay) {
+                        this.conductor.save_personal_best(level_number, this.attempt_replay, scorecard);
+                    }
                 }
 
                 overlay.setAttribute('data-reason', 'success');
@@ -2168,6 +3012,7 @@ class Player extends PrimaryView {
                     ]);
                 }
                 overlay.append(mk('h2', quip));
+                this.announcer.announce(`Level complete, ${quip} Score: ${scorecard.score.toLocaleString()}.`, true);
 
                 let bonus = this.level.bonus_points;
                 let score_improvement = mk('div.-improvement');
@@ -2193,9 +3038,14 @@ class Player extends PrimaryView {
                         score_improvement.append(mk('h4', "vs your best:"), mk('p', `− ${diffstr}`));
                     }
 
+                    // Imported records may not know the real time, in which case anything's a record
                     diff = scorecard.abstime - old_scorecard.abstime;
                     diffstr = util.format_duration(Math.abs(diff) / TICS_PER_SECOND, 2);
-                    if (diff < 0) {
+                    if (old_scorecard.abstime === null) {
+                        time_improvement.classList.add('--better');
+                        time_improvement.append(mk('h4', "new record!"));
+                    }
+                    else if (diff < 0) {
                         time_improvement.classList.add('--better');
                         time_improvement.append(mk('h4', "new record!"), mk('p', `− ${diffstr}`));
                     }
@@ -2272,6 +3122,7 @@ class Player extends PrimaryView {
         else if (this.state !== 'paused') {
             this.renderer.use_rewind_effect = false;
         }
+        this.p2_renderer.use_rewind_effect = this.renderer.use_rewind_effect;
 
         this.update_music_playback_state();
 
@@ -2418,13 +3269,18 @@ class Player extends PrimaryView {
         // The base size is the size of the canvas, i.e. the viewport size times the tile size --
         // but note that we have 2x4 extra tiles for the inventory depending on layout, plus half a
         // tile's worth of padding around the game area, plus a quarter tile spacing
+        // (In co-op, there are two viewports side by side, with a quarter tile between them.)
+        let viewports_x = this.renderer.viewport_size_x;
+        if (this.is_split) {
+            viewports_x = viewports_x * 2 + 0.25;
+        }
         let base_x, base_y;
         if (is_portrait) {
-            base_x = this.renderer.tileset.size_x * (this.renderer.viewport_size_x + 0.5);
+            base_x = this.renderer.tileset.size_x * (viewports_x + 0.5);
             base_y = this.renderer.tileset.size_y * (this.renderer.viewport_size_y + 2.75);
         }
         else {
-            base_x = this.renderer.tileset.size_x * (this.renderer.viewport_size_x + 4.75);
+            base_x = this.renderer.tileset.size_x * (viewports_x + 4.75);
             base_y = this.renderer.tileset.size_y * (this.renderer.viewport_size_y + 0.5);
         }
         // The element hierarchy is: the root is a wrapper that takes up the entire flex cell;
@@ -2546,10 +3402,59 @@ class Splash extends PrimaryView {
         for (let [ident, packinfo] of Object.entries(this.conductor.stash.packs)) {
             if (stock_pack_idents.has(ident))
                 continue;
-            this.custom_pack_list.append(this._create_pack_element(ident));
+            this.custom_pack_list.append(this._create_pack_element(ident, this._make_installed_packdef(ident)));
+            this.update_pack_score(ident);
+        }
+        // Packs installed from a catalog stick around even if they haven't been played yet
+        for (let ident of Object.keys(this.conductor.stash.installed_packs)) {
+            if (this.played_pack_elements[ident])
+                continue;
+            this.custom_pack_list.append(this._create_pack_element(ident, this._make_installed_packdef(ident)));
             this.update_pack_score(ident);
         }
 
+        // Level catalogs
+        this.catalog = null;
+        this.catalog_items = [];
+        this.catalog_el = this.root.querySelector('#splash-catalog');
+        this.catalog_search = this.catalog_el.querySelector('.catalog-controls .-search');
+        this.catalog_search.addEventListener('input', ev => {
+            this.update_catalog_list();
+        });
+        // Don't let typing here trigger any global keybindings
+        this.catalog_search.addEventListener('keydown', ev => {
+            if (ev.key !== 'Escape') {
+                ev.stopPropagation();
+            }
+        });
+        let tags_el = this.catalog_el.querySelector('.catalog-controls .-tags');
+        for (let ruleset of COMPAT_RULESET_ORDER) {
+            if (ruleset === 'custom')
+                continue;
+            let button = mk('button.-tag', {type: 'button', 'data-ruleset': ruleset, 'aria-pressed': 'false'},
+                COMPAT_RULESET_LABELS[ruleset]);
+            button.addEventListener('click', ev => {
+                button.setAttribute('aria-pressed', button.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+                this.update_catalog_list();
+            });
+            tags_el.append(button);
+        }
+        let catalog_sources = get_catalog_sources(this.conductor.running_locally);
+        let sources_el = this.root.querySelector('#splash-catalog-sources');
+        for (let source of catalog_sources) {
+            let button = mk('button.button-big.button-bright', {type: 'button'}, source.title);
+            button.addEventListener('click', ev => {
+                this.show_catalog(source);
+            });
+            sources_el.append(button);
+        }
+        this.root.querySelector('#splash-more-levels').addEventListener('click', ev => {
+            sources_el.scrollIntoView({behavior: 'smooth', block: 'start'});
+            if (! this.catalog && catalog_sources.length > 0) {
+                this.show_catalog(catalog_sources[0]);
+            }
+        });
+
         // File loading: allow providing either a single file, multiple files, OR an entire
         // directory (via the hokey WebKit Entry interface)
         let upload_file_el = this.root.querySelector('#splash-upload-file');
@@ -2563,6 +3468,9 @@ class Splash extends PrimaryView {
         this.root.querySelector('#splash-upload-dir-button').addEventListener('click', ev => {
             upload_dir_el.click();
         });
+        this.root.querySelector('#splash-backup').addEventListener('click', ev => {
+            new BackupOverlay(this.conductor).open();
+        });
         upload_file_el.addEventListener('change', async ev => {
             if (upload_file_el.files.length === 0)
                 return;
@@ -2706,10 +3614,36 @@ class Splash extends PrimaryView {
         }
     }
 
+    // Fake up a packdef for a pack installed from a catalog, or return null if it isn't one
+    _make_installed_packdef(ident) {
+        let info = this.conductor.stash.installed_packs[ident];
+        if (! info)
+            return null;
+
+        let desc = [];
+        if (info.author) {
+            desc.push(`By ${info.author}.`);
+        }
+        if (info.description) {
+            desc.push(info.description);
+        }
+        return {
+            ident,
+            title: info.title,
+            desc: desc.join("  "),
+            installed: true,
+        };
+    }
+
     _create_pack_element(ident, packdef = null) {
         let title = packdef ? packdef.title : ident;
         let button = mk('button.button-big.button-bright', {type: 'button'}, title);
-        if (packdef) {
+        if (packdef && packdef.installed) {
+            button.addEventListener('click', ev => {
+                this.play_installed_pack(ident);
+            });
+        }
+        else if (packdef) {
             button.addEventListener('click', ev => {
                 this.conductor.fetch_pack(packdef.path, packdef.title, packdef.ident);
             });
@@ -2729,6 +3663,12 @@ class Splash extends PrimaryView {
             new ConfirmOverlay(this.conductor, `Clear all your progress for ${title}?  This can't be undone.`, () => {
                 delete this.conductor.stash.packs[ident];
                 localStorage.removeItem(STORAGE_PACK_PREFIX + ident);
+                personal_bests.forget_personal_bests(ident).catch(e => {
+                    console.error("Failed to forget personal best replays:", e);
+                });
+                savestates.forget_savestates(ident).catch(e => {
+                    console.error("Failed to forget savestates:", e);
+                });
                 this.conductor.save_stash();
                 if (packdef) {
                     this.update_pack_score(ident);
@@ -2750,6 +3690,13 @@ class Splash extends PrimaryView {
             if (packdef.url) {
                 p.append("  ", mk('a', {href: packdef.url}, "About..."));
             }
+            if (packdef.installed) {
+                let uninstall_button = mk('button.-uninstall', {type: 'button'}, "Uninstall");
+                uninstall_button.addEventListener('click', ev => {
+                    this.confirm_uninstall(ident);
+                });
+                p.append("  ", uninstall_button);
+            }
             li.append(p);
         }
 
@@ -2812,8 +3759,184 @@ class Splash extends PrimaryView {
         }
     }
 
+    // Called by the conductor after installing or uninstalling a pack, to swap in the right kind
+    // of entry in the pack list
+    add_installed_pack(ident) {
+        let old_li = this.played_pack_elements[ident];
+        let li = this._create_pack_element(ident, this._make_installed_packdef(ident));
+        if (old_li) {
+            old_li.replaceWith(li);
+        }
+        else {
+            this.custom_pack_list.prepend(li);
+        }
+        this.update_pack_score(ident);
+        this.update_catalog_list();
+    }
+
+    remove_installed_pack(ident) {
+        let old_li = this.played_pack_elements[ident];
+        delete this.played_pack_elements[ident];
+        if (this.conductor.stash.packs[ident]) {
+            // Still played, so keep it around as a regular played pack
+            let li = this._create_pack_element(ident);
+            if (old_li) {
+                old_li.replaceWith(li);
+            }
+            else {
+                this.custom_pack_list.prepend(li);
+            }
+            this.update_pack_score(ident);
+        }
+        else if (old_li) {
+            old_li.remove();
+        }
+        this.update_catalog_list();
+    }
+
+    // Loading an installed set can still fail: IndexedDB might be broken, or might have been
+    // cleared out while we're offline, or the set itself might not parse
+    async play_installed_pack(ident) {
+        try {
+            await this.conductor.load_installed_pack(ident);
+        }
+        catch (e) {
+            console.error(e);
+            let title = this.conductor.stash.installed_packs[ident]?.title ?? ident;
+            new AlertOverlay(this.conductor, `Couldn't load ${title}: ${e.message ?? "network error"}`).open();
+        }
+    }
+
+    confirm_uninstall(ident) {
+        let info = this.conductor.stash.installed_packs[ident];
+        if (! info)
+            return;
+
+        new ConfirmOverlay(this.conductor, `Uninstall ${info.title}?  Your progress will be kept, and you can always install it again.`, async () => {
+            try {
+                await this.conductor.uninstall_catalog_set(ident);
+            }
+            catch (e) {
+                new AlertOverlay(this.conductor, `Couldn't uninstall ${info.title}: ${e.message}`).open();
+            }
+        }).open();
+    }
+
+    async show_catalog(source) {
+        this.catalog_el.hidden = false;
+        let list = this.catalog_el.querySelector('.catalog-list');
+        list.textContent = '';
+        list.append(mk('li.-loading', `Loading ${source.title}...`));
+        this.catalog_el.querySelector('.catalog-controls .-count').textContent = '';
+
+        // Don't let a slow catalog clobber one that was picked after it
+        let request = this.catalog_request = {};
+        let loaded;
+        try {
+            loaded = await source.load();
+        }
+        catch (e) {
+            if (request !== this.catalog_request)
+                return;
+            console.error(e);
+            this.catalog = null;
+            this.catalog_items = [];
+            this.catalog_el.hidden = true;
+            new AlertOverlay(this.conductor, `Couldn't load ${source.title}: ${e.message ?? "network error"}`).open();
+            return;
+        }
+        if (request !== this.catalog_request)
+            return;
+
+        this.catalog = loaded;
+        this.catalog_items = loaded.sets.map(set => [set, this._create_catalog_item(set)]);
+        list.textContent = '';
+        list.append(...this.catalog_items.map(([set, li]) => li));
+        this.update_catalog_list();
+    }
+
+    _create_catalog_item(set) {
+        let header = mk('div.-header', mk('span.-title', set.title));
+        if (set.author) {
+            header.append(mk('span.-author', "by ", set.author));
+        }
+        if (set.ruleset) {
+            header.append(mk('span.-tag', COMPAT_RULESET_LABELS[set.ruleset]));
+        }
+        let li = mk('li', {'data-ident': set.id}, header);
+        if (set.description) {
+            li.append(mk('p', set.description));
+        }
+        li.append(mk('div.-buttons'));
+        return li;
+    }
+
+    // Apply the search and tags, and make sure the buttons match what's installed
+    update_catalog_list() {
+        if (! this.catalog)
+            return;
+
+        let query = this.catalog_search.value.trim().toLowerCase();
+        let rulesets = new Set;
+        for (let button of this.catalog_el.querySelectorAll('.catalog-controls .-tag[aria-pressed=true]')) {
+            rulesets.add(button.getAttribute('data-ruleset'));
+        }
+
+        let num_shown = 0;
+        for (let [set, li] of this.catalog_items) {
+            let visible = true;
+            if (query) {
+                let haystack = [set.title, set.author ?? '', set.description ?? ''].join('\n').toLowerCase();
+                visible = haystack.includes(query);
+            }
+            if (visible && rulesets.size > 0) {
+                visible = rulesets.has(set.ruleset);
+            }
+            li.hidden = ! visible;
+            if (visible) {
+                num_shown += 1;
+            }
+
+            let installed = !! this.conductor.stash.installed_packs[set.id];
+            li.classList.toggle('--installed', installed);
+            let buttons = li.querySelector('.-buttons');
+            buttons.textContent = '';
+            if (installed) {
+                let play_button = mk('button.button-bright', {type: 'button'}, "Play");
+                play_button.addEventListener('click', ev => {
+                    this.play_installed_pack(set.id);
+                });
+                let uninstall_button = mk('button', {type: 'button'}, "Uninstall");
+                uninstall_button.addEventListener('click', ev => {
+                    this.confirm_uninstall(set.id);
+                });
+                buttons.append(play_button, uninstall_button);
+            }
+            else {
+                let install_button = mk('button.button-bright', {type: 'button'}, "Install");
+                install_button.addEventListener('click', async ev => {
+                    install_button.disabled = true;
+                    install_button.textContent = "Installing...";
+                    try {
+                        await this.conductor.install_catalog_set(set);
+                    }
+                    catch (e) {
+                        console.error(e);
+                        new AlertOverlay(this.conductor, `Couldn't install ${set.title}: ${e.message ?? "network error"}`).open();
+                        this.update_catalog_list();
+                    }
+                });
+                buttons.append(install_button);
+            }
+        }
+
+        let total = this.catalog_items.length;
+        this.catalog_el.querySelector('.catalog-controls .-count').textContent =
+            num_shown === total ? `${total} set${total === 1 ? "" : "s"}` : `${num_shown} of ${total} sets`;
+    }
+
     // Look for something we can load, and load it
-    async search_multi_source(source) {
+    async search_multi_source(source, identifier = null) {
         let paths = await Array.fromAsync(source.iter_all_files());
         // TODO should handle having multiple candidates, but this is good enough for now
         paths.sort((a, b) => a.length - b.length);
@@ -2826,7 +3949,7 @@ class Splash extends PrimaryView {
             // TODO this can't load an individual c2m, hmmm
             if (ext === 'c2g' || ext === 'dat' || ext === 'ccl') {
                 let buf = await source.get(path);
-                await this.conductor.parse_and_load_game(buf, source, path);
+                await this.conductor.parse_and_load_game(buf, source, path, identifier);
                 break;
             }
         }
@@ -2868,6 +3991,22 @@ const BLOCKED_GLIDERBOT_SETS = new Set([
     'cc2',
 ]);
 
+// Where the splash screen can find more levels; see catalog.js
+function get_catalog_sources(running_locally) {
+    let sources = [
+        new catalog.GliderbotCatalogSource(
+            'bbc', "Bit Busters Club set list", 'https://bitbusters.club/gliderbot/sets/',
+            BLOCKED_GLIDERBOT_SETS),
+    ];
+    if (running_locally) {
+        // Stand-in catalog, for poking at this without hammering the BBC
+        sources.push(new catalog.JSONCatalogSource('local', "Local test catalog", 'levels/catalog.json'));
+        // And one that's deliberately broken, for testing what happens when installing goes wrong
+        sources.push(new catalog.JSONCatalogSource('local-broken', "Broken test catalog", 'levels/catalog-test-broken.json'));
+    }
+    return sources;
+}
+
 
 // TODO i don't know how to cancel xmlhttprequests but it would be nice to put this in somewheres
 class LoadingOverlay extends DialogOverlay {
@@ -2882,7 +4021,37 @@ class LoadingOverlay extends DialogOverlay {
     }
 }
 
-// Report an error when a level or pack fails to load
+// Show text from a C2G 'script' block, one page at a time
+class ScriptTextOverlay extends DialogOverlay {
+    constructor(conductor, pages) {
+        super(conductor);
+        this.set_title(conductor.stored_game.title || "meanwhile...");
+        this.pages = pages;
+        this.page_index = 0;
+        this.text_el = mk('div.script-text');
+        this.main.append(this.text_el);
+        this.next_button = this.add_button("onwards", ev => {
+            this.page_index += 1;
+            if (this.page_index >= this.pages.length) {
+                this.close();
+            }
+            else {
+                this.show_page();
+            }
+        }, true);
+        this.show_page();
+    }
+
+    show_page() {
+        this.text_el.textContent = '';
+        for (let line of this.pages[this.page_index]) {
+            this.text_el.append(mk('p', line));
+        }
+        this.next_button.textContent = this.page_index < this.pages.length - 1 ? "more..." : "onwards";
+    }
+}
+
+// Report an error when a level or pack fails to load
 class LevelErrorOverlay extends DialogOverlay {
     constructor(conductor, error) {
         super(conductor);
@@ -2974,6 +4143,23 @@ class OptionsOverlay extends DialogOverlay {
             mk('dd', mk('label', mk('input', {name: 'show-captions', type: 'checkbox'}), " Enable captions")),
             mk('dt'),
             mk('dd', mk('label', mk('input', {name: 'use-cc2-anim-speed', type: 'checkbox'}), " Use CC2 animation speed")),
+            mk('dt', "Colorblind aids"),
+            mk('dd',
+                mk('label', mk('input', {name: 'color-glyphs', type: 'checkbox'}),
+                    " Mark colored keys, doors, buttons, and teleporters with letters, and force floors with arrows"),
+                mk('br'),
+                mk('label', mk('input', {name: 'high-contrast', type: 'checkbox'}),
+                    " Use higher-contrast colors in every tileset"),
+            ),
+            mk('dt', "Accessibility"),
+            mk('dd',
+                mk('label', mk('input', {name: 'accessibility-mode', type: 'checkbox'}),
+                    " Announce level info, hints, hearts, items, and deaths to screen readers"),
+                mk('br'),
+                mk('label', mk('input', {name: 'speak-announcements', type: 'checkbox'}),
+                    " Also read them aloud, for use without a screen reader"),
+                mk('p', "Use the \"describe surroundings\" control (below) to hear what's around you."),
+            ),
         );
         // Update volume live, if the player is active and was playing when this dialog was opened
         // (note that it won't auto-pause until open())
@@ -3074,6 +4260,75 @@ class OptionsOverlay extends DialogOverlay {
             mk('div.option-load-tileset'),
         ));
 
+        // Controls, which are edited in place and only saved if there are no conflicts
+        this.bindings = new KeyBindings(this.conductor.options.key_bindings ?? null);
+        this.bindings_table = mk('table.key-bindings');
+        this.bindings_conflicts_el = mk('p.key-bindings-conflicts');
+        let match_select = mk('select', {name: 'key-match'},
+            mk('option', {value: 'key'}, "By character — follows your keyboard layout"),
+            mk('option', {value: 'code'}, "By position — the same spot on any layout"),
+        );
+        match_select.value = this.bindings.match;
+        match_select.addEventListener('change', () => {
+            this.bindings.match = match_select.value;
+            this.bindings.rebuild();
+            this.update_bindings();
+        });
+        dl.append(
+            mk('dt', "Match keys"),
+            mk('dd', match_select),
+            mk('dt', "Controls"),
+            mk('dd',
+                this.bindings_table,
+                this.bindings_conflicts_el,
+                mk('p', util.mk_button("Reset to defaults", () => {
+                    this.bindings.reset();
+                    this.update_bindings();
+                })),
+            ),
+        );
+        this.update_bindings();
+
+        // Gamepad controls, which work the same way
+        this.gamepad_bindings = new GamepadBindings(this.conductor.options.gamepad ?? null);
+        this.gamepad_table = mk('table.key-bindings');
+        this.gamepad_conflicts_el = mk('p.key-bindings-conflicts');
+        let dead_zone_input = mk('input', {name: 'gamepad-dead-zone', type: 'range', min: 0.05, max: 0.9, step: 0.05});
+        let dead_zone_output = mk('output');
+        let update_dead_zone = () => {
+            dead_zone_input.value = this.gamepad_bindings.dead_zone;
+            dead_zone_output.textContent = `${Math.round(this.gamepad_bindings.dead_zone * 100)}%`;
+        };
+        dead_zone_input.addEventListener('input', () => {
+            this.gamepad_bindings.dead_zone = parseFloat(dead_zone_input.value);
+            update_dead_zone();
+        });
+        update_dead_zone();
+        dl.append(
+            mk('dt', "Gamepad"),
+            mk('dd',
+                mk('p', "Move with the D-pad or the left stick.  In menus, A picks and B backs out.  (Browsers don't notice a gamepad until you press something on it.)"),
+                mk('p', mk('label', "Stick dead zone ", dead_zone_input), " ", dead_zone_output),
+                this.gamepad_table,
+                this.gamepad_conflicts_el,
+                mk('p', util.mk_button("Reset to defaults", () => {
+                    this.gamepad_bindings.reset();
+                    update_dead_zone();
+                    this.update_gamepad_bindings();
+                })),
+            ),
+        );
+        this.update_gamepad_bindings();
+
+        // Offline play, which acts right away rather than waiting for save, since it's really about
+        // the browser's cache rather than our options
+        this.offline_el = mk('dd.option-offline');
+        dl.append(
+            mk('dt', "Offline play"),
+            this.offline_el,
+        );
+        this.update_offline_status();
+
         // Load current values
         this.root.elements['music-volume'].value = this.conductor.options.music_volume ?? 1.0;
         this.root.elements['music-enabled'].checked = this.conductor.options.music_enabled ?? true;
@@ -3082,13 +4337,30 @@ class OptionsOverlay extends DialogOverlay {
         this.root.elements['spatial-mode'].value = this.conductor.options.spatial_mode ?? 2;
         this.root.elements['show-captions'].checked = this.conductor.options.show_captions ?? false;
         this.root.elements['use-cc2-anim-speed'].checked = this.conductor.options.use_cc2_anim_speed ?? false;
+        this.root.elements['color-glyphs'].checked = this.conductor.options.color_glyphs ?? false;
+        this.root.elements['high-contrast'].checked = this.conductor.options.high_contrast ?? false;
+        this.root.elements['accessibility-mode'].checked = this.conductor.options.accessibility_mode ?? false;
+        this.root.elements['speak-announcements'].checked = this.conductor.options.speak_announcements ?? false;
 
         this.root.elements['custom-tileset'].addEventListener('change', ev => {
             this._load_custom_tileset(ev.target.files[0]);
         });
 
         this.add_button("save", () => {
+            if (this.bindings.find_conflicts().length > 0) {
+                new AlertOverlay(this.conductor,
+                    "Some keys are bound to more than one thing, which won't work.  Fix those first!").open();
+                return;
+            }
+            if (this.gamepad_bindings.find_conflicts().length > 0) {
+                new AlertOverlay(this.conductor,
+                    "Some gamepad buttons are bound to more than one thing, which won't work.  Fix those first!").open();
+                return;
+            }
+
             let options = this.conductor.options;
+            options.key_bindings = this.bindings.to_options();
+            options.gamepad = this.gamepad_bindings.to_options();
             options.music_volume = parseFloat(this.root.elements['music-volume'].value);
             options.music_enabled = this.root.elements['music-enabled'].checked;
             options.sound_volume = parseFloat(this.root.elements['sound-volume'].value);
@@ -3096,6 +4368,10 @@ class OptionsOverlay extends DialogOverlay {
             options.spatial_mode = parseInt(this.root.elements['spatial-mode'].value, 10);
             options.show_captions = this.root.elements['show-captions'].checked;
             options.use_cc2_anim_speed = this.root.elements['use-cc2-anim-speed'].checked;
+            options.color_glyphs = this.root.elements['color-glyphs'].checked;
+            options.high_contrast = this.root.elements['high-contrast'].checked;
+            options.accessibility_mode = this.root.elements['accessibility-mode'].checked;
+            options.speak_announcements = this.root.elements['speak-announcements'].checked;
 
             // Tileset stuff: slightly more complicated.  Save custom ones to localStorage as data
             // URIs, and /delete/ any custom ones we're not using any more, both of which require
@@ -3177,6 +4453,262 @@ class OptionsOverlay extends DialogOverlay {
         }
     }
 
+    update_bindings() {
+        let conflicts = this.bindings.find_conflicts();
+        let conflicted = new Set;
+        for (let [id, names] of conflicts) {
+            for (let name of names) {
+                conflicted.add(`${name} ${id}`);
+            }
+        }
+
+        this.bindings_table.textContent = '';
+        let group = null;
+        for (let action of KEY_ACTIONS) {
+            if (action.group !== group) {
+                group = action.group;
+                this.bindings_table.append(mk('tr', mk('th.-group', {colspan: 2}, KEY_ACTION_GROUPS[group])));
+            }
+
+            let keys_cell = mk('td');
+            for (let [i, binding] of this.bindings.bindings[action.name].entries()) {
+                let button = mk('button.-key', {type: 'button', title: "Click to unbind"},
+                    mk('kbd', this.bindings.describe_binding(binding)), " ×");
+                let id = this.bindings.binding_id(binding);
+                button.classList.toggle('--conflict', conflicted.has(`${action.name} ${id}`));
+                button.addEventListener('click', () => {
+                    this.bindings.remove_binding(action.name, i);
+                    this.update_bindings();
+                });
+                keys_cell.append(button);
+            }
+            let add_button = util.mk_button("+", () => {
+                this._capture_binding(action, add_button);
+            });
+            add_button.classList.add('-add');
+            add_button.title = "Add a key";
+            keys_cell.append(add_button);
+
+            this.bindings_table.append(mk('tr', mk('th', action.label), keys_cell));
+        }
+
+        let labels = names => names.map(name => {
+            let action = KEY_ACTIONS.find(action => action.name === name);
+            return `${action.label} (${KEY_ACTION_GROUPS[action.group]})`;
+        });
+        this.bindings_conflicts_el.textContent = conflicts.map(([id, names]) =>
+            `${this.bindings.describe_id(id)} is bound to ${labels(names).join(" and ")}.`).join(" ");
+    }
+
+    // Wait for the next key pressed, and bind it to the action.  Esc gives up
+    _capture_binding(action, button) {
+        button.textContent = "press a key...";
+        button.classList.add('--capturing');
+        let done = false;
+        let finish = () => {
+            if (done)
+                return;
+            done = true;
+            button.removeEventListener('keydown', on_keydown);
+            this.update_bindings();
+        };
+        let on_keydown = ev => {
+            // Don't let this reach the dialog, or Esc will close it
+            ev.preventDefault();
+            ev.stopPropagation();
+            if (ev.repeat)
+                return;
+            if (ev.key !== 'Escape') {
+                this.bindings.add_binding(action.name, {key: ev.key, code: ev.code});
+            }
+            finish();
+        };
+        button.addEventListener('keydown', on_keydown);
+        button.addEventListener('blur', finish, {once: true});
+        button.focus();
+    }
+
+    close() {
+        this.conductor.cancel_gamepad_capture();
+        super.close();
+    }
+
+    update_gamepad_bindings() {
+        let conflicts = this.gamepad_bindings.find_conflicts();
+        let conflicted = new Set;
+        for (let [button, names] of conflicts) {
+            for (let name of names) {
+                conflicted.add(`${name} ${button}`);
+            }
+        }
+
+        this.gamepad_table.textContent = '';
+        for (let action of GAMEPAD_ACTIONS) {
+            let buttons_cell = mk('td');
+            for (let [i, button] of this.gamepad_bindings.buttons[action.name].entries()) {
+                let el = mk('button.-key', {type: 'button', title: "Click to unbind"},
+                    mk('kbd', describe_button(button)), " ×");
+                el.classList.toggle('--conflict', conflicted.has(`${action.name} ${button}`));
+                el.addEventListener('click', () => {
+                    this.gamepad_bindings.remove_binding(action.name, i);
+                    this.update_gamepad_bindings();
+                });
+                buttons_cell.append(el);
+            }
+            let add_button = util.mk_button("+", () => {
+                this._capture_gamepad_button(action, add_button);
+            });
+            add_button.classList.add('-add');
+            add_button.title = "Add a button";
+            buttons_cell.append(add_button);
+
+            this.gamepad_table.append(mk('tr', mk('th', action.label), buttons_cell));
+        }
+
+        let labels = names => names.map(name => GAMEPAD_ACTIONS.find(action => action.name === name).label);
+        this.gamepad_conflicts_el.textContent = conflicts.map(([button, names]) =>
+            `${describe_button(button)} is bound to ${labels(names).join(" and ")}.`).join(" ");
+    }
+
+    // Wait for the next gamepad button pressed, and bind it to the action.  Esc gives up
+    _capture_gamepad_button(action, button) {
+        button.textContent = "press a button...";
+        button.classList.add('--capturing');
+        let done = false;
+        let finish = () => {
+            if (done)
+                return;
+            done = true;
+            button.removeEventListener('keydown', on_keydown);
+            this.conductor.cancel_gamepad_capture();
+            this.update_gamepad_bindings();
+        };
+        let on_keydown = ev => {
+            if (ev.key !== 'Escape')
+                return;
+            // Don't let this reach the dialog, or it'll close
+            ev.preventDefault();
+            ev.stopPropagation();
+            finish();
+        };
+        this.conductor.capture_gamepad_button().then(index => {
+            if (done)
+                return;
+            if (index !== null) {
+                this.gamepad_bindings.add_binding(action.name, index);
+            }
+            finish();
+        });
+        button.addEventListener('keydown', on_keydown);
+        button.addEventListener('blur', finish, {once: true});
+        button.focus();
+    }
+
+    async update_offline_status() {
+        let el = this.offline_el;
+        if (! offline.is_supported()) {
+            el.textContent = '';
+            el.append(mk('p', "Your browser can't save the game for offline play."));
+            return;
+        }
+
+        let music_paths = SOUNDTRACK.map(track => track.path);
+        let pack_paths = BUILTIN_PACKS.map(packdef => packdef.path);
+        let status;
+        try {
+            status = await offline.get_cache_status(music_paths, pack_paths);
+        }
+        catch (e) {
+            // Nobody's waiting on this, so don't let it turn into an unhandled rejection
+            console.error(e);
+            el.textContent = '';
+            el.append(mk('p', `Couldn't check on offline play: ${e.message}`));
+            return;
+        }
+
+        // Do something in the background, with the buttons disabled until it's done
+        let act = async (button, busy_label, what) => {
+            for (let other of el.querySelectorAll('button')) {
+                other.disabled = true;
+            }
+            button.textContent = busy_label;
+            try {
+                await what();
+            }
+            catch (e) {
+                console.error(e);
+                new AlertOverlay(this.conductor, e.message).open();
+            }
+            this.update_offline_status();
+        };
+
+        let summary;
+        if (status.version === null) {
+            summary = this.conductor.running_locally
+                ? "Offline play is turned off when running locally, so you see your changes."
+                : "The game isn't saved for offline play yet; it should be after the next reload.";
+        }
+        else if (! status.active) {
+            summary = "The game is saved for offline play, and will run from the cache after the next reload.";
+        }
+        else {
+            summary = "The game is saved for offline play.  Music and levels are optional:";
+        }
+
+        let table = mk('table.offline-cache');
+        let add_row = (label, is_cached, detail, on_save, on_remove) => {
+            let button;
+            if (is_cached) {
+                button = util.mk_button("Remove", () => act(button, "Removing...", on_remove));
+            }
+            else {
+                button = util.mk_button("Save", () => act(button, "Saving...", on_save));
+            }
+            table.append(mk('tr',
+                mk('th', label),
+                mk('td', detail),
+                mk('td', button),
+            ));
+        };
+        add_row(
+            "Music", status.music > 0,
+            status.music === 0 ? "not saved" : `${status.music} of ${music_paths.length} tracks saved`,
+            () => offline.cache_music(music_paths),
+            () => offline.uncache_music(),
+        );
+        for (let packdef of BUILTIN_PACKS) {
+            let is_cached = status.packs.has(packdef.path);
+            add_row(
+                packdef.title, is_cached, is_cached ? "saved" : "not saved",
+                () => offline.cache_pack(packdef.path),
+                () => offline.uncache_pack(packdef.path),
+            );
+        }
+
+        let usage = mk('p');
+        if (status.usage !== null) {
+            usage.textContent = `Using ${offline.format_bytes(status.usage)} of browser storage`;
+            if (status.quota !== null) {
+                usage.textContent += ` (out of ${offline.format_bytes(status.quota)} allowed)`;
+            }
+            usage.textContent += ", including saved games and custom tilesets.";
+        }
+
+        let clear_button = util.mk_button("Clear cache", () => {
+            new ConfirmOverlay(this.conductor,
+                "Throw out everything saved for offline play?  Your progress isn't affected, and the game will save itself again the next time you load it.",
+                () => act(clear_button, "Clearing...", () => offline.clear_cache())).open();
+        });
+
+        el.textContent = '';
+        el.append(
+            mk('p', summary),
+            table,
+            usage,
+            mk('p', clear_button),
+        );
+    }
+
     _play_random_sfx() {
         let sfx = this.conductor.player.sfx_player;
         // Temporarily force enable it
@@ -3590,14 +5122,13 @@ class PackTestDialog extends DialogOverlay {
                 this.current_status.textContent = `Testing level ${i + 1}/${num_levels} ${stored_level.title}...`;
 
                 let replay = stored_level.replay;
-                level = new Level(stored_level, compat);
+                level = new Level(stored_level, compat, replay.is_coop);
                 level.sfx = dummy_sfx;
                 level.undo_enabled = false; // slight performance boost
                 replay.configure_level(level);
 
                 while (true) {
-                    let input = replay.get(level.tic_counter);
-                    level.advance_tic(input);
+                    level.advance_tic(replay.get(level.tic_counter), replay.get(level.tic_counter, 2));
 
                     if (level.state === 'success') {
                         if (level.tic_counter < replay.duration - 10) {
@@ -3692,31 +5223,158 @@ ${num_passed}/${num_levels} levels passed`;
     }
 }
 
+// Ways to narrow down the level browser; each test takes an entry from make_level_browser_entry
+const LEVEL_BROWSER_FILTERS = [
+    {name: 'all', label: "All levels", test: entry => true},
+    {name: 'cleared', label: "Cleared", test: entry => !! entry.scorecard},
+    {name: 'uncleared', label: "Not cleared", test: entry => ! entry.scorecard},
+    {name: 'aided', label: "Cleared with aid", test: entry => !! entry.scorecard && entry.scorecard.aid > 0},
+    {name: 'timed', label: "Timed", test: entry => entry.time_limit > 0},
+    {name: 'untimed', label: "Untimed", test: entry => entry.time_limit === 0},
+    {name: 'replay', label: "Has a replay", test: entry => entry.has_replay || entry.has_personal_best},
+];
+// Columns the level browser can sort by.  null means there's nothing to sort by, e.g. because the
+// level hasn't been cleared, and those always go last no matter which way the sort goes
+const LEVEL_BROWSER_SORTS = {
+    number: entry => entry.index,
+    title: entry => entry.title,
+    // 0 means untimed, same as in the table
+    time: entry => entry.scorecard && entry.scorecard.time !== 0 ? entry.scorecard.time : null,
+    abstime: entry => entry.scorecard ? entry.scorecard.abstime : null,
+    score: entry => entry.scorecard ? entry.scorecard.score : null,
+    aid: entry => entry.scorecard ? entry.scorecard.aid : null,
+};
+// Thumbnails are scaled to fit in a box this size, in px
+const LEVEL_THUMBNAIL_SIZE = 64;
+
+// Everything the level browser knows about a level without loading it, which is whatever the
+// metadata has, or the level itself if it happens to be loaded already (as in the editor)
+function make_level_browser_entry(stored_game, index, scorecard) {
+    let meta = stored_game.level_metadata[index];
+    let source = meta.stored_level ?? meta;
+    return {
+        index,
+        title: meta.error ? null : (source.title || null),
+        author: source.author || null,
+        password: source.password || null,
+        // null means we don't know without loading the level
+        time_limit: source.time_limit ?? null,
+        has_replay: !! (source.has_replay || stored_game.level_replays[index]),
+        // Filled in once personal bests load
+        has_personal_best: false,
+        scorecard: scorecard ?? null,
+    };
+}
+
 // List of levels, used in the player
 class LevelBrowserOverlay extends DialogOverlay {
     constructor(conductor) {
         super(conductor);
         this.set_title("choose a level");
+
+        // Search and filter controls sit between the header and the table, so they don't scroll away
+        this.search_input = mk('input', {
+            type: 'search',
+            placeholder: "Search titles, authors, passwords",
+            'aria-label': "Search levels",
+        });
+        this.search_input.addEventListener('input', () => {
+            this.apply_filter();
+        });
+        this.search_input.addEventListener('keydown', ev => {
+            if (ev.key === 'Enter') {
+                // Don't submit the form; play the first match instead, which is probably what you
+                // were looking for
+                ev.preventDefault();
+                let entry = this.entries.find(entry => ! this.rows[entry.index].hidden);
+                if (entry && this.conductor.change_level(entry.index)) {
+                    this.close();
+                }
+            }
+            else if (ev.key !== 'Escape') {
+                // Keep typing from reaching the player's key handlers
+                ev.stopPropagation();
+            }
+        });
+        this.filter_select = mk('select', {'aria-label': "Show"});
+        for (let filter of LEVEL_BROWSER_FILTERS) {
+            this.filter_select.append(mk('option', {value: filter.name}, filter.label));
+        }
+        this.filter_select.addEventListener('change', () => {
+            this.apply_filter();
+        });
+        this.match_count = mk('span.-count');
+        this.main.before(mk('div.level-browser-controls',
+            this.search_input, this.filter_select, this.match_count));
+
+        // Thumbnails are rendered lazily, a few at a time, as they scroll into view
+        this.renderer = new CanvasRenderer(this.conductor.tilesets['ll'], 32);
+        this.awaiting_renders = [];
+        this.observer = new IntersectionObserver((entries, _observer) => {
+                let any_new = false;
+                let to_remove = new Set;
+                for (let entry of entries) {
+                    let index = parseInt(entry.target.closest('tr').getAttribute('data-index'), 10);
+                    if (entry.isIntersecting) {
+                        this.awaiting_renders.push(index);
+                        any_new = true;
+                    }
+                    else {
+                        to_remove.add(index);
+                    }
+                }
+
+                this.awaiting_renders = this.awaiting_renders.filter(index => ! to_remove.has(index));
+                if (any_new) {
+                    this.schedule_thumbnail_render();
+                }
+            },
+            { root: this.main },
+        );
+
+        let mk_sort_button = (key, ...label) => mk('button.-sort', {type: 'button', 'data-sort': key}, ...label);
         let thead = mk('thead', mk('tr',
-            mk('th', ""),
-            mk('th.-title', "Level"),
-            mk('th.-time', mk('abbr', {
+            mk('th.-number', mk_sort_button('number', "#")),
+            mk('th.-thumbnail'),
+            mk('th.-title', mk_sort_button('title', "Level")),
+            mk('th.-time', mk_sort_button('time', mk('abbr', {
                 title: "Time left on the clock when you finished; doesn't exist for untimed levels",
-            }, "Best clock")),
-            mk('th.-time', mk('abbr', {
+            }, "Best clock"))),
+            mk('th.-time', mk_sort_button('abstime', mk('abbr', {
                 title: "Actual time it took you to play the level, even on untimed levels, and ignoring any CC2 clock altering effects",
-            }, "Best real time")),
-            mk('th.-score', "Best score"),
+            }, "Best real time"))),
+            mk('th.-score', mk_sort_button('score', "Best score")),
+            mk('th.-aid', mk_sort_button('aid', mk('abbr', {
+                title: "Whether you used any aid, like undo or rewind; ★ means none",
+            }, "★"))),
+            mk('th'),
             mk('th'),
             mk('th'),
         ));
+        thead.addEventListener('click', ev => {
+            let button = ev.target.closest('button.-sort');
+            if (! button)
+                return;
+
+            let key = button.getAttribute('data-sort');
+            // Clicking the same column again flips it
+            this.sort_levels(key, key === this.sort_key ? ! this.sort_descending : false);
+        });
+        this.thead = thead;
+
         let tbody = mk('tbody');
         let table = mk('table.level-browser', thead, tbody);
         this.main.append(table);
+        this.entries = [];  // level index => entry, in display order
+        this.rows = [];  // level index => tr
+        this.stats_rows = [];  // level index => tr, for levels whose stats have been shown
+        this.sort_key = 'number';
+        this.sort_descending = false;
         let savefile = conductor.current_pack_savefile;
         let total_abstime = 0, total_score = 0;
         for (let [i, meta] of conductor.stored_game.level_metadata.entries()) {
             let scorecard = savefile.scorecards[i];
+            let entry = make_level_browser_entry(conductor.stored_game, i, scorecard);
             let score = "—", time = "—", abstime = "—", aid = "";
             let button;
             if (scorecard) {
@@ -3731,9 +5389,12 @@ class LevelBrowserOverlay extends DialogOverlay {
                     time = String(scorecard.time);
                 }
 
-                abstime = util.format_duration(scorecard.abstime / TICS_PER_SECOND, 2);
+                // Imported records may not know this
+                if (scorecard.abstime !== null) {
+                    abstime = util.format_duration(scorecard.abstime / TICS_PER_SECOND, 2);
+                }
 
-                total_abstime += scorecard.abstime;
+                total_abstime += scorecard.abstime ?? 0;
                 total_score += scorecard.score;
 
                 button = util.mk_button('forget', ev => {
@@ -3743,7 +5404,7 @@ class LevelBrowserOverlay extends DialogOverlay {
                         if (! scorecard)
                             return;
 
-                        savefile.total_abstime -= scorecard.abstime;
+                        savefile.total_abstime -= scorecard.abstime ?? 0;
                         savefile.total_score -= scorecard.score;
                         savefile.cleared_levels -= 1;
                         if (savefile.aid === 0) {
@@ -3751,13 +5412,23 @@ class LevelBrowserOverlay extends DialogOverlay {
                         }
                         savefile.scorecards[i] = null;
                         this.conductor.save_savefile();
+                        if (this.conductor._pack_identifier) {
+                            personal_bests.forget_personal_best(this.conductor._pack_identifier, i + 1)
+                            .catch(e => {
+                                console.error("Failed to forget personal best replay:", e);
+                            });
+                        }
 
-                        let tr = ev.target.closest('table.level-browser tr');
+                        let tr = this.rows[i];
                         for (let td of tr.querySelectorAll('td.-time, td.-score')) {
                             td.textContent = "—";
                         }
                         tr.querySelector('td.-aid').textContent = "";
                         tr.querySelector('td.-button').textContent = "";
+                        tr.querySelector('td.-watch').textContent = "";
+                        entry.scorecard = null;
+                        entry.has_personal_best = false;
+                        this.apply_filter();
                         // TODO update totals row?  ugh
                     }).open();
                     ev.stopPropagation();  // don't trigger row click handler
@@ -3772,21 +5443,30 @@ class LevelBrowserOverlay extends DialogOverlay {
                 title = '(untitled)';
             }
 
+            let thumbnail = mk('td.-thumbnail');
+            // Rows are focusable so they can be picked with a gamepad
             let tr = mk('tr',
-                {'data-index': i},
+                {'data-index': i, tabindex: -1},
                 mk('td.-number', meta.number),
+                thumbnail,
                 mk('td.-title', title),
                 mk('td.-time', time),
                 mk('td.-time', abstime),
                 mk('td.-score', score),
                 mk('td.-aid', aid),
                 mk('td.-button', button ?? ''),
+                mk('td.-watch'),
+                mk('td.-info', meta.error ? '' : util.mk_button('info', ev => {
+                    ev.stopPropagation();  // don't trigger row click handler
+                    this.toggle_level_stats(i);
+                })),
                 // TODO show your time?  include 999 times for untimed levels (which i don't know at
                 // this point whoops but i guess if the time is zero then that answers that)?  show
                 // your wallclock time also?
-                // TODO other stats??  num chips, time limit?  don't know that without loading all
-                // the levels upfront though, which i currently do but want to stop doing
             );
+            if (entry.author) {
+                tr.querySelector('td.-title').append(mk('span.-author', `by ${entry.author}`));
+            }
 
             if (i === this.conductor.level_index) {
                 tr.classList.add('--current');
@@ -3798,13 +5478,19 @@ class LevelBrowserOverlay extends DialogOverlay {
             if (meta.error) {
                 tr.classList.add('--error');
             }
+            else {
+                this.observer.observe(thumbnail);
+            }
 
             tbody.append(tr);
+            this.rows[i] = tr;
+            this.entries.push(entry);
         }
 
         tbody.addEventListener('click', ev => {
             let tr = ev.target.closest('table.level-browser tr');
-            if (! tr)
+            // The rows of level stats don't go anywhere
+            if (! tr || ! tr.hasAttribute('data-index'))
                 return;
 
             let index = parseInt(tr.getAttribute('data-index'), 10);
@@ -3816,6 +5502,7 @@ class LevelBrowserOverlay extends DialogOverlay {
         this.tbody = tbody;
 
         table.append(mk('tfoot', mk('tr',
+            mk('th'),
             mk('th'),
             mk('th.-title', "Total"),
             mk('th'),
@@ -3823,8 +5510,70 @@ class LevelBrowserOverlay extends DialogOverlay {
             mk('th.-score', total_score.toLocaleString()),
             mk('th'),
             mk('th'),
+            mk('th'),
+            mk('th'),
         )));
 
+        // Personal bests live in IndexedDB, so they show up a moment later
+        this.conductor.load_personal_bests().then(bests => {
+            for (let [i, record] of bests.entries()) {
+                if (! record)
+                    continue;
+                let tr = this.rows[i];
+                if (! tr)
+                    continue;
+
+                this.entries.find(entry => entry.index === i).has_personal_best = true;
+                tr.querySelector('td.-watch').append(util.mk_button('watch my best', ev => {
+                    ev.stopPropagation();  // don't trigger row click handler
+                    let watch = () => {
+                        if (i !== this.conductor.level_index && ! this.conductor.change_level(i))
+                            return;
+                        this.close();
+                        this.conductor.player.watch_replay(personal_bests.record_to_replay(record));
+                    };
+
+                    // The replay will only stay in sync under the ruleset it was recorded with
+                    let ruleset = personal_bests.record_ruleset(record);
+                    if (ruleset === (this.conductor._compat_ruleset ?? 'custom')) {
+                        watch();
+                    }
+                    else if (ruleset === 'custom') {
+                        new AlertOverlay(this.conductor, "This best was recorded with custom compatibility settings, and those weren't saved, so it can't be played back under a ruleset.").open();
+                    }
+                    else {
+                        new ConfirmOverlay(this.conductor, `This best was recorded under the ${COMPAT_RULESET_LABELS[ruleset]} ruleset.  Switch to that ruleset to watch it?`, () => {
+                            this.conductor.set_compat(ruleset, compat_flags_for_ruleset(ruleset));
+                            watch();
+                        }).open();
+                    }
+                }));
+            }
+            // The "has a replay" filter may have changed its mind
+            this.apply_filter();
+        });
+
+        this.sort_levels('number', false);
+        this.apply_filter();
+
+        this.add_button("next uncleared", ev => {
+            this.go_to_uncleared_level(false);
+        });
+        this.add_button("random uncleared", ev => {
+            this.go_to_uncleared_level(true);
+        });
+        this.add_button("export solutions (.tws)", ev => {
+            this.conductor.player.export_solutions_as_tws();
+        });
+        this.add_button("export my bests (.tws)", ev => {
+            this.conductor.player.export_solutions_as_tws(true);
+        });
+        this.add_button("backups", ev => {
+            // Importing changes the records shown here, so get out of the way
+            this.close();
+            new BackupOverlay(this.conductor).open();
+        });
+        this.add_button_gap();
         this.add_button("nevermind", ev => {
             this.close();
         }, true);
@@ -3832,76 +5581,538 @@ class LevelBrowserOverlay extends DialogOverlay {
 
     open() {
         super.open();
-        this.tbody.childNodes[this.conductor.level_index].scrollIntoView({block: 'center'});
+        this.rows[this.conductor.level_index].scrollIntoView({block: 'center'});
     }
-}
-
-// Central dispatcher of what we're doing and what we've got loaded
-// We store several kinds of things in localStorage:
-// Main storage:
-//   packs:
-//     total_score
-//     total_abstime
-//     total_levels
-//     cleared_levels
-//     aidless_levels
-//   options
-//   compat: (either a ruleset string or an object of individual flags)
-const STORAGE_KEY = "Lexy's Labyrinth";
-// Records for a pack that has been played
-//   total_score
-//   highest_level
-//   current_level
-//   scorecards: []?
-//     time
-//     abstime
-//     bonus
-//     score
-//     aid
-const STORAGE_PACK_PREFIX = "Lexy's Labyrinth: ";
-// Metadata for an edited pack
-// - list of the levels they own and basic metadata like name
-// Stored individual levels: given dummy names, all indexed on their own
-class Conductor {
-    constructor(running_locally) {
-        this.running_locally = running_locally;
-        this.stored_game = null;
 
-        this.stash = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
-        // TODO more robust way to ensure this is shaped how i expect?
-        if (! this.stash) {
-            this.stash = {};
-        }
-        if (! this.stash.options) {
-            this.stash.options = {};
-        }
-        if (! this.stash.options.tilesets) {
-            this.stash.options.tilesets = {};
-        }
-        if (! this.stash.compat) {
-            this.stash.compat = 'lexy';
+    close() {
+        this.observer.disconnect();
+        if (this._render_handle) {
+            clearTimeout(this._render_handle);
+            this._render_handle = null;
         }
-        if (! this.stash.packs) {
-            this.stash.packs = {};
+        super.close();
+    }
+
+    // Hide any rows that don't match the search text and the chosen filter
+    apply_filter() {
+        let query = this.search_input.value.trim().toLowerCase();
+        let filter = LEVEL_BROWSER_FILTERS.find(filter => filter.name === this.filter_select.value);
+        let num_shown = 0;
+        for (let entry of this.entries) {
+            let matches = filter.test(entry);
+            if (matches && query) {
+                matches = [entry.title, entry.author, entry.password].some(
+                    text => text && text.toLowerCase().includes(query));
+            }
+
+            this.rows[entry.index].hidden = ! matches;
+            // Stats rows tag along with their level, but remember whether they were open
+            let stats_row = this.stats_rows[entry.index];
+            if (stats_row) {
+                stats_row.classList.toggle('--filtered', ! matches);
+            }
+            if (matches) {
+                num_shown += 1;
+            }
         }
 
-        // Handy aliases
-        this.options = this.stash.options;
-        this.compat = {};
-        this._compat_ruleset = 'custom';  // Only used by the compat dialog
-        if (typeof this.stash.compat === 'string') {
-            this._compat_ruleset = this.stash.compat;
-            this.compat = compat_flags_for_ruleset(this.stash.compat);
+        if (num_shown === this.entries.length) {
+            this.match_count.textContent = `${num_shown} levels`;
         }
         else {
-            Object.extend(this.compat, this.stash.compat);
+            this.match_count.textContent = `${num_shown} of ${this.entries.length} levels`;
         }
-        this.set_compat(this._compat_ruleset, this.compat);
+    }
 
+    sort_levels(key, descending) {
+        this.sort_key = key;
+        this.sort_descending = descending;
+
+        let get_value = LEVEL_BROWSER_SORTS[key];
+        this.entries.sort((a, b) => {
+            let value_a = get_value(a);
+            let value_b = get_value(b);
+            if (value_a === null || value_b === null) {
+                if (value_a === value_b)
+                    return a.index - b.index;
+                return value_a === null ? 1 : -1;
+            }
 
-        // Bind the header buttons
-        document.querySelector('#main-options').addEventListener('click', () => {
-            new OptionsOverlay(this).open();
+            let cmp;
+            if (typeof value_a === 'string') {
+                cmp = value_a.localeCompare(value_b);
+            }
+            else {
+                cmp = value_a - value_b;
+            }
+            // Ties keep level order, whichever way we're sorting
+            if (cmp === 0)
+                return a.index - b.index;
+            return descending ? -cmp : cmp;
+        });
+
+        for (let entry of this.entries) {
+            this.tbody.append(this.rows[entry.index]);
+            if (this.stats_rows[entry.index]) {
+                this.tbody.append(this.stats_rows[entry.index]);
+            }
+        }
+
+        for (let th of this.thead.querySelectorAll('th')) {
+            let button = th.querySelector('button.-sort');
+            if (button && button.getAttribute('data-sort') === key) {
+                th.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+            }
+            else {
+                th.removeAttribute('aria-sort');
+            }
+        }
+    }
+
+    // Jump to a level that hasn't been cleared yet: either the next one after the current level
+    // (wrapping around), or any of them at random
+    go_to_uncleared_level(random) {
+        let stored_game = this.conductor.stored_game;
+        let candidates = [];
+        for (let i = 0; i < stored_game.level_metadata.length; i++) {
+            if (! stored_game.level_metadata[i].error && ! this.conductor.current_pack_savefile.scorecards[i]) {
+                candidates.push(i);
+            }
+        }
+        if (candidates.length === 0) {
+            new AlertOverlay(this.conductor, "You've cleared every level in this pack!", "nice").open();
+            return;
+        }
+
+        let index;
+        if (random) {
+            // Try not to pick the level we're already on, if there's any choice
+            let others = candidates.filter(i => i !== this.conductor.level_index);
+            index = random_choice(others.length > 0 ? others : candidates);
+        }
+        else {
+            index = candidates.find(i => i > this.conductor.level_index) ?? candidates[0];
+        }
+
+        if (index === this.conductor.level_index || this.conductor.change_level(index)) {
+            this.close();
+        }
+    }
+
+    schedule_thumbnail_render() {
+        if (this._render_handle)
+            return;
+        this._render_handle = setTimeout(() => { this.render_thumbnails() }, 50);
+    }
+
+    // Render as many queued thumbnails as we can in a few ms, then yield and come back for more
+    render_thumbnails() {
+        this._render_handle = null;
+
+        let t0 = performance.now();
+        while (true) {
+            if (this.awaiting_renders.length === 0)
+                return;
+
+            let index = this.awaiting_renders.shift();
+            let td = this.rows[index].querySelector('td.-thumbnail');
+            this.observer.unobserve(td);
+            try {
+                td.append(this._render_thumbnail(this.conductor.stored_game.load_level(index)));
+            }
+            catch (e) {
+                // The row will say if the level is broken, and the thumbnail isn't worth shouting about
+                console.error(e);
+            }
+
+            if (performance.now() - t0 > 10)
+                break;
+        }
+
+        this.schedule_thumbnail_render();
+    }
+
+    _render_thumbnail(stored_level) {
+        let tileset = this.conductor.choose_tileset_for_level(stored_level);
+        this.renderer.set_tileset(tileset);
+        this.renderer.set_level(stored_level);
+        this.renderer.set_viewport_size(stored_level.size_x, stored_level.size_y);
+        this.renderer.draw_static_region(0, 0, stored_level.size_x - 1, stored_level.size_y - 1);
+
+        let width = stored_level.size_x * tileset.size_x;
+        let height = stored_level.size_y * tileset.size_y;
+        let scale = Math.min(LEVEL_THUMBNAIL_SIZE / width, LEVEL_THUMBNAIL_SIZE / height);
+        let canvas = mk('canvas', {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale)),
+        });
+        canvas.getContext('2d').drawImage(this.renderer.canvas, 0, 0, width, height, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // Show or hide the stats for a level, in an extra row beneath it.  This means loading the
+    // level, so it's only done on request
+    toggle_level_stats(index) {
+        let stats_row = this.stats_rows[index];
+        if (stats_row) {
+            stats_row.hidden = ! stats_row.hidden;
+            return;
+        }
+
+        let content;
+        try {
+            content = mk_level_stats(this.conductor.stored_game.load_level(index));
+        }
+        catch (e) {
+            console.error(e);
+            content = mk('p', `Couldn't load this level: ${e.message}`);
+        }
+        stats_row = mk('tr.-stats-row', mk('td', {colspan: this.rows[index].childNodes.length}, content));
+        this.rows[index].after(stats_row);
+        this.stats_rows[index] = stats_row;
+    }
+}
+
+// Saving and loading the current level's state, in a few slots or to a file
+const SAVESTATE_SLOTS = 5;
+class SavestatesOverlay extends DialogOverlay {
+    constructor(conductor) {
+        super(conductor);
+        this.player = conductor.player;
+        let stored_level = this.player.level.stored_level;
+        this.set_title("savestates");
+        this.main.append(mk('p',
+            `Level ${stored_level.number} — ${stored_level.title || "untitled"}.  `,
+            "Loading a savestate counts as assistance, just like undoing."));
+
+        this.tbody = mk('tbody');
+        if (conductor._pack_identifier) {
+            this.main.append(mk('table.savestates', this.tbody));
+            this.refresh_slots();
+        }
+        else {
+            this.main.append(mk('p', "This level isn't part of a saved pack, so savestates can only be saved to a file."));
+        }
+
+        // Invisible, only used to pick a file
+        this.file_input = mk('input', {type: 'file', accept: '.json,application/json', hidden: true});
+        this.file_input.addEventListener('change', async ev => {
+            let file = this.file_input.files[0];
+            if (! file)
+                return;
+            let state;
+            try {
+                state = JSON.parse(await file.text());
+            }
+            catch (e) {
+                new AlertOverlay(this.conductor, `Couldn't read ${file.name}: ${e.message}`).open();
+                return;
+            }
+            this._load(state);
+        });
+        this.main.append(this.file_input);
+
+        this.add_button("save to file", ev => {
+            let state = this._serialize();
+            if (! state)
+                return;
+            let filename = `${stored_level.title || 'untitled'} @ ${state.tic_counter}.json`;
+            util.trigger_local_download(filename, new Blob([JSON.stringify(state)], {type: 'application/json'}));
+        });
+        this.add_button("load from file", ev => {
+            this.file_input.click();
+        });
+        this.add_button_gap();
+        this.add_button("nevermind", ev => {
+            this.close();
+        }, true);
+    }
+
+    async refresh_slots() {
+        let records = await this.conductor.load_savestates();
+        this.tbody.textContent = '';
+        for (let slot = 1; slot <= SAVESTATE_SLOTS; slot++) {
+            let record = records[slot];
+            let description;
+            if (record) {
+                description = [
+                    `${format_replay_duration(record.state.tic_counter)}, saved `,
+                    mk('time', {datetime: new Date(record.date).toISOString()},
+                        new Date(record.date).toLocaleString()),
+                ];
+            }
+            else {
+                description = ["empty"];
+            }
+
+            let load_button = util.mk_button("load", () => this._load(record.state));
+            let forget_button = util.mk_button("forget", () => {
+                this.conductor.forget_savestate(slot).then(() => this.refresh_slots());
+            });
+            load_button.disabled = ! record;
+            forget_button.disabled = ! record;
+            this.tbody.append(mk(record ? 'tr' : 'tr.--empty',
+                mk('td.-slot', slot),
+                mk('td.-description', ...description),
+                mk('td', util.mk_button("save", () => {
+                    let state = this._serialize();
+                    if (! state)
+                        return;
+                    this.conductor.save_savestate(slot, state)
+                        .then(() => this.refresh_slots());
+                })),
+                mk('td', load_button),
+                mk('td', forget_button),
+            ));
+        }
+    }
+
+    // Returns null (after complaining) if the level has something in it we can't save
+    _serialize() {
+        try {
+            return this.player.level.serialize();
+        }
+        catch (e) {
+            if (! (e instanceof util.LLError))
+                throw e;
+            new AlertOverlay(this.conductor, e.message, "can't save that").open();
+            return null;
+        }
+    }
+
+    _load(state) {
+        try {
+            this.player.load_savestate(state);
+        }
+        catch (e) {
+            if (! (e instanceof util.LLError))
+                throw e;
+            new AlertOverlay(this.conductor, e.message, "can't load that").open();
+            return;
+        }
+        this.close();
+    }
+}
+
+// Backing up and restoring saved progress, and importing it from other games; see backup.js
+class BackupOverlay extends DialogOverlay {
+    constructor(conductor) {
+        super(conductor);
+        this.set_title("backups");
+        this.main.append(mk('p',
+            "Your progress only lives in this browser.  Back it up to a file to keep it safe, or to move it to another browser or computer.  ",
+            "Restoring a backup merges it with what's here, keeping your best time, score, and aid for each level.  ",
+            "Personal best replays and savestates aren't included."));
+
+        let dl = mk('dl.formgrid');
+        this.main.append(dl);
+
+        // Back up
+        this.pack_select = mk('select', mk('option', {value: ''}, "Everything"));
+        for (let ident of Object.keys(conductor.stash.packs)) {
+            let packdef = BUILTIN_PACKS.find(packdef => packdef.ident === ident);
+            this.pack_select.append(mk('option', {value: ident}, `Only ${packdef ? packdef.title : ident}`));
+        }
+        if (conductor._pack_identifier && conductor.stash.packs[conductor._pack_identifier]) {
+            this.pack_select.value = conductor._pack_identifier;
+        }
+        dl.append(
+            mk('dt', "Back up"),
+            mk('dd.-with-buttons', this.pack_select, util.mk_button("download", () => {
+                this.download_backup(this.pack_select.value || null);
+            })),
+        );
+
+        // Restore
+        this.restore_input = mk('input', {type: 'file', accept: '.zip,.json,application/zip,application/json', hidden: true});
+        this.restore_input.addEventListener('change', async ev => {
+            let file = this.restore_input.files[0];
+            this.restore_input.value = '';
+            if (! file)
+                return;
+            this.restore_backup(file, this.root.elements['restore-settings'].checked);
+        });
+        dl.append(
+            mk('dt', "Restore"),
+            mk('dd.-with-buttons',
+                mk('label', mk('input', {type: 'checkbox', name: 'restore-settings'}),
+                    " Also replace my options, compat settings, and custom tilesets"),
+                util.mk_button("choose file...", () => {
+                    this.restore_input.click();
+                }),
+            ),
+        );
+        this.main.append(this.restore_input);
+
+        // Import from elsewhere, which only makes sense for a pack we're keeping score for
+        this.import_input = mk('input', {type: 'file', accept: '.tws,.ini', hidden: true});
+        this.import_input.addEventListener('change', async ev => {
+            let file = this.import_input.files[0];
+            this.import_input.value = '';
+            if (! file)
+                return;
+            this.import_progress(file);
+        });
+        let import_dd = mk('dd');
+        if (conductor._pack_identifier && conductor.stored_game) {
+            let title = conductor.stored_game.title || conductor._pack_identifier;
+            import_dd.append(
+                mk('p', `Mark levels in ${title} as cleared, using a Tile World solution file (.tws) or MS Chip's Challenge's entpack.ini.  These records won't count as aidless.`),
+                util.mk_button("choose file...", () => {
+                    this.import_input.click();
+                }),
+            );
+        }
+        else {
+            import_dd.append(mk('p', "Load a level pack first, then come back here to import your progress from Tile World or MS Chip's Challenge."));
+        }
+        dl.append(mk('dt', "Import"), import_dd);
+        this.main.append(this.import_input);
+
+        this.add_button_gap();
+        this.add_button("done", () => {
+            this.close();
+        }, true);
+    }
+
+    download_backup(identifier) {
+        let data = this.conductor.make_backup(identifier);
+        let date = data.created.split('T')[0];
+        let filename = identifier === null ?
+            `lexys-labyrinth-backup-${date}.zip` : `lexys-labyrinth-backup-${identifier}-${date}.zip`;
+        util.trigger_local_download(filename, new Blob([backup.encode_backup(data)], {type: 'application/zip'}));
+    }
+
+    async restore_backup(file, include_settings) {
+        let summary;
+        try {
+            let data = backup.decode_backup(await file.arrayBuffer());
+            summary = this.conductor.restore_backup(data, include_settings);
+        }
+        catch (e) {
+            if (! (e instanceof util.LLError))
+                console.error(e);
+            new AlertOverlay(this.conductor, `Couldn't restore ${file.name}: ${e.message}`).open();
+            return;
+        }
+
+        let lines = [];
+        if (summary.packs === 0) {
+            lines.push("There was nothing in that backup that you didn't already have.");
+        }
+        else {
+            lines.push(`Updated ${summary.levels === 1 ? "1 level" : `${summary.levels} levels`} in ${summary.packs === 1 ? "1 pack" : `${summary.packs} packs`}.`);
+        }
+        if (summary.editor_packs) {
+            lines.push(`Added ${summary.editor_packs === 1 ? "1 pack" : `${summary.editor_packs} packs`} of your own levels.`);
+        }
+        if (summary.editor_packs_skipped) {
+            lines.push(`Skipped ${summary.editor_packs_skipped === 1 ? "1 pack" : `${summary.editor_packs_skipped} packs`} of your own levels that you already have.`);
+        }
+        if (summary.settings) {
+            lines.push("Restored your options.");
+        }
+        if (summary.editor_packs || summary.settings) {
+            // The splash screen's list of editor packs and the loaded tilesets are only set up
+            // once, at startup
+            lines.push("Reload the page to see everything.");
+        }
+        new AlertOverlay(this.conductor, lines.join("  "), "restored").open();
+        this.close();
+    }
+
+    async import_progress(file) {
+        let num_changed;
+        try {
+            num_changed = this.conductor.import_progress(await file.arrayBuffer());
+        }
+        catch (e) {
+            console.error(e);
+            new AlertOverlay(this.conductor, `Couldn't import ${file.name}: ${e.message}`).open();
+            return;
+        }
+
+        if (num_changed === null) {
+            new AlertOverlay(this.conductor, `${file.name} doesn't look like a Tile World solution file or an MS Chip's Challenge INI file.`).open();
+            return;
+        }
+        new AlertOverlay(this.conductor,
+            num_changed === 0 ? "You'd already cleared everything in there." :
+            `Updated your records for ${num_changed === 1 ? "1 level" : `${num_changed} levels`}.`,
+            "imported").open();
+        this.close();
+    }
+}
+
+// Central dispatcher of what we're doing and what we've got loaded
+// We store several kinds of things in localStorage:
+// Main storage:
+//   packs:
+//     total_score
+//     total_abstime
+//     total_levels
+//     cleared_levels
+//     aidless_levels
+//   options
+//   compat: (either a ruleset string or an object of individual flags)
+const STORAGE_KEY = "Lexy's Labyrinth";
+// Records for a pack that has been played
+//   total_score
+//   highest_level
+//   current_level
+//   scorecards: []?
+//     time
+//     abstime
+//     bonus
+//     score
+//     aid
+const STORAGE_PACK_PREFIX = "Lexy's Labyrinth: ";
+// Metadata for an edited pack
+// - list of the levels they own and basic metadata like name
+// Stored individual levels: given dummy names, all indexed on their own
+class Conductor {
+    constructor(running_locally) {
+        this.running_locally = running_locally;
+        this.stored_game = null;
+
+        this.stash = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        // TODO more robust way to ensure this is shaped how i expect?
+        if (! this.stash) {
+            this.stash = {};
+        }
+        if (! this.stash.options) {
+            this.stash.options = {};
+        }
+        if (! this.stash.options.tilesets) {
+            this.stash.options.tilesets = {};
+        }
+        if (! this.stash.compat) {
+            this.stash.compat = 'lexy';
+        }
+        if (! this.stash.packs) {
+            this.stash.packs = {};
+        }
+        if (! this.stash.installed_packs) {
+            this.stash.installed_packs = {};
+        }
+
+        // Handy aliases
+        this.options = this.stash.options;
+        this.compat = {};
+        this._compat_ruleset = 'custom';  // Only used by the compat dialog
+        if (typeof this.stash.compat === 'string') {
+            this._compat_ruleset = this.stash.compat;
+            this.compat = compat_flags_for_ruleset(this.stash.compat);
+        }
+        else {
+            Object.extend(this.compat, this.stash.compat);
+        }
+        this.set_compat(this._compat_ruleset, this.compat);
+
+
+        // Bind the header buttons
+        document.querySelector('#main-options').addEventListener('click', () => {
+            new OptionsOverlay(this).open();
         });
         document.querySelector('#main-compat').addEventListener('click', () => {
             new CompatOverlay(this).open();
@@ -3978,6 +6189,83 @@ class Conductor {
                 ).open();
             }
         });
+
+        // Gamepads don't have events for their buttons, so they have to be polled, which we do
+        // every frame for as long as any are connected
+        this.gamepad_bindings = new GamepadBindings(this.options.gamepad ?? null);
+        this.gamepad_poller = new GamepadPoller;
+        this._gamepad_handle = null;
+        this._gamepad_capture = null;
+        this._gamepad_loop_bound = this._gamepad_loop.bind(this);
+        window.addEventListener('gamepadconnected', ev => {
+            if (this._gamepad_handle === null) {
+                this._gamepad_handle = requestAnimationFrame(this._gamepad_loop_bound);
+            }
+        });
+    }
+
+    _gamepad_loop() {
+        this._gamepad_handle = null;
+        if (this.poll_gamepads()) {
+            this._gamepad_handle = requestAnimationFrame(this._gamepad_loop_bound);
+        }
+    }
+
+    // Read the gamepads and send the results wherever they should go: to a pending button capture,
+    // the topmost dialog, the splash screen, or the player, in that order.  Returns false if there
+    // are no gamepads at all
+    poll_gamepads() {
+        if (! navigator.getGamepads)
+            return false;
+        // In co-op, the second pad belongs to player 2
+        let split = this.current === this.player && !! (this.player.level && this.player.level.coop);
+        let state = this.gamepad_poller.poll(this.gamepad_bindings.dead_zone, performance.now(), split);
+        if (! state.connected) {
+            this.player.clear_gamepad();
+            return false;
+        }
+
+        if (this._gamepad_capture) {
+            let [button] = state.pressed;
+            if (button !== undefined) {
+                this._gamepad_capture(button);
+                this._gamepad_capture = null;
+            }
+            return true;
+        }
+
+        let overlays = document.querySelectorAll('body > .overlay');
+        if (overlays.length > 0) {
+            this.player.clear_gamepad();
+            let root = overlays[overlays.length - 1].firstElementChild;
+            // B acts like Esc, which closes most dialogs
+            navigate_menu(root, state, () => {
+                root.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape', bubbles: true}));
+            });
+        }
+        else if (this.current === this.splash) {
+            navigate_menu(this.splash.root, state, null);
+        }
+        else if (this.current === this.player) {
+            this.player.update_gamepad(state, this.gamepad_bindings);
+        }
+        return true;
+    }
+
+    // Returns a promise for the next gamepad button pressed, for binding purposes, or null if the
+    // capture is cancelled first.  D-pad buttons don't count, since those always move
+    capture_gamepad_button() {
+        this.cancel_gamepad_capture();
+        return new Promise(resolve => {
+            this._gamepad_capture = resolve;
+        });
+    }
+
+    cancel_gamepad_capture() {
+        if (this._gamepad_capture) {
+            this._gamepad_capture(null);
+            this._gamepad_capture = null;
+        }
     }
 
     // Finish loading; must call me!
@@ -4041,6 +6329,7 @@ class Conductor {
                 this.tilesets[slot.ident] = this.tilesets['ll'];
             }
         }
+        this._apply_tileset_palette();
 
         this.splash = new Splash(this);
         this.editor = new Editor(this);
@@ -4107,11 +6396,28 @@ class Conductor {
     }
 
     reload_all_options() {
+        this.gamepad_bindings = new GamepadBindings(this.options.gamepad ?? null);
+        this._apply_tileset_palette();
         this.splash.reload_options(this.options);
         this.player.reload_options(this.options);
         this.editor.reload_options(this.options);
     }
 
+    // Swap the tilesets in use for their high-contrast versions, or back again, depending on the
+    // options.  _loaded_tilesets always has the originals
+    _apply_tileset_palette() {
+        for (let [slot, tileset] of Object.entries(this.tilesets)) {
+            let base = tileset.base_tileset ?? tileset;
+            if (this.options.high_contrast) {
+                this.tilesets[slot] = get_high_contrast_tileset(
+                    base, (w, h) => mk('canvas', {width: w, height: h}));
+            }
+            else {
+                this.tilesets[slot] = base;
+            }
+        }
+    }
+
     choose_tileset_for_level(stored_level) {
         if (stored_level.format === 'ccl') {
             return this.tilesets['cc1'];
@@ -4179,26 +6485,50 @@ class Conductor {
             }
         }
         if (! this.current_pack_savefile) {
-            this.current_pack_savefile = {
-                __version__: 2,
-                total_score: 0,
-                total_abstime: 0,
-                current_level: 1,
-                highest_level: 1,
-                total_levels: stored_game.level_metadata.length,
-                cleared_levels: 0,
-                aidless_levels: 0,
-                // level scorecard: { time, abstime, bonus, score, aid } or null
-                scorecards: [],
-            };
+            this.current_pack_savefile = backup.make_empty_savefile(stored_game.level_metadata.length);
         }
 
         this.player.load_game(stored_game);
         this.editor.load_game(stored_game);
 
+        this.script_music = null;
+        if (stored_game.script) {
+            stored_game.script.restore_state(this.current_pack_savefile.script_state);
+            // Starting from scratch, so let the script pick the first level
+            if (level_index === null && ! this.current_pack_savefile.script_state)
+                return this.run_script();
+        }
+
         return this.change_level(level_index ?? (this.current_pack_savefile.current_level ?? 1) - 1);
     }
 
+    // Run the pack's C2G script until it asks for another level, showing any text it produces
+    // along the way.  Returns false if the script has ended.
+    run_script() {
+        let step;
+        try {
+            step = this.stored_game.script.run();
+        }
+        catch (e) {
+            console.error(e);
+            new LevelErrorOverlay(this, e).open();
+            return false;
+        }
+        if (! step) {
+            this.current_pack_savefile.script_state = this.stored_game.script.save_state();
+            this.save_savefile();
+            return false;
+        }
+
+        this.script_music = step.music;
+        if (! this.change_level(step.level_index))
+            return false;
+        if (step.pages.length > 0) {
+            new ScriptTextOverlay(this, step.pages).open();
+        }
+        return true;
+    }
+
     // Attempt to change level, but silently return false if the given level number doesn't exist
     maybe_change_level(level_index) {
         if (level_index < 0 || level_index >= this.stored_game.level_metadata.length)
@@ -4220,6 +6550,13 @@ class Conductor {
 
         this.level_index = level_index;
 
+        // If the player jumped somewhere manually, make the script continue from there
+        let script = this.stored_game.script;
+        if (script) {
+            script.seek_to_level(level_index);
+            this.current_pack_savefile.script_state = script.save_state();
+        }
+
         this.update_level_title();
         this.update_nav_buttons();
 
@@ -4266,6 +6603,76 @@ class Conductor {
         window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.stash));
     }
 
+    // Personal best replays are stored separately, in IndexedDB; see personal-bests.js.  Failing to
+    // save one isn't the end of the world, so these only complain to the console
+    save_personal_best(level_number, replay, scorecard) {
+        if (! this._pack_identifier)
+            return;
+
+        personal_bests.save_personal_best(
+            this._pack_identifier, level_number, replay.clone(), scorecard, this._compat_ruleset)
+        .catch(e => {
+            console.error("Failed to save personal best replay:", e);
+        });
+    }
+
+    // Returns a sparse array of records, indexed by level index
+    async load_personal_bests() {
+        if (! this._pack_identifier)
+            return [];
+
+        try {
+            return await personal_bests.load_personal_bests(this._pack_identifier);
+        }
+        catch (e) {
+            console.error("Failed to load personal best replays:", e);
+            return [];
+        }
+    }
+
+    // Savestates also live in IndexedDB; see savestates.js.  These are for the current level
+    async save_savestate(slot, state) {
+        if (! this._pack_identifier)
+            return;
+
+        try {
+            await savestates.save_savestate(
+                this._pack_identifier, this.player.level.stored_level.number, slot, state);
+        }
+        catch (e) {
+            console.error("Failed to save savestate:", e);
+            new AlertOverlay(this, `Couldn't save that: ${e.message}`).open();
+        }
+    }
+
+    // Returns a sparse array of records, indexed by slot
+    async load_savestates() {
+        if (! this._pack_identifier)
+            return [];
+
+        try {
+            return await savestates.load_savestates(
+                this._pack_identifier, this.player.level.stored_level.number);
+        }
+        catch (e) {
+            console.error("Failed to load savestates:", e);
+            return [];
+        }
+    }
+
+    async forget_savestate(slot) {
+        if (! this._pack_identifier)
+            return;
+
+        try {
+            await savestates.forget_savestate(
+                this._pack_identifier, this.player.level.stored_level.number, slot);
+        }
+        catch (e) {
+            console.error("Failed to forget savestate:", e);
+        }
+    }
+
     save_savefile() {
         if (! this._pack_identifier)
             return;
@@ -4274,23 +6681,183 @@ class Conductor {
         if (! this.current_pack_savefile.cleared_levels && this.current_pack_savefile.current_level === 1)
             return;
 
-        window.localStorage.setItem(STORAGE_PACK_PREFIX + this._pack_identifier, JSON.stringify(this.current_pack_savefile));
+        this._store_savefile(this._pack_identifier, this.current_pack_savefile);
+    }
+
+    // Write a savefile for any pack, not necessarily the current one
+    _store_savefile(identifier, savefile) {
+        window.localStorage.setItem(STORAGE_PACK_PREFIX + identifier, JSON.stringify(savefile));
 
         // Also remember some stats in the stash, if it changed, so we can read it without having to
         // parse every single one of these things
-        let packinfo = this.stash.packs[this._pack_identifier];
+        let packinfo = this.stash.packs[identifier];
         if (! packinfo) {
             packinfo = {};
-            this.stash.packs[this._pack_identifier] = packinfo;
+            this.stash.packs[identifier] = packinfo;
         }
         let keys = ['total_score', 'total_abstime', 'total_levels', 'cleared_levels', 'aidless_levels'];
-        if (keys.some(key => packinfo[key] !== this.current_pack_savefile[key])) {
+        if (keys.some(key => packinfo[key] !== savefile[key])) {
             for (let key of keys) {
-                packinfo[key] = this.current_pack_savefile[key];
+                packinfo[key] = savefile[key];
+            }
+            this.save_stash();
+            this.splash.update_pack_score(identifier);
+        }
+    }
+
+    // ------------------------------------------------------------------------------------------------
+    // Backups; see backup.js for the format
+
+    // Gather up all saved progress, or only one pack's if an identifier is given
+    make_backup(identifier = null) {
+        let data = {
+            format: backup.BACKUP_FORMAT,
+            version: backup.BACKUP_VERSION,
+            created: new Date().toISOString(),
+            pack: identifier,
+            packs: {},
+        };
+        let identifiers = identifier === null ? Object.keys(this.stash.packs) : [identifier];
+        for (let ident of identifiers) {
+            let savefile = load_json_from_storage(STORAGE_PACK_PREFIX + ident);
+            if (savefile) {
+                data.packs[ident] = savefile;
+            }
+        }
+
+        if (identifier === null) {
+            data.options = this.stash.options;
+            data.compat = this.stash.compat;
+            data.tilesets = {};
+            for (let bucket of CUSTOM_TILESET_BUCKETS) {
+                let tilesetdef = load_json_from_storage(CUSTOM_TILESET_PREFIX + bucket);
+                if (tilesetdef) {
+                    data.tilesets[bucket] = tilesetdef;
+                }
+            }
+            data.editor_packs = this.editor.export_packs_for_backup();
+        }
+        return data;
+    }
+
+    // Merge a backup into what we've got.  Scores are always merged, keeping the best of both;
+    // settings (options, compat, and custom tilesets) are replaced wholesale, but only if asked.
+    // Returns a summary of what happened, for the user's benefit.
+    restore_backup(data, include_settings = false) {
+        let summary = {
+            packs: 0,
+            levels: 0,
+            editor_packs: 0,
+            editor_packs_skipped: 0,
+            settings: false,
+        };
+
+        for (let [ident, their_savefile] of Object.entries(data.packs)) {
+            if (! their_savefile || ! Array.isArray(their_savefile.scorecards))
+                continue;
+
+            // If this is the pack that's loaded, merge into the live copy, or it'll clobber us
+            let is_current = ident === this._pack_identifier;
+            let savefile = is_current ? this.current_pack_savefile :
+                load_json_from_storage(STORAGE_PACK_PREFIX + ident);
+            if (! savefile) {
+                savefile = backup.make_empty_savefile(their_savefile.total_levels ?? 0);
+                savefile.current_level = their_savefile.current_level ?? 1;
             }
+
+            let num_changed = backup.merge_savefile(savefile, their_savefile);
+            if (num_changed === 0 && this.stash.packs[ident])
+                continue;
+
+            this._store_savefile(ident, savefile);
+            summary.packs += 1;
+            summary.levels += num_changed;
+        }
+
+        if (data.editor_packs) {
+            let [added, skipped] = this.editor.import_packs_from_backup(data.editor_packs);
+            summary.editor_packs = added;
+            summary.editor_packs_skipped = skipped;
+        }
+
+        if (include_settings && data.options) {
+            // Other things hold on to the options object, so update it in place
+            for (let key of Object.keys(this.options)) {
+                delete this.options[key];
+            }
+            Object.assign(this.options, data.options);
+            if (! this.options.tilesets) {
+                this.options.tilesets = {};
+            }
+
+            for (let bucket of CUSTOM_TILESET_BUCKETS) {
+                let tilesetdef = (data.tilesets ?? {})[bucket];
+                if (tilesetdef) {
+                    save_json_to_storage(CUSTOM_TILESET_PREFIX + bucket, tilesetdef);
+                }
+                else {
+                    window.localStorage.removeItem(CUSTOM_TILESET_PREFIX + bucket);
+                }
+            }
+
+            if (data.compat) {
+                this.stash.compat = data.compat;
+                if (typeof data.compat === 'string') {
+                    this.set_compat(data.compat, compat_flags_for_ruleset(data.compat));
+                }
+                else {
+                    this.set_compat('custom', {...data.compat});
+                }
+            }
+
             this.save_stash();
-            this.splash.update_pack_score(this._pack_identifier);
+            this.reload_all_options();
+            summary.settings = true;
         }
+
+        return summary;
+    }
+
+    // Seed the current pack's progress from another game's records, either a Tile World .tws or an
+    // MS Chip's Challenge INI.  Returns the number of levels that changed, or null if the file
+    // wasn't either of those
+    import_progress(buf) {
+        let stored_game = this.stored_game;
+        let get_time_limit = index => {
+            let meta = stored_game.level_metadata[index];
+            if (! meta || meta.error)
+                return null;
+            if (typeof meta.time_limit === 'number')
+                return meta.time_limit;
+            // Not in the metadata, e.g. for an editor pack, so load the level to find out
+            try {
+                return stored_game.load_level(index).time_limit ?? 0;
+            }
+            catch (e) {
+                return null;
+            }
+        };
+
+        let scorecards = backup.scorecards_from_tws(buf, get_time_limit);
+        let highest_level = 1;
+        if (! scorecards) {
+            let result = backup.scorecards_from_mscc_ini(new TextDecoder('latin1').decode(buf), get_time_limit);
+            if (! result)
+                return null;
+            scorecards = result.scorecards;
+            highest_level = result.highest_level;
+        }
+
+        let savefile = this.current_pack_savefile;
+        let num_changed = backup.merge_savefile(savefile, {
+            scorecards,
+            // Reaching the level after the last one you cleared counts, too
+            highest_level: Math.min(
+                stored_game.level_metadata.length, Math.max(highest_level, scorecards.length + 1)),
+        });
+        savefile.total_levels = stored_game.level_metadata.length;
+        this.save_savefile();
+        return num_changed;
     }
 
     // ------------------------------------------------------------------------------------------------
@@ -4314,7 +6881,51 @@ class Conductor {
         await this.parse_and_load_game(buf, new util.HTTPFileSource(new URL(location)), path, identifier, title);
     }
 
+    // Sets from a catalog are downloaded once and kept in IndexedDB; the stash remembers what's
+    // installed, so the splash screen can list them without digging through the database.  See
+    // catalog.js.
+    async install_catalog_set(set) {
+        if (BUILTIN_PACKS_BY_IDENT[set.id])
+            throw new util.LLError(`${set.title} uses the same name as a built-in pack, so it can't be installed.`);
+
+        let buf = await catalog.download_set(set);
+        await catalog.save_installed_set(set.id, catalog.filename_from_url(set.url), buf);
+        this.stash.installed_packs[set.id] = {
+            title: set.title,
+            author: set.author,
+            description: set.description,
+            ruleset: set.ruleset,
+            url: set.url,
+            checksum: set.checksum,
+            installed: Date.now(),
+        };
+        this.save_stash();
+        this.splash.add_installed_pack(set.id);
+    }
+
+    async uninstall_catalog_set(ident) {
+        await catalog.forget_installed_set(ident);
+        delete this.stash.installed_packs[ident];
+        this.save_stash();
+        this.splash.remove_installed_pack(ident);
+    }
+
+    async load_installed_pack(ident) {
+        let info = this.stash.installed_packs[ident];
+        if (! info)
+            throw new util.LLError(`${ident} isn't installed`);
+
+        let record = await catalog.load_installed_set(ident);
+        if (! record) {
+            // The browser may have cleared out IndexedDB behind our backs, so fetch it again
+            await this.install_catalog_set({id: ident, ...info});
+            record = await catalog.load_installed_set(ident);
+        }
+        await this.parse_and_load_game(record.data, null, '/' + record.filename, ident, info.title);
+    }
+
     async parse_and_load_game(buf, source, path, identifier, title) {
+        let given_identifier = identifier;
         if (! identifier) {
             identifier = this.extract_identifier_from_path(path);
         }
@@ -4342,7 +6953,9 @@ class Conductor {
             // That's the ZIP header
             // FIXME move this here i guess and flesh it out some
             // FIXME if this doesn't find something then we should abort
-            await this.splash.search_multi_source(new util.ZipFileSource(buf));
+            // If we were told what this is, e.g. by a catalog, keep using that identifier;
+            // otherwise, go by whatever's inside
+            await this.splash.search_multi_source(new util.ZipFileSource(buf), given_identifier ?? null);
             return;
         }
         else if (magic.toLowerCase() === 'game') {
@@ -4369,6 +6982,12 @@ class Conductor {
                         STORAGE_PACK_PREFIX + new_identifier,
                         window.localStorage.getItem(STORAGE_PACK_PREFIX + identifier));
                     window.localStorage.removeItem(STORAGE_PACK_PREFIX + identifier);
+                    personal_bests.rename_personal_bests(identifier, new_identifier).catch(e => {
+                        console.error("Failed to move personal best replays:", e);
+                    });
+                    savestates.rename_savestates(identifier, new_identifier).catch(e => {
+                        console.error("Failed to move savestates:", e);
+                    });
                 }
 
                 identifier = new_identifier;
@@ -4493,6 +7112,12 @@ async function main() {
     let conductor = new Conductor(local);
     await conductor.load();
     window._conductor = conductor;
+
+    // Cache the game for offline play, except when running locally, where it'd only serve up stale
+    // files while you're trying to work on them
+    if (! local) {
+        offline.register_service_worker();
+    }
 }
 
 (async () => {
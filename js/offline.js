@@ -0,0 +1,151 @@
+// Offline play.  The service worker (sw.js) always caches the game itself, which is small; music and
+// the built-in packs are much bigger, so they're opt-in, and get cached from here, into caches the
+// worker also checks.  Nothing is tracked anywhere except the caches themselves, so what's saved is
+// whatever's actually in them.
+import * as util from './util.js';
+
+// These must match the ones in sw.js
+const CACHE_PREFIX = 'lexys-labyrinth-';
+const SHELL_CACHE_PREFIX = CACHE_PREFIX + 'shell-';
+const MUSIC_CACHE = CACHE_PREFIX + 'music';
+const PACK_CACHE = CACHE_PREFIX + 'packs';
+
+export function is_supported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+export async function register_service_worker() {
+    if (! is_supported())
+        return null;
+
+    try {
+        return await navigator.serviceWorker.register('sw.js');
+    }
+    catch (e) {
+        console.warn("Couldn't register the service worker, so offline play won't work:", e);
+        return null;
+    }
+}
+
+// Cache every URL, carrying on past any that fail.  Returns how many made it
+async function add_to_cache(cache_name, urls) {
+    let cache = await caches.open(cache_name);
+    let num_cached = 0;
+    for (let url of urls) {
+        try {
+            await cache.add(url);
+            num_cached += 1;
+        }
+        catch (e) {
+            console.warn("Couldn't cache", url, e);
+        }
+    }
+    return num_cached;
+}
+
+async function remove_from_cache(cache_name, urls) {
+    let cache = await caches.open(cache_name);
+    for (let url of urls) {
+        await cache.delete(url);
+    }
+}
+
+async function count_cached(cache_name, urls) {
+    if (! await caches.has(cache_name))
+        return 0;
+
+    let cache = await caches.open(cache_name);
+    let count = 0;
+    for (let url of urls) {
+        if (await cache.match(url)) {
+            count += 1;
+        }
+    }
+    return count;
+}
+
+export async function cache_music(paths) {
+    let num_cached = await add_to_cache(MUSIC_CACHE, paths);
+    if (num_cached === 0 && paths.length > 0)
+        throw new util.LLError("Couldn't download any of the music; are you online?");
+    return num_cached;
+}
+
+export async function uncache_music() {
+    await caches.delete(MUSIC_CACHE);
+}
+
+export async function cache_pack(path) {
+    if (await add_to_cache(PACK_CACHE, [path]) === 0)
+        throw new util.LLError(`Couldn't download ${path}; are you online?`);
+}
+
+export async function uncache_pack(path) {
+    await remove_from_cache(PACK_CACHE, [path]);
+}
+
+// Returns an object describing what's available offline:
+//   supported: whether this browser can do it at all
+//   active: whether the service worker is actually in charge of this page yet
+//   version: the version of the cached game, or null if it isn't cached
+//   music: how many of music_paths are cached
+//   packs: a Set of which pack_paths are cached
+//   usage, quota: storage estimate in bytes, or null if the browser won't say
+export async function get_cache_status(music_paths, pack_paths) {
+    let status = {
+        supported: is_supported(),
+        active: false,
+        version: null,
+        music: 0,
+        packs: new Set,
+        usage: null,
+        quota: null,
+    };
+    if (! status.supported)
+        return status;
+
+    status.active = !! navigator.serviceWorker.controller;
+    for (let key of await caches.keys()) {
+        if (key.startsWith(SHELL_CACHE_PREFIX)) {
+            status.version = key.substring(SHELL_CACHE_PREFIX.length);
+        }
+    }
+    status.music = await count_cached(MUSIC_CACHE, music_paths);
+    for (let path of pack_paths) {
+        if (await count_cached(PACK_CACHE, [path])) {
+            status.packs.add(path);
+        }
+    }
+    if (navigator.storage && navigator.storage.estimate) {
+        let estimate = await navigator.storage.estimate();
+        status.usage = estimate.usage ?? null;
+        status.quota = estimate.quota ?? null;
+    }
+    return status;
+}
+
+// Throw out everything, including the worker itself, which will come back (and cache the game
+// again) the next time the page loads
+export async function clear_cache() {
+    if (! is_supported())
+        return;
+
+    for (let key of await caches.keys()) {
+        if (key.startsWith(CACHE_PREFIX)) {
+            await caches.delete(key);
+        }
+    }
+    for (let registration of await navigator.serviceWorker.getRegistrations()) {
+        await registration.unregister();
+    }
+}
+
+export function format_bytes(bytes) {
+    if (bytes < 1024)
+        return `${bytes} B`;
+    if (bytes < 1024 * 1024)
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024)
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
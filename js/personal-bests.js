@@ -0,0 +1,72 @@
+// Replays of your best attempt at each level.  These live in IndexedDB rather than alongside the
+// scorecards in localStorage, because localStorage is tiny and a long replay is not.
+// Each record looks like:
+//   pack: the pack identifier, the same one the savefile uses
+//   number: the level number
+//   replay: the replay's inputs, encoded in the same format as C2M replays
+//   step_parity, tw_seed: bits of initial state that the C2M format has no room for
+//   ruleset: the compat ruleset in effect when the replay was recorded, or null for custom flags
+//   scorecard: the scorecard of that attempt, i.e. { time, abstime, bonus, score, aid }
+//   date: when it was recorded, as a timestamp
+import * as c2g from './format-c2g.js';
+import { forget_pack, open_store, prefix_range, rename_pack, request_promise } from './local-db.js';
+
+const STORE_NAME = 'personal-bests';
+
+// Turn a stored record back into a Replay
+export function record_to_replay(record) {
+    let replay = c2g.decode_replay(record.replay);
+    replay.step_parity = record.step_parity ?? null;
+    replay.tw_seed = record.tw_seed ?? 0;
+    return replay;
+}
+
+// Which compat ruleset a record was made under; it'll only play back correctly under the same one.
+// Custom flags aren't saved, so all we can say about them is that they were custom
+export function record_ruleset(record) {
+    return record.ruleset ?? 'custom';
+}
+
+export async function save_personal_best(pack, number, replay, scorecard, ruleset) {
+    let store = await open_store(STORE_NAME, 'readwrite');
+    await request_promise(store.put({
+        pack,
+        number,
+        replay: c2g.encode_replay(replay),
+        step_parity: replay.step_parity,
+        tw_seed: replay.tw_seed,
+        ruleset,
+        scorecard,
+        date: Date.now(),
+    }));
+}
+
+export async function load_personal_best(pack, number) {
+    let store = await open_store(STORE_NAME, 'readonly');
+    return (await request_promise(store.get([pack, number]))) ?? null;
+}
+
+// Returns a sparse array of records, indexed by level index (not number!)
+export async function load_personal_bests(pack) {
+    let store = await open_store(STORE_NAME, 'readonly');
+    let records = await request_promise(store.getAll(prefix_range(pack)));
+    let bests = [];
+    for (let record of records) {
+        bests[record.number - 1] = record;
+    }
+    return bests;
+}
+
+export async function forget_personal_best(pack, number) {
+    let store = await open_store(STORE_NAME, 'readwrite');
+    await request_promise(store.delete([pack, number]));
+}
+
+export async function forget_personal_bests(pack) {
+    await forget_pack(STORE_NAME, pack);
+}
+
+// Used when a pack's identifier changes, so its bests follow its savefile
+export async function rename_personal_bests(old_pack, new_pack) {
+    await rename_pack(STORE_NAME, old_pack, new_pack);
+}
@@ -17,6 +17,7 @@ class CanvasRendererDrawPacket extends DrawPacket {
         // Compatibility settings
         this.use_cc2_anim_speed = renderer.use_cc2_anim_speed;
         this.show_facing = renderer.show_facing;
+        this.color_glyphs = renderer.color_glyphs;
     }
 
     blit(tx, ty, mx = 0, my = 0, mw = 1, mh = mw, mdx = mx, mdy = my) {
@@ -32,6 +33,27 @@ class CanvasRendererDrawPacket extends DrawPacket {
             this.x + mdx, this.y + mdy,
             mw, mh);
     }
+
+    draw_glyph(text) {
+        let tw = this.renderer.tileset.size_x;
+        let th = this.renderer.tileset.size_y;
+        let ctx = this.ctx;
+        let size = Math.max(6, Math.round(th * 0.375));
+        // Centered on the bottom right quarter of the tile
+        let x = (this.x + this.offsetx + 0.75) * tw;
+        let y = (this.y + this.offsety + 0.75) * th;
+
+        ctx.save();
+        ctx.font = `bold ${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        let w = Math.max(size, ctx.measureText(text).width + size * 0.25);
+        ctx.fillStyle = '#000c';
+        ctx.fillRect(x - w / 2, y - size / 2, w, size);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, x, y);
+        ctx.restore();
+    }
 }
 
 export class CanvasRenderer {
@@ -71,7 +93,13 @@ export class CanvasRenderer {
         this.hide_logic = false;
         this.update_rate = 3;
         this.use_cc2_anim_speed = false;
+        // Mark colored tiles with glyphs, for colorblind players
+        this.color_glyphs = false;
         this.active_player = null;
+        // In co-op, the second player's view follows them instead of the first player
+        this.follow_player2 = false;
+        // A second level whose player is drawn translucently on top of ours, for racing
+        this.ghost_level = null;
     }
 
     // This is here so command-line Node stuff can swap it out for the canvas package
@@ -88,6 +116,10 @@ export class CanvasRenderer {
         this.active_player = actor;
     }
 
+    set_ghost_level(level) {
+        this.ghost_level = level;
+    }
+
     // Change the viewport size.  DOES NOT take effect until the next redraw!
     set_viewport_size(x, y) {
         this.viewport_size_x = x;
@@ -196,7 +228,11 @@ export class CanvasRenderer {
         // TODO what about levels smaller than the viewport...?  shrink the canvas in set_level?
         let xmargin = (this.viewport_size_x - 1) / 2;
         let ymargin = (this.viewport_size_y - 1) / 2;
-        let [px, py] = this.level.player.visual_position(update_progress, packet.update_rate);
+        let followed = this.level.player;
+        if (this.follow_player2 && this.level.player2 && this.level.player2.cell) {
+            followed = this.level.player2;
+        }
+        let [px, py] = followed.visual_position(update_progress, packet.update_rate);
         // Figure out where to start drawing
         // TODO support overlapping regions better
         let x0 = px - xmargin;
@@ -310,6 +346,25 @@ export class CanvasRenderer {
             }
         }
 
+        // The ghost goes on top of everything, since it isn't really there
+        let ghost = this.ghost_level ? this.ghost_level.player : null;
+        if (ghost && ghost.cell &&
+            ghost.cell.x >= xf0 && ghost.cell.x <= x1 && ghost.cell.y >= yf0 && ghost.cell.y <= y1)
+        {
+            let [vx, vy] = ghost.visual_position(update_progress, packet.update_rate);
+            vx = Math.floor(vx * tw + 0.5) / tw;
+            vy = Math.floor(vy * th + 0.5) / th;
+            packet.x = ghost.cell.x - x0;
+            packet.y = ghost.cell.y - y0;
+            packet.offsetx = vx - ghost.cell.x;
+            packet.offsety = vy - ghost.cell.y;
+            this.ctx.globalAlpha = 0.5;
+            this.tileset.draw(ghost, packet);
+            this.ctx.globalAlpha = 1;
+            packet.offsetx = 0;
+            packet.offsety = 0;
+        }
+
         if (this.use_rewind_effect) {
             this.draw_rewind_effect(packet.clock);
         }
@@ -0,0 +1,345 @@
+// Tool-assisted replay editing, for the player's debug panel.  Shows a replay as a timeline of tics,
+// one row per input, which can be edited directly, and lets you jump to any point or branch off into
+// alternative versions of the replay.
+import { INPUT_BITS, TICS_PER_SECOND } from './defs.js';
+import { mk } from './util.js';
+import * as util from './util.js';
+
+// Keep a snapshot of the level every this many tics, so jumping anywhere only has to simulate at
+// most this many tics
+const SNAPSHOT_INTERVAL = TICS_PER_SECOND * 5;
+// Size of a single tic on the timeline, in pixels
+const TIC_WIDTH = 8;
+const ROW_HEIGHT = 12;
+const TIMELINE_ROWS = [
+    ['up', "↑"],
+    ['down', "↓"],
+    ['left', "←"],
+    ['right', "→"],
+    ['drop', "Q"],
+    ['cycle', "E"],
+    ['swap', "C"],
+];
+// The first row is the ruler, which is used for seeking
+const TIMELINE_HEIGHT = ROW_HEIGHT * (TIMELINE_ROWS.length + 1);
+// Leave this much room past the end of the replay, so there's somewhere to add more inputs
+const TIMELINE_EXTRA_TICS = TICS_PER_SECOND * 10;
+
+export class ReplayTimeline {
+    constructor(player) {
+        this.player = player;
+        // Each branch is an alternative version of the replay: { name, replay, snapshots }, where
+        // snapshots maps tics to level snapshots taken while playing that branch
+        this.branches = [];
+        this.branch = null;
+        this.next_branch_number = 1;
+
+        this.root = mk('div.replay-timeline');
+
+        this.branch_select = mk('select');
+        this.branch_select.addEventListener('change', ev => {
+            this.switch_branch(this.branches[parseInt(this.branch_select.value, 10)]);
+        });
+        this.root.append(mk('div.-buttons',
+            this.branch_select,
+            util.mk_button("Branch here", () => this.branch_here()),
+            util.mk_button("Drop branch", () => this.drop_branch()),
+        ));
+
+        this.canvas = mk('canvas', {width: 1, height: TIMELINE_HEIGHT});
+        this.ctx = this.canvas.getContext('2d');
+        this.spacer = mk('div.-spacer', this.canvas);
+        this.scroller = mk('div.-scroller', this.spacer);
+        this.scroller.addEventListener('scroll', () => this.redraw());
+        this.root.append(this.scroller);
+
+        // Clicking the ruler jumps there; clicking an input toggles it, and dragging paints the same
+        // value across more tics
+        this.painting = null;
+        this.canvas.addEventListener('mousedown', ev => {
+            if (ev.button !== 0)
+                return;
+            let [tic, row] = this._event_to_cell(ev);
+            if (row < 0) {
+                this.seek(tic);
+                return;
+            }
+
+            let bit = INPUT_BITS[TIMELINE_ROWS[row][0]];
+            let value = ! (this.branch.replay.get_exact(tic) & bit);
+            this.painting = { row, bit, value, last_tic: tic };
+            this.set_input_bit(tic, bit, value);
+            ev.preventDefault();
+        });
+        this.canvas.addEventListener('mousemove', ev => {
+            if (! this.painting)
+                return;
+            let [tic] = this._event_to_cell(ev);
+            if (tic === this.painting.last_tic)
+                return;
+            let step = tic > this.painting.last_tic ? 1 : -1;
+            for (let t = this.painting.last_tic + step; t !== tic + step; t += step) {
+                this.set_input_bit(t, this.painting.bit, this.painting.value);
+            }
+            this.painting.last_tic = tic;
+        });
+        window.addEventListener('mouseup', () => {
+            if (! this.painting)
+                return;
+            this.painting = null;
+            // Make the level reflect the new inputs
+            this.seek(this.player.level.tic_counter);
+        });
+
+        this.status_el = mk('p.-status');
+        this.root.append(this.status_el);
+
+        this.root.append(mk('div.-buttons',
+            util.mk_button("← 1 tic", () => this.seek(this.player.level.tic_counter - 1)),
+            util.mk_button("1 tic →", () => this.seek(this.player.level.tic_counter + 1)),
+            util.mk_button("Insert tic", () => this.insert_tic()),
+            util.mk_button("Delete tic", () => this.delete_tic()),
+        ));
+        this.root.append(mk('div.-buttons',
+            util.mk_button("Play from here", () => this.play_from_here()),
+            util.mk_button("Record from here", () => this.record_from_here()),
+        ));
+    }
+
+    get replay() {
+        return this.branch ? this.branch.replay : null;
+    }
+
+    // Start over with a new replay, throwing away any branches
+    load_replay(replay) {
+        this.branches = [];
+        this.next_branch_number = 1;
+        this.branch = this._add_branch("main", replay, new Map);
+        this._update_branch_select();
+        this.redraw();
+    }
+
+    // Snapshots are only good for the level they were taken from, so forget them when it changes
+    forget_snapshots() {
+        for (let branch of this.branches) {
+            branch.snapshots.clear();
+        }
+    }
+
+    _add_branch(name, replay, snapshots) {
+        let branch = { name, replay, snapshots };
+        this.branches.push(branch);
+        return branch;
+    }
+
+    _update_branch_select() {
+        this.branch_select.textContent = '';
+        for (let [i, branch] of this.branches.entries()) {
+            this.branch_select.append(mk('option', {value: i}, branch.name));
+        }
+        this.branch_select.value = String(this.branches.indexOf(this.branch));
+    }
+
+    // Time travel ------------------------------------------------------------------------------------
+
+    // Move the level to the given tic, as the current branch would have it
+    seek(tic) {
+        let level = this.player.level;
+        let replay = this.replay;
+        let snapshots = this.branch.snapshots;
+        tic = Math.max(0, tic);
+
+        let best = null;
+        for (let snapshot_tic of snapshots.keys()) {
+            if (snapshot_tic <= tic && (best === null || snapshot_tic > best)) {
+                best = snapshot_tic;
+            }
+        }
+        if (best === null) {
+            level.coop = replay.is_coop;
+            level.restart(this.player.conductor.compat);
+            replay.configure_level(level);
+            snapshots.set(0, level.create_snapshot());
+        }
+        else {
+            level.restore_snapshot(snapshots.get(best));
+        }
+
+        while (level.state === 'playing' && level.tic_counter < tic) {
+            level.advance_tic(replay.get(level.tic_counter), replay.get(level.tic_counter, 2));
+            if (level.tic_counter % SNAPSHOT_INTERVAL === 0 && ! snapshots.has(level.tic_counter)) {
+                snapshots.set(level.tic_counter, level.create_snapshot());
+            }
+        }
+
+        this.player.after_time_travel();
+        this.redraw();
+    }
+
+    // Snapshots after a change no longer reflect the replay, so throw them out.  Note that a
+    // snapshot at tic t only depends on the inputs before t
+    _invalidate_after(tic) {
+        for (let snapshot_tic of [...this.branch.snapshots.keys()]) {
+            if (snapshot_tic > tic) {
+                this.branch.snapshots.delete(snapshot_tic);
+            }
+        }
+    }
+
+    // Editing ----------------------------------------------------------------------------------------
+
+    set_input_bit(tic, bit, value) {
+        let replay = this.replay;
+        let input = replay.get_exact(tic);
+        let new_input = value ? input | bit : input & ~bit;
+        if (new_input === input)
+            return;
+
+        replay.set(tic, new_input);
+        this._invalidate_after(tic);
+        this.redraw();
+    }
+
+    insert_tic() {
+        let tic = this.player.level.tic_counter;
+        this.replay.insert(tic, 1, this.replay.get_exact(tic));
+        this._invalidate_after(tic);
+        this.seek(tic);
+    }
+
+    delete_tic() {
+        let tic = this.player.level.tic_counter;
+        this.replay.delete(tic, 1);
+        this._invalidate_after(tic);
+        this.seek(tic);
+    }
+
+    play_from_here() {
+        this.player.continue_replay(this.replay, 'custom');
+    }
+
+    record_from_here() {
+        let tic = this.player.level.tic_counter;
+        this.replay.truncate(tic);
+        this._invalidate_after(tic);
+        this.player.continue_replay(this.replay, 'custom', true);
+        this.redraw();
+    }
+
+    // Branching --------------------------------------------------------------------------------------
+
+    // Make a new branch that matches this one up to the current tic, and is blank after that
+    branch_here() {
+        let tic = this.player.level.tic_counter;
+        let replay = this.replay.clone();
+        replay.truncate(tic);
+        // Snapshots up to here are still good, and restoring one never modifies it, so share them
+        let snapshots = new Map;
+        for (let [snapshot_tic, snapshot] of this.branch.snapshots) {
+            if (snapshot_tic <= tic) {
+                snapshots.set(snapshot_tic, snapshot);
+            }
+        }
+        this.next_branch_number += 1;
+        let branch = this._add_branch(
+            `branch ${this.next_branch_number} (from ${this.branch.name} @ ${tic})`, replay, snapshots);
+        this.switch_branch(branch);
+    }
+
+    drop_branch() {
+        if (this.branches.length <= 1)
+            return;
+
+        let i = this.branches.indexOf(this.branch);
+        this.branches.splice(i, 1);
+        this.switch_branch(this.branches[Math.max(0, i - 1)]);
+    }
+
+    switch_branch(branch) {
+        this.branch = branch;
+        this._update_branch_select();
+        this.player.set_custom_replay(branch.replay);
+        this.seek(this.player.level.tic_counter);
+    }
+
+    // Drawing ----------------------------------------------------------------------------------------
+
+    _event_to_cell(ev) {
+        let rect = this.canvas.getBoundingClientRect();
+        let x = ev.clientX - rect.left + this.scroller.scrollLeft;
+        let y = ev.clientY - rect.top;
+        return [Math.max(0, Math.floor(x / TIC_WIDTH)), Math.floor(y / ROW_HEIGHT) - 1];
+    }
+
+    redraw() {
+        if (! this.branch || ! this.root.isConnected)
+            return;
+
+        let replay = this.replay;
+        let level = this.player.level;
+        let cursor = level ? level.tic_counter : 0;
+        let total_tics = Math.max(replay.duration, cursor) + TIMELINE_EXTRA_TICS;
+        this.spacer.style.width = `${total_tics * TIC_WIDTH}px`;
+        let width = this.scroller.clientWidth;
+        if (this.canvas.width !== width) {
+            this.canvas.width = width;
+        }
+
+        // Keep the cursor in view while the game is running
+        if (this.player.state === 'playing' || this.player.state === 'rewinding') {
+            let cursor_x = cursor * TIC_WIDTH;
+            if (cursor_x < this.scroller.scrollLeft || cursor_x + TIC_WIDTH > this.scroller.scrollLeft + width) {
+                this.scroller.scrollLeft = cursor_x - width / 2;
+            }
+        }
+
+        let scroll = this.scroller.scrollLeft;
+        let t0 = Math.floor(scroll / TIC_WIDTH);
+        let t1 = Math.min(total_tics, Math.ceil((scroll + width) / TIC_WIDTH));
+        let ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = `${ROW_HEIGHT - 2}px monospace`;
+        ctx.textBaseline = 'top';
+
+        for (let t = t0; t < t1; t++) {
+            let x = t * TIC_WIDTH - scroll;
+            // Ruler, with a label every second, and marks for snapshots
+            if (t % TICS_PER_SECOND === 0) {
+                ctx.fillStyle = '#808080';
+                ctx.fillRect(x, 0, 1, TIMELINE_HEIGHT);
+                ctx.fillText(String(t / TICS_PER_SECOND), x + 2, 1);
+            }
+            if (this.branch.snapshots.has(t)) {
+                ctx.fillStyle = '#6ca2a7';
+                ctx.fillRect(x, ROW_HEIGHT - 3, TIC_WIDTH, 3);
+            }
+
+            let input = replay.get_exact(t);
+            for (let [row, [action]] of TIMELINE_ROWS.entries()) {
+                let y = (row + 1) * ROW_HEIGHT;
+                if (t >= replay.duration) {
+                    ctx.fillStyle = '#101010';
+                }
+                else if (input & INPUT_BITS[action]) {
+                    ctx.fillStyle = '#e0e0e0';
+                }
+                else {
+                    ctx.fillStyle = row % 2 ? '#303030' : '#282828';
+                }
+                ctx.fillRect(x + 1, y + 1, TIC_WIDTH - 1, ROW_HEIGHT - 1);
+            }
+        }
+
+        // Row labels stay put
+        ctx.fillStyle = '#e0e0e0';
+        for (let [row, [, label]] of TIMELINE_ROWS.entries()) {
+            ctx.fillText(label, 1, (row + 1) * ROW_HEIGHT + 1);
+        }
+
+        // Cursor
+        ctx.fillStyle = '#f48457';
+        ctx.fillRect(cursor * TIC_WIDTH - scroll, 0, 2, TIMELINE_HEIGHT);
+
+        this.status_el.textContent = `tic ${cursor} of ${replay.duration} · ${util.format_duration(cursor / TICS_PER_SECOND, 2)} · ${this.branch.snapshots.size} snapshots`;
+    }
+}
@@ -0,0 +1,46 @@
+// Savestates, i.e. levels frozen partway through, kept in a handful of numbered slots per level.
+// Like personal bests, these live in IndexedDB, since a serialized level can easily run to hundreds
+// of KB.  Each record looks like:
+//   pack: the pack identifier, the same one the savefile uses
+//   number: the level number
+//   slot: which slot it's in, starting from 1
+//   state: the output of Level.serialize()
+//   date: when it was saved, as a timestamp
+import { forget_pack, open_store, prefix_range, rename_pack, request_promise } from './local-db.js';
+
+const STORE_NAME = 'savestates';
+
+export async function save_savestate(pack, number, slot, state) {
+    let store = await open_store(STORE_NAME, 'readwrite');
+    await request_promise(store.put({
+        pack,
+        number,
+        slot,
+        state,
+        date: Date.now(),
+    }));
+}
+
+// Returns a sparse array of records, indexed by slot number
+export async function load_savestates(pack, number) {
+    let store = await open_store(STORE_NAME, 'readonly');
+    let records = await request_promise(store.getAll(prefix_range(pack, number)));
+    let savestates = [];
+    for (let record of records) {
+        savestates[record.slot] = record;
+    }
+    return savestates;
+}
+
+export async function forget_savestate(pack, number, slot) {
+    let store = await open_store(STORE_NAME, 'readwrite');
+    await request_promise(store.delete([pack, number, slot]));
+}
+
+export async function forget_savestates(pack) {
+    await forget_pack(STORE_NAME, pack);
+}
+
+export async function rename_savestates(old_pack, new_pack) {
+    await rename_pack(STORE_NAME, old_pack, new_pack);
+}
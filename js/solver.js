@@ -0,0 +1,468 @@
+// Brute-force solver, for finding out whether a level can be beaten (and how), and where the player
+// can get themselves permanently stuck.  It searches through every sequence of moves, one decision
+// at a time, using level snapshots to jump between branches, and merges states that are identical
+// apart from the clock.
+// This is only really practical for simple CC1-style levels: the player only ever moves or waits
+// (no dropping, cycling, or swapping), and anything with lots of randomness or lots of monsters
+// wandering around will make the number of distinct states explode.
+import { INPUT_BITS, LAYERS } from './defs.js';
+import { Replay } from './format-base.js';
+import { Cell, Level, Tile } from './game.js';
+import TILE_TYPES from './tiletypes.js';
+
+// Everything the player can do at a decision point.  Waiting is important too, for timing
+const ACTIONS = [0, INPUT_BITS.up, INPUT_BITS.down, INPUT_BITS.left, INPUT_BITS.right];
+// An action lasts until the player can make another decision, but give up eventually, in case the
+// player is caught in an endless force floor loop or some such
+const MAX_ACTION_TICS = 100;
+// Every this many moves down the search tree, keep a snapshot of the level.  Snapshots are big and
+// slow to make, but replaying a few moves from the nearest one is cheap
+const CHECKPOINT_INTERVAL = 8;
+// For the A* heuristic: the player can't cover ground faster than this, short of teleporting
+const FASTEST_TICS_PER_CELL = 2;
+const EXIT_TYPES = new Set(['exit', 'player1_exit']);
+
+// Level props that matter for what happens next.  Anything to do with the clock is deliberately
+// left out, so that the same position reached later is recognized as a duplicate
+const STATE_LEVEL_PROPS = [
+    'state', 'chips_remaining', 'remaining_players', 'force_floor_direction',
+    '_rng1', '_rng2', '_tw_rng', '_blob_modifier', 'timer_paused', 'pending_green_toggle',
+];
+// Tile props that are either covered some other way, or never outlive the tic they're set in (and so
+// aren't undone, either)
+const STATE_IGNORED_TILE_PROPS = new Set(['type', 'cell', 'hint_text', 'decision', 'last_blocked_direction']);
+const TILE_TYPE_SET = new Set(Object.values(TILE_TYPES));
+
+// Undo doesn't always put things back exactly how they were; a prop that didn't exist might come
+// back as null or zero (e.g. a key you picked up and then un-picked-up).  The game treats those all
+// the same, so do the same here
+function _is_blank(value) {
+    return value === undefined || value === null || value === false || value === 0;
+}
+
+function _value_key(value) {
+    if (value === null || typeof value !== 'object')
+        return String(value);
+    if (TILE_TYPE_SET.has(value))
+        return value.name;
+    if (value instanceof Cell)
+        return `@${value.x},${value.y}`;
+    if (value instanceof Tile)
+        return `${value.type.name}${value.cell ? _value_key(value.cell) : ''}`;
+    if (Array.isArray(value))
+        return `[${value.map(_value_key).join(',')}]`;
+    if (value.constructor === Object)
+        return `{${Object.keys(value).sort().filter(key => ! _is_blank(value[key])).map(key => `${key}:${_value_key(value[key])}`).join(',')}}`;
+    return value.constructor.name;
+}
+
+// Two 32-bit FNV-1a hashes with different parameters, fed a piece at a time, so collisions are a
+// non-issue for any search that fits in memory
+class StateHasher {
+    constructor() {
+        this.a = 0x811c9dc5;
+        this.b = 0x01000193;
+    }
+
+    add(string) {
+        let a = this.a, b = this.b;
+        for (let i = 0; i < string.length; i++) {
+            let c = string.charCodeAt(i);
+            a = Math.imul(a ^ c, 0x01000193);
+            b = Math.imul(b ^ c, 0x0100019b);
+        }
+        // Separator, so e.g. "ab" "c" differs from "a" "bc"
+        this.a = Math.imul(a ^ 0xff, 0x01000193);
+        this.b = Math.imul(b ^ 0xff, 0x0100019b);
+    }
+
+    finish() {
+        return (this.a >>> 0).toString(16).padStart(8, '0') + (this.b >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+// Summarize everything about a level that could affect its future, ignoring the clock
+export function level_state_key(level) {
+    let hasher = new StateHasher;
+    for (let key of STATE_LEVEL_PROPS) {
+        hasher.add(_is_blank(level[key]) ? '' : _value_key(level[key]));
+    }
+    for (let cell of level.linear_cells) {
+        hasher.add('|');
+        for (let tile of cell) {
+            // VFX are purely cosmetic
+            if (! tile || tile.type.layer === LAYERS.vfx)
+                continue;
+            hasher.add(tile.type.name);
+            for (let key of Object.keys(tile)) {
+                if (! STATE_IGNORED_TILE_PROPS.has(key) && ! _is_blank(tile[key])) {
+                    hasher.add(key);
+                    hasher.add(_value_key(tile[key]));
+                }
+            }
+        }
+    }
+    return hasher.finish();
+}
+
+// Binary heap; ties are broken by insertion order, so the search is deterministic
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.counter = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    _less(i, j) {
+        let a = this.heap[i], b = this.heap[j];
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+
+    _swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+    }
+
+    push(item, priority) {
+        this.heap.push([priority, this.counter, item]);
+        this.counter += 1;
+        let i = this.heap.length - 1;
+        while (i > 0) {
+            let parent = (i - 1) >> 1;
+            if (! this._less(i, parent))
+                break;
+            this._swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        let top = this.heap[0];
+        let last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            let i = 0;
+            while (true) {
+                let smallest = i;
+                for (let child of [i * 2 + 1, i * 2 + 2]) {
+                    if (child < this.heap.length && this._less(child, smallest)) {
+                        smallest = child;
+                    }
+                }
+                if (smallest === i)
+                    break;
+                this._swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top[2];
+    }
+}
+
+// Options:
+//   max_tics: don't look past this point in the level (default: 10000 tics, over eight minutes)
+//   max_states: give up after examining this many distinct states (default: 10000); note that the
+//     search keeps a snapshot every few states, so this also bounds memory use
+//   find_stuck: keep going after finding a solution, to map out the whole level and find the
+//     places the player can get stuck (default: false)
+//   heuristic: use A*, heading for the nearest exit, rather than a plain search in order of time.
+//     The result is still the quickest unless teleporters are involved (default: true)
+// The result of solve() has:
+//   solvable: true, false, or null if the search ran out of budget before it could tell
+//   solution: a Replay that beats the level, or null
+//   solution_tics: how long that solution takes
+//   states: how many distinct states were examined
+//   exhausted: null if the search was exhaustive, otherwise 'states' or 'tics', for which budget
+//     ran out
+//   stuck: only with find_stuck; a list of { x, y, tic, replay } for each cell where the player can
+//     end up unable to win, but not doomed to die, either.  The replay shows the quickest way there
+export class Solver {
+    constructor(stored_level, compat = {}, options = {}) {
+        this.max_tics = options.max_tics ?? 10000;
+        this.max_states = options.max_states ?? 10000;
+        this.find_stuck = options.find_stuck ?? false;
+        this.use_heuristic = options.heuristic ?? true;
+
+        this.level = new Level(stored_level, compat);
+        this.level.sfx = {
+            play() {},
+            play_once() {},
+        };
+        // Same as for a replay, so the solution is played back in the same circumstances
+        this.initial_conditions = [
+            this.level.force_floor_direction, this.level._blob_modifier,
+            this.level.step_parity, this.level._tw_rng,
+        ];
+
+        this.exits = [];
+        for (let cell of this.level.linear_cells) {
+            let terrain = cell.get_terrain();
+            if (terrain && EXIT_TYPES.has(terrain.type.name)) {
+                this.exits.push(cell);
+            }
+        }
+
+        this.nodes = [];
+        this.nodes_by_key = new Map;
+        this.queue = new PriorityQueue;
+        // The node whose state the level is currently in, if any
+        this.current_node = null;
+    }
+
+    solve() {
+        let root = this._add_node(null, 0);
+        root.snapshot = this.level.create_snapshot();
+        this.nodes_by_key.set(level_state_key(this.level), root);
+        this.current_node = root;
+
+        let winner = null;
+        let exhausted = null;
+        let expanded = 0;
+        while (this.queue.size > 0) {
+            let node = this.queue.pop();
+            // A node found again by a quicker route goes back in the queue, so it may come out twice
+            if (node.expanded)
+                continue;
+            if (node.state === 'success') {
+                // Nodes come out in order of (estimated) time, and each one's tic is the quickest
+                // we've found to get there, so the first win is the quickest too.  (Except that
+                // teleporters can throw off the estimate, so then it's only probably the quickest.)
+                winner ??= node;
+                if (! this.find_stuck)
+                    break;
+                continue;
+            }
+            if (node.state !== 'playing')
+                continue;
+            if (node.tic >= this.max_tics) {
+                exhausted ??= 'tics';
+                continue;
+            }
+            if (expanded >= this.max_states) {
+                exhausted = 'states';
+                break;
+            }
+
+            this._expand(node);
+            expanded += 1;
+        }
+
+        let result = {
+            solvable: winner ? true : exhausted ? null : false,
+            solution: winner ? this.replay_for(winner) : null,
+            solution_tics: winner ? winner.tic : null,
+            states: expanded,
+            exhausted,
+        };
+        if (this.find_stuck) {
+            result.stuck = this._find_stuck_cells();
+        }
+        return result;
+    }
+
+    // Search tree --------------------------------------------------------------------------------
+
+    _add_node(parent, input) {
+        let level = this.level;
+        let player_cell = level.player ? level.player.cell : null;
+        let node = {
+            id: this.nodes.length,
+            parent,
+            input,
+            depth: parent ? parent.depth + 1 : 0,
+            tic: level.tic_counter,
+            state: level.state,
+            x: player_cell ? player_cell.x : null,
+            y: player_cell ? player_cell.y : null,
+            expanded: false,
+            snapshot: null,
+            children: [],
+        };
+        this.nodes.push(node);
+        this.queue.push(node, node.tic + this._estimate(player_cell));
+        return node;
+    }
+
+    // An unexpanded node has no children, and no snapshot, so there's nothing else to fix up
+    _reparent_node(node, parent, input) {
+        node.parent = parent;
+        node.input = input;
+        node.depth = parent.depth + 1;
+        node.tic = this.level.tic_counter;
+        this.queue.push(node, node.tic + this._estimate(this.level.player ? this.level.player.cell : null));
+    }
+
+    _estimate(player_cell) {
+        if (! this.use_heuristic || ! player_cell || this.exits.length === 0)
+            return 0;
+
+        let distance = Infinity;
+        for (let exit of this.exits) {
+            distance = Math.min(distance, Math.abs(exit.x - player_cell.x) + Math.abs(exit.y - player_cell.y));
+        }
+        return distance * FASTEST_TICS_PER_CELL;
+    }
+
+    // Press an input for one tic, then wait until the player can make another decision, or the game
+    // ends.  (Holding it would be more natural, but under CC2 rules that can carry the player right
+    // past a decision point, and then we'd never get to try stopping there.)  Returns how many tics
+    // that took
+    _do_action(input) {
+        let level = this.level;
+        let tics = 0;
+        do {
+            level.advance_tic(tics === 0 ? input : 0);
+            tics += 1;
+        } while (level.state === 'playing' && ! level.can_accept_input() && tics < MAX_ACTION_TICS);
+        return tics;
+    }
+
+    // Put the level into the given node's state, by restoring the nearest snapshot and replaying
+    // whatever moves came after it
+    _go_to(node) {
+        if (this.current_node === node)
+            return;
+
+        let path = [];
+        let checkpoint = node;
+        while (! checkpoint.snapshot) {
+            // Fast path: we're already partway there
+            if (checkpoint === this.current_node)
+                break;
+            path.push(checkpoint);
+            checkpoint = checkpoint.parent;
+        }
+        if (checkpoint !== this.current_node) {
+            this.level.restore_snapshot(checkpoint.snapshot);
+        }
+        for (let i = path.length - 1; i >= 0; i--) {
+            this._do_action(path[i].input);
+        }
+        this.current_node = node;
+    }
+
+    _expand(node) {
+        let level = this.level;
+        this._go_to(node);
+        node.expanded = true;
+        if (node.depth % CHECKPOINT_INTERVAL === 0 && ! node.snapshot) {
+            node.snapshot = level.create_snapshot();
+        }
+
+        // Try every action, undoing back to this node after each one.  Undo is much cheaper than a
+        // snapshot, and we only ever need to go back a single action
+        for (let input of ACTIONS) {
+            let tics = this._do_action(input);
+            let key = level_state_key(level);
+            let child = this.nodes_by_key.get(key);
+            if (! child) {
+                child = this._add_node(node, input);
+                this.nodes_by_key.set(key, child);
+            }
+            else if (level.tic_counter < child.tic && ! child.expanded) {
+                // Actions take different amounts of time, so we can find a quicker way to a state
+                // we've already seen; take that route instead.  (This can't happen once a node's
+                // been expanded, heuristic willing, since the queue is in order of time.)
+                this._reparent_node(child, node, input);
+            }
+            if (! node.children.includes(child)) {
+                node.children.push(child);
+            }
+
+            for (let i = 0; i < tics; i++) {
+                level.undo();
+            }
+        }
+    }
+
+    // Build a replay that plays from the start of the level to the given node
+    replay_for(node) {
+        let path = [];
+        for (let n = node; n.parent; n = n.parent) {
+            path.push(n);
+        }
+        path.reverse();
+
+        let [force_floor_direction, blob_seed, step_parity, tw_seed] = this.initial_conditions;
+        let replay = new Replay(force_floor_direction, blob_seed, null, step_parity, tw_seed);
+        // Each action is one tic of input followed by nothing, which is what the replay already
+        // assumes for anything we don't set
+        for (let [i, n] of path.entries()) {
+            let start = i === 0 ? 0 : path[i - 1].tic;
+            replay.set(start, n.input);
+            for (let t = start + 1; t < n.tic; t++) {
+                replay.set(t, 0);
+            }
+        }
+        return replay;
+    }
+
+    // Softlocks ----------------------------------------------------------------------------------
+    // Only meaningful after an exhaustive search, but anything that was fully explored counts even if
+    // the search was cut short.  A node is stuck if the player is still alive, but nothing reachable
+    // from it is a win, and it's not just on its way to certain death, either
+
+    _find_stuck_cells() {
+        let parents = this.nodes.map(() => []);
+        for (let node of this.nodes) {
+            for (let child of node.children) {
+                parents[child.id].push(node);
+            }
+        }
+
+        // Anything that can lead to a win, or to something we never got around to looking at, might
+        // still be winnable
+        let hopeful = new Set;
+        let pending = this.nodes.filter(node =>
+            node.state === 'success' || (node.state === 'playing' && ! node.expanded));
+        for (let node of pending) {
+            hopeful.add(node);
+        }
+        while (pending.length > 0) {
+            let node = pending.pop();
+            for (let parent of parents[node.id]) {
+                if (! hopeful.has(parent)) {
+                    hopeful.add(parent);
+                    pending.push(parent);
+                }
+            }
+        }
+
+        // Something is doomed if it's a loss, or every move from it is doomed
+        let doomed = new Set;
+        let undoomed_children = this.nodes.map(node => node.children.length);
+        pending = this.nodes.filter(node => node.state === 'failure');
+        for (let node of pending) {
+            doomed.add(node);
+        }
+        while (pending.length > 0) {
+            let node = pending.pop();
+            for (let parent of parents[node.id]) {
+                undoomed_children[parent.id] -= 1;
+                if (undoomed_children[parent.id] === 0 && parent.expanded && ! doomed.has(parent)) {
+                    doomed.add(parent);
+                    pending.push(parent);
+                }
+            }
+        }
+
+        // Only report the quickest way to get stuck in each cell
+        let stuck = new Map;
+        for (let node of this.nodes) {
+            if (node.state !== 'playing' || node.x === null || hopeful.has(node) || doomed.has(node))
+                continue;
+            let key = `${node.x},${node.y}`;
+            if (! stuck.has(key) || node.tic < stuck.get(key).tic) {
+                stuck.set(key, node);
+            }
+        }
+        return [...stuck.values()].map(node => ({
+            x: node.x,
+            y: node.y,
+            tic: node.tic,
+            replay: this.replay_for(node),
+        }));
+    }
+}
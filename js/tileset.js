@@ -2068,6 +2068,8 @@ export class DrawPacket {
         this.update_progress = update_progress;
         this.update_rate = update_rate;
         this.show_facing = false;
+        // Whether to mark colored tiles with glyphs, for colorblind players
+        this.color_glyphs = false;
         // this.x
         // this.y
     }
@@ -2082,6 +2084,40 @@ export class DrawPacket {
     // Same, but do not interpolate the position of an actor in motion; always draw it exactly in
     // the cell it claims to be in
     blit_aligned(tx, ty, mx = 0, my = 0, mw = 1, mh = mw, mdx = mx, mdy = my) {}
+
+    // Draw a short bit of text in the corner of the tile, to tell apart tiles that otherwise only
+    // differ by color
+    draw_glyph(text) {}
+}
+
+// Glyphs drawn on tiles that are otherwise only told apart by their color, when color_glyphs is on.
+// Colors get the same glyph no matter what they're on, so a key's glyph matches its door's
+const COLOR_GLYPH_NAMES = {
+    red: "R",
+    blue: "B",
+    yellow: "Y",
+    green: "G",
+    brown: "Br",
+    orange: "O",
+    pink: "Pk",
+    gray: "Gy",
+    black: "K",
+};
+const COLOR_GLYPHS = {
+    force_floor_n: "↑",
+    force_floor_e: "→",
+    force_floor_s: "↓",
+    force_floor_w: "←",
+    force_floor_all: "✣",
+    teleport_blue_exit: COLOR_GLYPH_NAMES.blue,
+};
+for (let [color, glyph] of Object.entries(COLOR_GLYPH_NAMES)) {
+    for (let prefix of ['key', 'door', 'gate', 'button', 'teleport']) {
+        let name = `${prefix}_${color}`;
+        if (TILE_TYPES[name]) {
+            COLOR_GLYPHS[name] = glyph;
+        }
+    }
 }
 
 export class Tileset {
@@ -2109,6 +2145,9 @@ export class Tileset {
 
         this.draw_drawspec(drawspec, name, tile, packet);
 
+        if (packet.color_glyphs && COLOR_GLYPHS[name]) {
+            packet.draw_glyph(COLOR_GLYPHS[name]);
+        }
         if (packet.show_facing) {
             this._draw_facing(name, tile, packet);
         }
@@ -3152,6 +3191,43 @@ function erase_tileset_background(image_data, layout) {
     return true;
 }
 
+// Makes a copy of a tileset with its colors pushed further apart, for anyone who has trouble telling
+// them apart: more saturated, and with more contrast.  The copy is remembered, so this is cheap to
+// call repeatedly.  The original image must have finished loading!
+const HIGH_CONTRAST_SATURATION = 1.6;
+const HIGH_CONTRAST_CONTRAST = 1.4;
+export function get_high_contrast_tileset(tileset, make_canvas) {
+    if (tileset._high_contrast)
+        return tileset._high_contrast;
+
+    let image = tileset.image;
+    let width = image.naturalWidth ?? image.width;
+    let height = image.naturalHeight ?? image.height;
+    if (! width || ! height)
+        // Not loaded yet, so there's nothing to transform
+        return tileset;
+
+    let canvas = make_canvas(width, height);
+    let ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    let image_data = ctx.getImageData(0, 0, width, height);
+    let px = image_data.data;
+    for (let i = 0; i < px.length; i += 4) {
+        let gray = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+        for (let c = 0; c < 3; c++) {
+            let value = gray + (px[i + c] - gray) * HIGH_CONTRAST_SATURATION;
+            // Uint8ClampedArray takes care of clamping
+            px[i + c] = 128 + (value - 128) * HIGH_CONTRAST_CONTRAST;
+        }
+    }
+    ctx.putImageData(image_data, 0, 0);
+
+    let high_contrast = new Tileset(canvas, tileset.layout, tileset.size_x, tileset.size_y);
+    high_contrast.base_tileset = tileset;
+    tileset._high_contrast = high_contrast;
+    return high_contrast;
+}
+
 export function infer_tileset_from_image(img, make_canvas) {
     // 99% of the time, we'll need a canvas anyway, so might as well create it now
     let canvas = make_canvas(img.naturalWidth, img.naturalHeight);
@@ -0,0 +1,238 @@
+// Service worker, for playing offline.  This lives at the root (rather than in js/) because a worker
+// can only see requests from its own directory and below.  js/offline.js is the other half, which
+// registers this, and handles the optional caches for music and the built-in packs.
+// Everything is served cache-first, so the cached game only changes when VERSION does -- bump it
+// whenever anything in SHELL_FILES changes, or players will be stuck with the old files forever!
+"use strict";
+
+const VERSION = 10;
+// These prefixes must match the ones in js/offline.js
+const CACHE_PREFIX = 'lexys-labyrinth-';
+const SHELL_CACHE_PREFIX = CACHE_PREFIX + 'shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + VERSION;
+
+// Everything needed to start up and play, minus the music and levels, which are much bigger
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'background.svg',
+    'ending.png',
+    'icon.png',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-debug.png',
+    'loading.gif',
+    'tileset-lexy.png',
+
+    'js/algorithms.js',
+    'js/announcer.js',
+    'js/backup.js',
+    'js/catalog.js',
+    'js/defs.js',
+    'js/format-base.js',
+    'js/format-c2g.js',
+    'js/format-dat.js',
+    'js/format-tws.js',
+    'js/game.js',
+    'js/gamepad.js',
+    'js/key-bindings.js',
+    'js/level-stats.js',
+    'js/local-db.js',
+    'js/main-base.js',
+    'js/main.js',
+    'js/offline.js',
+    'js/personal-bests.js',
+    'js/renderer-canvas.js',
+    'js/replay-timeline.js',
+    'js/savestates.js',
+    'js/solver.js',
+    'js/soundtrack.js',
+    'js/tileset.js',
+    'js/tiletypes.js',
+    'js/util.js',
+    'js/editor/clipboard.js',
+    'js/editor/dialogs.js',
+    'js/editor/editordefs.js',
+    'js/editor/generator.js',
+    'js/editor/helpers.js',
+    'js/editor/lint.js',
+    'js/editor/main.js',
+    'js/editor/mouseops.js',
+    'js/editor/tile-overlays.js',
+    'js/vendor/fflate.js',
+
+    'icons/compat-custom.png',
+    'icons/compat-lexy.png',
+    'icons/compat-lynx.png',
+    'icons/compat-ms.png',
+    'icons/compat-notcc2.png',
+    'icons/compat-steam-strict.png',
+    'icons/compat-steam.png',
+    'icons/help.png',
+    'icons/rotate-left.png',
+    'icons/rotate-right.png',
+    'icons/tool-adjust.png',
+    'icons/tool-bg-selected.png',
+    'icons/tool-bg-unselected.png',
+    'icons/tool-box.png',
+    'icons/tool-camera.png',
+    'icons/tool-connect.png',
+    'icons/tool-fill.png',
+    'icons/tool-force-floors.png',
+    'icons/tool-ice.png',
+    'icons/tool-line.png',
+    'icons/tool-pencil.png',
+    'icons/tool-rotate.png',
+    'icons/tool-select-box.png',
+    'icons/tool-text.png',
+    'icons/tool-thin-walls.png',
+    'icons/tool-tracks.png',
+    'icons/tool-wire.png',
+
+    'levels/previews/cc2lp1.png',
+    'levels/previews/cclp1.png',
+    'levels/previews/cclp3.png',
+    'levels/previews/cclp4.png',
+    'levels/previews/cclp5.png',
+    'levels/previews/cclxp2.png',
+    'levels/previews/lexys-lessons.png',
+
+    'sfx/bomb.ogg',
+    'sfx/bummer.ogg',
+    'sfx/button-press.ogg',
+    'sfx/button-release.ogg',
+    'sfx/door.ogg',
+    'sfx/drop.ogg',
+    'sfx/exit.ogg',
+    'sfx/fake-floor.ogg',
+    'sfx/get-bonus.ogg',
+    'sfx/get-bonus2.ogg',
+    'sfx/get-chip-extra.ogg',
+    'sfx/get-chip-last.ogg',
+    'sfx/get-chip.ogg',
+    'sfx/get-key.ogg',
+    'sfx/get-stopwatch-bonus.ogg',
+    'sfx/get-stopwatch-penalty.ogg',
+    'sfx/get-stopwatch-toggle.ogg',
+    'sfx/get-tool.ogg',
+    'sfx/mmf.ogg',
+    'sfx/popwall.ogg',
+    'sfx/push.ogg',
+    'sfx/revive.ogg',
+    'sfx/slide-force.ogg',
+    'sfx/slide-ice.ogg',
+    'sfx/socket.ogg',
+    'sfx/splash-slime.ogg',
+    'sfx/splash.ogg',
+    'sfx/step-fire.ogg',
+    'sfx/step-floor.ogg',
+    'sfx/step-force.ogg',
+    'sfx/step-gravel.ogg',
+    'sfx/step-ice.ogg',
+    'sfx/step-popdown.ogg',
+    'sfx/step-water.ogg',
+    'sfx/teleport.ogg',
+    'sfx/thief-bribe.ogg',
+    'sfx/thief.ogg',
+    'sfx/tick.ogg',
+    'sfx/timeup.ogg',
+    'sfx/transmogrify.ogg',
+    'sfx/win.ogg',
+];
+// Nice to have, but not worth failing the install over
+const OPTIONAL_SHELL_FILES = [
+    // Only the editor uses this
+    'https://cdn.jsdelivr.net/npm/sortablejs@latest/Sortable.min.js',
+];
+
+self.addEventListener('install', ev => {
+    ev.waitUntil((async () => {
+        let cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        for (let url of OPTIONAL_SHELL_FILES) {
+            try {
+                await cache.add(url);
+            }
+            catch (e) {
+                console.warn("Couldn't cache", url, e);
+            }
+        }
+        // Take over right away; the page loads everything up front, so it won't notice the swap
+        // until the next reload anyway
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', ev => {
+    ev.waitUntil((async () => {
+        // Throw out any older versions of the game.  The music and pack caches aren't versioned,
+        // since those files never change
+        for (let key of await caches.keys()) {
+            if (key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE) {
+                await caches.delete(key);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', ev => {
+    if (ev.request.method !== 'GET')
+        return;
+
+    ev.respondWith((async () => {
+        // Look through every cache, not just the shell, so opted-in music and packs work too.  The
+        // query string never matters for our own files, and the page turns it into a fragment
+        // anyway
+        let response = await caches.match(ev.request, {ignoreSearch: true});
+        if (! response)
+            return fetch(ev.request);
+
+        // <audio> asks for byte ranges, and some browsers (Safari) won't play anything from a plain
+        // 200, so slice it up ourselves
+        let range = ev.request.headers.get('Range');
+        if (range) {
+            return await make_range_response(response, range);
+        }
+        return response;
+    })());
+});
+
+async function make_range_response(response, range) {
+    let blob = await response.blob();
+    let m = range.match(/^bytes=(\d*)-(\d*)$/);
+    if (! m || (m[1] === '' && m[2] === '')) {
+        return new Response(null, {
+            status: 416,
+            headers: {'Content-Range': `bytes */${blob.size}`},
+        });
+    }
+
+    let start, end;
+    if (m[1] === '') {
+        // Suffix range, i.e. the last N bytes
+        start = Math.max(0, blob.size - parseInt(m[2], 10));
+        end = blob.size - 1;
+    }
+    else {
+        start = parseInt(m[1], 10);
+        end = m[2] === '' ? blob.size - 1 : Math.min(parseInt(m[2], 10), blob.size - 1);
+    }
+    if (start > end || start >= blob.size) {
+        return new Response(null, {
+            status: 416,
+            headers: {'Content-Range': `bytes */${blob.size}`},
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') ?? 'application/octet-stream',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+        },
+    });
+}